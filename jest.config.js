@@ -15,6 +15,7 @@ module.exports = {
         enableDebugLogging: true,
         debugMutations: false,                    // Enable debug mode
         debugMutationDir: './mutations-debug',  // Directory for debug files
+        mutationScope: { files: ['src/*.ts'] }, // Mutate the example sources, not the tooling its unit tests load
         // ... other options
       }
     ]
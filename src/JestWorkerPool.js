@@ -0,0 +1,206 @@
+/**
+ * Jest Worker Pool
+ * Keeps a fixed number of Jest processes alive for a mutation run, so each
+ * mutant's targeted tests run without paying for a process spawn and Jest
+ * boot. Runs are queued until a worker is free.
+ */
+
+const { fork } = require("child_process");
+const path = require("path");
+
+const WORKER_SCRIPT = path.join(__dirname, "jest-pool-worker.js");
+
+// Workers are replaced after this many runs so memory Jest keeps between runs can't pile up
+const MAX_RUNS_PER_WORKER = 50;
+
+class JestWorkerPool {
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || 1);
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || {};
+    this.workers = [];
+    this.queue = [];
+    this.runCounter = 0;
+    this.closed = false;
+    this.unsupportedError = null;
+    // Extra time for a fresh worker's first run, which also loads Jest's runtime
+    this.startupGrace = options.startupGrace || 0;
+  }
+
+  /**
+   * Run Jest with CLI arguments in a pooled process
+   * @param {string[]} args - Jest CLI arguments
+   * @param {object} options - Run options
+   * @param {object} options.env - Environment variables for this run only
+   * @param {number} options.timeout - Kill the run after this many ms
+   * @returns {Promise<object>} { exitCode, timedOut, output, error, duration } where
+   *   `duration` is the time the worker spent on the run, excluding queueing
+   */
+  run(args, options = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error("Jest worker pool is closed"));
+    }
+    if (this.unsupportedError) {
+      return Promise.reject(new Error(this.unsupportedError));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: ++this.runCounter, args, options, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued runs to idle workers, starting workers up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.workers.find((candidate) => candidate.ready && !candidate.task);
+      if (!worker) {
+        if (this.workers.length >= this.size) {
+          return;
+        }
+        this.startWorker();
+        continue;
+      }
+
+      this.startTask(worker, this.queue.shift());
+    }
+  }
+
+  /**
+   * Fork a worker; it becomes available once it reports that Jest is loaded
+   */
+  startWorker() {
+    const child = fork(WORKER_SCRIPT, [], {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env, JEST_LINEAGE_POOL_CWD: this.cwd },
+      silent: true, // Capture Jest's console output per run
+    });
+    const worker = { child, ready: false, task: null, runs: 0, output: "" };
+
+    const capture = (data) => {
+      worker.output += data.toString();
+    };
+    child.stdout.on("data", capture);
+    child.stderr.on("data", capture);
+
+    child.on("message", (message) => this.handleMessage(worker, message));
+    child.on("exit", (code, signal) => this.handleExit(worker, code, signal));
+    child.on("error", (error) => {
+      if (worker.task) {
+        this.finishTask(worker, { exitCode: null, error: error.message });
+      }
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  handleMessage(worker, message) {
+    if (message.type === "ready") {
+      worker.ready = true;
+      this.dispatch();
+    } else if (message.type === "unsupported") {
+      this.unsupportedError = `Jest worker pool unavailable: ${message.error}`;
+      this.removeWorker(worker);
+      this.rejectQueued(new Error(this.unsupportedError));
+    } else if (message.type === "done" && worker.task && worker.task.id === message.id) {
+      this.finishTask(worker, { exitCode: message.exitCode, error: message.error || null });
+
+      if (worker.runs >= MAX_RUNS_PER_WORKER) {
+        this.removeWorker(worker);
+      }
+      this.dispatch();
+    }
+  }
+
+  handleExit(worker, code, signal) {
+    // A worker that can't even load Jest would be restarted forever
+    if (!worker.ready && !this.closed && !this.unsupportedError) {
+      const lastLine = worker.output.trim().split("\n").pop() || `exit code ${code}`;
+      this.unsupportedError = `Jest worker failed to start: ${lastLine}`;
+      this.rejectQueued(new Error(this.unsupportedError));
+    }
+
+    if (worker.task) {
+      const { timedOut } = worker.task;
+      this.finishTask(worker, {
+        exitCode: code,
+        error: timedOut ? null : `Jest worker exited unexpectedly (${signal || `code ${code}`})`,
+      });
+    }
+    this.removeWorker(worker);
+    this.dispatch();
+  }
+
+  startTask(worker, task) {
+    worker.task = task;
+    worker.output = "";
+    worker.runs++;
+    task.startTime = Date.now();
+
+    // Mutants can loop forever inside the worker, so the whole worker is replaced
+    if (task.options.timeout) {
+      const grace = worker.runs === 1 ? this.startupGrace : 0;
+      task.timer = setTimeout(() => {
+        task.timedOut = true;
+        worker.child.kill("SIGKILL");
+      }, task.options.timeout + grace);
+    }
+
+    worker.child.send({ type: "run", id: task.id, args: task.args, env: task.options.env || {} });
+  }
+
+  finishTask(worker, { exitCode, error }) {
+    const task = worker.task;
+    worker.task = null;
+    clearTimeout(task.timer);
+
+    task.resolve({
+      exitCode,
+      timedOut: Boolean(task.timedOut),
+      output: worker.output,
+      error,
+      duration: Date.now() - task.startTime,
+    });
+  }
+
+  removeWorker(worker) {
+    const index = this.workers.indexOf(worker);
+    if (index !== -1) {
+      this.workers.splice(index, 1);
+    }
+    if (worker.child.exitCode === null && worker.child.signalCode === null) {
+      worker.child.kill("SIGKILL");
+    }
+  }
+
+  rejectQueued(error) {
+    this.queue.splice(0).forEach((task) => task.reject(error));
+  }
+
+  /**
+   * Stop every worker; queued runs are rejected
+   */
+  close() {
+    this.closed = true;
+    this.rejectQueued(new Error("Jest worker pool is closed"));
+    this.workers.slice().forEach((worker) => {
+      worker.child.removeAllListeners("exit");
+      if (worker.task) {
+        this.finishTask(worker, { exitCode: null, error: "Jest worker pool is closed" });
+      }
+      this.removeWorker(worker);
+    });
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      runs: this.runCounter,
+    };
+  }
+}
+
+module.exports = JestWorkerPool;
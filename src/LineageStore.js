@@ -0,0 +1,366 @@
+/**
+ * Lineage Data Store
+ * Test processes append each finished test to their own shard file (one JSON
+ * line per test), so concurrent Jest workers never write the same file. The
+ * shards are folded into `.jest-lineage-data.json` when the run completes or
+ * when the data is read, under a lockfile and with an atomic rename. The data
+ * file is JSON or the compact format (see lineage-data-format.js) and always
+ * holds the current schema version (see lineage-schema.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  detectLineageDataFormat,
+  readLineageDataFile,
+  writeLineageDataFile,
+} = require("./lineage-data-format");
+const { LINEAGE_SCHEMA_VERSION, migrateLineageTest } = require("./lineage-schema");
+
+// A lockfile still without a pid after this long was left behind by a process
+// that crashed right after creating it
+const STALE_LOCK_MS = 30000;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 50;
+
+// Lockfiles this process holds, so its own pid in them isn't taken for an earlier process
+const heldLocks = new Set();
+let tombstoneCount = 0;
+
+/**
+ * Check whether a process is still running
+ * EPERM means it runs under another user.
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+class LineageStore {
+  constructor(options = {}) {
+    this.projectPath = options.projectPath || process.cwd();
+    this.dataPath = path.resolve(
+      this.projectPath,
+      options.dataPath || ".jest-lineage-data.json"
+    );
+    this.shardDirectory = `${this.dataPath.replace(/\.json$/, "")}.shards`;
+    this.lockPath = `${this.dataPath}.lock`;
+    // Set JEST_LINEAGE_MERGE=false to replace the data of earlier runs instead of merging
+    this.merge =
+      options.merge !== undefined
+        ? options.merge
+        : process.env.JEST_LINEAGE_MERGE !== "false";
+    // "json" or "compact"; unset keeps the format of the existing data file
+    this.format = options.format || process.env.JEST_LINEAGE_DATA_FORMAT || null;
+  }
+
+  /**
+   * Append a finished test to this process's shard
+   * Appending is O(1) per test and needs no lock: every process has its own shard.
+   * @param {object} test - Serialized test { name, type, testFile, duration, lines, ... }
+   */
+  append(test) {
+    fs.mkdirSync(this.shardDirectory, { recursive: true });
+    fs.appendFileSync(
+      path.join(this.shardDirectory, `${process.pid}.jsonl`),
+      JSON.stringify(test) + "\n"
+    );
+  }
+
+  /**
+   * List shard files, oldest first so later runs win when merged
+   * Shards renamed to `.reading` by a consolidation that crashed are included.
+   */
+  listShards() {
+    let names;
+    try {
+      names = fs.readdirSync(this.shardDirectory);
+    } catch (error) {
+      return [];
+    }
+
+    return names
+      .filter((name) => name.endsWith(".jsonl") || name.endsWith(".reading"))
+      .map((name) => {
+        const shardPath = path.join(this.shardDirectory, name);
+        try {
+          return { shardPath, mtime: fs.statSync(shardPath).mtimeMs };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.mtime - b.mtime)
+      .map((shard) => shard.shardPath);
+  }
+
+  /**
+   * Check whether any test data is waiting in shards
+   */
+  hasShards() {
+    return this.listShards().length > 0;
+  }
+
+  /**
+   * Fold the shards into the data file
+   * Each shard is renamed before it is read, so a test appended meanwhile
+   * starts a new shard instead of being lost. A line cut off by a crash is
+   * skipped, and tests in the older schema are migrated. Tests are keyed by
+   * their ID; the latest entry wins. As before, nothing is written when
+   * none of the new tests has coverage.
+   * @returns {number} Number of tests read from shards
+   */
+  consolidate() {
+    if (!this.hasShards()) {
+      return 0;
+    }
+
+    return this.withLock(() => {
+      const tests = [];
+      const consumed = [];
+
+      this.listShards().forEach((shardPath) => {
+        const readingPath = shardPath.endsWith(".reading")
+          ? shardPath
+          : `${shardPath}.${process.pid}.reading`;
+        try {
+          if (readingPath !== shardPath) {
+            fs.renameSync(shardPath, readingPath);
+          }
+          fs.readFileSync(readingPath, "utf8")
+            .split("\n")
+            .forEach((line) => {
+              if (!line.trim()) {
+                return;
+              }
+              try {
+                tests.push(migrateLineageTest(JSON.parse(line)));
+              } catch (error) {
+                // Partial line from a worker that was killed mid-write
+              }
+            });
+          consumed.push(readingPath);
+        } catch (error) {
+          // Another process consumed this shard first
+        }
+      });
+
+      const hasAnyCoverage = tests.some(
+        (test) => Array.isArray(test.lines) && test.lines.length > 0
+      );
+      if (hasAnyCoverage) {
+        const existing = this.merge ? this.readDataFile() : null;
+        const testsByKey = new Map();
+        ((existing && existing.tests) || []).forEach((test) => testsByKey.set(test.id, test));
+        tests.forEach((test) => testsByKey.set(test.id, test));
+
+        this.writeDataFile({
+          schemaVersion: LINEAGE_SCHEMA_VERSION,
+          timestamp: Date.now(),
+          tests: [...testsByKey.values()],
+        });
+      }
+
+      consumed.forEach((readingPath) => fs.rmSync(readingPath, { force: true }));
+      return tests.length;
+    });
+  }
+
+  /**
+   * Read the lineage data, consolidating pending shards first
+   * @param {object} options - Options
+   * @param {boolean} options.includePerformance - Read the performance sections of
+   *   compact data (default: true)
+   * @returns {object|null} { schemaVersion, timestamp, tests }, or null if there is no data file
+   * @throws {SyntaxError} If the data file isn't valid JSON
+   * @throws {Error} If the data file has an unsupported schema version
+   */
+  read(options = {}) {
+    this.consolidate();
+    return readLineageDataFile(this.dataPath, options);
+  }
+
+  /**
+   * Drop shards left behind by an earlier run that never completed
+   */
+  discardShards() {
+    this.listShards().forEach((shardPath) => fs.rmSync(shardPath, { force: true }));
+  }
+
+  /**
+   * Read the data file, treating a missing or corrupted one as empty
+   */
+  readDataFile() {
+    try {
+      return readLineageDataFile(this.dataPath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Replace the data file atomically, so readers never see a partial write
+   * @param {object} data - { schemaVersion, timestamp, tests }
+   * @param {string} format - Format to write (default: the store's format)
+   */
+  writeDataFile(data, format = this.format || detectLineageDataFormat(this.dataPath) || "json") {
+    const temporaryPath = `${this.dataPath}.${process.pid}.tmp`;
+    writeLineageDataFile(temporaryPath, data, format);
+    fs.renameSync(temporaryPath, this.dataPath);
+  }
+
+  /**
+   * Run a function while holding the store's lockfile
+   * Consolidations in several processes would otherwise each merge into
+   * the data file they read and overwrite each other's result.
+   */
+  withLock(fn) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    const sleeper = new Int32Array(new SharedArrayBuffer(4));
+    let descriptor = null;
+
+    while (descriptor === null) {
+      try {
+        descriptor = fs.openSync(this.lockPath, "wx");
+      } catch (error) {
+        if (error.code !== "EEXIST") {
+          throw error;
+        }
+        if (this.isLockStale(this.readLockOwner())) {
+          this.breakStaleLock();
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for lineage data lock ${this.lockPath}`);
+        }
+        Atomics.wait(sleeper, 0, 0, LOCK_RETRY_MS);
+      }
+    }
+
+    heldLocks.add(this.lockPath);
+    try {
+      fs.writeSync(descriptor, String(process.pid));
+      return fn();
+    } finally {
+      heldLocks.delete(this.lockPath);
+      this.releaseLock(descriptor);
+    }
+  }
+
+  /**
+   * Read the pid of the process holding a lockfile
+   * @param {string} lockPath - Lockfile (default: the store's)
+   * @returns {number|null} Pid, or null if there is no lockfile or no pid in it yet
+   */
+  readLockOwner(lockPath = this.lockPath) {
+    try {
+      const pid = parseInt(fs.readFileSync(lockPath, "utf8"), 10);
+      return pid > 0 ? pid : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a lockfile was left behind by a crashed process
+   * A lock stays valid for as long as its owner runs, however long it holds
+   * the lock. Our own pid is only in a lock this process doesn't hold if an
+   * earlier process had the same pid.
+   * @param {number|null} owner - Pid read from the lockfile
+   * @param {string} lockPath - Lockfile (default: the store's)
+   */
+  isLockStale(owner, lockPath = this.lockPath) {
+    if (owner === process.pid) {
+      return !heldLocks.has(this.lockPath);
+    }
+    if (owner !== null) {
+      return !isProcessAlive(owner);
+    }
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Move the lockfile to a unique tombstone path, which no other process uses
+   * Renaming is atomic, so whatever lock is moved can be checked and deleted
+   * without racing processes that take the lock meanwhile.
+   * @returns {string|null} Tombstone path, or null if there was no lockfile
+   */
+  moveLockAside() {
+    const tombstonePath = `${this.lockPath}.${process.pid}.${++tombstoneCount}.released`;
+    try {
+      fs.renameSync(this.lockPath, tombstonePath);
+      return tombstonePath;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Put a lock moved aside by mistake back in place
+   * If yet another process took the lock in the meantime, it keeps it.
+   */
+  restoreLock(tombstonePath) {
+    try {
+      fs.linkSync(tombstonePath, this.lockPath);
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+    fs.rmSync(tombstonePath, { force: true });
+  }
+
+  /**
+   * Remove a stale lock
+   * Another process may have removed it and taken a lock of its own since it
+   * was judged stale, so the lock is checked again once it has been moved aside.
+   * @returns {boolean} True if a stale lock was removed
+   */
+  breakStaleLock() {
+    const tombstonePath = this.moveLockAside();
+    if (!tombstonePath) {
+      return false;
+    }
+    if (this.isLockStale(this.readLockOwner(tombstonePath), tombstonePath)) {
+      fs.rmSync(tombstonePath, { force: true });
+      return true;
+    }
+    this.restoreLock(tombstonePath);
+    return false;
+  }
+
+  /**
+   * Close and remove the lockfile opened by withLock
+   * The lockfile is moved aside and only deleted if it is the file we opened;
+   * a lock that replaced it is put back.
+   * @param {number} descriptor - Descriptor of the lockfile
+   */
+  releaseLock(descriptor) {
+    const opened = fs.fstatSync(descriptor, { bigint: true });
+    fs.closeSync(descriptor);
+
+    const tombstonePath = this.moveLockAside();
+    if (!tombstonePath) {
+      return;
+    }
+    const moved = fs.statSync(tombstonePath, { bigint: true });
+    if (moved.ino === opened.ino && moved.dev === opened.dev) {
+      fs.rmSync(tombstonePath, { force: true });
+    } else {
+      this.restoreLock(tombstonePath);
+    }
+  }
+}
+
+module.exports = LineageStore;
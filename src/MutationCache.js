@@ -0,0 +1,239 @@
+/**
+ * Mutation Result Cache
+ * Persists killed/survived verdicts keyed by source and test content hashes.
+ * Entries record the hashes they were stored under; when the cache is saved,
+ * entries of files that changed since, and entries unused for a month, are
+ * dropped, so the file doesn't grow with every edit.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Version 3: verdicts come from Jest JSON results rather than exit codes
+// Version 4: killedBy lists test IDs rather than test names
+// Version 5: entries record their source and test hashes so outdated ones can be pruned
+const CACHE_VERSION = 5;
+// Entries not used for this long are dropped, e.g. those of deleted files
+const MAX_ENTRY_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+// Deterministic verdicts only - timeouts and runtime errors depend on the machine
+const CACHEABLE_STATUSES = new Set(["killed", "survived", "compile-error"]);
+
+class MutationCache {
+  constructor(options = {}) {
+    this.projectPath = options.projectPath || process.cwd();
+    this.cachePath = path.resolve(
+      this.projectPath,
+      options.cachePath || ".jest-lineage-mutation-cache.json"
+    );
+    this.enabled = options.enabled !== false;
+    this.entries = {};
+    this.fileHashes = new Map();
+    // Cache key → the files and hashes it was built from, for set()
+    this.keySources = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.stored = 0;
+    this.pruned = 0;
+    this.dirty = false;
+
+    if (this.enabled) {
+      this.load();
+    }
+  }
+
+  /**
+   * Load cache entries from disk
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.cachePath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.cachePath, "utf8"));
+      if (data.version === CACHE_VERSION && data.entries) {
+        this.entries = data.entries;
+      }
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable mutation cache: ${error.message}`);
+      this.entries = {};
+    }
+  }
+
+  /**
+   * Write cache entries to disk if anything changed, after pruning outdated ones
+   */
+  save() {
+    if (!this.enabled) {
+      return;
+    }
+    this.prune();
+    if (!this.dirty) {
+      return;
+    }
+
+    try {
+      fs.writeFileSync(
+        this.cachePath,
+        JSON.stringify({ version: CACHE_VERSION, entries: this.entries })
+      );
+      this.dirty = false;
+    } catch (error) {
+      console.warn(`⚠️ Failed to write mutation cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop entries that can no longer be hit
+   * An entry is outdated when its source or one of its test files was hashed
+   * during this run with different contents. Files this run didn't touch keep
+   * their entries, so scoped and incremental runs don't evict the rest.
+   * @returns {number} Number of dropped entries
+   */
+  prune() {
+    const now = Date.now();
+    const isOutdated = ([relativePath, hash]) => {
+      const currentHash = this.fileHashes.get(path.resolve(this.projectPath, relativePath));
+      return currentHash !== undefined && currentHash !== hash;
+    };
+
+    let pruned = 0;
+    Object.entries(this.entries).forEach(([key, entry]) => {
+      const expired = now - (entry.usedAt || entry.cachedAt || 0) > MAX_ENTRY_AGE_MS;
+      if (expired || (entry.files || []).some(isOutdated)) {
+        delete this.entries[key];
+        pruned++;
+      }
+    });
+
+    if (pruned > 0) {
+      this.pruned += pruned;
+      this.dirty = true;
+    }
+    return pruned;
+  }
+
+  /**
+   * Hash a file's contents, memoized for the lifetime of the cache
+   * Pass `content` when the file on disk may currently be mutated.
+   */
+  hashFile(filePath, content) {
+    const absolutePath = path.resolve(this.projectPath, filePath);
+    if (this.fileHashes.has(absolutePath)) {
+      return this.fileHashes.get(absolutePath);
+    }
+
+    let hash;
+    try {
+      const source =
+        content !== undefined ? content : fs.readFileSync(absolutePath, "utf8");
+      hash = crypto.createHash("sha256").update(source).digest("hex");
+    } catch (error) {
+      hash = "missing";
+    }
+
+    this.fileHashes.set(absolutePath, hash);
+    return hash;
+  }
+
+  /**
+   * Build the cache key for a mutant
+   * `mutant` is { lineNumber, mutationType, location, operatorModule? }; the
+   * location tells apart mutants of the same type on one line. Mutants of custom
+   * operators also depend on the operator's module.
+   */
+  getKey(filePath, mutant, testFiles, sourceContent) {
+    const relativePath = path.relative(
+      this.projectPath,
+      path.resolve(this.projectPath, filePath)
+    );
+    const tests = [...new Set(testFiles.filter(Boolean))]
+      .map((testFile) => [
+        path.relative(this.projectPath, path.resolve(this.projectPath, testFile)),
+        this.hashFile(testFile),
+      ])
+      .sort((a, b) => a[0].localeCompare(b[0]));
+
+    const sourceHash = this.hashFile(filePath, sourceContent);
+    const parts = [
+      relativePath,
+      sourceHash,
+      mutant.lineNumber,
+      mutant.mutationType,
+      mutant.location || null,
+      tests,
+    ];
+    if (mutant.operatorModule) {
+      parts.push(this.hashFile(mutant.operatorModule));
+    }
+
+    const key = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(parts))
+      .digest("hex");
+    this.keySources.set(key, [[relativePath, sourceHash], ...tests]);
+    return key;
+  }
+
+  /**
+   * Look up a cached verdict
+   */
+  get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entry = this.entries[key];
+    if (entry) {
+      this.hits++;
+      entry.usedAt = Date.now();
+      this.dirty = true;
+      return entry;
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * Store a verdict for a mutant (see CACHEABLE_STATUSES)
+   */
+  set(key, mutationResult) {
+    if (!this.enabled || !CACHEABLE_STATUSES.has(mutationResult.status)) {
+      return;
+    }
+
+    this.entries[key] = {
+      status: mutationResult.status,
+      killedBy: mutationResult.killedBy || [],
+      statusReason: mutationResult.statusReason || null,
+      original: mutationResult.original,
+      replacement: mutationResult.replacement,
+      originalSnippet: mutationResult.originalSnippet,
+      mutatedSnippet: mutationResult.mutatedSnippet,
+      highlight: mutationResult.highlight,
+      executionTime: mutationResult.executionTime || 0,
+      files: this.keySources.get(key) || [],
+      cachedAt: Date.now(),
+    };
+    this.stored++;
+    this.dirty = true;
+  }
+
+  /**
+   * Get hit/miss statistics for the current run
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      hits: this.hits,
+      misses: this.misses,
+      stored: this.stored,
+      pruned: this.pruned,
+      size: Object.keys(this.entries).length,
+    };
+  }
+}
+
+module.exports = MutationCache;
@@ -0,0 +1,172 @@
+/**
+ * Mutation Checkpoint Journal
+ * Appends each mutant's verdict to disk as soon as it completes, so an
+ * interrupted run can be resumed without re-testing finished mutants
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Version 2: killedBy and coveredBy list test IDs rather than test names
+const JOURNAL_VERSION = 2;
+
+class MutationJournal {
+  constructor(options = {}) {
+    this.projectPath = options.projectPath || process.cwd();
+    this.journalPath = path.resolve(
+      this.projectPath,
+      options.journalPath || ".jest-lineage-mutation-journal.jsonl"
+    );
+    this.enabled = options.enabled !== false;
+    this.entries = new Map();
+    this.resumed = 0;
+    this.recorded = 0;
+  }
+
+  /**
+   * Start journaling a run
+   * With `resume`, verdicts from an earlier interrupted run are loaded and
+   * new ones are appended; otherwise the journal is started over.
+   */
+  start(resume = false) {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (resume && this.load()) {
+      console.log(
+        `⏯️ Resuming from ${this.journalPath} (${this.entries.size} completed mutants)`
+      );
+      return;
+    }
+
+    if (resume) {
+      console.log("⚠️ No checkpoint journal found - starting a fresh run");
+    }
+
+    this.entries.clear();
+    this.write(
+      JSON.stringify({ version: JOURNAL_VERSION, startedAt: Date.now() }) + "\n",
+      "w"
+    );
+  }
+
+  /**
+   * Load journal entries from disk
+   * A line cut off by a crash is skipped.
+   * @returns {boolean} True if a journal of the current version was loaded
+   */
+  load() {
+    let lines;
+    try {
+      if (!fs.existsSync(this.journalPath)) {
+        return false;
+      }
+      lines = fs.readFileSync(this.journalPath, "utf8").split("\n");
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable checkpoint journal: ${error.message}`);
+      return false;
+    }
+
+    const entries = new Map();
+    let header = null;
+
+    lines.forEach((line) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        return;
+      }
+
+      if (!header) {
+        header = record;
+      } else if (record.id) {
+        entries.set(record.id, record);
+      }
+    });
+
+    if (!header || header.version !== JOURNAL_VERSION) {
+      return false;
+    }
+
+    this.entries = entries;
+    return true;
+  }
+
+  /**
+   * Look up the verdict of a mutant completed by an earlier run
+   * `fingerprint` (the mutation cache key) must match, so mutants whose
+   * source or tests changed since the interruption are re-tested.
+   */
+  get(id, fingerprint) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const entry = this.entries.get(id);
+    if (!entry || entry.fingerprint !== fingerprint) {
+      return null;
+    }
+
+    this.resumed++;
+    return entry.result;
+  }
+
+  /**
+   * Append a completed mutant's verdict
+   */
+  record(id, fingerprint, mutationResult) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const entry = { id, fingerprint, result: mutationResult };
+    this.entries.set(id, entry);
+    this.write(JSON.stringify(entry) + "\n", "a");
+    this.recorded++;
+  }
+
+  /**
+   * Remove the journal once the run has completed
+   */
+  remove() {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      fs.rmSync(this.journalPath, { force: true });
+    } catch (error) {
+      console.warn(`⚠️ Failed to remove checkpoint journal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write to the journal synchronously, so a verdict survives an abrupt exit
+   */
+  write(data, flag) {
+    try {
+      fs.writeFileSync(this.journalPath, data, { flag });
+    } catch (error) {
+      console.warn(`⚠️ Failed to write checkpoint journal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get resume statistics for the current run
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      resumed: this.resumed,
+      recorded: this.recorded,
+    };
+  }
+}
+
+module.exports = MutationJournal;
@@ -4,9 +4,81 @@
  */
 
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const { spawn } = require("child_process");
-const { createMutationPlugin } = require("./babel-plugin-mutation-tester");
+const {
+  ACTIVE_MUTANT_ENV,
+  SCHEMATA_MANIFEST_ENV,
+  SCHEMATA_PROBE_ID,
+  SCHEMATA_PROBE_MESSAGE,
+  loadCustomOperators,
+  getFileMutants,
+  applyMutants,
+  writeSchemataManifest,
+} = require("./babel-plugin-mutation-tester");
+const {
+  isErrorStatus,
+  createMutationCounters,
+  countMutation,
+  addMutationCounters,
+  calculateMutationScore,
+  calculateCoveredMutationScore,
+  createMutantId,
+  describeMutation,
+  createCachedMutationResult,
+  summarizeTestPrioritization,
+} = require("./mutation-results");
+const { analyzeSubsumption } = require("./mutation-subsumption");
+const {
+  planHigherOrderMutants,
+  summarizeHigherOrderMutants,
+} = require("./mutation-higher-order");
+const { getChangedLines, mapToPreviousLine } = require("./utils/git-diff");
+const {
+  readJestJsonResults,
+  getTestDurations,
+  classifyJestRun,
+} = require("./utils/jest-results");
+const {
+  hasScope,
+  isFileInScope,
+  applyMutationScope,
+  describeMutationScope,
+} = require("./utils/mutation-scope");
+const { findSourceFiles, getDefaultSourceRoots } = require("./utils/source-files");
+const { DEFAULT_CONFIG } = require("./config");
+const MutationCache = require("./MutationCache");
+const MutationJournal = require("./MutationJournal");
+const LineageStore = require("./LineageStore");
+const { validateLineageData } = require("./lineage-schema");
+const {
+  createTestId,
+  createTestNamePattern,
+  isSameTest,
+} = require("./utils/test-id");
+const JestWorkerPool = require("./JestWorkerPool");
+const { writeSchemaReport } = require("./mutation-schema-report");
+const { writeDiffReport } = require("./mutation-diff-report");
+const {
+  normalizeThresholds,
+  evaluateThresholds,
+  getFailedThresholds,
+} = require("./mutation-thresholds");
+
+// Limit for the unmutated baseline runs, which only stop slow or hanging suites
+const BASELINE_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Convert a Babel position (1-based line, 0-based column) to a source offset
+ */
+function getSourceOffset(sourceCode, position) {
+  let offset = 0;
+  for (let line = 1; line < position.line; line++) {
+    offset = sourceCode.indexOf("\n", offset) + 1;
+  }
+  return offset + position.column;
+}
 
 class MutationTester {
   constructor(config = {}) {
@@ -16,6 +88,38 @@ class MutationTester {
     this.tempFiles = new Set();
     this.debugMutationFiles = new Set(); // Track debug mutation files
     this.originalFileContents = new Map(); // Store original file contents for restoration
+    this.fileMutants = new Map(); // Mutants per file, discovered once from the original source
+    this.testRunCounter = 0; // Numbers the JSON result files of targeted test runs
+    this.ignoredMutants = null; // Mutant id → reason, loaded from the ignore file on first use
+    this.testProfiles = null; // Lines covered and duration per test, used to order covering tests
+    this.mutationRunner = this.config.mutationRunner || "pool"; // "pool" or "spawn"
+    this.workerPool = undefined; // Jest worker pool, started on first use (false when not used)
+    this.jestCacheDirectory = null; // Transform cache of pooled runs, removed with the pool
+    this.timeoutBaseline = null; // Unmutated test durations measured before the run, see calibrateTimeouts
+
+    // Schemata mode compiles mutants behind runtime switches instead of rewriting sources
+    this.useSchemata =
+      this.config.mutationMode !== "in-place" && !this.config.debugMutations;
+    this.schemataManifestPath = path.join(
+      os.tmpdir(),
+      `jest-lineage-schemata-${process.pid}-${Date.now()}.json`
+    );
+    this.schemataFiles = {};
+    this.schemataComplete = false; // Every file of the run is in the manifest
+
+    // Cached verdicts from previous runs (debug mode never produces verdicts)
+    this.mutationCache = new MutationCache({
+      enabled:
+        this.config.enableMutationCache !== false && !this.config.debugMutations,
+      cachePath: this.config.mutationCachePath,
+    });
+
+    // Checkpoint journal of completed mutants, used by --resume
+    this.mutationJournal = new MutationJournal({
+      enabled:
+        this.config.enableMutationJournal !== false && !this.config.debugMutations,
+      journalPath: this.config.mutationJournalPath,
+    });
 
     // Create debug directory if debug mode is enabled
     if (this.config.debugMutations) {
@@ -80,9 +184,15 @@ class MutationTester {
    */
   async loadLineageData() {
     try {
-      const lineageFile = path.join(process.cwd(), ".jest-lineage-data.json");
-      if (fs.existsSync(lineageFile)) {
-        const data = JSON.parse(fs.readFileSync(lineageFile, "utf8"));
+      const data = new LineageStore().read({ includePerformance: false });
+      if (data) {
+        const errors = validateLineageData(data);
+        if (errors.length > 0) {
+          console.error(
+            `❌ Invalid lineage data (${errors.length} errors), first: ${errors[0]}`
+          );
+          return false;
+        }
         this.lineageData = this.processLineageData(data);
         console.log(
           `📊 Loaded lineage data for ${
@@ -102,6 +212,7 @@ class MutationTester {
    */
   setLineageData(lineageData) {
     this.lineageData = lineageData;
+    this.testProfiles = null;
     console.log(
       `📊 Set lineage data for ${Object.keys(this.lineageData).length} files`
     );
@@ -120,26 +231,18 @@ class MutationTester {
       );
 
       rawData.tests.forEach((test, testIndex) => {
-        if (test.coverage) {
-          const coverageKeys = Object.keys(test.coverage);
+        if (test.lines) {
           console.log(
             `  Test ${testIndex + 1}: "${test.name}" has ${
-              coverageKeys.length
+              test.lines.length
             } coverage entries`
           );
 
-          coverageKeys.forEach((lineKey) => {
-            // Parse line key: "file.ts:lineNumber"
-            const [filePath, lineNumber, ...suffixes] = lineKey.split(":");
-
-            // Skip metadata entries (depth, performance, meta) - only process basic line coverage
-            if (!lineNumber || suffixes.length > 0) {
-              // console.log(`    Skipping metadata entry: ${lineKey}`);
-              return;
-            }
+          test.lines.forEach((record) => {
+            const { file: filePath, line: lineNumber, meta } = record;
 
             console.log(
-              `    Processing coverage: ${lineKey} = ${test.coverage[lineKey]}`
+              `    Processing coverage: ${filePath}:${lineNumber} = ${record.hits}`
             );
 
             if (!processed[filePath]) {
@@ -150,11 +253,20 @@ class MutationTester {
               processed[filePath][lineNumber] = [];
             }
 
+            // Shallowest call depth at which the test reached this line
+            const depths = Object.keys(record.depth || {}).map(Number);
+
             processed[filePath][lineNumber].push({
+              testId: test.id,
               testName: test.name,
+              describePath: test.describePath || [],
               testType: test.type,
               testFile: test.testFile,
-              executionCount: test.coverage[lineKey],
+              executionCount: record.hits,
+              duration: test.duration || 0,
+              depth:
+                (meta && meta.minDepth) ||
+                (depths.length > 0 ? Math.min(...depths) : 1),
             });
           });
         } else {
@@ -187,21 +299,185 @@ class MutationTester {
 
     console.log("🧬 Starting mutation testing...");
 
+    // Load custom operators up front so a broken module fails the run
+    // instead of every file it would have mutated
+    const customOperators = loadCustomOperators(
+      this.config.customMutationOperators
+    );
+    if (customOperators.length > 0) {
+      console.log(
+        `🔌 Custom mutation operators: ${customOperators.map((operator) => operator.name).join(", ")}`
+      );
+    }
+
+    // A malformed thresholds map should fail before any mutant runs
+    normalizeThresholds(this.config.thresholds);
+
+    const fullLineageData = this.lineageData;
+    // Test specificity is measured over the whole project, not just the scope
+    this.testProfiles = this.buildTestProfiles(fullLineageData);
+
+    // Scoped run: only mutate the requested files, line ranges and functions
+    let scopePlan = null;
+    if (hasScope(this.config.mutationScope)) {
+      scopePlan = this.planScopedRun(this.config.mutationScope);
+      this.lineageData = scopePlan.lineageData;
+    }
+
+    // Diff report: read the hunks up front so a bad range fails before any mutant runs
+    const diffFiles = this.config.diff
+      ? getChangedLines(this.config.diff, { cwd: process.cwd() })
+      : null;
+
+    // Incremental mode: only mutate lines changed since the given git ref
+    let incrementalPlan = null;
+    if (this.config.since) {
+      incrementalPlan = this.planIncrementalRun(this.config.since);
+      this.lineageData = incrementalPlan.lineageData;
+    }
+
+    this.mutationJournal.start(this.config.resume);
+
+    let results;
+    try {
+      results = await this.executeMutationRun();
+    } finally {
+      this.lineageData = fullLineageData;
+      this.mutationCache.save();
+      this.closeWorkerPool();
+    }
+
+    // The run completed, so there is nothing left to resume
+    this.mutationJournal.remove();
+
+    if (this.mutationCache.enabled) {
+      results.cacheStats = this.mutationCache.getStats();
+    }
+    if (this.config.resume && this.mutationJournal.enabled) {
+      results.resumeStats = this.mutationJournal.getStats();
+    }
+
+    if (incrementalPlan) {
+      this.mergeIncrementalResults(results, incrementalPlan);
+    }
+    if (this.config.reportNoCoverage !== false && !this.config.debugMutations) {
+      this.addNoCoverageMutants(results, fullLineageData);
+    }
+    results.coveredMutationScore = calculateCoveredMutationScore(results);
+    if (scopePlan) {
+      results.scope = scopePlan.summary;
+    }
+    if (this.shouldPrioritizeTests() && !this.config.debugMutations) {
+      results.testPrioritization = summarizeTestPrioritization(results);
+    }
+    if (this.config.thresholds && !this.config.debugMutations) {
+      results.thresholds = evaluateThresholds(results, this.config.thresholds);
+    }
+    if (this.config.subsumptionAnalysis && !this.config.debugMutations) {
+      results.subsumption = analyzeSubsumption(results);
+    }
+
+    if (diffFiles && !this.config.debugMutations) {
+      results.diffReport = writeDiffReport(
+        results,
+        diffFiles,
+        this.config.diffReportPath || "reports/mutation/diff.md",
+        { range: this.config.diff }
+      );
+    }
+
+    this.printMutationSummary(results);
+    this.writeMutationReports(results);
+    if (results.diffReport) {
+      console.log(
+        `📝 Diff report (${results.diffReport.survivors} surviving mutants on changed lines) written to: ${results.diffReport.path}`
+      );
+    }
+    return results;
+  }
+
+  /**
+   * Write the additional report formats listed in config.mutationReporters
+   */
+  writeMutationReports(results) {
+    const reporters = this.config.mutationReporters || [];
+
+    reporters.forEach((reporter) => {
+      switch (reporter) {
+        case "console":
+          // The console summary is always printed
+          break;
+        case "schema-json": {
+          const reportPath = writeSchemaReport(
+            results,
+            this.lineageData,
+            this.config.schemaReportPath || "reports/mutation/mutation.json",
+            {
+              // Low threshold matches the "room for improvement" band in the CLI summary
+              thresholds: { high: this.config.mutationThreshold || 80, low: 60 },
+            }
+          );
+          console.log(`📄 Mutation report (schema JSON) written to: ${reportPath}`);
+          break;
+        }
+        default:
+          console.warn(`⚠️ Unknown mutation reporter: ${reporter}`);
+      }
+    });
+  }
+
+  /**
+   * Restrict the lineage data to a mutation scope
+   * The score of the run then only covers the mutants in scope.
+   * @param {object} scope - { files, lines, functions } (see applyMutationScope)
+   * @returns {object} { lineageData, summary }
+   */
+  planScopedRun(scope) {
+    const description = describeMutationScope(scope);
+    const scoped = applyMutationScope(this.lineageData, scope);
+
+    const functionNames = [].concat(scope.functions || []).filter(Boolean);
+    const missing = functionNames.filter(
+      (name) => !scoped.functions.some((range) => range.name === name)
+    );
+    if (missing.length > 0) {
+      console.warn(`⚠️ Functions not found in scope: ${missing.join(", ")}`);
+    }
+
+    if (scoped.lineCount === 0) {
+      throw new Error(`No covered lines match the mutation scope (${description})`);
+    }
+
+    console.log(
+      `🎯 Scope: ${description} - ${scoped.lineCount} covered lines in ${scoped.fileCount} files`
+    );
+
+    return {
+      lineageData: scoped.lineageData,
+      summary: {
+        description,
+        files: [].concat(scope.files || []),
+        lines: scope.lines || null,
+        functions: scoped.functions,
+        fileCount: scoped.fileCount,
+        lineCount: scoped.lineCount,
+      },
+    };
+  }
+
+  /**
+   * Run mutations for every line in the current lineage data
+   */
+  async executeMutationRun() {
     // Calculate total mutations for progress tracking
     const totalFiles = Object.keys(this.lineageData).length;
     let totalMutationsCount = 0;
     for (const [filePath, lines] of Object.entries(this.lineageData)) {
-      for (const [lineNumber, tests] of Object.entries(lines)) {
-        const sourceCode = this.getSourceCodeLine(
-          filePath,
-          parseInt(lineNumber)
-        );
-        const mutationTypes = this.getPossibleMutationTypes(
-          sourceCode,
+      for (const lineNumber of Object.keys(lines)) {
+        totalMutationsCount += this.getLineMutants(
           filePath,
           parseInt(lineNumber)
-        );
-        totalMutationsCount += mutationTypes.length;
+        ).length;
       }
     }
 
@@ -209,20 +485,31 @@ class MutationTester {
       `📊 Planning to test ${totalMutationsCount} mutations across ${totalFiles} files`
     );
 
+    // With the whole run in the schemata manifest up front, pooled runs can
+    // cache transformed files instead of rebuilding them for every mutant.
+    // Docker workers get the outcome of the probe and the calibration with
+    // their work assignment rather than repeating them in every container.
+    this.prepareSchemata();
+    await this.verifySchemata();
+    const calibration = await this.calibrateTimeouts();
+
     // Check if Docker mode is enabled
     if (this.config.enableDocker) {
-      return await this.runDockerMutationTesting();
+      const dockerResults = await this.runDockerMutationTesting();
+      if (calibration) {
+        dockerResults.timeoutCalibration = calibration;
+      }
+      return dockerResults;
     }
 
     const results = {
-      totalMutations: 0,
-      killedMutations: 0,
-      survivedMutations: 0,
-      timeoutMutations: 0,
-      errorMutations: 0,
+      ...createMutationCounters(),
       mutationScore: 0,
       fileResults: {},
     };
+    if (calibration) {
+      results.timeoutCalibration = calibration;
+    }
 
     // Determine worker count
     const workers = this.config.workers || 1;
@@ -251,12 +538,7 @@ class MutationTester {
 
         // Log file completion summary
         const fileName = filePath.split("/").pop();
-        const fileScore =
-          fileResults.totalMutations > 0
-            ? Math.round(
-                (fileResults.killedMutations / fileResults.totalMutations) * 100
-              )
-            : 0;
+        const fileScore = calculateMutationScore(fileResults);
         console.log(
           `✅ [Worker ${(index % actualWorkers) + 1}] ${fileName}: ${fileResults.totalMutations} mutations, ${fileResults.killedMutations} killed, ${fileResults.survivedMutations} survived (${fileScore}% score)`
         );
@@ -273,11 +555,7 @@ class MutationTester {
         // Aggregate results
         for (const { filePath, fileResults } of chunkResults) {
           results.fileResults[filePath] = fileResults;
-          results.totalMutations += fileResults.totalMutations;
-          results.killedMutations += fileResults.killedMutations;
-          results.survivedMutations += fileResults.survivedMutations;
-          results.timeoutMutations += fileResults.timeoutMutations;
-          results.errorMutations += fileResults.errorMutations;
+          addMutationCounters(results, fileResults);
         }
       }
     } else {
@@ -298,23 +576,13 @@ class MutationTester {
           totalMutationsCount
         );
         results.fileResults[filePath] = fileResults;
-
-        results.totalMutations += fileResults.totalMutations;
-        results.killedMutations += fileResults.killedMutations;
-        results.survivedMutations += fileResults.survivedMutations;
-        results.timeoutMutations += fileResults.timeoutMutations;
-        results.errorMutations += fileResults.errorMutations;
+        addMutationCounters(results, fileResults);
 
         currentMutationIndex += fileResults.totalMutations;
 
         // Log file completion summary
         const fileName = filePath.split("/").pop();
-        const fileScore =
-          fileResults.totalMutations > 0
-            ? Math.round(
-                (fileResults.killedMutations / fileResults.totalMutations) * 100
-              )
-            : 0;
+        const fileScore = calculateMutationScore(fileResults);
         console.log(
           `✅ ${fileName}: ${fileResults.totalMutations} mutations, ${fileResults.killedMutations} killed, ${fileResults.survivedMutations} survived (${fileScore}% score)`
         );
@@ -322,13 +590,11 @@ class MutationTester {
     }
 
     // Calculate mutation score
-    const validMutations = results.totalMutations - results.errorMutations;
-    results.mutationScore =
-      validMutations > 0
-        ? Math.round((results.killedMutations / validMutations) * 100)
-        : 0;
+    results.mutationScore = calculateMutationScore(results);
 
-    this.printMutationSummary(results);
+    if (this.config.higherOrderMutants && !this.config.debugMutations) {
+      results.higherOrder = await this.runHigherOrderMutants(results);
+    }
     return results;
   }
 
@@ -364,23 +630,17 @@ class MutationTester {
 
           relativeLineageData[relativePath][lineNumber] = relativeTests;
 
-          const sourceCode = this.getSourceCodeLine(
-            filePath,
-            parseInt(lineNumber)
-          );
-          const mutationTypes = this.getPossibleMutationTypes(
-            sourceCode,
-            filePath,
-            parseInt(lineNumber)
-          );
-
-          // Add each mutation type to the list
-          mutationTypes.forEach(mutationType => {
+          // Add each mutant on the line to the list
+          this.getLineMutants(filePath, parseInt(lineNumber)).forEach(mutant => {
             mutationIndex++;
             mutations.push({
               filePath: relativePath,  // Use relative path for Docker
               lineNumber: parseInt(lineNumber),
-              mutationType,
+              mutationType: mutant.mutationType,
+              mutatorLabel: mutant.mutatorLabel,
+              operatorModule: mutant.operatorModule,
+              location: mutant.location,
+              mutant,
               tests: relativeTests,
               index: mutationIndex
             });
@@ -388,11 +648,30 @@ class MutationTester {
         }
       }
 
+      // Nothing to do (e.g. incremental run with no changed lines)
+      if (mutations.length === 0) {
+        return {
+          ...createMutationCounters(),
+          mutationScore: 0,
+          mutations: [],
+          fileResults: {},
+          dockerEnabled: true,
+        };
+      }
+
       // Create Docker coordinator
-      const coordinator = new DockerCoordinator({
-        ...this.config,
-        projectPath
-      });
+      const coordinator = new DockerCoordinator(
+        {
+          ...this.config,
+          projectPath
+        },
+        {
+          mutationCache: this.mutationCache,
+          mutationJournal: this.mutationJournal,
+          useSchemata: this.useSchemata,
+          timeoutBaseline: this.exportTimeoutBaseline(projectPath),
+        }
+      );
 
       // Run mutations in Docker containers with relative paths
       const results = await coordinator.runMutationTesting(
@@ -400,7 +679,6 @@ class MutationTester {
         mutations
       );
 
-      this.printMutationSummary(results);
       return results;
     } catch (error) {
       console.error("❌ Docker mutation testing failed:", error.message);
@@ -408,16 +686,388 @@ class MutationTester {
     }
   }
 
+  /**
+   * Split lineage data into lines that need fresh mutations and lines whose
+   * previous results can be reused, based on a git diff against `since`
+   */
+  planIncrementalRun(since) {
+    const projectPath = process.cwd();
+    console.log(`🔀 Incremental mode: only re-testing lines changed since ${since}`);
+
+    const changedFiles = getChangedLines(since, { cwd: projectPath });
+    const previousResults = this.loadPreviousMutationResults();
+    const previousLines = previousResults
+      ? this.indexPreviousMutations(previousResults)
+      : new Map();
+
+    if (!previousResults) {
+      console.log(
+        "⚠️ No previous mutation results found - testing all covered lines"
+      );
+    }
+
+    const lineageData = {};
+    const reusedMutations = [];
+    let reusedLines = 0;
+    let freshLines = 0;
+
+    for (const [filePath, lines] of Object.entries(this.lineageData)) {
+      const absolutePath = path.resolve(projectPath, filePath);
+      const fileDiff = changedFiles[absolutePath];
+      const previousPath =
+        fileDiff && fileDiff.oldPath ? fileDiff.oldPath : absolutePath;
+
+      for (const [lineNumber, tests] of Object.entries(lines)) {
+        const currentLine = parseInt(lineNumber);
+        const previousLine = mapToPreviousLine(fileDiff, currentLine);
+
+        // A changed test can kill (or stop killing) mutants on untouched lines
+        const testsChanged = tests.some(
+          (test) =>
+            test.testFile && changedFiles[path.resolve(projectPath, test.testFile)]
+        );
+
+        const previous =
+          previousLine !== null && !testsChanged
+            ? previousLines.get(`${previousPath}:${previousLine}`)
+            : undefined;
+
+        if (previous && this.canReuseMutations(previous, filePath, currentLine)) {
+          reusedLines++;
+          previous.forEach((mutation) => {
+            const location = this.shiftLocation(
+              mutation.location,
+              currentLine - (mutation.lineNumber || mutation.line)
+            );
+            reusedMutations.push({
+              ...mutation,
+              id: createMutantId(
+                filePath,
+                currentLine,
+                mutation.mutationType,
+                location
+              ),
+              filePath,
+              line: currentLine,
+              lineNumber: currentLine,
+              location,
+              reused: true,
+            });
+          });
+          continue;
+        }
+
+        freshLines++;
+        if (!lineageData[filePath]) {
+          lineageData[filePath] = {};
+        }
+        lineageData[filePath][lineNumber] = tests;
+      }
+    }
+
+    console.log(
+      `📊 ${Object.keys(changedFiles).length} changed files: ${freshLines} lines to test, ${reusedLines} lines reused (${reusedMutations.length} cached mutations)`
+    );
+
+    return {
+      since,
+      changedFiles: Object.keys(changedFiles).length,
+      lineageData,
+      reusedMutations,
+      reusedLines,
+      freshLines,
+    };
+  }
+
+  /**
+   * Move a mutant location by a number of lines
+   */
+  shiftLocation(location, lineDelta) {
+    if (!location || !lineDelta) {
+      return location;
+    }
+    return {
+      start: { ...location.start, line: location.start.line + lineDelta },
+      end: { ...location.end, line: location.end.line + lineDelta },
+    };
+  }
+
+  /**
+   * Load mutation results saved by a previous run
+   */
+  loadPreviousMutationResults() {
+    const resultsPath = path.join(
+      process.cwd(),
+      ".jest-lineage-mutation-results.json"
+    );
+    if (!fs.existsSync(resultsPath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(resultsPath, "utf8"));
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not read previous mutation results: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Index previous mutation results by absolute file path and line number
+   */
+  indexPreviousMutations(previousResults) {
+    const projectPath = process.cwd();
+    const index = new Map();
+
+    for (const [fileKey, fileResult] of Object.entries(
+      previousResults.fileResults || {}
+    )) {
+      const absolutePath = path.resolve(projectPath, fileKey);
+
+      if (fileResult.lineResults) {
+        for (const [lineNumber, lineResult] of Object.entries(
+          fileResult.lineResults
+        )) {
+          index.set(`${absolutePath}:${lineNumber}`, lineResult.mutations || []);
+        }
+      } else {
+        // Docker results only keep a flat list of mutations per file
+        (fileResult.mutations || []).forEach((mutation) => {
+          const key = `${absolutePath}:${mutation.lineNumber || mutation.line}`;
+          if (!index.has(key)) {
+            index.set(key, []);
+          }
+          index.get(key).push(mutation);
+        });
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Check whether previous results for a line are still trustworthy
+   */
+  canReuseMutations(mutations, filePath, lineNumber) {
+    const currentCode = this.getSourceCodeLine(filePath, lineNumber).trim();
+
+    return mutations.every(
+      (mutation) =>
+        !isErrorStatus(mutation.status) &&
+        mutation.status !== "timeout" &&
+        mutation.status !== "ignored" &&
+        mutation.status !== "noCoverage" &&
+        mutation.status !== "debug" &&
+        (!mutation.original || mutation.original === currentCode)
+    );
+  }
+
+  /**
+   * Merge reused mutations into freshly computed results so the score covers
+   * the whole project
+   */
+  mergeIncrementalResults(results, plan) {
+    let freshMutations = 0;
+
+    Object.values(results.fileResults || {}).forEach((fileResult) => {
+      (fileResult.mutations || []).forEach((mutation) => {
+        mutation.reused = false;
+        freshMutations++;
+      });
+    });
+
+    plan.reusedMutations.forEach((mutation) =>
+      this.addMutationResult(results, mutation)
+    );
+
+    results.mutationScore = calculateMutationScore(results);
+    results.incremental = {
+      since: plan.since,
+      changedFiles: plan.changedFiles,
+      freshLines: plan.freshLines,
+      reusedLines: plan.reusedLines,
+      freshMutations,
+      reusedMutations: plan.reusedMutations.length,
+    };
+
+    return results;
+  }
+
+  /**
+   * Add a mutation result that wasn't tested in this run to the file, line
+   * and run totals
+   * `indexLines: false` leaves it out of the per-line results, which only
+   * the report's views of covered lines read.
+   */
+  addMutationResult(results, mutation, { indexLines = true } = {}) {
+    const projectPath = process.cwd();
+    // Docker results are keyed by project-relative paths
+    const fileKey = results.dockerEnabled
+      ? path.relative(projectPath, path.resolve(projectPath, mutation.filePath))
+      : mutation.filePath;
+
+    if (!results.fileResults[fileKey]) {
+      results.fileResults[fileKey] = results.dockerEnabled
+        ? { ...createMutationCounters(), mutations: [] }
+        : { ...createMutationCounters(), lineResults: {}, mutations: [] };
+    }
+
+    const fileResult = results.fileResults[fileKey];
+    fileResult.mutations.push(mutation);
+    countMutation(fileResult, mutation);
+
+    if (fileResult.lineResults && indexLines) {
+      if (!fileResult.lineResults[mutation.lineNumber]) {
+        fileResult.lineResults[mutation.lineNumber] = {
+          ...createMutationCounters(),
+          mutations: [],
+        };
+      }
+      const lineResult = fileResult.lineResults[mutation.lineNumber];
+      lineResult.mutations.push(mutation);
+      countMutation(lineResult, mutation);
+    }
+
+    if (Array.isArray(results.mutations)) {
+      results.mutations.push(mutation);
+    }
+    countMutation(results, mutation);
+  }
+
+  /**
+   * Add the mutants on lines no test covers to the results as "noCoverage"
+   * Every included source file is parsed, including files no test loads.
+   * No tests run for these mutants; they count as undetected in the total
+   * mutation score and are left out of the covered-code score.
+   * @param {object} results - Results of the tested mutants
+   * @param {object} coveredLineage - Lineage data of the whole project
+   */
+  addNoCoverageMutants(results, coveredLineage) {
+    const mutations = this.planNoCoverageMutants(coveredLineage);
+    mutations.forEach((mutation) =>
+      this.addMutationResult(results, mutation, { indexLines: false })
+    );
+    results.mutationScore = calculateMutationScore(results);
+
+    const files = new Set(mutations.map((mutation) => mutation.filePath));
+    console.log(
+      `🕳️ ${mutations.length} mutants on uncovered lines in ${files.size} files (not tested)`
+    );
+  }
+
+  /**
+   * Build "noCoverage" results for the mutants of uncovered lines
+   * Source files are searched below `sourceRoots` (default: the top-level
+   * directories of covered files) using `includePatterns`/`excludePatterns`.
+   * A scoped run only plans the uncovered mutants in scope.
+   * @param {object} coveredLineage - { filePath: { lineNumber: [testInfo] } }
+   * @returns {object[]} Mutation results
+   */
+  planNoCoverageMutants(coveredLineage) {
+    const projectPath = process.cwd();
+    const coveredFiles = Object.keys(coveredLineage);
+
+    // Covered files keep their lineage path, so their results stay in one entry
+    const filePaths = new Map(
+      coveredFiles.map((filePath) => [path.resolve(projectPath, filePath), filePath])
+    );
+    const sourceFiles = findSourceFiles(
+      this.config.sourceRoots || getDefaultSourceRoots(coveredFiles, projectPath),
+      {
+        projectPath,
+        includePatterns: this.config.includePatterns || DEFAULT_CONFIG.includePatterns,
+        excludePatterns: this.config.excludePatterns || DEFAULT_CONFIG.excludePatterns,
+      }
+    );
+    sourceFiles.forEach((filePath) => {
+      if (!filePaths.has(filePath)) {
+        filePaths.set(filePath, filePath);
+      }
+    });
+
+    // Only parse the files a scoped run can mutate; lines and functions are filtered below
+    const scope = this.config.mutationScope;
+    const scopedPaths = [...filePaths.values()].filter(
+      (filePath) => !hasScope(scope) || isFileInScope(filePath, scope, { projectPath })
+    );
+
+    // Uncovered lines with mutants, shaped like lineage data so a scope can filter them
+    let uncovered = {};
+    scopedPaths.forEach((filePath) => {
+      const coveredLines = coveredLineage[filePath] || {};
+      Object.keys(this.getMutantsByLine(filePath)).forEach((lineNumber) => {
+        if (coveredLines[lineNumber]) {
+          return;
+        }
+        if (!uncovered[filePath]) {
+          uncovered[filePath] = {};
+        }
+        uncovered[filePath][lineNumber] = [];
+      });
+    });
+    if (hasScope(scope)) {
+      uncovered = applyMutationScope(uncovered, scope).lineageData;
+    }
+
+    const mutations = [];
+    Object.entries(uncovered).forEach(([filePath, lines]) => {
+      Object.keys(lines).forEach((lineNumber) => {
+        this.getLineMutants(filePath, parseInt(lineNumber)).forEach((mutant) => {
+          mutations.push(this.createNoCoverageResult(filePath, parseInt(lineNumber), mutant));
+        });
+      });
+    });
+
+    return mutations;
+  }
+
+  /**
+   * Build the result of a mutant on an uncovered line
+   * Only the original code is shown: rendering each replacement would mean
+   * re-parsing the file for every mutant of every uncovered file.
+   */
+  createNoCoverageResult(filePath, lineNumber, mutant) {
+    const { mutationType, location } = mutant;
+    const sourceCode = this.originalFileContents.get(filePath) || "";
+    const start = getSourceOffset(sourceCode, location.start);
+    const display = describeMutation(sourceCode, {
+      start,
+      end: start + mutant.original.length,
+      original: mutant.original,
+      replacement: "",
+    });
+    delete display.replacement;
+    delete display.mutatedSnippet;
+
+    return {
+      id: createMutantId(filePath, lineNumber, mutationType, location),
+      filePath,
+      line: lineNumber,
+      lineNumber,
+      location,
+      mutationType,
+      mutatorName: mutationType,
+      mutatorLabel: mutant.mutatorLabel,
+      type: mutationType,
+      status: mutant.ignoreReason ? "ignored" : "noCoverage",
+      ...display,
+      testsRun: 0,
+      killedBy: [],
+      coveredBy: [],
+      executionTime: 0,
+      statusReason: mutant.ignoreReason || "No test covers this line",
+      error: null,
+    };
+  }
+
   /**
    * Test mutations for all lines in a specific file
    */
   async testFileLines(filePath, lines, startMutationIndex, totalMutations, workerId = null) {
     const fileResults = {
-      totalMutations: 0,
-      killedMutations: 0,
-      survivedMutations: 0,
-      timeoutMutations: 0,
-      errorMutations: 0,
+      ...createMutationCounters(),
       lineResults: {},
       mutations: [], // Collect all mutations for this file
     };
@@ -434,12 +1084,7 @@ class MutationTester {
         workerId
       );
       fileResults.lineResults[lineNumber] = lineResults;
-
-      fileResults.totalMutations += lineResults.totalMutations;
-      fileResults.killedMutations += lineResults.killedMutations;
-      fileResults.survivedMutations += lineResults.survivedMutations;
-      fileResults.timeoutMutations += lineResults.timeoutMutations;
-      fileResults.errorMutations += lineResults.errorMutations;
+      addMutationCounters(fileResults, lineResults);
 
       // Add all mutations from this line to the file's mutations array
       fileResults.mutations.push(...lineResults.mutations);
@@ -462,31 +1107,22 @@ class MutationTester {
     workerId = null
   ) {
     const lineResults = {
-      totalMutations: 0,
-      killedMutations: 0,
-      survivedMutations: 0,
-      timeoutMutations: 0,
-      errorMutations: 0,
+      ...createMutationCounters(),
       mutations: [],
     };
 
-    // Get the source code line to determine possible mutations
-    const sourceCode = this.getSourceCodeLine(filePath, lineNumber);
-    const mutationTypes = this.getPossibleMutationTypes(
-      sourceCode,
-      filePath,
-      lineNumber
-    );
+    // Every eligible node starting on the line is its own mutant
+    const mutants = this.getLineMutants(filePath, lineNumber);
 
     let currentMutationIndex = startMutationIndex;
 
-    for (const mutationType of mutationTypes) {
+    for (const mutant of mutants) {
       currentMutationIndex++;
 
       const mutationResult = await this.testSingleMutation(
         filePath,
         lineNumber,
-        mutationType,
+        mutant,
         tests,
         currentMutationIndex,
         totalMutations,
@@ -500,43 +1136,184 @@ class MutationTester {
       }
 
       lineResults.mutations.push(mutationResult);
-      lineResults.totalMutations++;
-
-      switch (mutationResult.status) {
-        case "killed":
-          lineResults.killedMutations++;
-          break;
-        case "survived":
-          lineResults.survivedMutations++;
-          break;
-        case "timeout":
-          lineResults.timeoutMutations++;
-          break;
-        case "error":
-          lineResults.errorMutations++;
-          break;
-        case "debug":
-          // Debug mutations don't count towards kill/survive stats
-          break;
-      }
+      countMutation(lineResults, mutationResult);
     }
 
     return lineResults;
   }
 
   /**
-   * Test a single mutation
+   * Get the mutants starting on a line, discovered from the original source
    */
-  async testSingleMutation(
-    filePath,
-    lineNumber,
-    mutationType,
-    tests,
+  getLineMutants(filePath, lineNumber) {
+    return this.getMutantsByLine(filePath)[lineNumber] || [];
+  }
+
+  /**
+   * Get every mutant of a file keyed by line, discovered once from the original source
+   */
+  getMutantsByLine(filePath) {
+    if (!this.fileMutants.has(filePath)) {
+      let mutants = {};
+      try {
+        if (!this.originalFileContents.has(filePath)) {
+          this.originalFileContents.set(filePath, fs.readFileSync(filePath, "utf8"));
+        }
+        mutants = getFileMutants(filePath, this.originalFileContents.get(filePath), {
+          mutationOperators: this.config.mutationOperators,
+          customMutationOperators: this.config.customMutationOperators,
+          maxMutationsPerLine: this.config.maxMutationsPerLine,
+          skipEquivalentMutants: this.config.skipEquivalentMutants !== false,
+        });
+        this.applyIgnoreFile(filePath, mutants);
+      } catch (error) {
+        // If AST analysis fails, skip mutations for this file
+        console.warn(
+          `⚠️ Could not analyze ${filePath} for mutations: ${error.message}`
+        );
+      }
+      this.fileMutants.set(filePath, mutants);
+    }
+
+    return this.fileMutants.get(filePath);
+  }
+
+  /**
+   * Mark mutants listed in the ignore file (config.mutationIgnoreFile)
+   * The file maps project-relative mutant ids to the reason they are ignored:
+   *   { "mutants": { "src/math.js:12:10-12:15:arithmetic": "Equivalent: rounding" } }
+   */
+  applyIgnoreFile(filePath, mutantsByLine) {
+    const ignoredMutants = this.loadIgnoredMutants();
+    if (ignoredMutants.size === 0) {
+      return;
+    }
+
+    const relativePath = path
+      .relative(process.cwd(), path.resolve(filePath))
+      .split(path.sep)
+      .join("/");
+
+    Object.values(mutantsByLine)
+      .flat()
+      .forEach((mutant) => {
+        const id = createMutantId(
+          relativePath,
+          mutant.location.start.line,
+          mutant.mutationType,
+          mutant.location
+        );
+        if (ignoredMutants.has(id) && !mutant.ignoreReason) {
+          mutant.ignoreReason =
+            ignoredMutants.get(id) || `Ignored in ${this.getIgnoreFilePath()}`;
+        }
+      });
+  }
+
+  /**
+   * Load the ignore file once per run
+   */
+  loadIgnoredMutants() {
+    if (this.ignoredMutants) {
+      return this.ignoredMutants;
+    }
+
+    this.ignoredMutants = new Map();
+    const ignoreFilePath = this.getIgnoreFilePath();
+    if (!fs.existsSync(ignoreFilePath)) {
+      return this.ignoredMutants;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(ignoreFilePath, "utf8"));
+      Object.entries(data.mutants || {}).forEach(([id, reason]) => {
+        this.ignoredMutants.set(id, typeof reason === "string" ? reason : "");
+      });
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not read mutant ignore file ${ignoreFilePath}: ${error.message}`
+      );
+    }
+
+    return this.ignoredMutants;
+  }
+
+  /**
+   * Get the absolute path of the mutant ignore file
+   */
+  getIgnoreFilePath() {
+    return path.resolve(
+      process.cwd(),
+      this.config.mutationIgnoreFile || ".jest-lineage-ignore.json"
+    );
+  }
+
+  /**
+   * Build the result of a mutant that is ignored instead of tested
+   */
+  createIgnoredResult(filePath, lineNumber, mutant, mutationId, tests) {
+    const { mutationType, location } = mutant;
+    const sourceCode = this.originalFileContents.has(filePath)
+      ? this.originalFileContents.get(filePath)
+      : fs.readFileSync(filePath, "utf8");
+    const applied = this.applyMutationWithBabel(sourceCode, mutant, filePath);
+    const display = applied
+      ? describeMutation(sourceCode, applied.applied[0])
+      : { original: mutant.original };
+
+    return {
+      id: mutationId,
+      filePath,
+      line: lineNumber,
+      lineNumber,
+      location,
+      mutationType,
+      mutatorName: mutationType,
+      mutatorLabel: mutant.mutatorLabel,
+      type: mutationType,
+      status: "ignored",
+      ...display,
+      testsRun: 0,
+      killedBy: [],
+      coveredBy: tests.map((test) => test.testId),
+      executionTime: 0,
+      statusReason: mutant.ignoreReason,
+      error: null,
+    };
+  }
+
+  /**
+   * Test a single mutation
+   * `mutant` may be a mutation type name, in which case the first mutant of
+   * that type on the line is used.
+   */
+  async testSingleMutation(
+    filePath,
+    lineNumber,
+    mutant,
+    tests,
     currentMutationIndex,
     totalMutations,
     workerId = null
   ) {
-    const mutationId = `${filePath}:${lineNumber}:${mutationType}`;
+    if (typeof mutant === "string") {
+      const mutationType = mutant;
+      mutant = this.getLineMutants(filePath, lineNumber).find(
+        (candidate) => candidate.mutationType === mutationType
+      );
+      if (!mutant) {
+        return null;
+      }
+    }
+
+    const { mutationType, location } = mutant;
+    const mutationId = createMutantId(
+      filePath,
+      lineNumber,
+      mutationType,
+      location
+    );
+    const position = `${location.start.line}:${location.start.column + 1}`;
 
     // Log progress with counter and percentage
     const fileName = filePath.split("/").pop();
@@ -546,27 +1323,67 @@ class MutationTester {
         : 0;
     const workerPrefix = workerId ? `[Worker ${workerId}] ` : '';
     console.log(
-      `${workerPrefix}🔧 Instrumenting: ${filePath} (${currentMutationIndex}/${totalMutations} - ${percentage}%) [${fileName}:${lineNumber} ${mutationType}]`
+      `${workerPrefix}🔧 Instrumenting: ${filePath} (${currentMutationIndex}/${totalMutations} - ${percentage}%) [${fileName}:${position} ${mutationType}]`
     );
 
+    // Equivalent and suppressed mutants are reported without running tests
+    if (mutant.ignoreReason) {
+      console.log(
+        `${workerPrefix}🙈 Ignored: ${fileName}:${position} ${mutationType} (${mutant.ignoreReason})`
+      );
+      return this.createIgnoredResult(
+        filePath,
+        lineNumber,
+        mutant,
+        mutationId,
+        tests
+      );
+    }
+
+    // Reuse the verdict of a mutant completed before the run was interrupted
+    const fingerprint = this.getMutantFingerprint(filePath, mutant, tests);
+    const journaled = this.mutationJournal.get(mutationId, fingerprint);
+    if (journaled) {
+      console.log(
+        `${workerPrefix}⏯️ Resumed: ${fileName}:${position} ${mutationType} → ${journaled.status}`
+      );
+      return { ...journaled, resumed: true };
+    }
+
+    // Reuse the verdict if neither the source nor the covering tests changed
+    const cacheKey = this.mutationCache.enabled ? fingerprint : null;
+    const cachedEntry = cacheKey ? this.mutationCache.get(cacheKey) : null;
+    if (cachedEntry) {
+      console.log(
+        `${workerPrefix}💾 Cached: ${fileName}:${position} ${mutationType} → ${cachedEntry.status}`
+      );
+      return createCachedMutationResult(
+        {
+          filePath,
+          lineNumber,
+          mutationType,
+          mutatorLabel: mutant.mutatorLabel,
+          location,
+          tests,
+        },
+        cachedEntry
+      );
+    }
+
     try {
       // Create mutated version of the file
-      const mutatedFilePath = await this.createMutatedFile(
+      const { mutatedFilePath, mutation } = await this.createMutatedFile(
         filePath,
-        lineNumber,
-        mutationType
+        mutant
       );
 
       // Check if the mutation actually changed the code
-      const originalCodeLine = this.getSourceCodeLine(filePath, lineNumber);
-      const mutatedFileContent = fs.readFileSync(filePath, "utf8");
-      const mutatedLines = mutatedFileContent.split("\n");
-      const mutatedCodeLine = mutatedLines[lineNumber - 1] || "";
-
-      if (originalCodeLine.trim() === mutatedCodeLine.trim()) {
+      if (mutation.original === mutation.replacement) {
         // Mutation couldn't be applied - this should have been caught during validation
         // Silently skip this mutation and restore the file
-        this.restoreFile(filePath);
+        if (mutatedFilePath) {
+          this.restoreFile(filePath);
+        }
         return null; // Return null to indicate this mutation should be skipped
       }
 
@@ -583,25 +1400,17 @@ class MutationTester {
           error: null,
         };
         status = "debug";
-        const testInfo = tests.map((test) =>
-          this.getTestFileFromTestName(test.testName)
-        );
-        testFiles = testInfo.map(info => info.testFile);
+        testFiles = tests.map((test) => test.testFile);
         console.log(`🔍 Debug mutation created: ${mutatedFilePath}`);
         // In debug mode, files are preserved, so no cleanup needed
       } else {
         // Normal mode: Run tests and check if mutation is killed
-        const testInfo = tests.map((test) =>
-          this.getTestFileFromTestName(test.testName)
-        );
-
-        // Extract unique test files and collect test names
-        const uniqueTestFiles = [...new Set(testInfo.map(info => info.testFile))];
-        const testNames = testInfo.map(info => info.testName);
-
         try {
-          testResult = await this.runTargetedTests(uniqueTestFiles, testNames);
-          status = testResult.success ? "survived" : "killed";
+          testResult = await this.runPrioritizedTests(
+            tests,
+            this.getMutantEnv(mutationId)
+          );
+          status = testResult.status;
         } catch (testError) {
           console.error(
             `❌ Error running tests for mutation ${mutationId}:`,
@@ -617,7 +1426,9 @@ class MutationTester {
           status = "error";
         } finally {
           // Always clean up, even if tests failed
-          await this.cleanupMutatedFile(mutatedFilePath);
+          if (mutatedFilePath) {
+            await this.cleanupMutatedFile(mutatedFilePath);
+          }
         }
       }
 
@@ -633,59 +1444,47 @@ class MutationTester {
         console.log(`  Jest args: ${testResult.jestArgs.join(" ")}`);
       }
 
-      // Get original and mutated code for display
-      const originalCode = this.getSourceCodeLine(filePath, lineNumber);
-      const mutatedCode = this.getMutatedCodePreview(
-        originalCode,
-        mutationType
+      // Original and mutated code for display, with the mutated span highlighted
+      const display = describeMutation(
+        this.originalFileContents.get(filePath),
+        mutation
       );
 
-      // Check if mutation actually changed the code
-      if (originalCode.trim() === mutatedCode.trim()) {
-        console.log(
-          `⚠️ Mutation failed to change code at ${filePath}:${lineNumber} (${mutationType})`
-        );
-        console.log(`   Original: ${originalCode.trim()}`);
-        console.log(`   Expected mutation type: ${mutationType}`);
-
-        return {
-          id: mutationId,
-          filePath,
-          line: lineNumber,
-          lineNumber,
-          mutationType,
-          mutatorName: mutationType,
-          type: mutationType,
-          status: "error",
-          original: originalCode.trim(),
-          replacement: "MUTATION_FAILED",
-          testsRun: 0,
-          killedBy: [],
-          executionTime: 0,
-          error: "Mutation failed to change the code - no mutation was applied",
-        };
-      }
-
       // Determine which tests killed this mutation (if any)
       const killedBy =
         status === "killed" ? this.getKillingTests(testResult, tests) : [];
 
-      return {
+      const mutationResult = {
         id: mutationId,
         filePath,
         line: lineNumber,
         lineNumber,
+        location,
         mutationType,
         mutatorName: mutationType,
+        mutatorLabel: mutant.mutatorLabel,
         type: mutationType,
         status,
-        original: originalCode.trim(),
-        replacement: mutatedCode.trim(),
-        testsRun: testFiles.length,
+        ...display,
+        testsRun:
+          testResult.testsRun !== undefined ? testResult.testsRun : testFiles.length,
         killedBy,
+        coveredBy: tests.map((test) => test.testId),
         executionTime: testResult.executionTime,
+        statusReason: testResult.statusReason || null,
         error: testResult.error,
       };
+      if (testResult.timeSaved !== undefined) {
+        mutationResult.testGroupsRun = testResult.groupsRun;
+        mutationResult.timeSaved = testResult.timeSaved;
+      }
+
+      if (cacheKey) {
+        this.mutationCache.set(cacheKey, mutationResult);
+      }
+      this.mutationJournal.record(mutationId, fingerprint, mutationResult);
+
+      return mutationResult;
     } catch (error) {
       console.error(`❌ Error during mutation ${mutationId}:`, error.message);
       if (this.config.enableDebugLogging) {
@@ -706,6 +1505,7 @@ class MutationTester {
         id: mutationId,
         filePath,
         lineNumber,
+        location,
         mutationType,
         status: "error",
         error: error.message,
@@ -714,172 +1514,867 @@ class MutationTester {
   }
 
   /**
-   * Create a mutated version of a file using Babel transformer
+   * Test higher-order mutants built from the killed mutants of this run
+   * @param {object} results - First-order results with fileResults
+   * @returns {Promise<object>} Summary (see summarizeHigherOrderMutants)
+   */
+  async runHigherOrderMutants(results) {
+    const plans = [];
+    Object.entries(results.fileResults).forEach(([filePath, fileResult]) => {
+      const killed = fileResult.mutations.filter(
+        (mutation) => mutation.status === "killed" && mutation.location
+      );
+      if (killed.length < 2) {
+        return;
+      }
+
+      try {
+        const sourceCode = this.originalFileContents.has(filePath)
+          ? this.originalFileContents.get(filePath)
+          : fs.readFileSync(filePath, "utf8");
+        plans.push(
+          ...planHigherOrderMutants(filePath, sourceCode, killed, {
+            maxPerFunction: this.config.maxHigherOrderMutantsPerFunction,
+          })
+        );
+      } catch (error) {
+        console.warn(
+          `⚠️ Could not plan higher-order mutants for ${filePath}: ${error.message}`
+        );
+      }
+    });
+
+    console.log(
+      `\n🧬 Testing ${plans.length} higher-order mutants (pairs of killed mutants in the same function)...`
+    );
+    this.addHigherOrderSchemata(plans);
+
+    const mutations = [];
+    for (const [index, plan] of plans.entries()) {
+      const mutationResult = await this.testHigherOrderMutant(plan);
+      if (mutationResult) {
+        console.log(
+          `🧬 Higher-order (${index + 1}/${plans.length}): ${mutationResult.mutatorLabel} at ${path.basename(plan.filePath)}:${mutationResult.lineNumber} → ${mutationResult.status}`
+        );
+        mutations.push(mutationResult);
+      }
+    }
+
+    return summarizeHigherOrderMutants(mutations);
+  }
+
+  /**
+   * Run the covering tests of both first-order mutants with both applied
+   * @param {object} plan - Higher-order mutant (see planHigherOrderMutants)
+   * @returns {Promise<object|null>} Result, or null if the mutants can't be applied together
+   */
+  async testHigherOrderMutant(plan) {
+    const { filePath } = plan;
+    const lines = this.lineageData[filePath] || {};
+
+    // Covering tests of either mutant, each once
+    const tests = [];
+    const seen = new Set();
+    plan.mutants.forEach((mutation) => {
+      (lines[mutation.lineNumber] || []).forEach((test) => {
+        if (!seen.has(test.testId)) {
+          seen.add(test.testId);
+          tests.push(test);
+        }
+      });
+    });
+
+    // In-place mode writes both mutants into the file
+    if (!this.useSchemata) {
+      const mutants = plan.mutants.map((mutation) =>
+        this.getLineMutants(filePath, mutation.lineNumber).find(
+          (mutant) =>
+            createMutantId(filePath, mutation.lineNumber, mutant.mutationType, mutant.location) ===
+            mutation.id
+        )
+      );
+      if (!this.originalFileContents.has(filePath)) {
+        this.originalFileContents.set(filePath, fs.readFileSync(filePath, "utf8"));
+      }
+      const originalCode = this.originalFileContents.get(filePath);
+      const applied = mutants.every(Boolean)
+        ? applyMutants(originalCode, mutants, filePath, {
+            customMutationOperators: this.config.customMutationOperators,
+          })
+        : null;
+      if (!applied || applied.applied.length < mutants.length) {
+        return null;
+      }
+
+      fs.writeFileSync(`${filePath}.backup`, originalCode);
+      fs.writeFileSync(filePath, applied.code);
+      this.tempFiles.add(filePath);
+    }
+
+    let testResult;
+    try {
+      testResult = await this.runPrioritizedTests(tests, this.getMutantEnv(plan.id));
+    } finally {
+      this.restoreFile(filePath);
+    }
+
+    const [first] = plan.mutants;
+    return {
+      id: plan.id,
+      filePath,
+      line: first.lineNumber,
+      lineNumber: first.lineNumber,
+      location: first.location,
+      mutationType: "higherOrder",
+      mutatorLabel: plan.mutants
+        .map((mutation) => mutation.mutatorLabel || mutation.mutationType)
+        .join(" + "),
+      status: testResult.status,
+      mutants: plan.mutants.map((mutation) => ({
+        id: mutation.id,
+        lineNumber: mutation.lineNumber,
+        mutatorLabel: mutation.mutatorLabel,
+        original: mutation.original,
+        replacement: mutation.replacement,
+        killedBy: mutation.killedBy,
+      })),
+      testsRun: testResult.testsRun,
+      killedBy:
+        testResult.status === "killed" ? this.getKillingTests(testResult, tests) : [],
+      coveredBy: tests.map((test) => test.testId),
+      executionTime: testResult.executionTime,
+      statusReason: testResult.statusReason || null,
+    };
+  }
+
+  /**
+   * Hash a mutant together with its source and covering tests
+   * Used as the mutation cache key and to validate checkpoint journal entries.
+   */
+  getMutantFingerprint(filePath, mutant, tests) {
+    const testFiles = tests.map((test) => test.testFile);
+
+    // Hash the pristine source even if the file on disk is currently mutated
+    return this.mutationCache.getKey(
+      filePath,
+      { ...mutant, lineNumber: mutant.location.start.line },
+      testFiles,
+      this.originalFileContents.get(filePath)
+    );
+  }
+
+  /**
+   * Create a mutated version of a file using Babel transformer
+   * Returns the path of the mutated file (null in schemata mode, where the
+   * source on disk is left alone) and the applied mutation
+   * ({ start, end, original, replacement }).
+   */
+  async createMutatedFile(filePath, mutant) {
+    const fs = require("fs");
+    const { mutationType, location } = mutant;
+
+    // Read original file
+    const originalCode = this.originalFileContents.has(filePath)
+      ? this.originalFileContents.get(filePath)
+      : fs.readFileSync(filePath, "utf8");
+
+    // Store original content for emergency restoration
+    if (!this.originalFileContents.has(filePath)) {
+      this.originalFileContents.set(filePath, originalCode);
+    }
+
+    // Use Babel transformer for AST-based mutations
+    const result = this.applyMutationWithBabel(originalCode, mutant, filePath);
+
+    if (!result) {
+      throw new Error(
+        `Failed to apply mutation ${mutationType} at ${location.start.line}:${location.start.column + 1} in ${filePath}`
+      );
+    }
+
+    const mutation = result.applied[0];
+
+    if (this.useSchemata) {
+      // Schemata mode: the mutant is selected at runtime, nothing is written
+      this.addSchemataFile(filePath);
+      return { mutatedFilePath: null, mutation };
+    } else if (this.config.debugMutations) {
+      // Debug mode: Create separate mutation files instead of overwriting originals
+      return {
+        mutatedFilePath: this.createDebugMutationFile(
+          filePath,
+          mutant,
+          result.code
+        ),
+        mutation,
+      };
+    } else {
+      // Normal mode: Temporarily replace original file
+      const backupPath = `${filePath}.backup`;
+      fs.writeFileSync(backupPath, originalCode);
+      fs.writeFileSync(filePath, result.code);
+
+      this.tempFiles.add(filePath);
+      return { mutatedFilePath: filePath, mutation };
+    }
+  }
+
+  /**
+   * Add every file of the current lineage data to the schemata manifest
+   */
+  prepareSchemata() {
+    if (!this.useSchemata) {
+      return;
+    }
+
+    Object.keys(this.lineageData).forEach((filePath) => this.addSchemataFile(filePath));
+    this.schemataComplete = true;
+  }
+
+  /**
+   * Check that the project's transform compiled the mutant switches in
+   * The switches only exist where Jest runs sources through
+   * babel-plugin-lineage-tracker; under ts-jest, another transformer or a
+   * stale transform cache every mutant would silently survive. One covering
+   * test per file runs with the probe mutant selected, which makes a
+   * schemata build throw when it loads. If any file loads without it, the
+   * run falls back to in-place mutation.
+   * @returns {Promise<boolean>} True if the run keeps using schemata
+   */
+  async verifySchemata() {
+    if (!this.useSchemata) {
+      return false;
+    }
+
+    const unswitched = [];
+    for (const [filePath, lines] of Object.entries(this.lineageData)) {
+      const coveringTests = Object.values(lines).find((tests) => tests.length > 0);
+      if (!coveringTests || (this.schemataFiles[path.resolve(filePath)] || []).length === 0) {
+        continue;
+      }
+
+      const test = coveringTests[0];
+      const run = await this.runTargetedTests(
+        [test.testFile],
+        [test],
+        this.getMutantEnv(SCHEMATA_PROBE_ID),
+        BASELINE_TIMEOUT
+      );
+      if (!`${run.statusReason || ""}\n${run.output || ""}`.includes(SCHEMATA_PROBE_MESSAGE)) {
+        unswitched.push(filePath);
+      }
+    }
+
+    if (unswitched.length === 0) {
+      return true;
+    }
+
+    console.warn(
+      `⚠️ Mutant schemata were not compiled into ${unswitched.join(", ")} - add ` +
+        `jest-test-lineage-reporter/src/babel-plugin-lineage-tracker to the Babel config Jest transforms them with. ` +
+        `Falling back to in-place mutation (--mutation-mode in-place)`
+    );
+    this.useSchemata = false;
+    this.schemataFiles = {};
+    this.schemataComplete = false;
+    this.removeSchemataManifest();
+    // Transforms cached by the probe runs are schemata builds
+    this.resetTransformCache();
+    return false;
+  }
+
+  /**
+   * Add every mutant of a file to the schemata manifest read by the Babel plugin
+   */
+  addSchemataFile(filePath) {
+    const absolutePath = path.resolve(filePath);
+    if (this.schemataFiles[absolutePath]) {
+      return;
+    }
+
+    const mutants = Object.values(this.getMutantsByLine(filePath))
+      .flat()
+      .filter((mutant) => !mutant.ignoreReason)
+      .map((mutant) => ({
+        id: createMutantId(
+          filePath,
+          mutant.location.start.line,
+          mutant.mutationType,
+          mutant.location
+        ),
+        mutationType: mutant.mutationType,
+        nodeType: mutant.nodeType,
+        location: mutant.location,
+      }));
+
+    this.schemataFiles[absolutePath] = mutants;
+    this.writeSchemata();
+  }
+
+  /**
+   * Make higher-order mutants selectable in the schemata build: each of
+   * their first-order mutants is also switched on by the higher-order id
+   * @param {Array<object>} plans - Higher-order mutants (see planHigherOrderMutants)
+   */
+  addHigherOrderSchemata(plans) {
+    if (!this.useSchemata || plans.length === 0) {
+      return;
+    }
+
+    plans.forEach((plan) => {
+      const mutants = this.schemataFiles[path.resolve(plan.filePath)] || [];
+      plan.mutants.forEach((mutation) => {
+        const mutant = mutants.find((candidate) => candidate.id === mutation.id);
+        if (mutant) {
+          mutant.higherOrder = [...(mutant.higherOrder || []), plan.id];
+        }
+      });
+    });
+    this.writeSchemata();
+    // Files transformed so far were built without the higher-order switches
+    this.resetTransformCache();
+  }
+
+  /**
+   * Write the schemata manifest with every file added so far
+   */
+  writeSchemata() {
+    const operatorModules = loadCustomOperators(
+      this.config.customMutationOperators
+    ).map((operator) => operator.modulePath);
+    writeSchemataManifest(this.schemataManifestPath, this.schemataFiles, [
+      ...new Set(operatorModules),
+    ]);
+  }
+
+  /**
+   * Environment variables that select a mutant in a schemata build
+   */
+  getMutantEnv(mutationId) {
+    if (!this.useSchemata) {
+      return {};
+    }
+
+    const env = { [SCHEMATA_MANIFEST_ENV]: this.schemataManifestPath };
+    // Without an active mutant the schemata build runs the original code
+    if (mutationId) {
+      env[ACTIVE_MUTANT_ENV] = mutationId;
+    }
+    return env;
+  }
+
+  /**
+   * Remove the schemata manifest written for this run
+   */
+  removeSchemataManifest() {
+    try {
+      if (fs.existsSync(this.schemataManifestPath)) {
+        fs.unlinkSync(this.schemataManifestPath);
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️ Failed to remove schemata manifest ${this.schemataManifestPath}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Create a debug mutation file (separate from original)
+   */
+  createDebugMutationFile(originalFilePath, mutant, mutatedCode) {
+    const debugDir = this.config.debugMutationDir || "./mutations-debug";
+    const fileName = path.basename(originalFilePath);
+    const fileExt = path.extname(fileName);
+    const baseName = path.basename(fileName, fileExt);
+    const { start, end } = mutant.location;
+
+    // Nested nodes can start at the same position, so the name includes the end like the mutant id
+    const mutantName = `${baseName}_L${start.line}_C${start.column + 1}-L${end.line}_C${end.column + 1}_${mutant.mutationType}`;
+    const mutationFileName = `${mutantName}.mutation${fileExt}`;
+    const mutationFilePath = path.join(debugDir, mutationFileName);
+
+    // Write the mutated code to the debug file
+    fs.writeFileSync(mutationFilePath, mutatedCode);
+
+    // Also create a metadata file with mutation details
+    const metadataFileName = `${mutantName}.metadata.json`;
+    const metadataFilePath = path.join(debugDir, metadataFileName);
+    const metadata = {
+      originalFile: originalFilePath,
+      lineNumber: start.line,
+      mutationType: mutant.mutationType,
+      location: mutant.location,
+      mutationFile: mutationFilePath,
+      timestamp: new Date().toISOString(),
+      originalLine: this.getSourceCodeLine(originalFilePath, start.line),
+      originalSnippet: mutant.original,
+    };
+    fs.writeFileSync(metadataFilePath, JSON.stringify(metadata, null, 2));
+
+    this.debugMutationFiles.add(mutationFilePath);
+    this.debugMutationFiles.add(metadataFilePath);
+
+    console.log(`📝 Created debug mutation file: ${mutationFileName}`);
+    return mutationFilePath;
+  }
+
+  /**
+   * Apply mutation using Babel transformer (AST-based approach)
+   */
+  applyMutationWithBabel(code, mutant, filePath) {
+    try {
+      // Only the mutation plugin runs - no lineage tracking or project plugins
+      return applyMutants(code, mutant, filePath, {
+        enableDebugLogging: this.config.enableDebugLogging,
+        customMutationOperators: this.config.customMutationOperators,
+      });
+    } catch (error) {
+      console.error(
+        `Babel transformation error for ${filePath}:${mutant.location.start.line}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Profile every test from the lineage data: how many lines it covers and
+   * how long it took in the recorded run
+   * @param {object} lineageData - { filePath: { lineNumber: [testInfo] } }
+   * @returns {Map<string, object>} Test ID → { linesCovered, duration }
+   */
+  buildTestProfiles(lineageData) {
+    const profiles = new Map();
+
+    Object.values(lineageData || {}).forEach((lines) => {
+      Object.values(lines).forEach((tests) => {
+        tests.forEach((test) => {
+          const profile = profiles.get(test.testId) || { linesCovered: 0, duration: 0 };
+          profile.linesCovered++;
+          profile.duration = Math.max(profile.duration, test.duration || 0);
+          profiles.set(test.testId, profile);
+        });
+      });
+    });
+
+    return profiles;
+  }
+
+  /**
+   * Order a line's covering tests so the likeliest cheap killer runs first
+   * Tests that reach the line at a shallow call depth come first, then tests
+   * that cover fewer lines (more specific), then faster tests.
+   * @param {object[]} tests - Covering tests from the lineage data
+   * @returns {object[]} Tests with their profile, in run order
+   */
+  prioritizeTests(tests) {
+    if (!this.testProfiles) {
+      this.testProfiles = this.buildTestProfiles(this.lineageData);
+    }
+
+    return tests
+      .map((test, index) => {
+        const profile = this.testProfiles.get(test.testId) || {};
+        return {
+          test,
+          index,
+          depth: test.depth || 1,
+          linesCovered: profile.linesCovered || 0,
+          duration: profile.duration || test.duration || 0,
+        };
+      })
+      .sort(
+        (a, b) =>
+          a.depth - b.depth ||
+          a.linesCovered - b.linesCovered ||
+          a.duration - b.duration ||
+          a.index - b.index
+      );
+  }
+
+  /**
+   * Split ordered tests into escalating groups of 1, 2, 4, ... tests
+   */
+  createTestGroups(orderedTests) {
+    const groups = [];
+    let size = 1;
+    for (let start = 0; start < orderedTests.length; start += size, size *= 2) {
+      groups.push(orderedTests.slice(start, start + size));
+    }
+    return groups;
+  }
+
+  /**
+   * Measure how long the covering tests take without any mutant active
+   * Each test file runs once with just its covering tests; the per-test
+   * durations and the rest of the run's time (Jest setup, module loading)
+   * become the baseline that mutant timeouts are derived from. Disabled with
+   * `calibrateTimeouts: false`, which keeps the fixed `mutationTimeout`.
+   * @returns {Promise<object|null>} Calibration summary, or null when not calibrated
+   */
+  async calibrateTimeouts() {
+    if (this.config.calibrateTimeouts === false || this.config.debugMutations) {
+      return null;
+    }
+
+    // Covering tests per test file, by ID
+    const testsByFile = new Map();
+    Object.values(this.lineageData).forEach((lines) => {
+      Object.values(lines).forEach((tests) => {
+        tests.forEach((test) => {
+          if (!testsByFile.has(test.testFile)) {
+            testsByFile.set(test.testFile, new Map());
+          }
+          testsByFile.get(test.testFile).set(test.testId, test);
+        });
+      });
+    });
+    if (testsByFile.size === 0) {
+      return null;
+    }
+
+    console.log(
+      `\n⏱️ Measuring baseline durations of covering tests in ${testsByFile.size} test files...`
+    );
+
+    const baseline = { tests: new Map(), overhead: new Map() };
+    const failingTests = [];
+    const runTimes = [];
+    const startTime = Date.now();
+    const runBaseline = (testFile, tests) =>
+      this.runTargetedTests([testFile], tests, this.getMutantEnv(null), BASELINE_TIMEOUT);
+
+    // A pooled worker's first run also loads Jest's runtime, so it is
+    // measured separately and granted as extra time to fresh workers
+    let warmupTime = null;
+    if (this.getWorkerPool()) {
+      const [testFile, fileTests] = testsByFile.entries().next().value;
+      const warmup = await runBaseline(testFile, [...fileTests.values()]);
+      warmupTime = warmup.runTime !== undefined ? warmup.runTime : warmup.executionTime;
+    }
+
+    for (const [testFile, fileTests] of testsByFile) {
+      const tests = [...fileTests.values()];
+      const run = await runBaseline(testFile, tests);
+
+      let testTime = 0;
+      tests.forEach((test) => {
+        const measured = (run.testDurations || []).find((reported) =>
+          isSameTest(test, reported)
+        );
+        // Failing or missing tests get no baseline, so their mutants keep the fixed timeout
+        if (!measured || measured.status !== "passed") {
+          failingTests.push(test.testId);
+          return;
+        }
+        baseline.tests.set(test.testId, measured.duration);
+        testTime += measured.duration;
+      });
+      const runTime = run.runTime !== undefined ? run.runTime : run.executionTime;
+      runTimes.push(runTime);
+      baseline.overhead.set(testFile, Math.max(0, runTime - testTime));
+    }
+
+    this.timeoutBaseline = baseline;
+    // The pool may have fallen back to spawning during the baseline
+    const startupGrace =
+      warmupTime !== null && this.workerPool ? Math.max(0, warmupTime - runTimes[0]) : 0;
+    if (this.workerPool) {
+      this.workerPool.startupGrace = startupGrace;
+    }
+
+    const calibration = {
+      testFiles: testsByFile.size,
+      testsMeasured: baseline.tests.size,
+      failingTests,
+      baselineTime: Date.now() - startTime,
+      timeoutFactor: this.getTimeoutFactor(),
+      timeoutMs: this.getTimeoutMs(),
+      startupGrace,
+    };
+    console.log(
+      `⏱️ Baseline: ${calibration.testsMeasured} tests in ${calibration.baselineTime}ms, mutant timeouts are ${calibration.timeoutFactor} × baseline + ${calibration.timeoutMs}ms`
+    );
+    if (failingTests.length > 0) {
+      console.warn(
+        `⚠️ ${failingTests.length} covering tests did not pass without mutations: ${failingTests.join(", ")}`
+      );
+    }
+    return calibration;
+  }
+
+  /**
+   * Serialize the calibrated baseline for Docker workers
+   * Test files are made relative to the project, as workers see it mounted elsewhere.
+   * @param {string} projectPath - Project root on the host
+   * @returns {object|null} { tests, overhead, startupGrace }, or null when not calibrated
+   */
+  exportTimeoutBaseline(projectPath) {
+    if (!this.timeoutBaseline) {
+      return null;
+    }
+
+    return {
+      tests: Object.fromEntries(this.timeoutBaseline.tests),
+      overhead: Object.fromEntries(
+        [...this.timeoutBaseline.overhead].map(([testFile, overhead]) => [
+          path.relative(projectPath, path.resolve(projectPath, testFile)),
+          overhead,
+        ])
+      ),
+      startupGrace: (this.workerPool && this.workerPool.startupGrace) || 0,
+    };
+  }
+
+  /**
+   * Use a baseline calibrated by the Docker coordinator (see exportTimeoutBaseline)
+   * @param {object} baseline - Serialized baseline, with test files relative to the project
+   */
+  importTimeoutBaseline(baseline) {
+    this.timeoutBaseline = {
+      tests: new Map(Object.entries(baseline.tests)),
+      overhead: new Map(Object.entries(baseline.overhead)),
+    };
+    const pool = this.getWorkerPool();
+    if (pool) {
+      pool.startupGrace = baseline.startupGrace || 0;
+    }
+  }
+
+  getTimeoutFactor() {
+    return this.config.timeoutFactor !== undefined ? this.config.timeoutFactor : 1.5;
+  }
+
+  getTimeoutMs() {
+    return this.config.timeoutMs !== undefined ? this.config.timeoutMs : 2000;
+  }
+
+  /**
+   * Time limit for running a group of covering tests against a mutant
+   * `timeoutFactor` × the group's baseline duration + `timeoutMs`, where the
+   * baseline adds each test file's setup time to the tests' own durations.
+   * Groups with an unmeasured test fall back to the fixed `mutationTimeout`.
+   * @param {object[]} tests - Covering tests that run together
+   * @returns {number} Timeout in ms
    */
-  async createMutatedFile(filePath, lineNumber, mutationType) {
-    const fs = require("fs");
-
-    // Read original file
-    const originalCode = fs.readFileSync(filePath, "utf8");
+  getMutantTimeout(tests) {
+    const fallback = this.config.mutationTimeout || 5000;
+    if (!this.timeoutBaseline) {
+      return fallback;
+    }
 
-    // Store original content for emergency restoration
-    if (!this.originalFileContents.has(filePath)) {
-      this.originalFileContents.set(filePath, originalCode);
+    let baselineTime = 0;
+    const testFiles = new Set();
+    for (const test of tests) {
+      const duration = this.timeoutBaseline.tests.get(test.testId);
+      if (duration === undefined) {
+        return fallback;
+      }
+      baselineTime += duration;
+      testFiles.add(test.testFile);
     }
+    testFiles.forEach((testFile) => {
+      baselineTime += this.timeoutBaseline.overhead.get(testFile) || 0;
+    });
 
-    // Use Babel transformer for AST-based mutations
-    const mutatedCode = this.applyMutationWithBabel(
-      originalCode,
-      lineNumber,
-      mutationType,
-      filePath
-    );
+    return Math.round(baselineTime * this.getTimeoutFactor() + this.getTimeoutMs());
+  }
 
-    if (!mutatedCode) {
-      throw new Error(
-        `Failed to apply mutation ${mutationType} at line ${lineNumber} in ${filePath}`
-      );
-    }
+  /**
+   * Whether covering tests run in escalating groups (see runPrioritizedTests)
+   * Subsumption analysis needs every test that kills a mutant, so it runs
+   * all covering tests at once.
+   */
+  shouldPrioritizeTests() {
+    return this.config.prioritizeTests !== false && !this.config.subsumptionAnalysis;
+  }
 
-    if (this.config.debugMutations) {
-      // Debug mode: Create separate mutation files instead of overwriting originals
-      return this.createDebugMutationFile(
-        filePath,
-        lineNumber,
-        mutationType,
-        mutatedCode
+  /**
+   * Run a mutant's covering tests, most promising first, in escalating groups
+   * Stops at the first group with a verdict other than survived, so most
+   * mutants are killed by the first cheap test. `timeSaved` is the recorded
+   * duration of the covering tests that didn't need to run.
+   * With `prioritizeTests: false` every covering test runs at once.
+   */
+  async runPrioritizedTests(tests, mutantEnv = {}) {
+    const prioritize = this.shouldPrioritizeTests();
+    const ordered = prioritize
+      ? this.prioritizeTests(tests)
+      : tests.map((test) => ({ test, duration: test.duration || 0 }));
+    const groups = prioritize ? this.createTestGroups(ordered) : [ordered];
+
+    let testResult = null;
+    let executionTime = 0;
+    let testsRun = 0;
+    let groupsRun = 0;
+
+    for (const group of groups) {
+      const groupTests = group.map(({ test }) => test);
+      const uniqueTestFiles = [...new Set(groupTests.map((test) => test.testFile))];
+
+      testResult = await this.runTargetedTests(
+        uniqueTestFiles,
+        groupTests,
+        mutantEnv,
+        this.getMutantTimeout(groupTests)
       );
-    } else {
-      // Normal mode: Temporarily replace original file
-      const backupPath = `${filePath}.backup`;
-      fs.writeFileSync(backupPath, originalCode);
-      fs.writeFileSync(filePath, mutatedCode);
+      executionTime += testResult.executionTime;
+      testsRun += group.length;
+      groupsRun++;
 
-      this.tempFiles.add(filePath);
-      return filePath;
+      if (testResult.status !== "survived") {
+        break;
+      }
     }
+
+    const result = { ...testResult, executionTime, testsRun };
+    if (prioritize) {
+      result.groupsRun = groupsRun;
+      result.timeSaved = ordered
+        .slice(testsRun)
+        .reduce((sum, entry) => sum + entry.duration, 0);
+    }
+    return result;
   }
 
   /**
-   * Create a debug mutation file (separate from original)
+   * Run targeted tests for specific test files and lineage tests
+   * Tests are selected by their full name (see createTestNamePattern). Jest writes JSON results to a temporary file, which tells exactly which
+   * tests failed and whether the run failed for another reason. Runs go to
+   * the Jest worker pool unless `mutationRunner` is "spawn". Runs that take
+   * longer than `timeout` ms are stopped and classified as timeouts.
    */
-  createDebugMutationFile(
-    originalFilePath,
-    lineNumber,
-    mutationType,
-    mutatedCode
+  async runTargetedTests(
+    testFiles,
+    tests = null,
+    mutantEnv = {},
+    timeout = this.config.mutationTimeout || 5000
   ) {
-    const debugDir = this.config.debugMutationDir || "./mutations-debug";
-    const fileName = path.basename(originalFilePath);
-    const fileExt = path.extname(fileName);
-    const baseName = path.basename(fileName, fileExt);
+    const startTime = Date.now();
+    const outputFile = path.join(
+      os.tmpdir(),
+      `jest-lineage-run-${process.pid}-${++this.testRunCounter}.json`
+    );
+    const pool = this.getWorkerPool();
+
+    // Build Jest command to run only specific test files and optionally specific test names
+    const jestArgs = [
+      "--testPathPatterns=" + testFiles.join("|"),
+      "--no-coverage",
+      // Pooled runs share a transform cache for the run; spawned runs avoid
+      // cache issues with mutated files
+      ...(pool && this.canCacheTransforms()
+        ? [`--cacheDirectory=${this.getJestCacheDirectory()}`]
+        : ["--no-cache"]),
+      "--forceExit", // Ensure Jest exits cleanly
+      "--runInBand", // Run tests in the main thread to avoid IPC issues
+      // No --bail: Jest exits on bail before writing the JSON results
+      "--json", // Machine-readable results for per-test kill attribution
+      `--outputFile=${outputFile}`,
+    ];
+
+    // In Docker mode, override setupFilesAfterEnv with absolute path to fix module resolution
+    if (process.env.PROJECT_PATH) {
+      jestArgs.push("--setupFilesAfterEnv=/jest-lineage-reporter/src/testSetup.js");
+    }
 
-    // Create a unique filename for this mutation
-    const mutationFileName = `${baseName}_L${lineNumber}_${mutationType}.mutation${fileExt}`;
-    const mutationFilePath = path.join(debugDir, mutationFileName);
+    // If specific tests are provided, add testNamePattern to run only those tests
+    if (tests && tests.length > 0) {
+      jestArgs.push(`--testNamePattern=${createTestNamePattern(tests)}`);
+      console.log(
+        `🎯 Running specific tests: ${tests.map((test) => test.testId).join(", ")}`
+      );
+    } else {
+      console.log(`📁 Running all tests in files: ${testFiles.join(', ')}`);
+    }
 
-    // Write the mutated code to the debug file
-    fs.writeFileSync(mutationFilePath, mutatedCode);
+    let run;
+    try {
+      run = pool
+        ? await pool.run(jestArgs, { env: mutantEnv, timeout })
+        : await this.spawnJest(jestArgs, mutantEnv, timeout);
+    } catch (poolError) {
+      // The pool can't run this project's Jest, so spawn from now on
+      console.warn(`⚠️ ${poolError.message} - falling back to spawning Jest per mutant`);
+      this.closeWorkerPool();
+      this.mutationRunner = "spawn";
+      return this.runTargetedTests(testFiles, tests, mutantEnv, timeout);
+    }
 
-    // Also create a metadata file with mutation details
-    const metadataFileName = `${baseName}_L${lineNumber}_${mutationType}.metadata.json`;
-    const metadataFilePath = path.join(debugDir, metadataFileName);
-    const metadata = {
-      originalFile: originalFilePath,
-      lineNumber: lineNumber,
-      mutationType: mutationType,
-      mutationFile: mutationFilePath,
-      timestamp: new Date().toISOString(),
-      originalLine: this.getSourceCodeLine(originalFilePath, lineNumber),
-    };
-    fs.writeFileSync(metadataFilePath, JSON.stringify(metadata, null, 2));
+    const executionTime = Date.now() - startTime;
+    const results = run.timedOut ? null : readJestJsonResults(outputFile);
+    fs.rmSync(outputFile, { force: true });
 
-    this.debugMutationFiles.add(mutationFilePath);
-    this.debugMutationFiles.add(metadataFilePath);
+    if (run.spawnError) {
+      return {
+        success: false,
+        status: "error",
+        failedTests: [],
+        statusReason: run.spawnError,
+        executionTime,
+        error: run.spawnError,
+      };
+    }
 
-    console.log(`📝 Created debug mutation file: ${mutationFileName}`);
-    return mutationFilePath;
+    const classified = classifyJestRun({
+      results,
+      exitCode: run.exitCode,
+      timedOut: run.timedOut,
+      output: run.output,
+    });
+    const { status, failedTests } = classified;
+    // A pooled worker that crashed explains the missing results better than its exit code
+    let statusReason = !results && run.error ? run.error : classified.statusReason;
+    if (run.timedOut) {
+      statusReason = `Test run exceeded the ${timeout}ms mutation timeout`;
+    }
+
+    return {
+      success: status === "survived",
+      status,
+      failedTests,
+      statusReason,
+      executionTime,
+      output: run.output,
+      error: run.exitCode !== 0 && status !== "killed" ? statusReason : null,
+      jestArgs,
+      runTime: run.duration, // Excludes waiting for a pooled worker, like the timeout
+      testDurations: results ? getTestDurations(results) : [],
+    };
   }
 
   /**
-   * Apply mutation using Babel transformer (AST-based approach)
+   * Environment for Jest runs of mutants: no lineage tracking or nested mutation testing
    */
-  applyMutationWithBabel(code, lineNumber, mutationType, filePath) {
-    const babel = require("@babel/core");
-
-    try {
-      // Create mutation plugin with specific line and mutation type
-      const mutationPlugin = createMutationPlugin(lineNumber, mutationType);
-
-      // Transform code using Babel with ONLY the mutation plugin
-      // Do NOT include lineage tracking or other plugins during mutation testing
-      const result = babel.transformSync(code, {
-        plugins: [mutationPlugin],
-        filename: filePath,
-        parserOpts: {
-          sourceType: "module",
-          allowImportExportEverywhere: true,
-          plugins: ["typescript", "jsx"],
-        },
-        // Explicitly disable all other transformations
-        presets: [],
-        // Ensure no other plugins are loaded from babel.config.js
-        babelrc: false,
-        configFile: false,
-      });
-
-      return result?.code || null;
-    } catch (error) {
-      console.error(
-        `Babel transformation error for ${filePath}:${lineNumber}:`,
-        error.message
-      );
-      return null;
-    }
+  getJestEnv(cwd) {
+    return {
+      NODE_ENV: "test",
+      NODE_PATH: `${cwd}/node_modules`, // Ensure modules resolve from project directory
+      JEST_LINEAGE_MUTATION: "false", // Disable mutation testing mode to allow normal test execution
+      JEST_LINEAGE_MUTATION_TESTING: "false", // Disable mutation testing during mutation testing
+      JEST_LINEAGE_ENABLED: "false", // Disable all lineage tracking
+      JEST_LINEAGE_TRACKING: "false", // Disable lineage tracking
+      JEST_LINEAGE_PERFORMANCE: "false", // Disable performance tracking
+      JEST_LINEAGE_QUALITY: "false", // Disable quality tracking
+      JEST_LINEAGE_MERGE: "false", // Ensure no merging with existing data
+      TS_NODE_TRANSPILE_ONLY: "true", // Disable TypeScript type checking
+      TS_NODE_TYPE_CHECK: "false", // Disable TypeScript type checking
+    };
   }
 
   /**
-   * Run targeted tests for specific test files and test names
+   * Run Jest in a new process
+   * @returns {Promise<object>} { exitCode, timedOut, output, duration, spawnError? }
    */
-  async runTargetedTests(testFiles, testNames = null) {
+  spawnJest(jestArgs, mutantEnv = {}, timeout = this.config.mutationTimeout || 5000) {
     return new Promise((resolve) => {
-      const startTime = Date.now();
-
-      // Build Jest command to run only specific test files and optionally specific test names
-      const jestArgs = [
-        "--testPathPatterns=" + testFiles.join("|"),
-        "--no-coverage",
-        "--bail", // Stop on first failure
-        "--no-cache", // Avoid cache issues with mutated files
-        "--forceExit", // Ensure Jest exits cleanly
-        "--runInBand", // Run tests in the main thread to avoid IPC issues
-      ];
-
-      // In Docker mode, override setupFilesAfterEnv with absolute path to fix module resolution
-      if (process.env.PROJECT_PATH) {
-        jestArgs.push("--setupFilesAfterEnv=/jest-lineage-reporter/src/testSetup.js");
-      }
-
-      // If specific test names are provided, add testNamePattern to run only those tests
-      if (testNames && testNames.length > 0) {
-        // Escape special regex characters in test names and join with OR operator
-        const escapedTestNames = testNames.map(name =>
-          name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-        );
-        const testNamePattern = `(${escapedTestNames.join('|')})`;
-        jestArgs.push(`--testNamePattern=${testNamePattern}`);
-        console.log(`🎯 Running specific tests: ${testNames.join(', ')}`);
-      } else {
-        console.log(`📁 Running all tests in files: ${testFiles.join(', ')}`);
-      }
-
       // Determine the working directory for Jest
       // In Docker mode, PROJECT_PATH env var points to the mounted project directory
       const cwd = process.env.PROJECT_PATH || process.cwd();
 
-      // Use npx to run jest (works in both Docker and host environments)
-      const jestCommand = "npx";
-      const jestCmdArgs = ["jest", ...jestArgs];
+      // Arguments are passed without a shell, so test names need no quoting
+      const { command: jestCommand, args: jestCmdArgs } =
+        this.resolveJestCommand(cwd, jestArgs);
 
       // Debug: Log the exact command being executed
       console.log(`🔍 Spawning: ${jestCommand} ${jestCmdArgs.join(' ')}`);
@@ -887,25 +2382,22 @@ class MutationTester {
 
       const jest = spawn(jestCommand, jestCmdArgs, {
         stdio: "pipe",
-        timeout: this.config.mutationTimeout || 5000,
         cwd,  // Run Jest from the project directory
-        shell: true, // Use shell to execute command (fixes Jest module resolution in Docker)
         env: {
           ...process.env,
-          NODE_ENV: "test",
-          NODE_PATH: `${cwd}/node_modules`, // Ensure modules resolve from project directory
-          JEST_LINEAGE_MUTATION: "false", // Disable mutation testing mode to allow normal test execution
-          JEST_LINEAGE_MUTATION_TESTING: "false", // Disable mutation testing during mutation testing
-          JEST_LINEAGE_ENABLED: "false", // Disable all lineage tracking
-          JEST_LINEAGE_TRACKING: "false", // Disable lineage tracking
-          JEST_LINEAGE_PERFORMANCE: "false", // Disable performance tracking
-          JEST_LINEAGE_QUALITY: "false", // Disable quality tracking
-          JEST_LINEAGE_MERGE: "false", // Ensure no merging with existing data
-          TS_NODE_TRANSPILE_ONLY: "true", // Disable TypeScript type checking
-          TS_NODE_TYPE_CHECK: "false", // Disable TypeScript type checking
+          ...this.getJestEnv(cwd),
+          ...mutantEnv, // Selects the active mutant in schemata mode
         },
       });
 
+      // Mutants can loop forever, so stop runs that take too long
+      const startTime = Date.now();
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        jest.kill("SIGKILL");
+      }, timeout);
+
       let output = "";
       jest.stdout.on("data", (data) => {
         output += data.toString();
@@ -916,32 +2408,183 @@ class MutationTester {
       });
 
       jest.on("close", (code) => {
-        const executionTime = Date.now() - startTime;
-        resolve({
-          success: code === 0,
-          executionTime,
-          output,
-          error: code !== 0 ? `Jest exited with code ${code}` : null,
-          jestArgs,
-        });
+        clearTimeout(timer);
+        resolve({ exitCode: code, timedOut, output, duration: Date.now() - startTime });
       });
 
       jest.on("error", (error) => {
-        resolve({
-          success: false,
-          executionTime: Date.now() - startTime,
-          error: error.message,
-        });
+        clearTimeout(timer);
+        resolve({ exitCode: null, timedOut: false, output, spawnError: error.message });
       });
     });
   }
 
+  /**
+   * Get the Jest worker pool, started on first use
+   * Sized by `workers` (0 = CPU cores - 1); null when runs are spawned instead.
+   */
+  getWorkerPool() {
+    if (this.workerPool === undefined) {
+      const useRunner = this.mutationRunner === "pool" && !this.config.debugMutations;
+      if (!useRunner) {
+        this.workerPool = false;
+      } else {
+        const workers = this.config.workers || 1;
+        const cwd = process.env.PROJECT_PATH || process.cwd();
+        this.workerPool = new JestWorkerPool({
+          size: workers === 0 ? Math.max(1, os.cpus().length - 1) : workers,
+          cwd,
+          env: this.getJestEnv(cwd),
+        });
+      }
+    }
+
+    return this.workerPool || null;
+  }
+
+  /**
+   * Stop the Jest worker pool and remove its transform cache
+   */
+  closeWorkerPool() {
+    if (this.workerPool) {
+      this.workerPool.close();
+    }
+    this.workerPool = undefined;
+    this.resetTransformCache();
+  }
+
+  /**
+   * Remove the transform cache of pooled runs; the next run starts a new one
+   */
+  resetTransformCache() {
+    if (this.jestCacheDirectory) {
+      fs.rmSync(this.jestCacheDirectory, { recursive: true, force: true });
+      this.jestCacheDirectory = null;
+    }
+  }
+
+  /**
+   * Compare mutant throughput of the worker pool against spawning Jest per mutant
+   * The same sample of mutants runs through both runners; verdicts that differ
+   * between them are counted as mismatches.
+   * @param {number} sampleSize - Number of mutants to run
+   * @returns {Promise<object>} { sampleSize, spawn, pool, speedup, mismatches }
+   */
+  async benchmarkRunners(sampleSize = 10) {
+    if (!this.useSchemata) {
+      throw new Error("Runner benchmarks need schemata mode (--mutation-mode schemata)");
+    }
+
+    const sample = [];
+    for (const [filePath, lines] of Object.entries(this.lineageData)) {
+      for (const [lineNumber, tests] of Object.entries(lines)) {
+        this.getLineMutants(filePath, parseInt(lineNumber)).forEach((mutant) => {
+          if (sample.length < sampleSize) {
+            sample.push({ filePath, lineNumber: parseInt(lineNumber), mutant, tests });
+          }
+        });
+      }
+    }
+    if (sample.length === 0) {
+      throw new Error("No mutants to benchmark");
+    }
+
+    this.prepareSchemata();
+    const configuredRunner = this.mutationRunner;
+
+    const measure = async (runner) => {
+      this.closeWorkerPool();
+      this.mutationRunner = runner;
+      console.log(`⏱️ Benchmarking ${runner} runner on ${sample.length} mutants...`);
+
+      const startTime = Date.now();
+      const statuses = [];
+      for (const { filePath, lineNumber, mutant, tests } of sample) {
+        const mutationId = createMutantId(
+          filePath,
+          lineNumber,
+          mutant.mutationType,
+          mutant.location
+        );
+        const testResult = await this.runPrioritizedTests(
+          tests,
+          this.getMutantEnv(mutationId)
+        );
+        statuses.push(testResult.status);
+      }
+
+      const totalTime = Date.now() - startTime;
+      return {
+        runner,
+        totalTime,
+        averageTime: Math.round(totalTime / sample.length),
+        mutantsPerMinute: Math.round((sample.length / totalTime) * 60000 * 10) / 10,
+        statuses,
+      };
+    };
+
+    try {
+      const spawnResult = await measure("spawn");
+      const poolResult = await measure("pool");
+
+      return {
+        sampleSize: sample.length,
+        spawn: spawnResult,
+        pool: poolResult,
+        speedup: Math.round((spawnResult.totalTime / poolResult.totalTime) * 100) / 100,
+        mismatches: spawnResult.statuses.filter(
+          (status, index) => status !== poolResult.statuses[index]
+        ).length,
+      };
+    } finally {
+      this.closeWorkerPool();
+      this.mutationRunner = configuredRunner;
+    }
+  }
+
+  /**
+   * Whether pooled runs can reuse transformed files for the rest of the run
+   * In-place mutants change the file contents, which are part of Jest's cache
+   * key. Schemata builds depend on the manifest instead, so caching is only
+   * safe once every file of the run is in it.
+   */
+  canCacheTransforms() {
+    return !this.useSchemata || this.schemataComplete;
+  }
+
+  /**
+   * Transform cache shared by the pooled runs of this mutation run
+   */
+  getJestCacheDirectory() {
+    if (!this.jestCacheDirectory) {
+      this.jestCacheDirectory = path.join(
+        os.tmpdir(),
+        `jest-lineage-cache-${process.pid}-${Date.now()}`
+      );
+    }
+    return this.jestCacheDirectory;
+  }
+
+  /**
+   * Resolve how to start Jest: the project's own jest binary through node,
+   * falling back to npx when Jest can't be resolved from the project
+   */
+  resolveJestCommand(cwd, jestArgs) {
+    try {
+      const jestBin = require.resolve("jest/bin/jest", { paths: [cwd] });
+      return { command: process.execPath, args: [jestBin, ...jestArgs] };
+    } catch (error) {
+      const npx = process.platform === "win32" ? "npx.cmd" : "npx";
+      return { command: npx, args: ["jest", ...jestArgs] };
+    }
+  }
+
   /**
    * Restore a file to its original state (synchronous)
    */
   restoreFile(filePath) {
-    if (this.config.debugMutations) {
-      // In debug mode, don't restore original files
+    if (this.config.debugMutations || this.useSchemata) {
+      // Debug and schemata modes never modify original files
       return;
     }
 
@@ -1019,89 +2662,22 @@ class MutationTester {
       return [];
     }
 
-    try {
-      const {
-        getPossibleMutations,
-      } = require("./babel-plugin-mutation-tester");
-      return getPossibleMutations(filePath, lineNumber, sourceCode);
-    } catch (error) {
-      // If AST analysis fails, return empty array to skip this line
-      return [];
-    }
+    return [
+      ...new Set(
+        this.getLineMutants(filePath, lineNumber).map(
+          (mutant) => mutant.mutationType
+        )
+      ),
+    ];
   }
 
   /**
    * Test if a specific mutation type can be applied to a line
    */
   canApplyMutation(sourceCode, filePath, lineNumber, mutationType) {
-    try {
-      const babel = require("@babel/core");
-      const {
-        createMutationPlugin,
-      } = require("./babel-plugin-mutation-tester");
-      const fs = require("fs");
-
-      // Read the full file content for proper AST parsing
-      const fullFileContent = fs.readFileSync(filePath, "utf8");
-
-      // Create a test mutation plugin
-      const mutationPlugin = createMutationPlugin(lineNumber, mutationType);
-
-      // Try to transform the full file
-      const result = babel.transformSync(fullFileContent, {
-        plugins: [mutationPlugin],
-        filename: filePath,
-        parserOpts: {
-          sourceType: "module",
-          allowImportExportEverywhere: true,
-          plugins: ["typescript", "jsx"],
-        },
-        babelrc: false,
-        configFile: false,
-      });
-
-      // Check if the mutation was actually applied by comparing the specific line
-      if (result?.code) {
-        const originalLines = fullFileContent.split("\n");
-        const mutatedLines = result.code.split("\n");
-        const originalLine = originalLines[lineNumber - 1] || "";
-        const mutatedLine = mutatedLines[lineNumber - 1] || "";
-        return originalLine.trim() !== mutatedLine.trim();
-      }
-
-      return false;
-    } catch (error) {
-      // If transformation fails, this mutation type can't be applied
-      return false;
-    }
-  }
-
-  /**
-   * Extract test file path and test name from test name using lineage data
-   */
-  getTestFileFromTestName(testName) {
-    // Search through lineage data to find the test file for this test name
-    for (const [, lines] of Object.entries(this.lineageData)) {
-      for (const [, tests] of Object.entries(lines)) {
-        for (const test of tests) {
-          if (test.testName === testName && test.testFile) {
-            return {
-              testFile: test.testFile,
-              testName: test.testName
-            };
-          }
-        }
-      }
-    }
-
-    // Fallback to calculator test if not found (for backward compatibility)
-    console.warn(
-      `⚠️ Could not find test file for test "${testName}", using fallback`
+    return this.getLineMutants(filePath, lineNumber).some(
+      (mutant) => mutant.mutationType === mutationType
     );
-    return {
-      testFile: "src/__tests__/calculator.test.ts",
-      testName: testName
-    };
   }
 
   /**
@@ -1130,8 +2706,67 @@ class MutationTester {
       console.log(`✅ Killed: ${results.killedMutations}`);
       console.log(`🔴 Survived: ${results.survivedMutations}`);
       console.log(`⏰ Timeout: ${results.timeoutMutations}`);
-      console.log(`❌ Error: ${results.errorMutations}`);
-      console.log(`🎯 Mutation Score: ${results.mutationScore}%`);
+      console.log(`🙈 Ignored: ${results.ignoredMutations || 0}`);
+      console.log(`🕳️ No coverage: ${results.noCoverageMutations || 0}`);
+      console.log(
+        `❌ Error: ${results.errorMutations} (runtime: ${results.runtimeErrorMutations || 0}, compile: ${results.compileErrorMutations || 0})`
+      );
+      console.log(
+        `🎯 Mutation Score: ${results.mutationScore}% (covered code: ${
+          results.coveredMutationScore !== undefined
+            ? results.coveredMutationScore
+            : results.mutationScore
+        }%)`
+      );
+
+      if (results.scope) {
+        console.log(`🔎 Scope: ${results.scope.description}`);
+      }
+      if (results.timeoutCalibration) {
+        const calibration = results.timeoutCalibration;
+        console.log(
+          `⏱️ Timeouts: ${calibration.timeoutFactor} × baseline + ${calibration.timeoutMs}ms (${calibration.testsMeasured} tests measured in ${calibration.baselineTime}ms)`
+        );
+      }
+      if (results.incremental) {
+        console.log(
+          `🔀 Incremental (since ${results.incremental.since}): ${results.incremental.freshMutations} fresh, ${results.incremental.reusedMutations} reused from previous run`
+        );
+      }
+      if (results.cacheStats) {
+        console.log(
+          `💾 Cache: ${results.cacheStats.hits} hits, ${results.cacheStats.misses} misses (${results.cacheStats.size} entries${
+            results.cacheStats.pruned ? `, ${results.cacheStats.pruned} outdated pruned` : ""
+          })`
+        );
+      }
+      if (results.resumeStats) {
+        console.log(
+          `⏯️ Resumed: ${results.resumeStats.resumed} mutants from the checkpoint journal`
+        );
+      }
+      if (results.testPrioritization && results.testPrioritization.mutants > 0) {
+        const prioritization = results.testPrioritization;
+        console.log(
+          `⚡ Test prioritization: ${prioritization.killedByFirstTest} mutants killed by their first test, ${prioritization.testsSkipped}/${prioritization.testsCovering} covering tests skipped, ~${prioritization.averageTimeSaved}ms saved per mutant`
+        );
+      }
+      if (results.higherOrder) {
+        console.log(
+          `🧬 Higher-order mutants: ${results.higherOrder.totalMutations} tested, ${results.higherOrder.survivedMutations} survived although each of their faults is killed alone (${results.higherOrder.mutationScore}% score)`
+        );
+      }
+      if (results.subsumption) {
+        const subsumption = results.subsumption;
+        console.log(
+          `🧩 Minimal mutant set: ${subsumption.minimalMutants} of ${subsumption.analyzedMutants} mutants, ${subsumption.redundantMutants} redundant (${subsumption.minimalMutantScore}% score)`
+        );
+        if (subsumption.partialMutants > 0) {
+          console.log(
+            `   ${subsumption.partialMutants} killed mutants left out: their kill set is incomplete (cached or stopped early, re-run with --no-cache)`
+          );
+        }
+      }
 
       if (results.mutationScore < (this.config.mutationThreshold || 80)) {
         console.log(
@@ -1142,112 +2777,42 @@ class MutationTester {
       } else {
         console.log(`🎉 Mutation score meets threshold!`);
       }
-    }
-  }
 
-  /**
-   * Get a preview of what the mutated code would look like
-   */
-  getMutatedCodePreview(originalCode, mutationType) {
-    try {
-      // Simple text-based mutations for preview
-      switch (mutationType) {
-        case "arithmetic":
-          return originalCode
-            .replace(/\+/g, "-")
-            .replace(/\*/g, "/")
-            .replace(/-/g, "+")
-            .replace(/\//g, "*");
-        case "logical":
-          return originalCode.replace(/&&/g, "||").replace(/\|\|/g, "&&");
-        case "conditional":
-          // For conditional mutations, we negate the entire condition
-          // This is a simplified preview - the actual mutation is more complex
-          if (
-            originalCode.includes("if (") ||
-            originalCode.includes("} else if (")
-          ) {
-            return originalCode
-              .replace(/if\s*\(([^)]+)\)/g, "if (!($1))")
-              .replace(/else if\s*\(([^)]+)\)/g, "else if (!($1))");
-          }
-          return `${originalCode} /* condition negated */`;
-        case "comparison":
-          let result = originalCode;
-          // Handle strict equality/inequality first to avoid conflicts
-          result = result.replace(/===/g, "__TEMP_STRICT_EQ__");
-          result = result.replace(/!==/g, "__TEMP_STRICT_NEQ__");
-          result = result.replace(/>=/g, "__TEMP_GTE__");
-          result = result.replace(/<=/g, "__TEMP_LTE__");
-
-          // Now handle simple operators
-          result = result.replace(/>/g, "<");
-          result = result.replace(/</g, ">");
-          result = result.replace(/==/g, "!=");
-          result = result.replace(/!=/g, "==");
-
-          // Restore complex operators with mutations
-          result = result.replace(/__TEMP_STRICT_EQ__/g, "!==");
-          result = result.replace(/__TEMP_STRICT_NEQ__/g, "===");
-          result = result.replace(/__TEMP_GTE__/g, "<");
-          result = result.replace(/__TEMP_LTE__/g, ">");
-
-          return result;
-        case "returns":
-          return originalCode.replace(/return\s+([^;]+);?/g, "return null;");
-        case "literals":
-          return originalCode
-            .replace(/true/g, "false")
-            .replace(/false/g, "true")
-            .replace(/\d+/g, "0");
-        default:
-          // Don't apply invalid mutations - return original code unchanged
-          console.warn(
-            `⚠️ Unknown mutation type '${mutationType}' - skipping mutation`
+      if (results.thresholds) {
+        const failed = getFailedThresholds(results.thresholds);
+        console.log(
+          `📏 Thresholds: ${failed.length} of ${results.thresholds.length} scopes below their low or break level`
+        );
+        failed.forEach((scope) => {
+          const level = scope.rating === "broken" ? `break ${scope.break}` : `low ${scope.low}`;
+          console.log(
+            `  ${scope.rating === "broken" ? "❌" : "⚠️"} ${scope.pattern}: ${scope.score}% (${level}%)`
           );
-          return originalCode;
+        });
       }
-    } catch (error) {
-      console.warn(
-        `⚠️ Mutation error for type '${mutationType}': ${error.message}`
-      );
-      return originalCode;
     }
   }
 
   /**
    * Determine which tests killed this mutation
+   * Failed tests reported by Jest are matched back to the lineage tests by
+   * file and full name; tests missing from the lineage data get a new ID.
+   * @returns {string[]} Test IDs
    */
   getKillingTests(testResult, tests) {
-    // If the test failed, it means the mutation was killed
-    if (testResult.success === false) {
-      const killedBy = [];
-
-      // Try to extract test names from the output
-      if (testResult.output) {
-        tests.forEach((test) => {
-          // Try multiple patterns to find test names in output
-          const testName = test.testName;
-          if (
-            testResult.output.includes(testName) ||
-            testResult.output.includes(`"${testName}"`) ||
-            testResult.output.includes(`'${testName}'`) ||
-            testResult.output.includes(testName.replace(/\s+/g, " "))
-          ) {
-            killedBy.push(testName);
-          }
-        });
-      }
-
-      // If we couldn't identify specific tests, return the test names from lineage data
-      // since we know these tests cover this line
-      if (killedBy.length === 0 && tests.length > 0) {
-        return tests.map((test) => test.testName);
-      }
+    const failedTests = testResult.failedTests || [];
+    const killedBy = failedTests.map((failed) => {
+      const match = tests.find((test) => isSameTest(test, failed));
+      return match
+        ? match.testId
+        : createTestId({
+            testFile: failed.testFile,
+            describePath: failed.ancestorTitles || [],
+            name: failed.title,
+          });
+    });
 
-      return killedBy;
-    }
-    return [];
+    return [...new Set(killedBy)];
   }
 
   /**
@@ -1287,6 +2852,7 @@ class MutationTester {
 
     this.tempFiles.clear();
     this.originalFileContents.clear();
+    this.removeSchemataManifest();
     console.log("🎯 Emergency cleanup completed");
   }
 
@@ -1301,6 +2867,8 @@ class MutationTester {
     }
     this.tempFiles.clear();
     this.originalFileContents.clear();
+    this.removeSchemataManifest();
+    this.closeWorkerPool();
 
     // In debug mode, keep the debug files but log their location
     if (this.config.debugMutations && this.debugMutationFiles.size > 0) {
@@ -2,6 +2,10 @@ const fs = require('fs');
 const path = require('path');
 const { loadConfig } = require('./config');
 const MutationTester = require('./MutationTester');
+const LineageStore = require('./LineageStore');
+const { migrateLineageTest } = require('./lineage-schema');
+const { createTestId, getTestTitlePath } = require('./utils/test-id');
+const { isErrorStatus } = require('./mutation-results');
 
 class TestCoverageReporter {
   constructor(globalConfig, options) {
@@ -73,7 +77,9 @@ class TestCoverageReporter {
 
         // Convert to our expected format
         const processedTests = testInfos.map(testInfo => ({
+          id: testInfo.testId,
           name: testInfo.testName,
+          describePath: testInfo.describePath || [],
           file: path.basename(testInfo.testFile || testFilePath),
           fullPath: testInfo.testFile || testFilePath,
           executionCount: testInfo.executionCount || 1,
@@ -187,6 +193,15 @@ class TestCoverageReporter {
     }
   }
 
+  // This method is called before any test runs.
+  onRunStart() {
+    // Without merging, shards of an earlier run that never completed are stale
+    const store = new LineageStore();
+    if (!store.merge) {
+      store.discardShards();
+    }
+  }
+
   // This method is called after all tests in the entire run have completed.
   async onRunComplete(_contexts, _results) {
     // Try to get precise tracking data before generating reports
@@ -258,7 +273,7 @@ class TestCoverageReporter {
 
       // Clear existing coverage data and replace with precise data
       this.coverageData = {};
-      this.processFileTrackingData(global.__LINEAGE_PERSISTENT_DATA__);
+      this.processFileTrackingData(global.__LINEAGE_PERSISTENT_DATA__.map(migrateLineageTest));
       return true;
     }
 
@@ -309,10 +324,14 @@ class TestCoverageReporter {
         }
 
         lineageData[filePath][lineNumber] = tests.map(test => ({
+          testId: test.id || createTestId({ testFile: test.file, name: test.name || 'Unknown test' }),
           testName: test.name || test.testName || 'Unknown test',
+          describePath: test.describePath || [],
           testType: test.testType || test.type || 'it',
           testFile: test.testFile || test.file || 'unknown',
           executionCount: test.executionCount || 1,
+          duration: test.duration || 0,
+          depth: test.minDepth || 1, // Shallowest call depth at which the test reached this line
         }));
       }
     }
@@ -328,13 +347,12 @@ class TestCoverageReporter {
 
   readTrackingDataFromFile() {
     try {
-      const filePath = path.join(process.cwd(), '.jest-lineage-data.json');
-      if (fs.existsSync(filePath)) {
-        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      // Folds the shards the test workers appended during this run into the file
+      const store = new LineageStore({ format: loadConfig(this.options).lineageDataFormat });
+      const filePath = store.dataPath;
+      const data = store.read();
+      if (data) {
         console.log(`📖 Read tracking data: ${data.tests.length} tests from file`);
-
-
-
         return data.tests;
       } else {
         console.log(`⚠️ Tracking data file not found: ${filePath}`);
@@ -364,33 +382,14 @@ class TestCoverageReporter {
           return;
         }
 
-        if (!testData.coverage || typeof testData.coverage !== 'object') {
-          console.warn(`⚠️ Skipping test data with invalid coverage at index ${index}:`, testData.name);
+        if (!Array.isArray(testData.lines)) {
+          console.warn(`⚠️ Skipping test data with invalid line records at index ${index}:`, testData.name);
           return;
         }
 
-        // testData.coverage is now a plain object, not a Map
-        Object.entries(testData.coverage).forEach(([key, count]) => {
+        testData.lines.forEach((record) => {
           try {
-            // Skip metadata, depth, and performance entries for now (process them separately)
-            if (key.includes(':meta') || key.includes(':depth') || key.includes(':performance')) {
-              return;
-            }
-
-            const parts = key.split(':');
-            if (parts.length < 2) {
-              console.warn(`⚠️ Invalid key format: ${key}`);
-              return;
-            }
-
-            const lineNumber = parts.pop(); // Last part is line number
-            const filePath = parts.join(':'); // Rejoin in case path contains colons
-
-            // Validate line number
-            if (isNaN(parseInt(lineNumber))) {
-              console.warn(`⚠️ Invalid line number: ${lineNumber} for file: ${filePath}`);
-              return;
-            }
+            const { file: filePath, line: lineNumber, hits: count } = record;
 
             // Skip test files and node_modules
             if (filePath.includes('__tests__') ||
@@ -404,17 +403,10 @@ class TestCoverageReporter {
             //console.log(`🔍 DEBUG: Processing coverage for ${filePath}:${lineNumber} (count: ${count})`);
             processedLines++;
 
-            // Get depth data for this line
-            const depthKey = `${filePath}:${lineNumber}:depth`;
-            const depthData = testData.coverage[depthKey] || { 1: count };
-
-            // Get metadata for this line
-            const metaKey = `${filePath}:${lineNumber}:meta`;
-            const metaData = testData.coverage[metaKey] || {};
-
-            // Get performance data for this line
-            const performanceKey = `${filePath}:${lineNumber}:performance`;
-            const performanceData = testData.coverage[performanceKey] || {
+            // Call depth, metadata and performance data recorded for this line
+            const depthData = record.depth || { 1: count };
+            const metaData = record.meta || {};
+            const performanceData = record.perf || {
               totalExecutions: count,
               totalCpuTime: 0,
               totalWallTime: 0,
@@ -436,7 +428,9 @@ class TestCoverageReporter {
 
             // Add test with precise tracking information including depth, performance, and quality
             const testInfo = {
+              id: testData.id,
               name: testData.name || 'Unknown test',
+              describePath: testData.describePath || [],
               file: testData.testFile || 'unknown-test-file',
               fullPath: testData.testFile || 'unknown-test-file',
               executionCount: typeof count === 'number' ? count : 1,
@@ -487,7 +481,7 @@ class TestCoverageReporter {
             // console.log(`🔍 DEBUG: Added coverage for "${filePath}":${lineNumber} -> ${testData.name} (${count} executions)`);
 
           } catch (entryError) {
-            console.warn(`⚠️ Error processing coverage entry ${key}:`, entryError.message);
+            console.warn(`⚠️ Error processing coverage entry ${record.file}:${record.line}:`, entryError.message);
           }
         });
       } catch (testError) {
@@ -523,7 +517,7 @@ class TestCoverageReporter {
         const testInfos = lineCoverage[line];
         const uniqueTests = this.deduplicateTests(testInfos);
         uniqueTests.forEach(testInfo => {
-          const testName = typeof testInfo === 'string' ? testInfo : testInfo.name;
+          const testName = typeof testInfo === 'string' ? testInfo : getTestTitlePath(testInfo);
           const testFile = typeof testInfo === 'object' ? testInfo.file : 'Unknown';
           const executionCount = typeof testInfo === 'object' ? testInfo.executionCount : 1;
           const trackingType = typeof testInfo === 'object' && testInfo.type === 'precise' ? '✅ PRECISE' : '⚠️ ESTIMATED';
@@ -1442,6 +1436,10 @@ class TestCoverageReporter {
             background: #fff3cd;
             color: #856404;
         }
+        .mutation-stat.ignored {
+            background: #e2e3e5;
+            color: #383d41;
+        }
         .mutation-details {
             margin-top: 15px;
         }
@@ -1481,6 +1479,10 @@ class TestCoverageReporter {
             background: #f8d7da;
             border-left: 4px solid #dc3545;
         }
+        .mutation-item.ignored {
+            background: #e2e3e5;
+            border-left: 4px solid #6c757d;
+        }
         .mutation-type {
             background: #6c757d;
             color: white;
@@ -1505,6 +1507,21 @@ class TestCoverageReporter {
             font-style: italic;
             flex: 1;
         }
+        .mutation-code {
+            flex-basis: 100%;
+            font-family: 'Courier New', monospace;
+            font-size: 12px;
+        }
+        mark.mutation-span-original {
+            background: #f5c6cb;
+            color: inherit;
+            border-radius: 2px;
+        }
+        mark.mutation-span-mutated {
+            background: #c3e6cb;
+            color: inherit;
+            border-radius: 2px;
+        }
 
         /* Mutation Dashboard Styles */
         .mutations-overview {
@@ -1603,6 +1620,12 @@ class TestCoverageReporter {
         .fill.error {
             background: #dc3545;
         }
+        .mutation-no-coverage {
+            color: #6f42c1;
+        }
+        .fill.no-coverage {
+            background: #6f42c1;
+        }
         .mutations-files {
             margin-top: 30px;
         }
@@ -1693,6 +1716,14 @@ class TestCoverageReporter {
             background: #fff3cd;
             border-left-color: #ffc107;
         }
+        .mutation-detail.ignored {
+            background: #e2e3e5;
+            border-left-color: #6c757d;
+        }
+        .mutation-detail.no-coverage {
+            background: #f3eefc;
+            border-left-color: #6f42c1;
+        }
         .mutation-header {
             display: flex;
             justify-content: space-between;
@@ -1712,6 +1743,19 @@ class TestCoverageReporter {
             font-weight: 500;
             text-transform: uppercase;
         }
+        .mutation-reused {
+            background: #e9ecef;
+            color: #495057;
+            padding: 2px 6px;
+            border-radius: 3px;
+            font-size: 11px;
+            font-weight: 500;
+        }
+        .mutation-position {
+            color: #6c757d;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+        }
         .mutation-change {
             margin: 8px 0;
             font-size: 13px;
@@ -1727,6 +1771,16 @@ class TestCoverageReporter {
             color: #6c757d;
             font-style: italic;
         }
+        mark.mutation-span-original {
+            background: #f5c6cb;
+            color: inherit;
+            border-radius: 2px;
+        }
+        mark.mutation-span-mutated {
+            background: #c3e6cb;
+            color: inherit;
+            border-radius: 2px;
+        }
     </style>
     <script>
         function toggleCoverage(lineNumber, filePath) {
@@ -1965,7 +2019,7 @@ class TestCoverageReporter {
                 <div class="test-file">📁 ${testFile}</div>`;
                 tests.forEach(testInfo => {
                   if (testInfo) {
-                    const testName = typeof testInfo === 'string' ? testInfo : (testInfo.name || 'Unknown test');
+                    const testName = typeof testInfo === 'string' ? testInfo : getTestTitlePath({ ...testInfo, name: testInfo.name || 'Unknown test' });
                     const executionCount = typeof testInfo === 'object' ? (testInfo.executionCount || 1) : 1;
                     const trackingType = typeof testInfo === 'object' && testInfo.type === 'precise' ? 'PRECISE' : 'ESTIMATED';
 
@@ -2038,7 +2092,7 @@ class TestCoverageReporter {
   deduplicateTests(testInfos) {
     const seen = new Set();
     return testInfos.filter(testInfo => {
-      const key = typeof testInfo === 'string' ? testInfo : testInfo.name;
+      const key = typeof testInfo === 'string' ? testInfo : testInfo.id || testInfo.name;
       if (seen.has(key)) {
         return false;
       }
@@ -2451,8 +2505,8 @@ class TestCoverageReporter {
     allFiles.forEach(file => {
       Object.values(this.coverageData[file]).forEach(tests => {
         tests.forEach(test => {
-          // Use test name to identify unique tests, not the entire test object
-          uniqueTestNames.add(test.name);
+          // Use the test ID to identify unique tests, not the entire test object
+          uniqueTestNames.add(test.id || test.name);
         });
       });
     });
@@ -2482,6 +2536,7 @@ class TestCoverageReporter {
                 <h2>🧪 Test Quality Analysis</h2>
                 <div id="quality-dashboard"></div>
             </div>
+            ${this.generateRedundantTestsHtml()}
         </div>
 
         <div id="mutations-view" style="display: none;">
@@ -2997,23 +3052,32 @@ class TestCoverageReporter {
                     killed: mutationData.killedMutations || 0,
                     survived: mutationData.survivedMutations || 0,
                     timeout: mutationData.timeoutMutations || 0,
-                    error: mutationData.errorMutations || 0
+                    error: mutationData.errorMutations || 0,
+                    ignored: mutationData.ignoredMutations || 0,
+                    noCoverage: mutationData.noCoverageMutations || 0
                 };
                 const mutationScore = mutationData.mutationScore || 0;
+                // Score of the tested mutants only, leaving out uncovered lines
+                const coveredMutationScore = mutationData.coveredMutationScore !== undefined ? mutationData.coveredMutationScore : mutationScore;
                 const scoreClass = mutationScore >= 80 ? 'excellent' : mutationScore >= 60 ? 'good' : mutationScore >= 40 ? 'fair' : 'poor';
 
                 let html = \`
                     <div class="mutations-overview">
                         <div class="mutations-summary-cards">
                             <div class="summary-card \${scoreClass}">
-                                <h3>🎯 Mutation Score</h3>
+                                <h3>🎯 Total Mutation Score</h3>
                                 <div class="big-number">\${mutationScore}%</div>
                                 <div class="subtitle">\${summary.killed}/\${summary.total} mutations killed</div>
                             </div>
+                            <div class="summary-card">
+                                <h3>🧪 Covered Code Score</h3>
+                                <div class="big-number">\${coveredMutationScore}%</div>
+                                <div class="subtitle">\${summary.noCoverage > 0 ? \`Excluding \${summary.noCoverage} mutants on uncovered lines\` : 'Every mutant is covered by a test'}</div>
+                            </div>
                             <div class="summary-card">
                                 <h3>🔬 Total Mutations</h3>
                                 <div class="big-number">\${summary.total}</div>
-                                <div class="subtitle">Generated across all files</div>
+                                <div class="subtitle">\${summary.ignored > 0 ? \`Generated across all files, \${summary.ignored} ignored\` : 'Generated across all files'}</div>
                             </div>
                             <div class="summary-card survived">
                                 <h3>🔴 Survived</h3>
@@ -3042,6 +3106,10 @@ class TestCoverageReporter {
                                     <span class="mutation-timeout">⏰ Timeout: \${summary.timeout || 0} mutations</span>
                                     <div class="bar"><div class="fill timeout" style="width: \${summary.total > 0 ? ((summary.timeout || 0)/summary.total)*100 : 0}%"></div></div>
                                 </div>
+                                <div class="mutation-bar">
+                                    <span class="mutation-no-coverage">🕳️ No coverage: \${summary.noCoverage} mutations</span>
+                                    <div class="bar"><div class="fill no-coverage" style="width: \${summary.total > 0 ? (summary.noCoverage/summary.total)*100 : 0}%"></div></div>
+                                </div>
                                 <div class="mutation-bar">
                                     <span class="mutation-error">❌ Error: \${summary.error || 0} mutations</span>
                                     <div class="bar"><div class="fill error" style="width: \${summary.total > 0 ? ((summary.error || 0)/summary.total)*100 : 0}%"></div></div>
@@ -3065,7 +3133,7 @@ class TestCoverageReporter {
 
                     Object.entries(mutationData.fileResults).forEach(([filePath, fileData]) => {
                         const fileName = filePath.split('/').pop();
-                        const fileScore = fileData.totalMutations > 0 ? Math.round((fileData.killedMutations / fileData.totalMutations) * 100) : 0;
+                        const fileScore = fileData.totalMutations > 0 ? Math.round(((fileData.killedMutations + (fileData.timeoutMutations || 0)) / fileData.totalMutations) * 100) : 0;
                         const fileScoreClass = fileScore >= 80 ? 'excellent' : fileScore >= 60 ? 'good' : fileScore >= 40 ? 'fair' : 'poor';
                         const statusIcon = fileScore >= 80 ? '🏆' : fileScore >= 60 ? '✅' : fileScore >= 40 ? '⚠️' : '❌';
 
@@ -3119,24 +3187,35 @@ class TestCoverageReporter {
                         <div class="mutations-list">\`;
 
                     mutations.forEach(mutation => {
+                        const position = mutation.location ?
+                            \`\${mutation.location.start.line}:\${mutation.location.start.column + 1}\` : line;
+                        const highlight = mutation.highlight || {};
                         const statusClass = mutation.status === 'killed' ? 'killed' :
-                                          mutation.status === 'survived' ? 'survived' : 'error';
+                                          mutation.status === 'survived' ? 'survived' :
+                                          mutation.status === 'ignored' ? 'ignored' :
+                                          mutation.status === 'noCoverage' ? 'no-coverage' : 'error';
                         const statusIcon = mutation.status === 'killed' ? '✅' :
-                                         mutation.status === 'survived' ? '❌' : '⚠️';
+                                         mutation.status === 'survived' ? '❌' :
+                                         mutation.status === 'ignored' ? '🙈' :
+                                         mutation.status === 'noCoverage' ? '🕳️' : '⚠️';
 
                         const testsInfo = mutation.killedBy && mutation.killedBy.length > 0 ?
                             \`Killed by: \${mutation.killedBy.join(', ')}\` :
                             mutation.status === 'survived' ? 'No tests killed this mutation' :
+                            mutation.status === 'ignored' ? \`Ignored: \${mutation.statusReason}\` :
+                            mutation.status === 'noCoverage' ? 'No test covers this line' :
                             mutation.error ? \`Error: \${mutation.error}\` : 'Unknown status';
 
                         html += \`<div class="mutation-detail \${statusClass}">
                             <div class="mutation-header">
                                 <span class="mutation-status">\${statusIcon} \${mutation.status.toUpperCase()}</span>
                                 <span class="mutation-type">\${mutation.mutatorName || mutation.type || 'Unknown'}</span>
+                                \${mutation.reused ? '<span class="mutation-reused" title="Result reused from a previous run">CACHED</span>' : ''}
+                                <span class="mutation-position">\${position}</span>
                             </div>
                             <div class="mutation-change">
-                                <strong>Original:</strong> <code>\${mutation.original || 'N/A'}</code><br>
-                                <strong>Mutated:</strong> <code>\${mutation.replacement || 'N/A'}</code>
+                                <strong>Original:</strong> <code>\${highlightMutationCode(mutation.original, highlight.start, highlight.originalEnd, 'mutation-span-original')}</code><br>
+                                <strong>Mutated:</strong> <code>\${highlightMutationCode(mutation.replacement, highlight.start, highlight.replacementEnd, 'mutation-span-mutated')}</code>
                             </div>
                             <div class="mutation-tests">\${testsInfo}</div>
                         </div>\`;
@@ -3149,6 +3228,22 @@ class TestCoverageReporter {
                 return html;
             }
 
+            function highlightMutationCode(text, start, end, className) {
+                if (!text) {
+                    return 'N/A';
+                }
+                const escape = (value) => value
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;');
+                if (start === undefined || end === undefined) {
+                    return escape(text);
+                }
+                return escape(text.slice(0, start)) +
+                    \`<mark class="\${className}">\${escape(text.slice(start, end))}</mark>\` +
+                    escape(text.slice(end));
+            }
+
             function toggleFileDetails(fileId) {
                 const details = document.getElementById('details-' + fileId);
                 if (details) {
@@ -3193,10 +3288,13 @@ class TestCoverageReporter {
     const totalMutations = mutationResults.length;
     const killedMutations = mutationResults.filter(m => m.status === 'killed').length;
     const survivedMutations = mutationResults.filter(m => m.status === 'survived').length;
-    const errorMutations = mutationResults.filter(m => m.status === 'error').length;
+    const errorMutations = mutationResults.filter(m => isErrorStatus(m.status)).length;
     const timeoutMutations = mutationResults.filter(m => m.status === 'timeout').length;
+    const ignoredMutations = mutationResults.filter(m => m.status === 'ignored').length;
 
-    const mutationScore = totalMutations > 0 ? Math.round((killedMutations / totalMutations) * 100) : 0;
+    // Ignored mutants are never tested, so they don't count towards the score; timeouts count as detected
+    const scoredMutations = totalMutations - ignoredMutations;
+    const mutationScore = scoredMutations > 0 ? Math.round(((killedMutations + timeoutMutations) / scoredMutations) * 100) : 0;
     const scoreClass = mutationScore >= 80 ? 'mutation-score-good' :
                       mutationScore >= 60 ? 'mutation-score-fair' : 'mutation-score-poor';
 
@@ -3217,6 +3315,9 @@ class TestCoverageReporter {
     if (timeoutMutations > 0) {
       html += `<span class="mutation-stat timeout">⏰ ${timeoutMutations} timeout</span>`;
     }
+    if (ignoredMutations > 0) {
+      html += `<span class="mutation-stat ignored">🙈 ${ignoredMutations} ignored</span>`;
+    }
 
     html += `
                         </div>
@@ -3227,8 +3328,9 @@ class TestCoverageReporter {
     const mutationsByStatus = {
       survived: mutationResults.filter(m => m.status === 'survived'),
       killed: mutationResults.filter(m => m.status === 'killed'),
-      error: mutationResults.filter(m => m.status === 'error'),
-      timeout: mutationResults.filter(m => m.status === 'timeout')
+      error: mutationResults.filter(m => isErrorStatus(m.status)),
+      timeout: mutationResults.filter(m => m.status === 'timeout'),
+      ignored: mutationResults.filter(m => m.status === 'ignored')
     };
 
     // Show survived mutations first (most important)
@@ -3242,6 +3344,7 @@ class TestCoverageReporter {
                                 <span class="mutation-type">${mutation.mutationType}</span>
                                 <span class="mutation-description">${this.getMutationDescription(mutation)}</span>
                                 <span class="mutation-tests">Tests run: ${mutation.testsRun || 0}</span>
+                                ${this.generateMutationCodeHtml(mutation)}
                             </div>`;
       });
       html += `</div>`;
@@ -3258,6 +3361,8 @@ class TestCoverageReporter {
                                 <span class="mutation-type">${mutation.mutationType}</span>
                                 <span class="mutation-description">${this.getMutationDescription(mutation)}</span>
                                 <span class="mutation-tests">Tests run: ${mutation.testsRun || 0}</span>
+                                ${mutation.killedBy && mutation.killedBy.length > 0 ? `<span class="mutation-tests">Killed by: ${this.escapeHtml(mutation.killedBy.join(', '))}</span>` : ''}
+                                ${this.generateMutationCodeHtml(mutation)}
                             </div>`;
       });
       html += `</details>`;
@@ -3271,8 +3376,24 @@ class TestCoverageReporter {
       mutationsByStatus.error.forEach(mutation => {
         html += `
                             <div class="mutation-item error">
+                                <span class="mutation-type">${mutation.mutationType} (${mutation.status})</span>
+                                <span class="mutation-error">${this.escapeHtml(mutation.statusReason || mutation.error || 'Unknown error')}</span>
+                            </div>`;
+      });
+      html += `</details>`;
+    }
+
+    // Show ignored (equivalent or suppressed) mutations with their reason
+    if (mutationsByStatus.ignored.length > 0) {
+      html += `
+                        <details class="mutation-group ignored">
+                            <summary>🙈 Ignored Mutations (${mutationsByStatus.ignored.length})</summary>`;
+      mutationsByStatus.ignored.forEach(mutation => {
+        html += `
+                            <div class="mutation-item ignored">
                                 <span class="mutation-type">${mutation.mutationType}</span>
-                                <span class="mutation-error">${mutation.error || 'Unknown error'}</span>
+                                <span class="mutation-description">${this.escapeHtml(mutation.statusReason || 'Ignored')}</span>
+                                ${this.generateMutationCodeHtml(mutation)}
                             </div>`;
       });
       html += `</details>`;
@@ -3285,6 +3406,84 @@ class TestCoverageReporter {
     return html;
   }
 
+  /**
+   * Generate HTML showing the original and mutated code with the mutated span highlighted
+   */
+  generateMutationCodeHtml(mutation) {
+    if (!mutation.original || !mutation.replacement) {
+      return '';
+    }
+
+    const highlight = mutation.highlight;
+    const format = (text, end, className) => {
+      if (!highlight) {
+        return this.escapeHtml(text);
+      }
+      return this.escapeHtml(text.slice(0, highlight.start)) +
+        `<mark class="${className}">${this.escapeHtml(text.slice(highlight.start, end))}</mark>` +
+        this.escapeHtml(text.slice(end));
+    };
+    const position = mutation.location
+      ? `${mutation.location.start.line}:${mutation.location.start.column + 1}`
+      : `${mutation.lineNumber}`;
+
+    return `<div class="mutation-code">
+                                    <span class="mutation-tests">${position}</span>
+                                    <code>${format(mutation.original, highlight && highlight.originalEnd, 'mutation-span-original')}</code>
+                                    →
+                                    <code>${format(mutation.replacement, highlight && highlight.replacementEnd, 'mutation-span-mutated')}</code>
+                                </div>`;
+  }
+
+  /**
+   * Generate the "Redundant Tests" panel from a test suite minimization
+   */
+  generateRedundantTestsHtml() {
+    const minimization = this.testMinimization;
+    if (!minimization) {
+      return '';
+    }
+
+    const preserved = minimization.usesMutationResults
+      ? `${minimization.requirements.lines} covered lines and ${minimization.requirements.killedMutants} killed mutants`
+      : `${minimization.requirements.lines} covered lines (no mutation results)`;
+    const rows = minimization.redundant.map(test => `<tr>
+                        <td title="${this.escapeHtml(test.testId || '')}">${this.escapeHtml(getTestTitlePath(test))}</td>
+                        <td>${this.escapeHtml(path.basename(test.testFile || 'unknown'))}</td>
+                        <td>${test.duration.toFixed(1)}ms</td>
+                        <td>${test.lines}</td>
+                        <td>${test.killedMutants}</td>
+                        <td title="${this.escapeHtml(test.coveredBy.map(covering => covering.testId || covering.testName).join(', '))}">${this.escapeHtml(test.reason)}</td>
+                    </tr>`).join('');
+
+    return `<div class="quality-analysis">
+                <h2>♻️ Redundant Tests</h2>
+                <div class="quality-stats">
+                    <div class="quality-stat">
+                        <div class="quality-number">${minimization.keptTests}/${minimization.totalTests}</div>
+                        <div class="quality-label">Tests Kept</div>
+                    </div>
+                    <div class="quality-stat">
+                        <div class="quality-number">${minimization.redundantTests}</div>
+                        <div class="quality-label">Redundant Tests</div>
+                    </div>
+                    <div class="quality-stat">
+                        <div class="quality-number">${minimization.timeSaved.toFixed(1)}ms</div>
+                        <div class="quality-label">Time Saved</div>
+                    </div>
+                </div>
+                <p>The kept tests preserve ${preserved}.</p>
+                ${rows ? `<table class="quality-table">
+                    <thead>
+                        <tr><th>Test</th><th>File</th><th>Duration</th><th>Lines</th><th>Kills</th><th>Reason</th></tr>
+                    </thead>
+                    <tbody>
+                    ${rows}
+                    </tbody>
+                </table>` : '<p>✅ No redundant tests found.</p>'}
+            </div>`;
+  }
+
   /**
    * Get a human-readable description of a mutation
    */
@@ -3297,10 +3496,18 @@ class TestCoverageReporter {
       'literals': 'Changed literal value (number, boolean, string)',
       'returns': 'Changed return value to null',
       'increments': 'Changed increment/decrement operator (++, --)',
-      'assignment': 'Changed assignment operator (+=, -=, *=, /=)'
+      'assignment': 'Changed assignment operator (+=, -=, *=, /=)',
+      'optionalChaining': 'Removed optional chaining (?.)',
+      'nullishCoalescing': 'Replaced nullish coalescing (??) with ||',
+      'arrays': 'Emptied array literal',
+      'objects': 'Emptied object literal',
+      'methods': 'Swapped or removed method call (some/every, min/max, filter, ...)',
+      'regex': 'Changed regular expression',
+      'blocks': 'Removed block statement body'
     };
 
-    return descriptions[mutation.mutationType] || `${mutation.mutationType} mutation`;
+    // Custom operators are described by their own label
+    return descriptions[mutation.mutationType] || mutation.mutatorLabel || `${mutation.mutationType} mutation`;
   }
 }
 
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DockerCoordinator = require('../docker/DockerCoordinator');
+
+const lineageData = { 'src/a.js': { 1: [{ testId: 'src/a.test.js › adds', testFile: 'src/a.test.js' }] } };
+const batch = { workerId: 1, mutations: [{ filePath: 'src/a.js', lineNumber: 1, mutationType: 'arithmetic' }] };
+
+describe('DockerCoordinator work files', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-lineage-docker-'));
+    fs.mkdirSync(path.join(directory, 'work'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const writeWork = async (options) => {
+    const coordinator = new DockerCoordinator({ projectPath: directory, dockerWorkers: 1 }, options);
+    coordinator.tempDir = directory;
+    await coordinator.createWorkFiles([batch], lineageData);
+    return JSON.parse(fs.readFileSync(path.join(directory, 'work', 'worker-1-work.json'), 'utf8'));
+  };
+
+  it('tells workers to mutate in place when the schemata probe failed on the host', async () => {
+    expect(await writeWork({ useSchemata: false })).toMatchObject({ useSchemata: false, lineageData });
+    expect(await writeWork({})).toMatchObject({ useSchemata: true });
+  });
+
+  it('passes the timeout baseline calibrated on the host to workers', async () => {
+    const timeoutBaseline = { tests: { 'src/a.test.js › adds': 12 }, overhead: { 'src/a.test.js': 300 }, startupGrace: 0 };
+
+    expect(await writeWork({ timeoutBaseline })).toMatchObject({ timeoutBaseline });
+    expect(await writeWork({})).toMatchObject({ timeoutBaseline: null });
+  });
+
+  it('keeps the cache and journal to the coordinator', async () => {
+    expect((await writeWork({})).config).toMatchObject({ enableMutationCache: false, enableMutationJournal: false, workers: 1 });
+  });
+});
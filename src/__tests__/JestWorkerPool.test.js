@@ -0,0 +1,129 @@
+jest.mock('child_process');
+
+const { EventEmitter } = require('events');
+const { fork } = require('child_process');
+
+const JestWorkerPool = require('../JestWorkerPool');
+
+// Stand-in for a forked jest-pool-worker process
+function createChild() {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.exitCode = null;
+  child.signalCode = null;
+  child.send = jest.fn();
+  child.kill = jest.fn((signal) => {
+    child.signalCode = signal;
+    child.emit('exit', null, signal);
+  });
+  return child;
+}
+
+describe('JestWorkerPool', () => {
+  let children;
+
+  beforeEach(() => {
+    children = [];
+    fork.mockImplementation(() => {
+      const child = createChild();
+      children.push(child);
+      return child;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fork.mockReset();
+  });
+
+  const lastRun = (child) => child.send.mock.calls[child.send.mock.calls.length - 1][0];
+  const finish = (child, exitCode = 0) => child.emit('message', { type: 'done', id: lastRun(child).id, exitCode });
+
+  it('queues runs until one of its workers is free', async () => {
+    const pool = new JestWorkerPool({ size: 2 });
+    const runs = [1, 2, 3].map((n) => pool.run([`test-${n}`], { env: { RUN: String(n) } }));
+
+    expect(children).toHaveLength(2);
+    children.forEach((child) => child.emit('message', { type: 'ready' }));
+    expect(lastRun(children[0])).toMatchObject({ type: 'run', args: ['test-1'], env: { RUN: '1' } });
+    expect(lastRun(children[1])).toMatchObject({ args: ['test-2'] });
+
+    children[1].stdout.emit('data', 'PASS test-2\n');
+    finish(children[1], 1);
+    expect(lastRun(children[1])).toMatchObject({ args: ['test-3'] });
+    finish(children[0]);
+    finish(children[1]);
+
+    const [first, second, third] = await Promise.all(runs);
+    expect(first).toMatchObject({ exitCode: 0, timedOut: false, error: null });
+    expect(second).toMatchObject({ exitCode: 1, output: 'PASS test-2\n' });
+    expect(third).toMatchObject({ exitCode: 0, output: '' });
+    expect(children).toHaveLength(2);
+    expect(pool.getStats()).toEqual({ size: 2, runs: 3 });
+  });
+
+  it("kills a run's worker when it times out, granting fresh workers the startup grace", async () => {
+    jest.useFakeTimers();
+    const pool = new JestWorkerPool({ startupGrace: 500 });
+    const first = pool.run(['slow'], { timeout: 1000 });
+    children[0].emit('message', { type: 'ready' });
+
+    jest.advanceTimersByTime(1200);
+    expect(children[0].kill).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(300);
+
+    expect(children[0].kill).toHaveBeenCalledWith('SIGKILL');
+    expect(await first).toMatchObject({ timedOut: true, error: null });
+
+    // The replacement worker's first run gets the grace too, later runs don't
+    const second = pool.run(['slow'], { timeout: 1000 });
+    children[1].emit('message', { type: 'ready' });
+    finish(children[1]);
+    await second;
+    const third = pool.run(['slow'], { timeout: 1000 });
+    jest.advanceTimersByTime(1000);
+    expect(await third).toMatchObject({ timedOut: true });
+  });
+
+  it('rejects every run when workers cannot load Jest', async () => {
+    const pool = new JestWorkerPool({ size: 2 });
+    const runs = [pool.run(['a']), pool.run(['b'])];
+
+    children[0].stderr.emit('data', "Cannot find module 'jest-cli'\n");
+    children[0].emit('exit', 1, null);
+
+    await expect(runs[0]).rejects.toThrow("Jest worker failed to start: Cannot find module 'jest-cli'");
+    await expect(runs[1]).rejects.toThrow('Jest worker failed to start');
+    await expect(pool.run(['c'])).rejects.toThrow('Jest worker failed to start');
+  });
+
+  it('replaces workers after 50 runs', async () => {
+    const pool = new JestWorkerPool();
+    const runs = Array.from({ length: 51 }, (_, n) => pool.run([`test-${n}`]));
+    children[0].emit('message', { type: 'ready' });
+    for (let n = 0; n < 50; n++) {
+      finish(children[0]);
+    }
+
+    expect(children[0].kill).toHaveBeenCalledWith('SIGKILL');
+    expect(children).toHaveLength(2);
+    children[1].emit('message', { type: 'ready' });
+    finish(children[1]);
+    await Promise.all(runs);
+  });
+
+  it('fails running and queued runs when closed', async () => {
+    const pool = new JestWorkerPool();
+    const running = pool.run(['a']);
+    const queued = pool.run(['b']);
+    children[0].emit('message', { type: 'ready' });
+
+    pool.close();
+
+    expect(await running).toMatchObject({ exitCode: null, error: 'Jest worker pool is closed' });
+    await expect(queued).rejects.toThrow('Jest worker pool is closed');
+    await expect(pool.run(['c'])).rejects.toThrow('Jest worker pool is closed');
+    expect(children[0].kill).toHaveBeenCalledWith('SIGKILL');
+  });
+});
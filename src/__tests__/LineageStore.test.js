@@ -0,0 +1,108 @@
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LineageStore = require('../LineageStore');
+
+// Pid of a process that has already exited
+const getExitedPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+// Run `iterations` critical sections under the lock of `dataPath` in a separate process
+function runLockingProcess(dataPath, iterations) {
+  const script = `
+    const fs = require('fs');
+    const LineageStore = require(${JSON.stringify(require.resolve('../LineageStore'))});
+    const store = new LineageStore({ dataPath: ${JSON.stringify(dataPath)} });
+    const counterPath = ${JSON.stringify(`${dataPath}.counter`)};
+    for (let i = 0; i < ${iterations}; i++) {
+      store.withLock(() => {
+        const count = Number(fs.readFileSync(counterPath, 'utf8'));
+        const until = Date.now() + 2;
+        while (Date.now() < until) {}
+        fs.writeFileSync(counterPath, String(count + 1));
+      });
+    }
+  `;
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', script], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(stderr))));
+  });
+}
+
+describe('LineageStore lock', () => {
+  let directory;
+  let dataPath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-lineage-store-'));
+    dataPath = path.join(directory, '.jest-lineage-data.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const lockFiles = () => fs.readdirSync(directory).filter((name) => name.includes('.lock'));
+
+  it('gives two processes the lock in turn, after breaking a stale lock', async () => {
+    fs.writeFileSync(`${dataPath}.counter`, '0');
+    fs.writeFileSync(`${dataPath}.lock`, String(getExitedPid()));
+
+    await Promise.all([runLockingProcess(dataPath, 25), runLockingProcess(dataPath, 25)]);
+
+    expect(fs.readFileSync(`${dataPath}.counter`, 'utf8')).toBe('50');
+    expect(lockFiles()).toEqual([]);
+  });
+
+  it('takes over a lock whose process has exited and removes it when done', () => {
+    const store = new LineageStore({ dataPath });
+    fs.writeFileSync(store.lockPath, String(getExitedPid()));
+
+    const owner = store.withLock(() => store.readLockOwner());
+
+    expect(owner).toBe(process.pid);
+    expect(lockFiles()).toEqual([]);
+  });
+
+  it('keeps a lock of a running process, however old it is', () => {
+    const store = new LineageStore({ dataPath });
+    const old = new Date(Date.now() - 60 * 60 * 1000);
+    fs.writeFileSync(store.lockPath, String(process.ppid));
+    fs.utimesSync(store.lockPath, old, old);
+
+    expect(store.isLockStale(store.readLockOwner())).toBe(false);
+  });
+
+  it('does not remove a lock another store took after the stale one was found', () => {
+    const first = new LineageStore({ dataPath });
+    const second = new LineageStore({ dataPath });
+    fs.writeFileSync(first.lockPath, String(getExitedPid()));
+    expect(first.isLockStale(first.readLockOwner())).toBe(true);
+
+    // The second store breaks the stale lock and takes its own before the first one acts
+    expect(second.breakStaleLock()).toBe(true);
+    fs.writeFileSync(second.lockPath, String(process.ppid), { flag: 'wx' });
+
+    expect(first.breakStaleLock()).toBe(false);
+    expect(first.readLockOwner()).toBe(process.ppid);
+    expect(lockFiles()).toEqual([path.basename(first.lockPath)]);
+  });
+
+  it('leaves a lock that replaced its own in place when releasing', () => {
+    const store = new LineageStore({ dataPath });
+
+    store.withLock(() => {
+      // Another process judged the lock stale and replaced it
+      fs.rmSync(store.lockPath);
+      fs.writeFileSync(store.lockPath, String(process.ppid));
+    });
+
+    expect(store.readLockOwner()).toBe(process.ppid);
+    expect(lockFiles()).toEqual([path.basename(store.lockPath)]);
+  });
+});
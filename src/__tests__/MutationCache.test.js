@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MutationCache = require('../MutationCache');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const mutant = (lineNumber) => ({ lineNumber, mutationType: 'arithmetic', location: { line: lineNumber, column: 4 } });
+
+describe('MutationCache', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-lineage-cache-'));
+    fs.mkdirSync(path.join(directory, 'src'));
+    fs.writeFileSync(path.join(directory, 'src/a.js'), 'module.exports = (a, b) => a + b;\n');
+    fs.writeFileSync(path.join(directory, 'src/b.js'), 'module.exports = (a) => -a;\n');
+    fs.writeFileSync(path.join(directory, 'src/a.test.js'), "test('adds', () => {});\n");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const open = () => new MutationCache({ projectPath: directory });
+  const store = (cache, file, line) => {
+    const key = cache.getKey(file, mutant(line), ['src/a.test.js']);
+    cache.set(key, { status: 'killed', killedBy: ['src/a.test.js › adds'] });
+    return key;
+  };
+
+  it('resolves verdicts stored by a previous run', () => {
+    const first = open();
+    const key = store(first, 'src/a.js', 1);
+    first.save();
+
+    const second = open();
+
+    expect(second.getKey('src/a.js', mutant(1), ['src/a.test.js'])).toBe(key);
+    expect(second.get(key)).toMatchObject({ status: 'killed', killedBy: ['src/a.test.js › adds'] });
+    expect(second.getStats()).toMatchObject({ hits: 1, misses: 0, size: 1 });
+  });
+
+  it('drops the entries of a file that changed since they were stored', () => {
+    const first = open();
+    const oldKey = store(first, 'src/a.js', 1);
+    const otherKey = store(first, 'src/b.js', 1);
+    first.save();
+
+    fs.writeFileSync(path.join(directory, 'src/a.js'), 'module.exports = (a, b) => b + a;\n');
+    const second = open();
+    const newKey = store(second, 'src/a.js', 1);
+    second.save();
+
+    const { entries } = JSON.parse(fs.readFileSync(second.cachePath, 'utf8'));
+    expect(Object.keys(entries).sort()).toEqual([newKey, otherKey].sort());
+    expect(entries).not.toHaveProperty(oldKey);
+    expect(second.getStats()).toMatchObject({ pruned: 1, size: 2 });
+  });
+
+  it('drops entries when one of their test files changed', () => {
+    const first = open();
+    store(first, 'src/a.js', 1);
+    first.save();
+
+    fs.writeFileSync(path.join(directory, 'src/a.test.js'), "test('adds', () => { expect(1).toBe(1); });\n");
+    const second = open();
+    second.getKey('src/b.js', mutant(1), ['src/a.test.js']);
+    second.save();
+
+    expect(second.getStats()).toMatchObject({ pruned: 1, size: 0 });
+  });
+
+  it('keeps entries of files the run did not look at', () => {
+    const first = open();
+    store(first, 'src/a.js', 1);
+    first.save();
+
+    fs.writeFileSync(path.join(directory, 'src/a.js'), 'module.exports = (a, b) => b + a;\n');
+    const second = open();
+    store(second, 'src/b.js', 1);
+    second.save();
+
+    expect(second.getStats()).toMatchObject({ pruned: 0, size: 2 });
+  });
+
+  it('drops entries no run has used for 30 days', () => {
+    const now = Date.now();
+    const first = open();
+    const unusedKey = store(first, 'src/a.js', 1);
+    const usedKey = store(first, 'src/a.js', 2);
+    first.save();
+
+    // Twenty days later only the second mutant is looked up, and eleven days after that neither is
+    jest.spyOn(Date, 'now').mockReturnValue(now + 20 * DAY_MS);
+    const second = open();
+    second.get(usedKey);
+    second.save();
+    Date.now.mockReturnValue(now + 31 * DAY_MS);
+    const third = open();
+    third.save();
+
+    expect(Object.keys(third.entries)).toEqual([usedKey]);
+    expect(third.entries).not.toHaveProperty(unusedKey);
+  });
+
+  it('does not write the file when nothing changed', () => {
+    const cache = open();
+    cache.save();
+
+    expect(fs.existsSync(cache.cachePath)).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+const path = require('path');
+
+const MutationTester = require('../MutationTester');
+
+const projectPath = path.resolve('/project');
+const testFile = path.join(projectPath, 'src/__tests__/a.test.ts');
+const createTester = (config = {}) =>
+  new MutationTester({ enableMutationCache: false, enableMutationJournal: false, mutationRunner: 'spawn', ...config });
+
+describe('MutationTester timeout baseline', () => {
+  const adds = { testId: 'src/__tests__/a.test.ts › adds', testFile };
+  const subtracts = { testId: 'src/__tests__/a.test.ts › subtracts', testFile };
+
+  const calibratedTester = () => {
+    const tester = createTester({ timeoutFactor: 2, timeoutMs: 100 });
+    tester.timeoutBaseline = {
+      tests: new Map([[adds.testId, 30], [subtracts.testId, 10]]),
+      overhead: new Map([[testFile, 200]])
+    };
+    tester.workerPool = { startupGrace: 1500 };
+    return tester;
+  };
+
+  it('derives mutant timeouts from the baseline of the tests that run', () => {
+    const tester = calibratedTester();
+
+    expect(tester.getMutantTimeout([adds])).toBe((30 + 200) * 2 + 100);
+    expect(tester.getMutantTimeout([adds, subtracts])).toBe((30 + 10 + 200) * 2 + 100);
+    expect(tester.getMutantTimeout([{ testId: 'unmeasured', testFile }])).toBe(5000);
+    expect(createTester().getMutantTimeout([adds])).toBe(5000);
+  });
+
+  it('gives Docker workers the same timeouts for tests given relative to the project', () => {
+    const baseline = JSON.parse(JSON.stringify(calibratedTester().exportTimeoutBaseline(projectPath)));
+    const worker = createTester({ timeoutFactor: 2, timeoutMs: 100 });
+    worker.workerPool = { startupGrace: 0 };
+
+    worker.importTimeoutBaseline(baseline);
+
+    const relativeTest = { ...adds, testFile: 'src/__tests__/a.test.ts' };
+    expect(baseline.overhead).toEqual({ 'src/__tests__/a.test.ts': 200 });
+    expect(worker.getMutantTimeout([relativeTest])).toBe((30 + 200) * 2 + 100);
+    expect(worker.workerPool.startupGrace).toBe(1500);
+  });
+
+  it('exports nothing when the run was not calibrated', () => {
+    expect(createTester().exportTimeoutBaseline(projectPath)).toBeNull();
+  });
+});
+
+describe('MutationTester test prioritization', () => {
+  const sourceFile = path.join(projectPath, 'src/a.ts');
+  const unit = { testId: 'unit', testFile, duration: 40, depth: 1 };
+  const slowUnit = { testId: 'slow unit', testFile, duration: 90, depth: 1 };
+  const broad = { testId: 'broad', testFile, duration: 5, depth: 1 };
+  const indirect = { testId: 'indirect', testFile, duration: 1, depth: 3 };
+
+  // `broad` covers every line, the others only line 1
+  const lineageData = {
+    [sourceFile]: {
+      1: [indirect, broad, slowUnit, unit],
+      2: [broad],
+      3: [broad]
+    }
+  };
+
+  const prioritizedTester = (config = {}) => {
+    const tester = createTester(config);
+    tester.lineageData = lineageData;
+    return tester;
+  };
+
+  it('orders tests by call depth, then lines covered, then duration', () => {
+    const order = prioritizedTester().prioritizeTests(lineageData[sourceFile][1]).map(({ test }) => test.testId);
+
+    expect(order).toEqual(['unit', 'slow unit', 'broad', 'indirect']);
+  });
+
+  it('keeps the lineage order of tests that tie', () => {
+    const second = { ...unit, testId: 'second' };
+    const first = { ...unit, testId: 'first' };
+    const order = prioritizedTester().prioritizeTests([second, first]).map(({ test }) => test.testId);
+
+    expect(order).toEqual(['second', 'first']);
+  });
+
+  it('splits tests into escalating groups of 1, 2, 4, ...', () => {
+    const groups = createTester().createTestGroups([1, 2, 3, 4, 5, 6, 7, 8]);
+
+    expect(groups).toEqual([[1], [2, 3], [4, 5, 6, 7], [8]]);
+  });
+
+  it('stops at the first group that kills the mutant', async () => {
+    const tester = prioritizedTester();
+    const runs = [];
+    tester.runTargetedTests = jest.fn(async (testFiles, tests) => {
+      runs.push(tests.map((test) => test.testId));
+      const killed = tests.some((test) => test.testId === 'slow unit');
+      return { status: killed ? 'killed' : 'survived', executionTime: 10 };
+    });
+
+    const result = await tester.runPrioritizedTests(lineageData[sourceFile][1]);
+
+    expect(runs).toEqual([['unit'], ['slow unit', 'broad']]);
+    expect(result).toMatchObject({ status: 'killed', testsRun: 3, groupsRun: 2, executionTime: 20, timeSaved: 1 });
+  });
+
+  it('runs every covering test at once when prioritization is off', async () => {
+    const tester = prioritizedTester({ prioritizeTests: false });
+    tester.runTargetedTests = jest.fn(async () => ({ status: 'survived', executionTime: 10 }));
+
+    const result = await tester.runPrioritizedTests(lineageData[sourceFile][1]);
+
+    expect(tester.runTargetedTests).toHaveBeenCalledTimes(1);
+    expect(tester.runTargetedTests.mock.calls[0][1].map((test) => test.testId)).toEqual(['indirect', 'broad', 'slow unit', 'unit']);
+    expect(result).toMatchObject({ status: 'survived', testsRun: 4 });
+    expect(result).not.toHaveProperty('timeSaved');
+  });
+});
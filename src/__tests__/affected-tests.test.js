@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { selectAffectedTests, createAffectedTestRuns } = require('../affected-tests');
+
+const lineTest = (testFile, name) => ({
+  testId: `${testFile} › math › ${name}`,
+  testName: name,
+  describePath: ['math'],
+  testFile
+});
+
+// Diff info of a file whose hunks replace `oldLines` lines at `oldStart`
+const changed = (...hunks) => ({
+  addedLines: new Set(),
+  hunks: hunks.map(([oldStart, oldLines]) => ({ oldStart, oldLines, newStart: oldStart, newLines: oldLines }))
+});
+
+describe('selectAffectedTests', () => {
+  let projectPath;
+  let file;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-lineage-affected-'));
+    file = (relativePath) => path.join(projectPath, relativePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const writeFile = (relativePath, content) => {
+    fs.mkdirSync(path.dirname(file(relativePath)), { recursive: true });
+    fs.writeFileSync(file(relativePath), content);
+  };
+
+  it('selects the tests covering changed lines', () => {
+    const adds = lineTest(file('src/__tests__/math.test.js'), 'adds');
+    const subtracts = lineTest(file('src/__tests__/math.test.js'), 'subtracts');
+    const lineageData = { [file('src/math.js')]: { 2: [adds], 5: [subtracts], 6: [adds, subtracts] } };
+
+    const selection = selectAffectedTests(lineageData, { [file('src/math.js')]: changed([2, 1]) }, { projectPath });
+
+    expect(selection.tests).toEqual([{ ...adds, lines: ['src/math.js:2'] }]);
+    expect(selection.files).toEqual([{ relativePath: 'src/math.js', status: 'covered', tests: 1 }]);
+
+    const wholeFile = selectAffectedTests(lineageData, { [file('src/math.js')]: changed([2, 1]) }, { projectPath, wholeFiles: true });
+    expect(wholeFile.tests.map((test) => test.testName)).toEqual(['adds', 'subtracts']);
+  });
+
+  it('maps a pure insertion to the lines around it', () => {
+    const before = lineTest(file('src/__tests__/math.test.js'), 'before');
+    const after = lineTest(file('src/__tests__/math.test.js'), 'after');
+    const elsewhere = lineTest(file('src/__tests__/math.test.js'), 'elsewhere');
+    const lineageData = { [file('src/math.js')]: { 3: [before], 4: [after], 9: [elsewhere] } };
+
+    const selection = selectAffectedTests(lineageData, { [file('src/math.js')]: changed([3, 0]) }, { projectPath });
+
+    expect(selection.tests.map((test) => test.testName)).toEqual(['before', 'after']);
+  });
+
+  it('runs changed test files whole, without selecting their tests by name again', () => {
+    const testFile = file('src/__tests__/math.test.js');
+    const lineageData = { [file('src/math.js')]: { 2: [lineTest(testFile, 'adds')] } };
+
+    const selection = selectAffectedTests(lineageData, {
+      [file('src/math.js')]: changed([2, 1]),
+      [testFile]: changed([1, 1]),
+      [file('README.md')]: changed([1, 1])
+    }, { projectPath });
+
+    expect(selection.tests).toEqual([]);
+    expect(selection.testFiles).toEqual([{ testFile, reason: 'Changed test file' }]);
+    expect(selection.ignoredFiles).toBe(1);
+  });
+
+  it('falls back to the test files importing a source file without lineage data', () => {
+    writeFile('src/__tests__/format.test.js', "const format = require('../format');\n");
+    writeFile('src/__tests__/parse.test.ts', "import { parse } from '../parse/index.js';\n");
+    writeFile('src/__tests__/other.test.js', "const format = require('format');\nconst helper = require('./helper');\n");
+    const testFiles = ['format.test.js', 'parse.test.ts', 'other.test.js'].map((name) => file(`src/__tests__/${name}`));
+
+    const selection = selectAffectedTests({}, {
+      [file('src/format.ts')]: changed([1, 1]),
+      [file('src/parse/index.ts')]: changed([1, 1]),
+      [file('src/new.js')]: changed([1, 1])
+    }, { projectPath, testFiles });
+
+    expect(selection.testFiles).toEqual([
+      { testFile: file('src/__tests__/format.test.js'), reason: 'Imports src/format.ts' },
+      { testFile: file('src/__tests__/parse.test.ts'), reason: 'Imports src/parse/index.ts' }
+    ]);
+    expect(selection.files).toEqual([
+      { relativePath: 'src/format.ts', status: 'imported', tests: 1 },
+      { relativePath: 'src/new.js', status: 'unmapped', tests: 0 },
+      { relativePath: 'src/parse/index.ts', status: 'imported', tests: 1 }
+    ]);
+  });
+
+  it('looks renamed files up under their old path', () => {
+    const adds = lineTest(file('src/__tests__/math.test.js'), 'adds');
+    const lineageData = { [file('src/math.js')]: { 2: [adds] } };
+
+    const selection = selectAffectedTests(lineageData, {
+      [file('src/arithmetic.js')]: { ...changed([2, 1]), oldPath: file('src/math.js') }
+    }, { projectPath });
+
+    expect(selection.tests).toEqual([{ ...adds, lines: ['src/arithmetic.js:2'] }]);
+  });
+});
+
+describe('createAffectedTestRuns', () => {
+  it('runs tests selected by name separately from whole test files', () => {
+    const adds = { ...lineTest('/project/src/__tests__/math.test.js', 'adds (x + y)'), lines: [] };
+
+    const runs = createAffectedTestRuns({
+      tests: [adds],
+      testFiles: [{ testFile: '/project/src/__tests__/format.test.js', reason: 'Changed test file' }]
+    });
+
+    expect(runs).toEqual([
+      { testPathPatterns: '(/project/src/__tests__/math\\.test\\.js)$', testNamePattern: '(^math adds \\(x \\+ y\\)$)' },
+      { testPathPatterns: '(/project/src/__tests__/format\\.test\\.js)$', testNamePattern: null }
+    ]);
+  });
+});
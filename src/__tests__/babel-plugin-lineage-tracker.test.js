@@ -0,0 +1,33 @@
+const path = require('path');
+const babel = require('@babel/core');
+
+const lineageTrackerPlugin = require('../babel-plugin-lineage-tracker');
+
+const transform = (filename) => babel.transformSync('function id(value) {\n  return value;\n}\n', {
+  filename,
+  configFile: false,
+  babelrc: false,
+  plugins: [[lineageTrackerPlugin, { enabled: true }]]
+}).code;
+
+const isInstrumented = (filename) => transform(filename).includes('__TRACK_LINE_EXECUTION__');
+
+describe('lineage tracker plugin', () => {
+  it("skips the package's own runtime modules by their absolute path", () => {
+    ['LineageStore.js', 'lineage-data-format.js', 'lineage-schema.js', 'utils/test-id.js', 'testSetup.js'].forEach((module) => {
+      expect(isInstrumented(path.join(__dirname, '..', module))).toBe(false);
+    });
+  });
+
+  it('instruments user files whose names contain those of the modules', () => {
+    const projectPath = path.resolve('/project/src');
+    ['latest-id.js', 'myLineageStore.js', 'old-lineage-schema.js', 'utils/test-id.js'].forEach((file) => {
+      expect(isInstrumented(path.join(projectPath, file))).toBe(true);
+    });
+  });
+
+  it('skips test files', () => {
+    expect(isInstrumented(path.resolve('/project/src/__tests__/a.js'))).toBe(false);
+    expect(isInstrumented(path.resolve('/project/src/a.test.js'))).toBe(false);
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const babel = require('@babel/core');
+
+const {
+  ACTIVE_MUTANT_ENV,
+  SCHEMATA_MANIFEST_ENV,
+  SCHEMATA_PROBE_ID,
+  SCHEMATA_PROBE_MESSAGE,
+  getFileMutants,
+  applyMutants,
+  createSchemataPlugin,
+  writeSchemataManifest,
+  getSchemataMutants
+} = require('../babel-plugin-mutation-tester');
+
+const filename = path.resolve('/project/src/price.js');
+const SOURCE = `function price(total, discount) {
+  if (total > 100) {
+    return total - discount;
+  }
+  return total;
+}
+module.exports = price;
+`;
+const INPUTS = [[200, 10], [101, 1], [100, 10], [50, 5]];
+
+const mutants = Object.values(getFileMutants(filename, SOURCE))
+  .flat()
+  .map((mutant, index) => ({ ...mutant, id: `m${index}` }));
+
+const buildSchemata = (fileMutants) => babel.transformSync(SOURCE, {
+  filename,
+  configFile: false,
+  babelrc: false,
+  plugins: [createSchemataPlugin(fileMutants)]
+}).code;
+
+// Load a build in a fresh global, with `activeMutant` selected through the environment
+function load(code, activeMutant) {
+  const module = { exports: {} };
+  const env = activeMutant ? { [ACTIVE_MUTANT_ENV]: activeMutant } : {};
+  vm.runInNewContext(code, { module, process: { env } });
+  return module.exports;
+}
+
+const outputs = (price) => INPUTS.map(([total, discount]) => price(total, discount));
+
+describe('mutant schemata', () => {
+  it('behaves like the original code when no mutant is active', () => {
+    expect(outputs(load(buildSchemata(mutants)))).toEqual(outputs(load(SOURCE)));
+  });
+
+  it('behaves like each mutant applied on its own when that mutant is active', () => {
+    const schemata = buildSchemata(mutants);
+    expect(mutants.map((mutant) => mutant.mutationType)).toEqual(
+      ['blocks', 'comparison', 'conditional', 'literals', 'blocks', 'arithmetic']
+    );
+
+    mutants.forEach((mutant) => {
+      const mutated = applyMutants(SOURCE, mutant, filename).code;
+      expect({ id: mutant.id, outputs: outputs(load(schemata, mutant.id)) })
+        .toEqual({ id: mutant.id, outputs: outputs(load(mutated)) });
+    });
+  });
+
+  it('switches on every mutant of a higher-order mutant at once', () => {
+    const comparison = { ...mutants.find((mutant) => mutant.mutationType === 'comparison'), higherOrder: ['hom'] };
+    const arithmetic = { ...mutants.find((mutant) => mutant.mutationType === 'arithmetic'), higherOrder: ['hom'] };
+    const schemata = buildSchemata([comparison, arithmetic]);
+
+    expect(outputs(load(schemata, 'hom'))).toEqual(outputs(load(applyMutants(SOURCE, [comparison, arithmetic], filename).code)));
+  });
+
+  it('throws the probe error when the probe mutant is selected', () => {
+    expect(() => load(buildSchemata(mutants), SCHEMATA_PROBE_ID)).toThrow(SCHEMATA_PROBE_MESSAGE);
+  });
+
+  it('leaves files without matching mutants as they are', () => {
+    const elsewhere = { ...mutants[5], location: { start: { line: 40, column: 0 }, end: { line: 40, column: 5 } } };
+
+    expect(buildSchemata([elsewhere])).not.toContain('__ACTIVE_MUTANT__');
+  });
+});
+
+describe('getSchemataMutants', () => {
+  let directory;
+  let manifestPath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-lineage-schemata-'));
+    manifestPath = path.join(directory, 'schemata.json');
+  });
+
+  afterEach(() => {
+    delete process.env[SCHEMATA_MANIFEST_ENV];
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('reads the mutants of a file from the manifest named by the environment', () => {
+    writeSchemataManifest(manifestPath, { [filename]: mutants });
+    process.env[SCHEMATA_MANIFEST_ENV] = manifestPath;
+
+    expect(getSchemataMutants(filename)).toEqual(mutants);
+    expect(getSchemataMutants(path.resolve('/project/src/other.js'))).toBeNull();
+    expect(fs.readdirSync(directory)).toEqual(['schemata.json']);
+  });
+
+  it('returns nothing outside a schemata run or when the manifest is unreadable', () => {
+    expect(getSchemataMutants(filename)).toBeNull();
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env[SCHEMATA_MANIFEST_ENV] = manifestPath;
+    expect(getSchemataMutants(filename)).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Could not read mutant schemata manifest'));
+  });
+});
@@ -0,0 +1,353 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/git-diff', () => ({
+  ...jest.requireActual('../utils/git-diff'),
+  getChangedLines: jest.fn()
+}));
+
+const { getChangedLines, parseUnifiedDiff, isLineChanged, mapToPreviousLine, unquoteGitPath } = require('../utils/git-diff');
+const MutationTester = require('../MutationTester');
+
+const repoRoot = path.resolve('/project');
+const file = (relativePath) => path.join(repoRoot, relativePath);
+
+// git diff --unified=0 output for src/a.ts
+const MODIFIED_DIFF = [
+  'diff --git a/src/a.ts b/src/a.ts',
+  'index 1111111..2222222 100644',
+  '--- a/src/a.ts',
+  '+++ b/src/a.ts',
+  '@@ -3 +3 @@ export function a() {',
+  '-  return 1;',
+  '+  return 2;',
+  '@@ -10,0 +11,2 @@ export function b() {',
+  '+  log();',
+  '+  log();',
+  '@@ -20,3 +22,1 @@ export function c() {',
+  '-  one();',
+  '-  two();',
+  '-  three();',
+  '+  all();',
+  ''
+].join('\n');
+
+describe('parseUnifiedDiff', () => {
+  it('reads hunk offsets and changed lines of --unified=0 hunks', () => {
+    const files = parseUnifiedDiff(MODIFIED_DIFF, repoRoot);
+    const fileDiff = files[file('src/a.ts')];
+
+    expect(fileDiff.oldPath).toBe(file('src/a.ts'));
+    expect(fileDiff.isNew).toBe(false);
+    expect(fileDiff.hunks.map(({ oldStart, oldLines, newStart, newLines }) => [oldStart, oldLines, newStart, newLines]))
+      .toEqual([[3, 1, 3, 1], [10, 0, 11, 2], [20, 3, 22, 1]]);
+    expect([...fileDiff.addedLines]).toEqual([3, 11, 12, 22]);
+  });
+
+  it('records pure deletions as hunks without changed lines', () => {
+    const diff = [
+      'diff --git a/src/a.ts b/src/a.ts',
+      '--- a/src/a.ts',
+      '+++ b/src/a.ts',
+      '@@ -5,2 +4,0 @@',
+      '-  one();',
+      '-  two();'
+    ].join('\n');
+    const fileDiff = parseUnifiedDiff(diff, repoRoot)[file('src/a.ts')];
+
+    expect(fileDiff.hunks[0]).toMatchObject({ oldStart: 5, oldLines: 2, newStart: 4, newLines: 0 });
+    expect(fileDiff.addedLines.size).toBe(0);
+  });
+
+  it('does not mistake removed or added lines starting with "-- " or "++ " for file headers', () => {
+    const diff = [
+      'diff --git a/src/a.ts b/src/a.ts',
+      '--- a/src/a.ts',
+      '+++ b/src/a.ts',
+      '@@ -2 +2 @@',
+      '--- counter;',
+      '+++ counter;',
+      '@@ -8,0 +9 @@',
+      '+  done();'
+    ].join('\n');
+    const files = parseUnifiedDiff(diff, repoRoot);
+
+    expect(Object.keys(files)).toEqual([file('src/a.ts')]);
+    expect([...files[file('src/a.ts')].addedLines]).toEqual([2, 9]);
+  });
+
+  it('keeps the old path of renamed files', () => {
+    const diff = [
+      'diff --git a/src/old.ts b/src/new.ts',
+      'similarity index 90%',
+      'rename from src/old.ts',
+      'rename to src/new.ts',
+      'index 1111111..2222222 100644',
+      '--- a/src/old.ts',
+      '+++ b/src/new.ts',
+      '@@ -4 +4 @@',
+      '-  return 1;',
+      '+  return 2;',
+      'diff --git a/src/moved.ts b/lib/moved.ts',
+      'similarity index 100%',
+      'rename from src/moved.ts',
+      'rename to lib/moved.ts'
+    ].join('\n');
+    const files = parseUnifiedDiff(diff, repoRoot);
+
+    expect(files[file('src/new.ts')]).toMatchObject({ oldPath: file('src/old.ts'), isNew: false });
+    expect([...files[file('src/new.ts')].addedLines]).toEqual([4]);
+    expect(files[file('lib/moved.ts')]).toMatchObject({ oldPath: file('src/moved.ts'), isNew: false, hunks: [] });
+    expect(isLineChanged(files[file('lib/moved.ts')], 1)).toBe(false);
+  });
+
+  it('unquotes paths git quotes in file headers and renames', () => {
+    const diff = [
+      'diff --git "a/src/na\\303\\257ve.ts" "b/src/na\\303\\257ve.ts"',
+      '--- "a/src/na\\303\\257ve.ts"',
+      '+++ "b/src/na\\303\\257ve.ts"',
+      '@@ -1 +1 @@',
+      '-a;',
+      '+b;',
+      'diff --git "a/src/tab\\there.ts" "b/src/\\"quoted\\".ts"',
+      'similarity index 100%',
+      'rename from "src/tab\\there.ts"',
+      'rename to "src/\\"quoted\\".ts"'
+    ].join('\n');
+    const files = parseUnifiedDiff(diff, repoRoot);
+
+    expect(files[file('src/naïve.ts')]).toMatchObject({ oldPath: file('src/naïve.ts'), isNew: false });
+    expect([...files[file('src/naïve.ts')].addedLines]).toEqual([1]);
+    expect(files[file('src/"quoted".ts')]).toMatchObject({ oldPath: file('src/tab\there.ts') });
+  });
+
+  it('marks added files as new and leaves out deleted files', () => {
+    const diff = [
+      'diff --git a/src/new.ts b/src/new.ts',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/src/new.ts',
+      '@@ -0,0 +1,2 @@',
+      '+export const a = 1;',
+      '+export const b = 2;',
+      'diff --git a/src/gone.ts b/src/gone.ts',
+      'deleted file mode 100644',
+      '--- a/src/gone.ts',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-export const gone = 1;'
+    ].join('\n');
+    const files = parseUnifiedDiff(diff, repoRoot);
+
+    expect(Object.keys(files)).toEqual([file('src/new.ts')]);
+    expect(files[file('src/new.ts')]).toMatchObject({ oldPath: null, isNew: true });
+    expect(isLineChanged(files[file('src/new.ts')], 1)).toBe(true);
+  });
+});
+
+describe('unquoteGitPath', () => {
+  it('decodes octal UTF-8 bytes and C escapes', () => {
+    expect(unquoteGitPath('"b/dir/na\\303\\257ve.js"')).toBe('b/dir/naïve.js');
+    expect(unquoteGitPath('"a\\\\b\\nc\\"d"')).toBe('a\\b\nc"d');
+  });
+
+  it('leaves unquoted paths alone', () => {
+    expect(unquoteGitPath('b/src/a.ts')).toBe('b/src/a.ts');
+  });
+});
+
+describe('getChangedLines', () => {
+  const { getChangedLines: getActualChangedLines } = jest.requireActual('../utils/git-diff');
+  let directory;
+
+  const git = (...args) => execFileSync('git', args, { cwd: directory, stdio: 'pipe' });
+  const write = (relativePath, lines) => fs.writeFileSync(path.join(directory, relativePath), lines.join('\n') + '\n');
+
+  beforeEach(() => {
+    directory = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jest-lineage-git-')));
+    git('init', '-q');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    git('config', 'core.quotePath', 'true');
+    fs.mkdirSync(path.join(directory, 'src'));
+    write('src/a.ts', ['a;', 'b;', 'c;']);
+    write('src/naïve.ts', ['a;', 'b;']);
+    git('add', '.');
+    git('commit', '-q', '-m', 'initial');
+    write('src/a.ts', ['a;', 'changed;', 'c;']);
+    write('src/naïve.ts', ['a;', 'b;', 'added;']);
+    write('src/ünïcode.ts', ['new;']);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it.each([
+    ['default prefixes', []],
+    ['diff.noprefix', ['diff.noprefix', 'true']],
+    ['diff.mnemonicPrefix', ['diff.mnemonicPrefix', 'true']]
+  ])('reads changed lines with %s', (_, config) => {
+    if (config.length > 0) {
+      git('config', ...config);
+    }
+
+    const files = getActualChangedLines('HEAD', { cwd: directory });
+
+    expect(Object.keys(files).sort()).toEqual(
+      ['src/a.ts', 'src/naïve.ts', 'src/ünïcode.ts'].map((relativePath) => path.join(directory, relativePath)).sort()
+    );
+    expect([...files[path.join(directory, 'src/a.ts')].addedLines]).toEqual([2]);
+    expect([...files[path.join(directory, 'src/naïve.ts')].addedLines]).toEqual([3]);
+    expect(files[path.join(directory, 'src/ünïcode.ts')]).toMatchObject({ isNew: true, addedLines: null });
+  });
+});
+
+describe('mapToPreviousLine', () => {
+  const fileDiff = parseUnifiedDiff(MODIFIED_DIFF, repoRoot)[file('src/a.ts')];
+
+  it('returns null for changed lines', () => {
+    [3, 11, 12, 22].forEach((line) => expect(mapToPreviousLine(fileDiff, line)).toBeNull());
+  });
+
+  it('shifts unchanged lines by the hunks before them', () => {
+    expect(mapToPreviousLine(fileDiff, 1)).toBe(1);
+    expect(mapToPreviousLine(fileDiff, 10)).toBe(10);
+    expect(mapToPreviousLine(fileDiff, 13)).toBe(11);
+    expect(mapToPreviousLine(fileDiff, 21)).toBe(19);
+    expect(mapToPreviousLine(fileDiff, 23)).toBe(23);
+  });
+
+  it('maps lines around pure deletions', () => {
+    const deletion = { hunks: [{ oldStart: 5, oldLines: 2, newStart: 4, newLines: 0 }], addedLines: new Set() };
+
+    expect(mapToPreviousLine(deletion, 4)).toBe(4);
+    expect(mapToPreviousLine(deletion, 5)).toBe(7);
+  });
+
+  it('maps lines after a deletion at the start of the file', () => {
+    const deletion = { hunks: [{ oldStart: 1, oldLines: 2, newStart: 0, newLines: 0 }], addedLines: new Set() };
+
+    expect(mapToPreviousLine(deletion, 1)).toBe(3);
+  });
+
+  it('keeps line numbers of files without changes', () => {
+    expect(mapToPreviousLine(undefined, 7)).toBe(7);
+  });
+});
+
+describe('MutationTester incremental reuse', () => {
+  const sourcePath = file('src/a.ts');
+  const testFile = file('src/__tests__/a.test.ts');
+  const previousMutation = (line, fields = {}) => ({
+    id: `src/a.ts:${line}:1:2-1:8:arithmetic`,
+    line,
+    lineNumber: line,
+    mutationType: 'arithmetic',
+    original: 'x + y;',
+    status: 'killed',
+    location: { start: { line, column: 2 }, end: { line, column: 8 } },
+    ...fields
+  });
+
+  function createTester(source, lineageData, previousLines) {
+    const tester = new MutationTester({ enableMutationCache: false, enableMutationJournal: false });
+    tester.originalFileContents.set(sourcePath, source);
+    tester.lineageData = lineageData;
+    tester.loadPreviousMutationResults = () => ({
+      fileResults: Object.fromEntries(
+        Object.entries(previousLines).map(([filePath, lines]) => [filePath, {
+          lineResults: Object.fromEntries(
+            Object.entries(lines).map(([line, mutations]) => [line, { mutations }])
+          )
+        }])
+      )
+    });
+    return tester;
+  }
+
+  const covered = (lines) => Object.fromEntries(lines.map((line) => [line, [{ testId: 'a', testName: 'a', testFile }]]));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reuses results of unchanged lines at their shifted position and re-tests changed lines', () => {
+    // Old lines 5-6 deleted; old line 7 is now line 5, line 2 was rewritten
+    getChangedLines.mockReturnValue({
+      [sourcePath]: {
+        oldPath: sourcePath,
+        isNew: false,
+        hunks: [
+          { oldStart: 2, oldLines: 1, newStart: 2, newLines: 1 },
+          { oldStart: 5, oldLines: 2, newStart: 4, newLines: 0 }
+        ],
+        addedLines: new Set([2])
+      }
+    });
+    const source = ['a;', '  x - y;', 'b;', 'c;', '  x + y;'].join('\n');
+    const tester = createTester(source, { [sourcePath]: covered([2, 5]) }, {
+      [sourcePath]: { 2: [previousMutation(2)], 7: [previousMutation(7)] }
+    });
+
+    const plan = tester.planIncrementalRun('HEAD');
+
+    expect(Object.keys(plan.lineageData[sourcePath])).toEqual(['2']);
+    expect(plan.reusedLines).toBe(1);
+    expect(plan.reusedMutations).toHaveLength(1);
+    expect(plan.reusedMutations[0]).toMatchObject({
+      line: 5,
+      lineNumber: 5,
+      reused: true,
+      location: { start: { line: 5, column: 2 }, end: { line: 5, column: 8 } }
+    });
+    expect(plan.reusedMutations[0].id).not.toBe(previousMutation(7).id);
+  });
+
+  it('looks up the previous results of renamed files under their old path', () => {
+    const oldPath = file('src/old.ts');
+    getChangedLines.mockReturnValue({
+      [sourcePath]: { oldPath, isNew: false, hunks: [], addedLines: new Set() }
+    });
+    const tester = createTester('a;\n  x + y;', { [sourcePath]: covered([2]) }, {
+      [oldPath]: { 2: [previousMutation(2)] }
+    });
+
+    const plan = tester.planIncrementalRun('HEAD');
+
+    expect(plan.reusedMutations).toHaveLength(1);
+    expect(plan.reusedMutations[0].filePath).toBe(sourcePath);
+    expect(plan.lineageData).toEqual({});
+  });
+
+  it('re-tests unchanged lines whose covering test file changed', () => {
+    getChangedLines.mockReturnValue({
+      [testFile]: { oldPath: testFile, isNew: false, hunks: [], addedLines: new Set([3]) }
+    });
+    const tester = createTester('a;\n  x + y;', { [sourcePath]: covered([2]) }, {
+      [sourcePath]: { 2: [previousMutation(2)] }
+    });
+
+    const plan = tester.planIncrementalRun('HEAD');
+
+    expect(plan.reusedMutations).toHaveLength(0);
+    expect(Object.keys(plan.lineageData[sourcePath])).toEqual(['2']);
+  });
+
+  it('only reuses final verdicts recorded for the same code', () => {
+    const tester = createTester('a;\n  x + y;', {}, {});
+
+    expect(tester.canReuseMutations([previousMutation(2)], sourcePath, 2)).toBe(true);
+    expect(tester.canReuseMutations([previousMutation(2, { status: 'survived' })], sourcePath, 2)).toBe(true);
+    expect(tester.canReuseMutations([previousMutation(2, { original: 'x - y;' })], sourcePath, 2)).toBe(false);
+    ['timeout', 'runtime-error', 'compile-error', 'ignored', 'noCoverage'].forEach((status) => {
+      expect(tester.canReuseMutations([previousMutation(2, { status })], sourcePath, 2)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { classifyJestRun, getSuiteErrors } = require('../utils/jest-results');
+
+const suite = (fields) => ({ name: '/project/src/__tests__/a.test.ts', status: 'passed', message: '', assertionResults: [], ...fields });
+const assertion = (status, fields = {}) => ({
+  title: 'parses',
+  fullName: 'config parses',
+  ancestorTitles: ['config'],
+  status,
+  failureMessages: [],
+  ...fields
+});
+const jestResults = (testResults) => ({
+  numTotalTests: testResults.reduce((total, result) => total + result.assertionResults.length, 0),
+  testResults
+});
+
+describe('classifyJestRun', () => {
+  it('counts a SyntaxError thrown by a test as a kill', () => {
+    const results = jestResults([suite({
+      status: 'failed',
+      message: 'SyntaxError: Unexpected token } in JSON at position 4',
+      assertionResults: [assertion('failed', { failureMessages: ['SyntaxError: Unexpected token } in JSON at position 4'] })]
+    })]);
+
+    expect(classifyJestRun({ results, exitCode: 1, timedOut: false })).toMatchObject({
+      status: 'killed',
+      failedTests: [expect.objectContaining({ fullName: 'config parses' })],
+      statusReason: 'SyntaxError: Unexpected token } in JSON at position 4'
+    });
+  });
+
+  it('reports a suite that failed to load as a compile error', () => {
+    const results = jestResults([suite({
+      status: 'failed',
+      message: '  ● Test suite failed to run\n\n    Jest encountered an unexpected token'
+    })]);
+
+    expect(classifyJestRun({ results, exitCode: 1, timedOut: false })).toEqual({
+      status: 'compile-error',
+      failedTests: [],
+      statusReason: 'Jest encountered an unexpected token'
+    });
+  });
+
+  it('reports a suite that failed outside its tests as a runtime error, whatever its message', () => {
+    const results = jestResults([suite({
+      status: 'failed',
+      message: 'SyntaxError: Unexpected token u in JSON at position 0',
+      assertionResults: [assertion('passed')]
+    })]);
+
+    expect(classifyJestRun({ results, exitCode: 1, timedOut: false })).toMatchObject({
+      status: 'runtime-error',
+      statusReason: 'SyntaxError: Unexpected token u in JSON at position 0'
+    });
+  });
+
+  it('reports timeouts, survivors and runs without results', () => {
+    const passing = jestResults([suite({ assertionResults: [assertion('passed')] })]);
+
+    expect(classifyJestRun({ results: null, exitCode: null, timedOut: true }).status).toBe('timeout');
+    expect(classifyJestRun({ results: passing, exitCode: 0, timedOut: false }).status).toBe('survived');
+    expect(classifyJestRun({ results: null, exitCode: 1, timedOut: false, output: 'out of memory\n' })).toMatchObject({
+      status: 'runtime-error',
+      statusReason: 'Jest exited with code 1 without results: out of memory'
+    });
+  });
+});
+
+describe('getSuiteErrors', () => {
+  it('treats suites with a testExecError as compile errors', () => {
+    const results = jestResults([suite({ status: 'failed', testExecError: { message: 'boom' }, assertionResults: [assertion('passed')] })]);
+
+    expect(getSuiteErrors(results)).toEqual([expect.objectContaining({ compileError: true })]);
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { detectLineageDataFormat, readLineageDataFile, writeLineageDataFile } = require('../lineage-data-format');
+const { validateLineageData } = require('../lineage-schema');
+
+const READ_CHUNK_BYTES = 1024 * 1024;
+const sourceFile = path.resolve('/project/src/a.ts');
+const otherFile = path.resolve('/project/src/b.ts');
+
+const makeTest = (name, lines, fields = {}) => ({
+  id: `src/__tests__/a.test.ts › suite › ${name}`,
+  name,
+  describePath: ['suite'],
+  type: 'test',
+  testFile: path.resolve('/project/src/__tests__/a.test.ts'),
+  duration: 12,
+  failed: false,
+  lines,
+  ...fields
+});
+
+const SAMPLE_DATA = {
+  schemaVersion: 2,
+  timestamp: 1700000000000,
+  tests: [
+    makeTest('adds', [
+      { file: sourceFile, line: 3, hits: 1, depth: { 1: 1 } },
+      { file: sourceFile, line: 4, hits: 1, depth: { 1: 1 } },
+      { file: sourceFile, line: 9, hits: 1, depth: { 1: 1 } },
+      { file: otherFile, line: 1, hits: 1 }
+    ]),
+    makeTest('loops', [
+      { file: sourceFile, line: 5, hits: 3, depth: { 1: 1, 2: 2 }, meta: { nodeType: 'for-statement', isCall: false } },
+      { file: sourceFile, line: 6, hits: 0, meta: { nodeType: 'return-statement' } },
+      { file: otherFile, line: 2, hits: 2, perf: { cpuCycles: 120, memoryDelta: -8 } }
+    ], { failed: true, qualityMetrics: { assertions: 2 } }),
+    makeTest('covers nothing', [])
+  ]
+};
+
+// Every line read back, so lazily decoded tests compare by value
+const readAll = (filePath, options) => {
+  const data = readLineageDataFile(filePath, options);
+  return { ...data, tests: data.tests.map((test) => ({ ...test, lines: test.lines })) };
+};
+
+describe('lineage data formats', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-lineage-format-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const tempFile = (name) => path.join(directory, name);
+
+  it('converts JSON to compact and back without losing data', () => {
+    writeLineageDataFile(tempFile('data.json'), SAMPLE_DATA, 'json');
+    writeLineageDataFile(tempFile('data.compact'), readLineageDataFile(tempFile('data.json')), 'compact');
+    writeLineageDataFile(tempFile('again.json'), readLineageDataFile(tempFile('data.compact')), 'json');
+
+    expect(detectLineageDataFormat(tempFile('data.json'))).toBe('json');
+    expect(detectLineageDataFormat(tempFile('data.compact'))).toBe('compact');
+    expect(readAll(tempFile('data.compact'))).toEqual(SAMPLE_DATA);
+    expect(JSON.parse(fs.readFileSync(tempFile('again.json'), 'utf8'))).toEqual(SAMPLE_DATA);
+  });
+
+  it('leaves out performance sections when asked to', () => {
+    writeLineageDataFile(tempFile('data.compact'), SAMPLE_DATA, 'compact');
+
+    const data = readAll(tempFile('data.compact'), { includePerformance: false });
+
+    expect(data.tests[1].lines.find((record) => record.file === otherFile)).toEqual({ file: otherFile, line: 2, hits: 2 });
+  });
+
+  it('reads compact files without a performance section', () => {
+    const withoutPerformance = {
+      ...SAMPLE_DATA,
+      tests: SAMPLE_DATA.tests.map((test) => ({
+        ...test,
+        lines: test.lines.map(({ perf, ...record }) => record)
+      }))
+    };
+    writeLineageDataFile(tempFile('data.compact'), withoutPerformance, 'compact');
+
+    const records = fs.readFileSync(tempFile('data.compact'), 'utf8').trim().split('\n');
+    expect(records.some((record) => record.startsWith('{"p":'))).toBe(false);
+    expect(readAll(tempFile('data.compact'))).toEqual(withoutPerformance);
+  });
+
+  it('reads records that cross the read chunk boundary', () => {
+    // Every other line with varying hits and a numeric meta column: ~16 bytes per line
+    const lines = [];
+    for (let line = 1; lines.length < 100000; line += 2) {
+      lines.push({ file: sourceFile, line, hits: line % 7, meta: { calls: line } });
+    }
+    const data = {
+      ...SAMPLE_DATA,
+      tests: [
+        ...SAMPLE_DATA.tests,
+        makeTest('large', lines),
+        makeTest('after the large one ✓ ünïcode', [{ file: otherFile, line: 8, hits: 1 }])
+      ]
+    };
+    writeLineageDataFile(tempFile('data.compact'), data, 'compact');
+
+    // The large test's record must span the first chunk boundary
+    const content = fs.readFileSync(tempFile('data.compact'));
+    const start = content.indexOf('{"t":{"id":"src/__tests__/a.test.ts › suite › large"');
+    const end = content.indexOf('\n', start);
+    expect(start).toBeGreaterThan(0);
+    expect(start).toBeLessThan(READ_CHUNK_BYTES);
+    expect(end).toBeGreaterThan(READ_CHUNK_BYTES);
+
+    expect(readAll(tempFile('data.compact'))).toEqual(data);
+  });
+
+  it('validates compact line records when they are decoded, not when the data is validated', () => {
+    writeLineageDataFile(tempFile('data.compact'), SAMPLE_DATA, 'compact');
+    // Corrupt the line runs of the first test
+    const content = fs.readFileSync(tempFile('data.compact'), 'utf8');
+    fs.writeFileSync(tempFile('data.compact'), content.replace('"l":[3,2,', '"l":[-3,2,'));
+
+    const data = readLineageDataFile(tempFile('data.compact'));
+
+    expect(validateLineageData(data)).toEqual([]);
+    expect(() => data.tests[0].lines).toThrow('tests[0].lines[0].line must be a positive integer (got -3)');
+    expect(data.tests[1].lines).toHaveLength(3);
+  });
+});
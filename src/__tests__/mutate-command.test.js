@@ -0,0 +1,48 @@
+jest.mock('../MutationTester');
+jest.mock('../cli/utils/data-loader');
+jest.mock('../cli/utils/config-loader');
+jest.mock('../cli/utils/output-formatter');
+
+const fs = require('fs');
+
+const MutationTester = require('../MutationTester');
+const { loadLineageData, processLineageDataForMutation } = require('../cli/utils/data-loader');
+const { loadFullConfig } = require('../cli/utils/config-loader');
+const { spinner } = require('../cli/utils/output-formatter');
+const mutateCommand = require('../cli/commands/mutate');
+
+const scope = (rating) => ({ pattern: 'src/core/**', high: 95, low: 90, break: 85, rating });
+
+describe('mutate command exit code', () => {
+  beforeEach(() => {
+    jest.spyOn(process, 'exit').mockImplementation(() => {});
+    jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    loadFullConfig.mockReturnValue({});
+    loadLineageData.mockReturnValue({ tests: [] });
+    processLineageDataForMutation.mockReturnValue({ 'src/a.js': { 1: [{ testId: 'a' }] } });
+    spinner.mockReturnValue({ start: jest.fn(), succeed: jest.fn() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const runWith = async (results) => {
+    MutationTester.prototype.runMutationTesting.mockResolvedValue(results);
+    await mutateCommand({ data: '.jest-lineage-data.json', threshold: '80' });
+    return process.exit.mock.calls.map(([code]) => code);
+  };
+
+  it('passes when the overall score and every scope meet their thresholds', async () => {
+    expect(await runWith({ mutationScore: 90, thresholds: [scope('high'), scope('low')] })).toEqual([0]);
+  });
+
+  it('fails when a scope is below its break level', async () => {
+    expect(await runWith({ mutationScore: 90, thresholds: [scope('high'), scope('broken')] })).toEqual([1]);
+  });
+
+  it('fails when the overall score is below --threshold', async () => {
+    expect(await runWith({ mutationScore: 70 })).toEqual([1]);
+  });
+});
@@ -0,0 +1,87 @@
+const path = require('path');
+
+const {
+  normalizeThresholds,
+  evaluateThresholds,
+  getFailedThresholds,
+  hasBrokenThreshold
+} = require('../mutation-thresholds');
+
+const projectPath = path.resolve('/project');
+
+const fileResult = (killed, survived, fields = {}) => ({
+  totalMutations: killed + survived,
+  killedMutations: killed,
+  survivedMutations: survived,
+  ...fields
+});
+
+const THRESHOLDS = {
+  'src/core/**': { high: 95, low: 90, break: 85 },
+  'src/utils': { high: 70, low: 50 },
+  'src/legacy/**': {}
+};
+
+describe('normalizeThresholds', () => {
+  it('fills in default levels, capping low at high', () => {
+    expect(normalizeThresholds({ 'src/**': {}, 'lib/**': { high: 40 } })).toEqual([
+      { pattern: 'src/**', high: 80, low: 60, break: null },
+      { pattern: 'lib/**', high: 40, low: 40, break: null }
+    ]);
+    expect(normalizeThresholds(undefined)).toEqual([]);
+  });
+
+  it('rejects levels outside 0-100 and low above high', () => {
+    expect(() => normalizeThresholds({ 'src/**': { high: 120 } })).toThrow('levels must be numbers from 0 to 100');
+    expect(() => normalizeThresholds({ 'src/**': { high: 50, low: 70 } })).toThrow('low (70) is above high (50)');
+    expect(() => normalizeThresholds(['src/**'])).toThrow('thresholds must map globs');
+  });
+});
+
+describe('evaluateThresholds', () => {
+  const evaluate = (fileResults) => evaluateThresholds({ fileResults }, THRESHOLDS, { projectPath });
+
+  it('rates each scope by the files it matches', () => {
+    const [core, utils, legacy] = evaluate({
+      [path.join(projectPath, 'src/core/cart.js')]: fileResult(9, 1),
+      [path.join(projectPath, 'src/core/tax/rates.js')]: fileResult(8, 2),
+      [path.join(projectPath, 'src/utils/format.js')]: fileResult(3, 1),
+      [path.join(projectPath, 'src/index.js')]: fileResult(0, 5)
+    });
+
+    expect(core).toMatchObject({ fileCount: 2, totalMutations: 20, score: 85, rating: 'low' });
+    expect(utils).toMatchObject({ fileCount: 1, score: 75, rating: 'high' });
+    expect(legacy).toMatchObject({ fileCount: 0, totalMutations: 0, score: null, rating: null });
+  });
+
+  it('matches the project-relative file keys of Docker results', () => {
+    const [core, utils] = evaluate({
+      'src/core/cart.js': fileResult(16, 4),
+      'src/utils/format.js': fileResult(1, 1)
+    });
+
+    expect(core).toMatchObject({ fileCount: 1, score: 80, rating: 'broken' });
+    expect(utils).toMatchObject({ fileCount: 1, score: 50, rating: 'medium' });
+  });
+
+  it('leaves errored mutants out of scope scores', () => {
+    const [core] = evaluate({ 'src/core/cart.js': fileResult(9, 1, { totalMutations: 14, errorMutations: 4 }) });
+
+    expect(core).toMatchObject({ totalMutations: 14, score: 90, rating: 'medium' });
+  });
+});
+
+describe('threshold failures', () => {
+  const rated = (...ratings) => ratings.map((rating, index) => ({ pattern: `scope-${index}`, rating }));
+
+  it('fails the run only for scopes below their break level', () => {
+    expect(hasBrokenThreshold(rated('high', 'low', 'medium'))).toBe(false);
+    expect(hasBrokenThreshold(rated('high', 'broken'))).toBe(true);
+    expect(hasBrokenThreshold(undefined)).toBe(false);
+  });
+
+  it('reports scopes below low or break', () => {
+    expect(getFailedThresholds(rated('high', 'low', null, 'broken', 'medium')).map((scope) => scope.pattern))
+      .toEqual(['scope-1', 'scope-3']);
+  });
+});
@@ -0,0 +1,177 @@
+const path = require('path');
+
+const { minimizeTestSuite } = require('../test-minimization');
+
+const projectPath = path.resolve('/project');
+const sourceFile = 'src/a.ts';
+const testFile = 'src/__tests__/a.test.ts';
+
+const makeTest = (name, duration) => ({
+  testId: `${testFile} › ${name}`,
+  testName: name,
+  describePath: [],
+  testFile,
+  duration
+});
+
+// { lineNumber: [test] } for every line each test covers
+function lineageFor(coverage) {
+  const lines = {};
+  coverage.forEach(([test, testLines]) => {
+    testLines.forEach((line) => {
+      lines[line] = lines[line] || [];
+      lines[line].push(test);
+    });
+  });
+  return { [sourceFile]: lines };
+}
+
+const mutant = (id, lineNumber, status, killedBy = []) => ({ id, lineNumber, status, killedBy });
+const mutationResultsFor = (mutations) => ({ fileResults: { [sourceFile]: { mutations } } });
+
+const keptIds = (result) => result.kept.map((test) => test.testId).sort();
+
+describe('minimizeTestSuite', () => {
+  it('reports tests that cover nothing as redundant without covering tests', () => {
+    const covering = makeTest('covers a line', 5);
+    const empty = makeTest('covers nothing', 20);
+
+    const result = minimizeTestSuite(lineageFor([[covering, [1]]]), null, {
+      projectPath,
+      tests: [covering, empty]
+    });
+
+    expect(keptIds(result)).toEqual([covering.testId]);
+    expect(result.redundant).toEqual([expect.objectContaining({
+      testId: empty.testId,
+      lines: 0,
+      killedMutants: 0,
+      reason: 'Covers no lines and kills no mutants',
+      coveredBy: []
+    })]);
+    expect(result.timeSaved).toBe(20);
+  });
+
+  it('keeps no test when none covers anything', () => {
+    const result = minimizeTestSuite({}, null, { projectPath, tests: [makeTest('a', 1), makeTest('b', 2)] });
+
+    expect(result.keptTests).toBe(0);
+    expect(result.redundantTests).toBe(2);
+    expect(result.requirements).toEqual({ lines: 0, killedMutants: 0 });
+  });
+
+  it('keeps the faster of two tests that cover the same lines', () => {
+    const slow = makeTest('slow', 50);
+    const fast = makeTest('fast', 10);
+
+    const result = minimizeTestSuite(lineageFor([[slow, [1, 2]], [fast, [1, 2]]]), null, { projectPath });
+
+    expect(keptIds(result)).toEqual([fast.testId]);
+    expect(result.redundant).toEqual([expect.objectContaining({
+      testId: slow.testId,
+      reason: 'Its 2 lines are also covered by 1 kept test',
+      coveredBy: [expect.objectContaining({ testId: fast.testId })]
+    })]);
+  });
+
+  it('keeps exactly one of two identical tests with the same duration', () => {
+    const first = makeTest('first', 10);
+    const second = makeTest('second', 10);
+
+    const result = minimizeTestSuite(lineageFor([[first, [1, 2]], [second, [1, 2]]]), null, { projectPath });
+
+    expect(result.keptTests).toBe(1);
+    expect(result.redundantTests).toBe(1);
+  });
+
+  it('drops an early greedy pick that later picks make unnecessary', () => {
+    // `wide` covers the most lines first, but `left` and `right` are both needed anyway
+    const wide = makeTest('wide', 30);
+    const left = makeTest('left', 5);
+    const right = makeTest('right', 5);
+
+    const result = minimizeTestSuite(
+      lineageFor([[wide, [2, 3, 4, 5]], [left, [1, 2, 3]], [right, [4, 5, 6]]]),
+      null,
+      { projectPath }
+    );
+
+    expect(keptIds(result)).toEqual([left.testId, right.testId].sort());
+    expect(result.redundant[0]).toMatchObject({
+      testId: wide.testId,
+      reason: 'Its 4 lines are also covered by 2 kept tests'
+    });
+  });
+
+  it('keeps tests that kill mutants no kept test kills, even if their lines are covered', () => {
+    const broad = makeTest('broad', 5);
+    const precise = makeTest('precise', 40);
+    const lineage = lineageFor([[broad, [1, 2, 3]], [precise, [2]]]);
+
+    const linesOnly = minimizeTestSuite(lineage, null, { projectPath });
+    expect(keptIds(linesOnly)).toEqual([broad.testId]);
+
+    const mutationResults = mutationResultsFor([
+      mutant('m1', 1, 'killed', [broad.testId]),
+      mutant('m2', 2, 'killed', [precise.testId]),
+      mutant('m3', 3, 'survived')
+    ]);
+    const result = minimizeTestSuite(lineage, mutationResults, { projectPath });
+
+    expect(keptIds(result)).toEqual([broad.testId, precise.testId].sort());
+    expect(result.requirements).toEqual({ lines: 3, killedMutants: 2 });
+    expect(result.usesMutationResults).toBe(true);
+  });
+
+  it('keeps a set that still kills every previously killed mutant', () => {
+    const tests = [1, 2, 3, 4, 5, 6].map((n) => makeTest(`test ${n}`, n * 10));
+    const [t1, t2, t3, t4, t5, t6] = tests;
+    const lineage = lineageFor([
+      [t1, [1, 2, 3, 4]],
+      [t2, [1, 2]],
+      [t3, [3, 4]],
+      [t4, [2, 3]],
+      [t5, [4, 5]],
+      [t6, [5]]
+    ]);
+    const mutations = [
+      mutant('m1', 1, 'killed', [t1.testId, t2.testId]),
+      mutant('m2', 2, 'killed', [t4.testId]),
+      mutant('m3', 3, 'killed', [t3.testId, t4.testId]),
+      mutant('m4', 4, 'killed', [t5.testId]),
+      mutant('m5', 5, 'killed', [t6.testId]),
+      mutant('m6', 5, 'survived'),
+      mutant('m7', 1, 'timeout')
+    ];
+
+    const result = minimizeTestSuite(lineage, mutationResultsFor(mutations), { projectPath });
+    const kept = new Set(result.kept.map((test) => test.testId));
+
+    mutations
+      .filter((mutation) => mutation.status === 'killed')
+      .forEach((mutation) => {
+        expect(mutation.killedBy.some((testId) => kept.has(testId))).toBe(true);
+      });
+    Object.values(lineage[sourceFile]).forEach((lineTests) => {
+      expect(lineTests.some((test) => kept.has(test.testId))).toBe(true);
+    });
+    expect(result.keptTests + result.redundantTests).toBe(tests.length);
+    expect(result.redundantTests).toBeGreaterThan(0);
+  });
+
+  it('attributes kills recorded by test name to the tests covering the mutated line', () => {
+    // Results from older versions name the killing test, not its ID
+    const inA = { ...makeTest('shared name', 5), testId: 'src/__tests__/a.test.ts › shared name' };
+    const inB = { ...makeTest('shared name', 5), testId: 'src/__tests__/b.test.ts › shared name' };
+    const other = makeTest('other', 1);
+    const lineage = lineageFor([[inA, [1]], [inB, [2]], [other, [1, 2]]]);
+
+    const result = minimizeTestSuite(
+      lineage,
+      mutationResultsFor([mutant('m1', 2, 'killed', ['shared name'])]),
+      { projectPath }
+    );
+
+    expect(keptIds(result)).toEqual([inB.testId, other.testId].sort());
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Affected Test Selection
+ * Maps the lines changed since a git ref to the tests that cover them in the
+ * lineage data, so only impacted tests need to run. Lineage data describes
+ * the code as it was when the tests last ran, so changed lines are looked up
+ * by their line numbers before the change.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { isTestOrDeclarationFile } = require("./utils/source-files");
+const { createTestNamePattern } = require("./utils/test-id");
+
+const SOURCE_FILE_PATTERN = /\.[mc]?[jt]sx?$/;
+const IMPORT_PATTERN =
+  /(?:\b(?:require|import|jest\.(?:mock|requireActual|doMock))\s*\(\s*|\bfrom\s+|\bimport\s+)(['"`])([^'"`\n]+)\1/g;
+
+/**
+ * Get the lines of the old version of a file that a diff touches
+ * Replaced and deleted lines map to themselves; a pure insertion maps to the
+ * lines around it, since tests reaching both neighbours run through it.
+ * @param {object} fileDiff - Diff info (see parseUnifiedDiff)
+ * @returns {Set<number>|null} Old line numbers, or null if every line changed
+ */
+function getTouchedOldLines(fileDiff) {
+  if (fileDiff.addedLines === null) {
+    return null;
+  }
+
+  const lines = new Set();
+  fileDiff.hunks.forEach((hunk) => {
+    if (hunk.oldLines === 0) {
+      if (hunk.oldStart > 0) lines.add(hunk.oldStart);
+      lines.add(hunk.oldStart + 1);
+      return;
+    }
+    for (let i = 0; i < hunk.oldLines; i++) {
+      lines.add(hunk.oldStart + i);
+    }
+  });
+  return lines;
+}
+
+/**
+ * Strip a source extension from a path
+ */
+function stripExtension(filePath) {
+  return filePath.replace(SOURCE_FILE_PATTERN, "");
+}
+
+/**
+ * Find the test files that import a file directly
+ * Only relative specifiers are resolved; the extension may be left out or
+ * differ (e.g. "./util.js" for util.ts), and a directory import matches its
+ * index file.
+ * @param {string} filePath - Absolute path of the imported file
+ * @param {Map<string, string>} testSources - Test file path → source code
+ * @returns {string[]} Absolute test file paths
+ */
+function findImportingTestFiles(filePath, testSources) {
+  const targets = new Set([stripExtension(filePath)]);
+  if (path.basename(stripExtension(filePath)) === "index") {
+    targets.add(path.dirname(filePath));
+  }
+
+  const importers = [];
+  testSources.forEach((source, testFile) => {
+    for (const match of source.matchAll(IMPORT_PATTERN)) {
+      const specifier = match[2];
+      if (!specifier.startsWith(".")) {
+        continue;
+      }
+      const resolved = path.resolve(path.dirname(testFile), specifier);
+      if (targets.has(resolved) || targets.has(stripExtension(resolved))) {
+        importers.push(testFile);
+        break;
+      }
+    }
+  });
+  return importers;
+}
+
+/**
+ * Select the tests affected by a set of changed files
+ * Tests covering a changed line are selected by name. Changed test files run
+ * whole, and so do the test files importing a changed source file that has
+ * no lineage data (e.g. a new file).
+ * @param {object} lineageData - { filePath: { lineNumber: [testInfo] } }
+ * @param {object} changedFiles - Map of absolute path to diff info (see getChangedLines)
+ * @param {object} options - Options
+ * @param {string} options.projectPath - Project root (default: cwd)
+ * @param {boolean} options.wholeFiles - Select every test covering a changed file,
+ *   not only those covering its changed lines
+ * @param {string[]} options.testFiles - Known test files, searched for imports of new files
+ * @returns {object} { tests: [{ testId, testName, describePath, testFile, lines }],
+ *   testFiles: [{ testFile, reason }],
+ *   files: [{ relativePath, status, tests }], ignoredFiles } where `status` is
+ *   "covered", "uncovered", "test", "imported" or "unmapped"
+ */
+function selectAffectedTests(lineageData, changedFiles, options = {}) {
+  const projectPath = options.projectPath || process.cwd();
+  const relative = (filePath) => path.relative(projectPath, filePath).split(path.sep).join("/");
+
+  const lineageByPath = new Map();
+  Object.entries(lineageData).forEach(([filePath, lines]) => {
+    lineageByPath.set(path.resolve(projectPath, filePath), lines);
+  });
+
+  const tests = new Map();
+  const testFiles = new Map();
+  const files = [];
+  const unmapped = [];
+  let ignoredFiles = 0;
+
+  Object.keys(changedFiles)
+    .sort()
+    .forEach((filePath) => {
+      const fileDiff = changedFiles[filePath];
+      const relativePath = relative(filePath);
+
+      if (!SOURCE_FILE_PATTERN.test(filePath) || relativePath.endsWith(".d.ts")) {
+        ignoredFiles++;
+        return;
+      }
+
+      if (isTestOrDeclarationFile(relativePath)) {
+        testFiles.set(filePath, { testFile: filePath, reason: "Changed test file" });
+        files.push({ relativePath, status: "test", tests: 1 });
+        return;
+      }
+
+      const lines = lineageByPath.get(fileDiff.oldPath || filePath);
+      if (!lines) {
+        unmapped.push({ filePath, relativePath });
+        return;
+      }
+
+      const touched = options.wholeFiles ? null : getTouchedOldLines(fileDiff);
+      const fileTests = new Set();
+      Object.entries(lines).forEach(([lineNumber, lineTests]) => {
+        if (touched && !touched.has(Number(lineNumber))) {
+          return;
+        }
+        lineTests.forEach((lineTest) => {
+          const { testId, testName, describePath, testFile } = lineTest;
+          if (!tests.has(testId)) {
+            tests.set(testId, { testId, testName, describePath, testFile, lines: [] });
+          }
+          tests.get(testId).lines.push(`${relativePath}:${lineNumber}`);
+          fileTests.add(testId);
+        });
+      });
+
+      files.push({ relativePath, status: fileTests.size > 0 ? "covered" : "uncovered", tests: fileTests.size });
+    });
+
+  // Files the tests never loaded can only be traced through imports
+  if (unmapped.length > 0) {
+    const testSources = new Map();
+    new Set([...(options.testFiles || []), ...testFiles.keys()]).forEach((testFile) => {
+      try {
+        testSources.set(testFile, fs.readFileSync(testFile, "utf8"));
+      } catch (error) {
+        // Deleted or moved test files can't import anything
+      }
+    });
+
+    unmapped.forEach(({ filePath, relativePath }) => {
+      const importers = findImportingTestFiles(filePath, testSources);
+      importers.forEach((testFile) => {
+        if (!testFiles.has(testFile)) {
+          testFiles.set(testFile, { testFile, reason: `Imports ${relativePath}` });
+        }
+      });
+      files.push({ relativePath, status: importers.length > 0 ? "imported" : "unmapped", tests: importers.length });
+    });
+    files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  }
+
+  // Whole test files already run every test they contain
+  const selected = [...tests.values()].filter((test) => !testFiles.has(test.testFile));
+
+  return {
+    tests: selected,
+    testFiles: [...testFiles.values()],
+    files,
+    ignoredFiles,
+  };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build the Jest runs for a selection
+ * Jest applies --testNamePattern to every file of a run, so tests selected
+ * by name and whole test files need separate runs. Tests with the same full
+ * name in another selected file run as well.
+ * @param {object} selection - Result of selectAffectedTests
+ * @returns {Array<object>} Runs { testPathPatterns, testNamePattern } (testNamePattern
+ *   is null for whole test files)
+ */
+function createAffectedTestRuns(selection) {
+  const runs = [];
+  const pathPattern = (testFiles) =>
+    `(${[...new Set(testFiles)].map(escapeRegExp).join("|")})$`;
+
+  if (selection.tests.length > 0) {
+    runs.push({
+      testPathPatterns: pathPattern(selection.tests.map((test) => test.testFile)),
+      testNamePattern: createTestNamePattern(selection.tests),
+    });
+  }
+
+  if (selection.testFiles.length > 0) {
+    runs.push({
+      testPathPatterns: pathPattern(selection.testFiles.map((entry) => entry.testFile)),
+      testNamePattern: null,
+    });
+  }
+
+  return runs;
+}
+
+module.exports = {
+  selectAffectedTests,
+  createAffectedTestRuns,
+};
@@ -2,6 +2,8 @@
  * Production Babel Plugin for Jest Test Lineage Tracking
  * Automatically instruments source code to track line-by-line test coverage
  */
+const { getSchemataMutants, applySchemata } = require('./babel-plugin-mutation-tester');
+
 function lineageTrackerPlugin({ types: t }, options = {}) {
   // Check if lineage tracking is enabled
   const isEnabled = process.env.JEST_LINEAGE_ENABLED !== 'false' &&
@@ -15,6 +17,13 @@ function lineageTrackerPlugin({ types: t }, options = {}) {
         enter(path, state) {
           // Initialize plugin state
           state.filename = state.file.opts.filename;
+
+          // During mutation runs, compile the file's mutants behind runtime switches
+          const schemataMutants = getSchemataMutants(state.filename);
+          if (schemataMutants) {
+            applySchemata(path, schemataMutants, t);
+          }
+
           state.shouldInstrument = isEnabled && shouldInstrumentFile(state.filename);
           state.instrumentedLines = new Set();
 
@@ -51,6 +60,9 @@ function lineageTrackerPlugin({ types: t }, options = {}) {
       VariableDeclaration(path, state) {
         if (!state.shouldInstrument) return;
 
+        // Declarations in a loop head (`for (let i = 0; ...)`) can't have a statement before them
+        if (path.parentPath.isFor() && path.key !== 'body') return;
+
         const lineNumber = path.node.loc?.start.line;
         if (lineNumber && !state.instrumentedLines.has(lineNumber)) {
           instrumentLine(path, state, lineNumber, 'variable-declaration');
@@ -110,19 +122,32 @@ function lineageTrackerPlugin({ types: t }, options = {}) {
   };
 };
 
+// This package's modules that run inside the tests they track, relative to this file.
+// They are matched by absolute path, so user files with similar names are still instrumented
+const TRACKER_MODULES = [
+  'testSetup.js',
+  'TestCoverageReporter.js',
+  'LineageStore.js',
+  'lineage-data-format.js',
+  'lineage-schema.js',
+  'utils/test-id.js',
+  'LineageTestEnvironment.js'
+];
+
 /**
  * Determines if a file should be instrumented
  */
 function shouldInstrumentFile(filename) {
   if (!filename) return false;
 
-  // Don't instrument test files
+  const path = require('path');
+  const absolutePath = path.resolve(filename);
+
+  // Don't instrument test files or the tracker's own modules
   if (filename.includes('__tests__') ||
       filename.includes('.test.') ||
       filename.includes('.spec.') ||
-      filename.includes('testSetup.js') ||
-      filename.includes('TestCoverageReporter.js') ||
-      filename.includes('LineageTestEnvironment.js')) {
+      TRACKER_MODULES.some(module => absolutePath === path.join(__dirname, module))) {
     return false;
   }
 
@@ -1,398 +1,1144 @@
 /**
  * Babel Plugin for Mutation Testing
- * Creates targeted mutations for specific lines based on lineage tracking data
+ * Creates targeted mutations for specific AST nodes based on lineage tracking data
+ *
+ * Every mutation operator works on the node it replaces:
+ *   {
+ *     name,                 // Operator key used in config.mutationOperators
+ *     label,                // Human readable name for reports
+ *     nodeTypes,            // Node types to consider (omit to consider every node)
+ *     canApply(path, t),    // Whether the node can be mutated by this operator
+ *     mutate(path, t)       // Returns the replacement node (must not modify the tree)
+ *   }
+ *
+ * Projects add their own operators with modules listed in
+ * config.customMutationOperators (see loadCustomOperators); their mutants
+ * carry the module's path in `operatorModule`.
+ *
+ * A mutant is one operator applied to one node, identified by its location:
+ *   { mutationType, mutatorLabel, nodeType, location: { start: {line, column}, end: {line, column} },
+ *     operatorModule?, ignoreReason? }
+ * Lines are 1-based and columns 0-based, as in Babel's `loc`. Mutants that are
+ * equivalent to the original code or suppressed by a
+ * `// jest-lineage-disable-next-line mutation:<operator>` comment carry an
+ * `ignoreReason` and are reported as ignored instead of being tested.
+ *
+ * Mutants are either applied directly (applyMutants) or compiled together into a
+ * schemata build (applySchemata) where each one sits behind a runtime switch:
+ *   globalThis.__ACTIVE_MUTANT__ === "<id>" ? <mutated> : <original>
+ * (statements are switched with `if` instead, wrapped in a block when the original is one)
+ * The switch is initialised from the JEST_LINEAGE_ACTIVE_MUTANT environment variable.
+ * Selecting the probe mutant (SCHEMATA_PROBE_ID) makes a schemata build throw
+ * SCHEMATA_PROBE_MESSAGE when it loads, which tells a run that the project's
+ * transform compiled the switches in.
+ * A mutant's `higherOrder` ids also switch it on, so a higher-order mutant
+ * activates all of its first-order mutants at once.
  */
 
-/**
- * Creates a mutation testing plugin that targets a specific line and mutation type
- * @param {number} targetLine - Line number to mutate
- * @param {string} mutationType - Type of mutation to apply
- * @param {Object} config - Mutation configuration
- */
-function createMutationPlugin(targetLine, mutationType, config = {}) {
-  return function({ types: t }, options = {}) {
-    return {
-      name: 'mutation-tester',
-      visitor: {
-        Program: {
-          enter(path, state) {
-            state.filename = state.file.opts.filename;
-            state.shouldMutate = false;
-            state.mutationApplied = false;
-            state.targetLine = targetLine;
-            state.mutationType = mutationType;
-            state.config = { ...config, ...options };
-          }
-        },
+const fs = require('fs');
 
-        // ARITHMETIC OPERATORS: +, -, *, /, %
-        BinaryExpression(path, state) {
-          if (!shouldApplyMutation(path, state, 'arithmetic')) return;
-
-          const operator = path.node.operator;
-          const mutations = {
-            '+': '-',   // Addition to Subtraction
-            '-': '+',   // Subtraction to Addition  
-            '*': '/',   // Multiplication to Division
-            '/': '*',   // Division to Multiplication
-            '%': '*',   // Modulo to Multiplication
-            '==': '!=', // Equality to Inequality
-            '!=': '==', // Inequality to Equality
-            '===': '!==', // Strict equality to strict inequality
-            '!==': '===', // Strict inequality to strict equality
-            '<': '>=',  // Less than to Greater/Equal
-            '>': '<=',  // Greater than to Less/Equal
-            '<=': '>',  // Less/Equal to Greater
-            '>=': '<'   // Greater/Equal to Less
-          };
-
-          if (mutations[operator]) {
-            path.node.operator = mutations[operator];
-            state.mutationApplied = true;
-            logMutation(state, `${operator} → ${mutations[operator]}`);
-          }
-        },
+// Environment variables and global used by schemata builds
+const ACTIVE_MUTANT_ENV = 'JEST_LINEAGE_ACTIVE_MUTANT';
+const SCHEMATA_MANIFEST_ENV = 'JEST_LINEAGE_SCHEMATA';
+const ACTIVE_MUTANT_GLOBAL = '__ACTIVE_MUTANT__';
+const SCHEMATA_PROBE_ID = '__jest_lineage_schemata_probe__';
+const SCHEMATA_PROBE_MESSAGE = 'jest-lineage mutant schemata probe';
 
-        // LOGICAL OPERATORS: &&, ||
-        LogicalExpression(path, state) {
-          if (!shouldApplyMutation(path, state, 'logical')) return;
+const ARITHMETIC_MUTATIONS = {
+  '+': '-',   // Addition to Subtraction
+  '-': '+',   // Subtraction to Addition
+  '*': '/',   // Multiplication to Division
+  '/': '*',   // Division to Multiplication
+  '%': '*'    // Modulo to Multiplication
+};
 
-          const operator = path.node.operator;
-          const mutations = {
-            '&&': '||',  // AND to OR
-            '||': '&&'   // OR to AND
-          };
+const COMPARISON_MUTATIONS = {
+  '==': '!=', // Equality to Inequality
+  '!=': '==', // Inequality to Equality
+  '===': '!==', // Strict equality to strict inequality
+  '!==': '===', // Strict inequality to strict equality
+  '<': '>=',  // Less than to Greater/Equal
+  '>': '<=',  // Greater than to Less/Equal
+  '<=': '>',  // Less/Equal to Greater
+  '>=': '<'   // Greater/Equal to Less
+};
 
-          if (mutations[operator]) {
-            path.node.operator = mutations[operator];
-            state.mutationApplied = true;
-            logMutation(state, `${operator} → ${mutations[operator]}`);
-          }
-        },
+const LOGICAL_MUTATIONS = {
+  '&&': '||',  // AND to OR
+  '||': '&&'   // OR to AND
+};
 
-        // UNARY OPERATORS: !, ++, --
-        UnaryExpression(path, state) {
-          if (!shouldApplyMutation(path, state, 'logical')) return;
+const INCREMENT_MUTATIONS = {
+  '++': '--',  // Increment to Decrement
+  '--': '++'   // Decrement to Increment
+};
 
-          if (path.node.operator === '!') {
-            // Remove negation: !condition → condition
-            path.replaceWith(path.node.argument);
-            state.mutationApplied = true;
-            logMutation(state, '! → (removed)');
-          }
-        },
+const ASSIGNMENT_MUTATIONS = {
+  '+=': '-=',  // Add-assign to Subtract-assign
+  '-=': '+=',  // Subtract-assign to Add-assign
+  '*=': '/=',  // Multiply-assign to Divide-assign
+  '/=': '*=',  // Divide-assign to Multiply-assign
+  '%=': '*='   // Modulo-assign to Multiply-assign
+};
 
-        // UPDATE EXPRESSIONS: ++, --
-        UpdateExpression(path, state) {
-          if (!shouldApplyMutation(path, state, 'increments')) return;
+// Binary return arguments that are safe to mutate without breaking module loading
+const RETURN_OPERATOR_MUTATIONS = {
+  '+': '-',
+  '-': '+',
+  '*': '/',
+  '/': '*'
+};
 
-          const operator = path.node.operator;
-          const mutations = {
-            '++': '--',  // Increment to Decrement
-            '--': '++'   // Decrement to Increment
-          };
+// Methods swapped for their counterpart: a.some(fn) → a.every(fn)
+const METHOD_MUTATIONS = {
+  some: 'every',
+  every: 'some',
+  startsWith: 'endsWith',
+  endsWith: 'startsWith',
+  min: 'max',
+  max: 'min',
+  toLowerCase: 'toUpperCase',
+  toUpperCase: 'toLowerCase',
+  trimStart: 'trimEnd',
+  trimEnd: 'trimStart',
+  padStart: 'padEnd',
+  padEnd: 'padStart',
+  indexOf: 'lastIndexOf',
+  lastIndexOf: 'indexOf'
+};
 
-          if (mutations[operator]) {
-            path.node.operator = mutations[operator];
-            state.mutationApplied = true;
-            logMutation(state, `${operator} → ${mutations[operator]}`);
-          }
-        },
+// Methods whose call is replaced by the receiver: a.filter(fn) → a
+const METHOD_REMOVALS = ['filter', 'sort', 'reverse', 'slice', 'trim'];
 
-        // ASSIGNMENT OPERATORS: =, +=, -=, etc.
-        AssignmentExpression(path, state) {
-          if (!shouldApplyMutation(path, state, 'assignment')) return;
-
-          const operator = path.node.operator;
-          const mutations = {
-            '+=': '-=',  // Add-assign to Subtract-assign
-            '-=': '+=',  // Subtract-assign to Add-assign
-            '*=': '/=',  // Multiply-assign to Divide-assign
-            '/=': '*=',  // Divide-assign to Multiply-assign
-            '%=': '*='   // Modulo-assign to Multiply-assign
-          };
-
-          if (mutations[operator]) {
-            path.node.operator = mutations[operator];
-            state.mutationApplied = true;
-            logMutation(state, `${operator} → ${mutations[operator]}`);
-          }
-        },
+// Regex pattern rewrites, tried in order until one changes the pattern
+const REGEX_MUTATIONS = [
+  (pattern) => pattern.replace(/^\^/, ''),                 // Drop the start anchor
+  (pattern) => pattern.replace(/([^\\])\$$/, '$1'),        // Drop the end anchor
+  (pattern) => pattern.replace(/(^|[^\\])\[(\^?)/, (match, before, negated) =>
+    `${before}[${negated ? '' : '^'}`),                   // Negate a character class
+  (pattern) => pattern.replace(/\\([dws])/, (match, shorthand) =>
+    `\\${shorthand.toUpperCase()}`)                        // \d → \D, \w → \W, \s → \S
+];
 
-        // CONDITIONAL STATEMENTS: if, while, for
-        IfStatement(path, state) {
-          if (!shouldApplyMutation(path, state, 'conditional')) return;
+const CONDITION_PARENT_TYPES = ['IfStatement', 'WhileStatement', 'ForStatement', 'DoWhileStatement'];
 
-          // Negate condition: if (x > 0) → if (!(x > 0))
-          const { types: t } = require('@babel/core');
-          path.node.test = t.unaryExpression('!', t.parenthesizedExpression(path.node.test));
-          state.mutationApplied = true;
-          logMutation(state, 'if condition → !(condition)');
-        },
+// Right operands that make an operator a no-op, so swapping between operators
+// with the same identity can't change behavior: x * 1 ↔ x / 1. Both convert x
+// to a number the same way. x + 0 ↔ x - 0 is not equivalent: + concatenates
+// strings ('a' + 0 is 'a0', 'a' - 0 is NaN)
+const IDENTITY_OPERANDS = {
+  '*': 1, '/': 1,
+  '*=': 1, '/=': 1
+};
 
-        // WHILE LOOPS
-        WhileStatement(path, state) {
-          if (!shouldApplyMutation(path, state, 'conditional')) return;
+const JUMP_STATEMENT_TYPES = ['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement'];
 
-          const { types: t } = require('@babel/core');
-          path.node.test = t.unaryExpression('!', t.parenthesizedExpression(path.node.test));
-          state.mutationApplied = true;
-          logMutation(state, 'while condition → !(condition)');
-        },
+// `// jest-lineage-disable-next-line mutation` or `... mutation:arithmetic,logical`
+const DISABLE_NEXT_LINE_PATTERN = /jest-lineage-disable-next-line\s+mutation(?::([\w*,\s-]+))?/;
 
-        // FOR LOOPS
-        ForStatement(path, state) {
-          if (!shouldApplyMutation(path, state, 'conditional')) return;
+/**
+ * Check whether a node is part of a type annotation or declaration rather than runtime code
+ */
+function isTypeContext(path) {
+  return Boolean(path.findParent((p) =>
+    p.isTSType() || p.isTSEnumMember() || p.isTSModuleDeclaration() || p.isTSExternalModuleReference()
+  ));
+}
 
-          // Only mutate if there's a test condition
-          if (path.node.test) {
-            const { types: t } = require('@babel/core');
-            path.node.test = t.unaryExpression('!', t.parenthesizedExpression(path.node.test));
-            state.mutationApplied = true;
-            logMutation(state, 'for condition → !(condition)');
-          }
-        },
+/**
+ * Check whether a literal is part of module wiring or a type rather than a value
+ */
+function isStructuralLiteral(path) {
+  const parent = path.parentPath;
 
-        // RETURN STATEMENTS
-        ReturnStatement(path, state) {
-          if (!shouldApplyMutation(path, state, 'returns')) return;
-
-          const { types: t } = require('@babel/core');
-
-          if (path.node.argument) {
-            // Apply type-safe mutations based on the argument type
-            if (t.isNumericLiteral(path.node.argument)) {
-              // For numbers, change to 0 instead of null to avoid type errors
-              const originalValue = path.node.argument.value;
-              const newValue = originalValue === 0 ? 1 : 0;
-              path.node.argument = t.numericLiteral(newValue);
-              state.mutationApplied = true;
-              logMutation(state, `return ${originalValue} → return ${newValue}`);
-            } else if (t.isBooleanLiteral(path.node.argument)) {
-              // For booleans, flip the value
-              const originalValue = path.node.argument.value;
-              path.node.argument = t.booleanLiteral(!originalValue);
-              state.mutationApplied = true;
-              logMutation(state, `return ${originalValue} → return ${!originalValue}`);
-            } else if (t.isStringLiteral(path.node.argument)) {
-              // For strings, change to empty string
-              const originalValue = path.node.argument.value;
-              path.node.argument = t.stringLiteral("");
-              state.mutationApplied = true;
-              logMutation(state, `return "${originalValue}" → return ""`);
-            } else if (t.isBinaryExpression(path.node.argument)) {
-              // For binary expressions like a + b, try to mutate the operator or operands
-              const expr = path.node.argument;
-              if (expr.operator === '+') {
-                // Change + to - for arithmetic expressions
-                expr.operator = '-';
-                state.mutationApplied = true;
-                logMutation(state, `return a + b → return a - b`);
-              } else if (expr.operator === '-') {
-                // Change - to + for arithmetic expressions
-                expr.operator = '+';
-                state.mutationApplied = true;
-                logMutation(state, `return a - b → return a + b`);
-              } else if (expr.operator === '*') {
-                // Change * to / for arithmetic expressions
-                expr.operator = '/';
-                state.mutationApplied = true;
-                logMutation(state, `return a * b → return a / b`);
-              } else if (expr.operator === '/') {
-                // Change / to * for arithmetic expressions
-                expr.operator = '*';
-                state.mutationApplied = true;
-                logMutation(state, `return a / b → return a * b`);
-              } else {
-                // For other binary expressions, skip to avoid breaking module loading
-                logMutation(state, `return expression → skipped (complex binary expression)`);
-              }
-            } else {
-              // For other complex expressions, skip mutation to avoid breaking module loading
-              // This is more conservative but safer
-              logMutation(state, `return expression → skipped (complex expression)`);
-            }
-          }
-        },
+  if (parent.isImportDeclaration() || parent.isExportAllDeclaration() ||
+      parent.isExportNamedDeclaration() || parent.isImportExpression()) {
+    return true;
+  }
 
-        // LITERAL VALUES: numbers, booleans, strings
-        Literal(path, state) {
-          if (!shouldApplyMutation(path, state, 'literals')) return;
-
-          const value = path.node.value;
-
-          if (typeof value === 'number') {
-            // Mutate numbers: 5 → 0, 0 → 1, negative → positive
-            const newValue = value === 0 ? 1 : (value > 0 ? 0 : Math.abs(value));
-            path.node.value = newValue;
-            state.mutationApplied = true;
-            logMutation(state, `${value} → ${newValue}`);
-          } else if (typeof value === 'boolean') {
-            // Flip booleans: true → false, false → true
-            path.node.value = !value;
-            state.mutationApplied = true;
-            logMutation(state, `${value} → ${!value}`);
-          } else if (typeof value === 'string' && value.length > 0) {
-            // Empty strings: "hello" → ""
-            path.node.value = "";
-            state.mutationApplied = true;
-            logMutation(state, `"${value}" → ""`);
-          }
-        },
+  // Non-computed object and class keys: { "key": value, 1: value }
+  if ((parent.isObjectProperty() || parent.isObjectMethod() ||
+       parent.isClassProperty() || parent.isClassMethod()) &&
+      path.key === 'key' && !parent.node.computed) {
+    return true;
+  }
 
-        // NUMERIC LITERALS (for newer Babel versions)
-        NumericLiteral(path, state) {
-          if (!shouldApplyMutation(path, state, 'literals')) return;
+  // require("module") and import("module")
+  if (parent.isCallExpression() && path.listKey === 'arguments') {
+    const callee = parent.node.callee;
+    if ((callee.type === 'Identifier' && callee.name === 'require') || callee.type === 'Import') {
+      return true;
+    }
+  }
 
-          const value = path.node.value;
-          const newValue = value === 0 ? 1 : (value > 0 ? 0 : Math.abs(value));
-          path.node.value = newValue;
-          state.mutationApplied = true;
-          logMutation(state, `${value} → ${newValue}`);
-        },
+  // TypeScript literal types, enums and module declarations
+  return isTypeContext(path);
+}
 
-        // BOOLEAN LITERALS
-        BooleanLiteral(path, state) {
-          if (!shouldApplyMutation(path, state, 'literals')) return;
+/**
+ * Collect the lines disabled by `jest-lineage-disable-next-line mutation` comments
+ * @param {Object[]} comments - Comments of the parsed file
+ * @returns {Object} Map of line number to a Set of disabled operator names ('*' for all)
+ */
+function getDisabledLines(comments = []) {
+  const disabledLines = {};
 
-          const value = path.node.value;
-          path.node.value = !value;
-          state.mutationApplied = true;
-          logMutation(state, `${value} → ${!value}`);
-        },
+  comments.forEach((comment) => {
+    const match = DISABLE_NEXT_LINE_PATTERN.exec(comment.value);
+    if (!match) return;
 
-        // STRING LITERALS
-        StringLiteral(path, state) {
-          if (!shouldApplyMutation(path, state, 'literals')) return;
+    const operators = match[1]
+      ? match[1].split(',').map((name) => name.trim()).filter(Boolean)
+      : ['*'];
+    disabledLines[comment.loc.end.line + 1] = new Set(operators);
+  });
 
-          const value = path.node.value;
-          if (value.length > 0) {
-            path.node.value = "";
-            state.mutationApplied = true;
-            logMutation(state, `"${value}" → ""`);
-          }
-        }
+  return disabledLines;
+}
+
+/**
+ * Get the truthiness of a constant expression, or null if it isn't constant
+ */
+function getConstantTruthiness(node) {
+  switch (node.type) {
+    case 'BooleanLiteral':
+    case 'NumericLiteral':
+    case 'StringLiteral':
+      return Boolean(node.value);
+    case 'NullLiteral':
+      return false;
+    case 'Identifier':
+      return node.name === 'undefined' ? false : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a mutation swaps between operators that are both no-ops for
+ * the right operand (e.g. x * 1 → x / 1)
+ */
+function isIdentityOperation(path, replacement) {
+  if (!path.isBinaryExpression() && !path.isAssignmentExpression()) {
+    return false;
+  }
+
+  const identity = IDENTITY_OPERANDS[path.node.operator];
+  const right = path.node.right;
+  return identity !== undefined &&
+    IDENTITY_OPERANDS[replacement.operator] === identity &&
+    right.type === 'NumericLiteral' &&
+    right.value === identity;
+}
+
+/**
+ * Check whether a node can never run: after a return/throw/break/continue in
+ * the same block, or in a branch whose condition is a constant
+ */
+function isUnreachable(path) {
+  return Boolean(path.find((p) => {
+    const parent = p.parentPath;
+    if (!parent) return false;
+
+    // Function declarations are hoisted, so they stay reachable after a jump
+    if (p.listKey && Array.isArray(p.container) && !p.isFunctionDeclaration()) {
+      const previous = p.container.slice(0, p.key);
+      if (previous.some((node) => JUMP_STATEMENT_TYPES.includes(node.type))) {
+        return true;
       }
-    };
-  };
+    }
+
+    if (parent.isIfStatement() || parent.isConditionalExpression()) {
+      const truthiness = getConstantTruthiness(parent.node.test);
+      return (p.key === 'consequent' && truthiness === false) ||
+        (p.key === 'alternate' && truthiness === true);
+    }
+
+    if (parent.isWhileStatement() || parent.isForStatement()) {
+      return p.key === 'body' && Boolean(parent.node.test) &&
+        getConstantTruthiness(parent.node.test) === false;
+    }
+
+    if (parent.isLogicalExpression() && p.key === 'right') {
+      const truthiness = getConstantTruthiness(parent.node.left);
+      return (parent.node.operator === '&&' && truthiness === false) ||
+        (parent.node.operator === '||' && truthiness === true);
+    }
+
+    return false;
+  }));
 }
 
 /**
- * Determines if a mutation should be applied to the current node
+ * Get the reason a mutant should be ignored instead of tested, if any
+ * @param {Object} path - Babel path of the mutated node
+ * @param {Object} operator - Mutation operator
+ * @param {Object} replacement - Replacement node built by the operator
+ * @param {Object} disabledLines - Lines disabled by comments (see getDisabledLines)
+ * @param {Object} config - Mutation configuration (skipEquivalentMutants)
+ * @returns {string|null} Reason, or null if the mutant should be tested
  */
-function shouldApplyMutation(path, state, operatorType) {
-  const lineNumber = path.node.loc?.start.line;
-  
-  // Check if this is the target line
-  if (lineNumber !== state.targetLine) {
+function getIgnoreReason(path, operator, replacement, disabledLines, config = {}) {
+  const disabled = disabledLines[path.node.loc.start.line];
+  if (disabled && (disabled.has('*') || disabled.has(operator.name))) {
+    return 'Disabled by a jest-lineage-disable-next-line comment';
+  }
+
+  if (!config.skipEquivalentMutants) {
+    return null;
+  }
+  if (isIdentityOperation(path, replacement)) {
+    return 'Equivalent mutant: identity operation';
+  }
+  if (isUnreachable(path)) {
+    return 'Equivalent mutant: unreachable code';
+  }
+  return null;
+}
+
+/**
+ * Mutate a literal value: numbers → 0 (or 1), booleans flipped, strings emptied
+ */
+function mutateLiteral(node, t) {
+  if (t.isNumericLiteral(node)) {
+    const value = node.value;
+    return t.numericLiteral(value === 0 ? 1 : (value > 0 ? 0 : Math.abs(value)));
+  }
+  if (t.isBooleanLiteral(node)) {
+    return t.booleanLiteral(!node.value);
+  }
+  return t.stringLiteral('');
+}
+
+/**
+ * Check whether a node is the outermost link of an optional chain that
+ * contains at least one `?.` (for `a?.b.c` that is `.c`)
+ */
+function isOptionalChainTop(path) {
+  if (!path.isOptionalMemberExpression() && !path.isOptionalCallExpression()) {
     return false;
   }
 
-  // Check if this operator type is enabled
-  if (state.config.mutationOperators && !state.config.mutationOperators[operatorType]) {
+  const parent = path.parentPath;
+  if ((parent.isOptionalMemberExpression() && path.key === 'object') ||
+      (parent.isOptionalCallExpression() && path.key === 'callee')) {
     return false;
   }
 
-  // Check if we've already applied a mutation (one per line)
-  if (state.mutationApplied) {
+  let node = path.node;
+  while (node.type === 'OptionalMemberExpression' || node.type === 'OptionalCallExpression') {
+    if (node.optional) return true;
+    node = node.type === 'OptionalMemberExpression' ? node.object : node.callee;
+  }
+  return false;
+}
+
+/**
+ * Rebuild an optional chain with every `?.` replaced by a plain access
+ */
+function removeOptionalChaining(node, t) {
+  if (t.isOptionalMemberExpression(node)) {
+    return t.memberExpression(
+      removeOptionalChaining(node.object, t),
+      t.cloneNode(node.property),
+      node.computed
+    );
+  }
+  if (t.isOptionalCallExpression(node)) {
+    return t.callExpression(
+      removeOptionalChaining(node.callee, t),
+      node.arguments.map((argument) => t.cloneNode(argument))
+    );
+  }
+  return t.cloneNode(node);
+}
+
+/**
+ * Check whether an expression is what a module exports, which would stop the
+ * module from loading at all if it were emptied
+ */
+function isModuleExport(path) {
+  const parent = path.parentPath;
+  if (parent.isExportDefaultDeclaration()) {
+    return true;
+  }
+  if (!parent.isAssignmentExpression() || path.key !== 'right') {
     return false;
   }
 
-  return true;
+  const left = parent.node.left;
+  return left.type === 'MemberExpression' && left.object.type === 'Identifier' &&
+    (left.object.name === 'exports' ||
+      (left.object.name === 'module' && left.property.name === 'exports'));
 }
 
 /**
- * Logs mutation information
+ * Get the name of the method a call invokes (a.some(fn) → "some")
  */
-function logMutation(state, description) {
-  if (state.config.enableDebugLogging) {
-    console.log(`🧬 Mutation applied at ${state.filename}:${state.targetLine} - ${description}`);
+function getCalledMethod(path) {
+  const callee = path.node.callee;
+  if (callee.type !== 'MemberExpression' || callee.computed ||
+      callee.property.type !== 'Identifier' || callee.object.type === 'Super') {
+    return null;
   }
+  return callee.property.name;
 }
 
 /**
- * Gets all possible mutations for a given line of code by analyzing the AST
+ * Rewrite a regex pattern, or return null if no rewrite gives a valid regex
  */
-function getPossibleMutations(filePath, lineNumber, sourceCode) {
-  try {
-    const babel = require('@babel/core');
-    const fs = require('fs');
-
-    // Read the full file content
-    const fullFileContent = fs.readFileSync(filePath, 'utf8');
-    const lines = fullFileContent.split('\n');
-    const targetLine = lines[lineNumber - 1];
-
-    if (!targetLine) return [];
-
-    const possibleMutations = [];
-
-    // Parse the entire file to get proper AST context
-    // Disable project babel config to avoid loading project-specific plugins
-    const ast = babel.parseSync(fullFileContent, {
-      filename: filePath,
-      configFile: false,
-      babelrc: false,
-      parserOpts: {
-        sourceType: "module",
-        allowImportExportEverywhere: true,
-        plugins: ["typescript", "jsx"],
-      },
-    });
+function mutateRegexPattern(node) {
+  for (const rewrite of REGEX_MUTATIONS) {
+    const pattern = rewrite(node.pattern);
+    if (pattern === node.pattern) continue;
+
+    try {
+      new RegExp(pattern, node.flags);
+      return pattern;
+    } catch (error) {
+      // Rewrite produced an invalid regex, try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a block calls super(), which a derived constructor can't drop
+ */
+function callsSuper(node) {
+  return node.body.some((statement) =>
+    statement.type === 'ExpressionStatement' &&
+    statement.expression.type === 'CallExpression' &&
+    statement.expression.callee.type === 'Super'
+  );
+}
+
+const MUTATION_OPERATORS = [
+  // ARITHMETIC OPERATORS: +, -, *, /, %
+  {
+    name: 'arithmetic',
+    label: 'Arithmetic operator',
+    nodeTypes: ['BinaryExpression'],
+    canApply: (path) => ARITHMETIC_MUTATIONS[path.node.operator] !== undefined,
+    mutate: (path, t) => t.binaryExpression(
+      ARITHMETIC_MUTATIONS[path.node.operator],
+      t.cloneNode(path.node.left),
+      t.cloneNode(path.node.right)
+    )
+  },
+
+  // COMPARISON OPERATORS: ==, !=, <, >, <=, >=
+  {
+    name: 'comparison',
+    label: 'Comparison operator',
+    nodeTypes: ['BinaryExpression'],
+    canApply: (path) => COMPARISON_MUTATIONS[path.node.operator] !== undefined,
+    mutate: (path, t) => t.binaryExpression(
+      COMPARISON_MUTATIONS[path.node.operator],
+      t.cloneNode(path.node.left),
+      t.cloneNode(path.node.right)
+    )
+  },
+
+  // LOGICAL OPERATORS: &&, || and negation removal (!condition → condition)
+  {
+    name: 'logical',
+    label: 'Logical operator',
+    nodeTypes: ['LogicalExpression', 'UnaryExpression'],
+    canApply: (path) => path.isLogicalExpression()
+      ? LOGICAL_MUTATIONS[path.node.operator] !== undefined
+      : path.node.operator === '!',
+    mutate: (path, t) => path.isLogicalExpression()
+      ? t.logicalExpression(
+        LOGICAL_MUTATIONS[path.node.operator],
+        t.cloneNode(path.node.left),
+        t.cloneNode(path.node.right)
+      )
+      : t.cloneNode(path.node.argument)
+  },
+
+  // CONDITIONS of if, while, do-while and for statements: cond → !(cond)
+  {
+    name: 'conditional',
+    label: 'Negated condition',
+    canApply: (path) => path.key === 'test' &&
+      Boolean(path.parentPath) &&
+      CONDITION_PARENT_TYPES.includes(path.parentPath.node.type),
+    mutate: (path, t) => t.unaryExpression('!', t.parenthesizedExpression(t.cloneNode(path.node)))
+  },
+
+  // ASSIGNMENT OPERATORS: +=, -=, *=, /=, %=
+  {
+    name: 'assignment',
+    label: 'Assignment operator',
+    nodeTypes: ['AssignmentExpression'],
+    canApply: (path) => ASSIGNMENT_MUTATIONS[path.node.operator] !== undefined,
+    mutate: (path, t) => t.assignmentExpression(
+      ASSIGNMENT_MUTATIONS[path.node.operator],
+      t.cloneNode(path.node.left),
+      t.cloneNode(path.node.right)
+    )
+  },
+
+  // LITERAL VALUES: numbers, booleans, strings
+  {
+    name: 'literals',
+    label: 'Literal value',
+    nodeTypes: ['NumericLiteral', 'BooleanLiteral', 'StringLiteral'],
+    canApply: (path) => !isStructuralLiteral(path) &&
+      (!path.isStringLiteral() || path.node.value.length > 0),
+    mutate: (path, t) => mutateLiteral(path.node, t)
+  },
+
+  // RETURN VALUES: literals replaced, simple arithmetic flipped
+  {
+    name: 'returns',
+    label: 'Return value',
+    canApply: (path) => {
+      if (path.key !== 'argument' || !path.parentPath || !path.parentPath.isReturnStatement()) {
+        return false;
+      }
+      // Complex expressions are skipped to avoid breaking module loading
+      return path.isNumericLiteral() || path.isBooleanLiteral() ||
+        (path.isStringLiteral() && path.node.value.length > 0) ||
+        (path.isBinaryExpression() && RETURN_OPERATOR_MUTATIONS[path.node.operator] !== undefined);
+    },
+    mutate: (path, t) => path.isBinaryExpression()
+      ? t.binaryExpression(
+        RETURN_OPERATOR_MUTATIONS[path.node.operator],
+        t.cloneNode(path.node.left),
+        t.cloneNode(path.node.right)
+      )
+      : mutateLiteral(path.node, t)
+  },
+
+  // UPDATE EXPRESSIONS: ++, --
+  {
+    name: 'increments',
+    label: 'Update operator',
+    nodeTypes: ['UpdateExpression'],
+    canApply: (path) => INCREMENT_MUTATIONS[path.node.operator] !== undefined,
+    mutate: (path, t) => t.updateExpression(
+      INCREMENT_MUTATIONS[path.node.operator],
+      t.cloneNode(path.node.argument),
+      path.node.prefix
+    )
+  },
+
+  // OPTIONAL CHAINING: a?.b.c → a.b.c (every ?. in the chain)
+  {
+    name: 'optionalChaining',
+    label: 'Optional chaining',
+    nodeTypes: ['OptionalMemberExpression', 'OptionalCallExpression'],
+    canApply: (path) => isOptionalChainTop(path),
+    mutate: (path, t) => removeOptionalChaining(path.node, t)
+  },
+
+  // NULLISH COALESCING: a ?? b → a || b
+  {
+    name: 'nullishCoalescing',
+    label: 'Nullish coalescing',
+    nodeTypes: ['LogicalExpression'],
+    canApply: (path) => path.node.operator === '??',
+    mutate: (path, t) => t.logicalExpression(
+      '||',
+      t.cloneNode(path.node.left),
+      t.cloneNode(path.node.right)
+    )
+  },
+
+  // ARRAY LITERALS: [a, b] → []
+  {
+    name: 'arrays',
+    label: 'Array literal',
+    nodeTypes: ['ArrayExpression'],
+    canApply: (path) => path.node.elements.length > 0 && !isModuleExport(path),
+    mutate: (path, t) => t.arrayExpression([])
+  },
+
+  // OBJECT LITERALS: { a: 1 } → {}
+  {
+    name: 'objects',
+    label: 'Object literal',
+    nodeTypes: ['ObjectExpression'],
+    canApply: (path) => path.node.properties.length > 0 && !isModuleExport(path),
+    mutate: (path, t) => t.objectExpression([])
+  },
+
+  // METHOD CALLS: some ↔ every, startsWith ↔ endsWith, min ↔ max, ...; a.filter(fn) → a
+  {
+    name: 'methods',
+    label: 'Method call',
+    nodeTypes: ['CallExpression'],
+    canApply: (path) => {
+      const method = getCalledMethod(path);
+      return method !== null &&
+        (Object.prototype.hasOwnProperty.call(METHOD_MUTATIONS, method) || METHOD_REMOVALS.includes(method));
+    },
+    mutate: (path, t) => {
+      const method = getCalledMethod(path);
+      const receiver = t.cloneNode(path.node.callee.object);
+      if (METHOD_REMOVALS.includes(method)) {
+        return receiver;
+      }
+      return t.callExpression(
+        t.memberExpression(receiver, t.identifier(METHOD_MUTATIONS[method])),
+        path.node.arguments.map((argument) => t.cloneNode(argument))
+      );
+    }
+  },
+
+  // REGEX LITERALS: anchors dropped, character classes and shorthands negated
+  {
+    name: 'regex',
+    label: 'Regular expression',
+    nodeTypes: ['RegExpLiteral'],
+    canApply: (path) => mutateRegexPattern(path.node) !== null,
+    mutate: (path, t) => t.regExpLiteral(mutateRegexPattern(path.node), path.node.flags)
+  },
+
+  // BLOCK STATEMENTS: { ... } → {}
+  {
+    name: 'blocks',
+    label: 'Block statement',
+    nodeTypes: ['BlockStatement'],
+    canApply: (path) => path.node.body.length > 0 && !callsSuper(path.node),
+    mutate: (path, t) => t.blockStatement([])
+  }
+];
+
+// Custom operators loaded so far, keyed by resolved module path
+const customOperatorModules = new Map();
+
+/**
+ * Wrap an operator exported by a custom module in the built-in operator shape
+ * @param {Object} definition - { name, label?, nodeTypes?, canApply(node, path, t), mutate(path, t) }
+ * @param {string} modulePath - Resolved module path, used in error messages
+ * @returns {Object} Operator
+ */
+function toCustomOperator(definition, modulePath) {
+  if (!definition || typeof definition.name !== 'string' ||
+      typeof definition.canApply !== 'function' || typeof definition.mutate !== 'function') {
+    throw new Error(`Custom mutation operator module ${modulePath} must export { name, canApply(node), mutate(path) }`);
+  }
+  if (MUTATION_OPERATORS.some((operator) => operator.name === definition.name)) {
+    throw new Error(`Custom mutation operator "${definition.name}" in ${modulePath} clashes with a built-in operator`);
+  }
+
+  return {
+    name: definition.name,
+    label: definition.label || definition.name,
+    nodeTypes: definition.nodeTypes,
+    custom: true,
+    modulePath,
+    canApply: (path, t) => Boolean(definition.canApply(path.node, path, t)),
+    mutate: (path, t) => definition.mutate(path, t)
+  };
+}
+
+/**
+ * Load custom mutation operators from modules
+ * A module exports one operator or an array of them:
+ *   { name, label?, nodeTypes?, canApply(node, path, t), mutate(path, t) }
+ * `canApply` receives the node first; `mutate` follows the built-in contract.
+ * @param {string[]} modulePaths - Module paths or package names
+ * @param {string} baseDir - Directory relative paths are resolved from
+ * @returns {Object[]} Operators, also registered for getMutationOperator
+ */
+function loadCustomOperators(modulePaths = [], baseDir = process.cwd()) {
+  return modulePaths.flatMap((modulePath) => {
+    const resolvedPath = require.resolve(
+      modulePath.startsWith('.') ? require('path').resolve(baseDir, modulePath) : modulePath,
+      { paths: [baseDir] }
+    );
+
+    if (!customOperatorModules.has(resolvedPath)) {
+      const exported = require(resolvedPath);
+      const definitions = exported && exported.__esModule ? exported.default : exported;
+      customOperatorModules.set(
+        resolvedPath,
+        [].concat(definitions).map((definition) => toCustomOperator(definition, resolvedPath))
+      );
+    }
+
+    return customOperatorModules.get(resolvedPath);
+  });
+}
+
+/**
+ * Get the mutation operator registered under a name
+ * @param {string} name - Operator name (built-in or loaded custom operator)
+ * @returns {Object|undefined} Operator
+ */
+function getMutationOperator(name) {
+  return MUTATION_OPERATORS.find((operator) => operator.name === name) ||
+    [...customOperatorModules.values()].flat().find((operator) => operator.name === name);
+}
 
-    // Traverse the AST to find nodes on the target line
-    babel.traverse(ast, {
-      enter(path) {
-        const nodeLineNumber = path.node.loc?.start.line;
-        if (nodeLineNumber !== lineNumber) return;
-
-        // Check what types of mutations are possible based on the AST nodes
-        if (path.isBinaryExpression()) {
-          const operator = path.node.operator;
-          if (['+', '-', '*', '/', '%'].includes(operator)) {
-            possibleMutations.push('arithmetic');
+/**
+ * Check if an operator is enabled in the configuration
+ * Custom operators are on unless switched off by name.
+ */
+function isOperatorEnabled(operator, config) {
+  if (!config.mutationOperators) {
+    return true;
+  }
+  const setting = config.mutationOperators[operator.name];
+  return operator.custom ? setting !== false : Boolean(setting);
+}
+
+/**
+ * Convert a node's loc into a plain location object
+ */
+function toLocation(node) {
+  return {
+    start: { line: node.loc.start.line, column: node.loc.start.column },
+    end: { line: node.loc.end.line, column: node.loc.end.column }
+  };
+}
+
+/**
+ * Check if a node is the one a mutant targets
+ */
+function isMutantNode(mutant, node) {
+  const { start, end } = mutant.location;
+  return node.type === mutant.nodeType &&
+    node.loc.start.line === start.line &&
+    node.loc.start.column === start.column &&
+    node.loc.end.line === end.line &&
+    node.loc.end.column === end.column;
+}
+
+/**
+ * Whether replacement text must be parenthesized to keep its precedence
+ * once spliced back into the surrounding expression
+ */
+function needsParentheses(path, t, originalNode) {
+  // The source already wraps the span in parentheses
+  if (originalNode.extra && originalNode.extra.parenthesized) {
+    return false;
+  }
+
+  const node = path.node;
+  const lowPrecedence = t.isBinaryExpression(node) || t.isLogicalExpression(node) ||
+    t.isConditionalExpression(node) || t.isAssignmentExpression(node) ||
+    t.isSequenceExpression(node);
+  return lowPrecedence && Boolean(path.parentPath) && t.isExpression(path.parentPath.node);
+}
+
+/**
+ * Creates a mutation testing plugin that applies one or more mutants
+ * @param {Object|Object[]} mutants - Mutant(s) to apply (see getFileMutants)
+ * @param {Object} config - Mutation configuration
+ * @param {string[]} config.customMutationOperators - Modules of custom operators the mutants may use
+ * @param {Function} config.onMutationApplied - Called with { mutant, start, end, original, replacement }
+ *   for every applied mutant; `start`/`end` are source offsets, `replacement` is source text
+ */
+function createMutationPlugin(mutants, config = {}) {
+  const targets = Array.isArray(mutants) ? mutants : [mutants];
+  loadCustomOperators(config.customMutationOperators);
+
+  return function({ types: t }, options = {}) {
+    return {
+      name: 'mutation-tester',
+      visitor: {
+        Program: {
+          enter(path, state) {
+            state.filename = state.file.opts.filename;
+            state.config = { ...config, ...options };
+            state.pending = targets.slice();
           }
-          if (['==', '!=', '===', '!==', '<', '>', '<=', '>='].includes(operator)) {
-            possibleMutations.push('comparison');
+        },
+
+        // Babel plugins can't use catch-all visitors; every mutable node is one of these
+        'Expression|Statement'(path, state) {
+          const node = path.node;
+          if (!node.loc || !state.pending || state.pending.length === 0) return;
+
+          const index = state.pending.findIndex((mutant) => isMutantNode(mutant, node));
+          if (index === -1) return;
+
+          const mutant = state.pending[index];
+          const operator = getMutationOperator(mutant.mutationType);
+          if (!operator || !operator.canApply(path, t)) return;
+
+          state.pending.splice(index, 1);
+
+          const start = node.start;
+          const end = node.end;
+          const original = state.file.code.slice(start, end);
+
+          path.replaceWith(operator.mutate(path, t));
+          const replacement = needsParentheses(path, t, node)
+            ? `(${path.toString()})`
+            : path.toString();
+
+          // Don't revisit the cloned children of the replacement
+          path.skip();
+
+          const applied = { mutant, start, end, original, replacement };
+          logMutation(state, mutant, `${original} → ${replacement}`);
+
+          if (typeof state.config.onMutationApplied === 'function') {
+            state.config.onMutationApplied(applied);
           }
         }
+      }
+    };
+  };
+}
 
-        if (path.isLogicalExpression()) {
-          possibleMutations.push('logical');
-        }
+/**
+ * Logs mutation information
+ */
+function logMutation(state, mutant, description) {
+  if (state.config.enableDebugLogging) {
+    const { line, column } = mutant.location.start;
+    console.log(`🧬 Mutation applied at ${state.filename}:${line}:${column + 1} - ${description}`);
+  }
+}
 
-        if (path.isUnaryExpression() && path.node.operator === '!') {
-          possibleMutations.push('logical');
-        }
+/**
+ * Gets every mutant in a file by analyzing the AST once
+ * @param {string} filePath - Path of the file (used for parser options)
+ * @param {string} sourceCode - Full source of the file (read from filePath when omitted)
+ * @param {Object} config - Mutation configuration (mutationOperators, customMutationOperators,
+ *   maxMutationsPerLine, skipEquivalentMutants)
+ * @returns {Object} Map of line number to the mutants starting on that line, ordered by column
+ */
+function getFileMutants(filePath, sourceCode, config = {}) {
+  const babel = require('@babel/core');
+  const t = babel.types;
 
-        if (path.isUpdateExpression()) {
-          possibleMutations.push('increments');
-        }
+  const code = sourceCode !== undefined ? sourceCode : fs.readFileSync(filePath, 'utf8');
+
+  // Parse the entire file to get proper AST context
+  // Disable project babel config to avoid loading project-specific plugins
+  const ast = babel.parseSync(code, {
+    filename: filePath,
+    configFile: false,
+    babelrc: false,
+    parserOpts: {
+      sourceType: "module",
+      allowImportExportEverywhere: true,
+      plugins: ["typescript", "jsx"],
+    },
+  });
+
+  const operators = [...MUTATION_OPERATORS, ...loadCustomOperators(config.customMutationOperators)]
+    .filter((operator) => isOperatorEnabled(operator, config));
+  const disabledLines = getDisabledLines(ast.comments);
+  const mutantsByLine = {};
+
+  babel.traverse(ast, {
+    enter(path) {
+      const node = path.node;
+      // Types are erased at runtime, so mutating them can't change behavior
+      if (!node.loc || isTypeContext(path)) return;
 
-        if (path.isAssignmentExpression() && path.node.operator !== '=') {
-          possibleMutations.push('assignment');
+      // Operators can overlap (e.g. returns/literals), keep one mutant per distinct replacement
+      const replacements = [];
+
+      operators.forEach((operator) => {
+        if (operator.nodeTypes && !operator.nodeTypes.includes(node.type)) return;
+        if (!operator.canApply(path, t)) return;
+
+        const replacement = operator.mutate(path, t);
+        if (replacements.some((other) => t.isNodesEquivalent(other, replacement))) return;
+        replacements.push(replacement);
+
+        const location = toLocation(node);
+        const line = location.start.line;
+        if (!mutantsByLine[line]) {
+          mutantsByLine[line] = [];
         }
 
-        // Only add conditional mutations for actual conditional statements
-        if (path.isIfStatement() || path.isWhileStatement() ||
-            (path.isForStatement() && path.node.test)) {
-          possibleMutations.push('conditional');
+        const mutant = {
+          mutationType: operator.name,
+          mutatorLabel: operator.label,
+          nodeType: node.type,
+          location,
+          original: code.slice(node.start, node.end)
+        };
+        if (operator.custom) {
+          mutant.operatorModule = operator.modulePath;
         }
 
-        if (path.isReturnStatement()) {
-          possibleMutations.push('returns');
+        const ignoreReason = getIgnoreReason(path, operator, replacement, disabledLines, config);
+        if (ignoreReason) {
+          mutant.ignoreReason = ignoreReason;
         }
+        mutantsByLine[line].push(mutant);
+      });
+    }
+  });
+
+  // Order by position (outer nodes first) and apply the per-line cap;
+  // ignored mutants are kept for reporting but don't count towards the cap
+  const maxPerLine = config.maxMutationsPerLine;
+  Object.keys(mutantsByLine).forEach((line) => {
+    const mutants = mutantsByLine[line].sort((a, b) =>
+      a.location.start.column - b.location.start.column ||
+      b.location.end.line - a.location.end.line ||
+      b.location.end.column - a.location.end.column
+    );
+    if (maxPerLine > 0) {
+      const tested = mutants.filter((mutant) => !mutant.ignoreReason).slice(0, maxPerLine);
+      mutantsByLine[line] = mutants.filter((mutant) => mutant.ignoreReason || tested.includes(mutant));
+    }
+  });
 
-        if (path.isLiteral() || path.isNumericLiteral() ||
-            path.isBooleanLiteral() || path.isStringLiteral()) {
-          possibleMutations.push('literals');
+  return mutantsByLine;
+}
+
+/**
+ * Apply mutants to source code, splicing each mutated span into the original text
+ * so the rest of the file keeps its exact formatting
+ * @param {string} sourceCode - Original source
+ * @param {Object|Object[]} mutants - Mutant(s) to apply
+ * @param {string} filePath - File path (used for parser options)
+ * @param {Object} config - Mutation configuration
+ * @returns {Object|null} { code, applied } or null if no mutant could be applied
+ */
+function applyMutants(sourceCode, mutants, filePath, config = {}) {
+  const babel = require('@babel/core');
+  const applied = [];
+
+  babel.transformSync(sourceCode, {
+    plugins: [createMutationPlugin(mutants, {
+      ...config,
+      onMutationApplied: (mutation) => applied.push(mutation)
+    })],
+    filename: filePath,
+    parserOpts: {
+      sourceType: "module",
+      allowImportExportEverywhere: true,
+      plugins: ["typescript", "jsx"],
+    },
+    // Only the visitor is needed, no code generation
+    code: false,
+    presets: [],
+    babelrc: false,
+    configFile: false,
+  });
+
+  if (applied.length === 0) {
+    return null;
+  }
+
+  let code = sourceCode;
+  applied
+    .slice()
+    .sort((a, b) => b.start - a.start)
+    .forEach((mutation) => {
+      code = code.slice(0, mutation.start) + mutation.replacement + code.slice(mutation.end);
+    });
+
+  return { code, applied };
+}
+
+/**
+ * Build the runtime check for a mutant: globalThis.__ACTIVE_MUTANT__ === "<id>"
+ * (or any of the higher-order mutants it is part of)
+ */
+function createSwitchTest(t, id, higherOrderIds = []) {
+  const isActive = (activeId) => t.binaryExpression(
+    '===',
+    t.memberExpression(t.identifier('globalThis'), t.identifier(ACTIVE_MUTANT_GLOBAL)),
+    t.stringLiteral(activeId)
+  );
+
+  return higherOrderIds.reduce(
+    (test, higherOrderId) => t.logicalExpression('||', test, isActive(higherOrderId)),
+    isActive(id)
+  );
+}
+
+/**
+ * Build the statements that initialise the runtime switch from the environment:
+ *   if (globalThis.__ACTIVE_MUTANT__ === undefined) {
+ *     globalThis.__ACTIVE_MUTANT__ = typeof process !== "undefined" && process.env.JEST_LINEAGE_ACTIVE_MUTANT || null;
+ *   }
+ *   if (globalThis.__ACTIVE_MUTANT__ === "<probe id>") {
+ *     throw new Error("<probe message>");
+ *   }
+ */
+function createSwitchInitializer(t) {
+  const activeMutant = () =>
+    t.memberExpression(t.identifier('globalThis'), t.identifier(ACTIVE_MUTANT_GLOBAL));
+  const fromEnvironment = t.logicalExpression(
+    '||',
+    t.logicalExpression(
+      '&&',
+      t.binaryExpression('!==', t.unaryExpression('typeof', t.identifier('process')), t.stringLiteral('undefined')),
+      t.memberExpression(
+        t.memberExpression(t.identifier('process'), t.identifier('env')),
+        t.identifier(ACTIVE_MUTANT_ENV)
+      )
+    ),
+    t.nullLiteral()
+  );
+
+  return [
+    t.ifStatement(
+      t.binaryExpression('===', activeMutant(), t.identifier('undefined')),
+      t.blockStatement([
+        t.expressionStatement(t.assignmentExpression('=', activeMutant(), fromEnvironment))
+      ])
+    ),
+    t.ifStatement(
+      createSwitchTest(t, SCHEMATA_PROBE_ID),
+      t.blockStatement([
+        t.throwStatement(
+          t.newExpression(t.identifier('Error'), [t.stringLiteral(SCHEMATA_PROBE_MESSAGE)])
+        )
+      ])
+    )
+  ];
+}
+
+/**
+ * Compile mutants into a program behind runtime switches (mutant schemata)
+ * Every mutated node becomes a chain of conditionals that falls back to the
+ * original code, so a single build can run any one mutant.
+ * @param {Object} programPath - Babel path of the Program
+ * @param {Object[]} mutants - Mutants with an `id` (see getFileMutants)
+ * @param {Object} t - Babel types
+ * @returns {number} Number of mutants compiled into the program
+ */
+function applySchemata(programPath, mutants, t) {
+  const pending = mutants.slice();
+  const mutatedNodes = new WeakSet();
+  let switched = 0;
+
+  programPath.traverse({
+    'Expression|Statement'(path) {
+      const node = path.node;
+
+      // Mutated branches hold clones of nested nodes that must stay untouched
+      if (mutatedNodes.has(node)) {
+        path.skip();
+        return;
+      }
+      if (!node.loc || pending.length === 0) return;
+
+      const matches = pending.filter((mutant) => isMutantNode(mutant, node));
+      if (matches.length === 0) return;
+
+      const branches = [];
+      matches.forEach((mutant) => {
+        pending.splice(pending.indexOf(mutant), 1);
+
+        const operator = getMutationOperator(mutant.mutationType);
+        if (!operator || !operator.canApply(path, t)) return;
+
+        const replacement = operator.mutate(path, t);
+        mutatedNodes.add(replacement);
+        branches.push({ id: mutant.id, higherOrder: mutant.higherOrder || [], replacement });
+      });
+      if (branches.length === 0) return;
+
+      // Statements switch with if/else; a block stays a block so it remains valid
+      // as a function body or try/catch clause
+      const isStatement = t.isStatement(node);
+      let switchNode = node;
+      for (let i = branches.length - 1; i >= 0; i--) {
+        switchNode = (isStatement ? t.ifStatement : t.conditionalExpression)(
+          createSwitchTest(t, branches[i].id, branches[i].higherOrder),
+          branches[i].replacement,
+          switchNode
+        );
+      }
+      if (t.isBlockStatement(node)) {
+        switchNode = t.blockStatement([switchNode]);
+      }
+
+      // <Tag attr="value" /> only accepts an expression inside braces
+      if (path.parentPath && path.parentPath.isJSXAttribute()) {
+        switchNode = t.jsxExpressionContainer(switchNode);
+      }
+
+      path.replaceWith(switchNode);
+      switched += branches.length;
+    }
+  });
+
+  if (switched > 0) {
+    programPath.unshiftContainer('body', createSwitchInitializer(t));
+  }
+
+  return switched;
+}
+
+/**
+ * Creates a plugin that compiles mutants into a schemata build
+ * @param {Object[]} mutants - Mutants with an `id`; when omitted, the mutants
+ *   listed for the file in the JEST_LINEAGE_SCHEMATA manifest are used
+ */
+function createSchemataPlugin(mutants) {
+  return function({ types: t }) {
+    return {
+      name: 'mutation-schemata',
+      visitor: {
+        Program: {
+          enter(path, state) {
+            const fileMutants = mutants || getSchemataMutants(state.file.opts.filename);
+            if (fileMutants && fileMutants.length > 0) {
+              applySchemata(path, fileMutants, t);
+            }
+          }
         }
       }
-    });
+    };
+  };
+}
 
-    // Remove duplicates
-    return [...new Set(possibleMutations)];
+/**
+ * Write the schemata manifest read by builds during a mutation run
+ * Written atomically so concurrent Jest processes never see a partial file.
+ * @param {string} manifestPath - Manifest location
+ * @param {Object} files - Map of absolute file path to mutants with an `id`
+ * @param {string[]} operators - Absolute paths of the custom operator modules the mutants use
+ */
+function writeSchemataManifest(manifestPath, files, operators = []) {
+  const tempPath = `${manifestPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ version: 1, files, operators }));
+  fs.renameSync(tempPath, manifestPath);
+}
+
+/**
+ * Get the mutants to compile into a file from the manifest named by
+ * the JEST_LINEAGE_SCHEMATA environment variable
+ * @param {string} filename - File being transformed
+ * @returns {Object[]|null} Mutants, or null when the file isn't part of the run
+ */
+function getSchemataMutants(filename) {
+  const manifestPath = process.env[SCHEMATA_MANIFEST_ENV];
+  if (!manifestPath || !filename) {
+    return null;
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    // Builds run in Jest's processes, which haven't loaded the custom operators yet
+    loadCustomOperators(manifest.operators);
+    // Babel paths shadow the path module throughout this file
+    return manifest.files[require('path').resolve(filename)] || null;
+  } catch (error) {
+    console.warn(`⚠️ Could not read mutant schemata manifest ${manifestPath}: ${error.message}`);
+    return null;
+  }
+}
 
+/**
+ * Gets all possible mutation types for a given line of code by analyzing the AST
+ */
+function getPossibleMutations(filePath, lineNumber, sourceCode, config = {}) {
+  try {
+    const mutants = getFileMutants(filePath, undefined, config)[lineNumber] || [];
+
+    // Remove duplicates
+    return [...new Set(mutants.map((mutant) => mutant.mutationType))];
   } catch (error) {
     // If AST analysis fails, return empty array to skip this line
     return [];
@@ -400,6 +1146,19 @@ function getPossibleMutations(filePath, lineNumber, sourceCode) {
 }
 
 module.exports = {
+  ACTIVE_MUTANT_ENV,
+  SCHEMATA_MANIFEST_ENV,
+  SCHEMATA_PROBE_ID,
+  SCHEMATA_PROBE_MESSAGE,
+  MUTATION_OPERATORS,
+  getMutationOperator,
+  loadCustomOperators,
   createMutationPlugin,
+  getFileMutants,
+  applyMutants,
+  applySchemata,
+  createSchemataPlugin,
+  writeSchemataManifest,
+  getSchemataMutants,
   getPossibleMutations
 };
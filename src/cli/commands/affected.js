@@ -0,0 +1,78 @@
+/**
+ * Affected Command
+ * Select and run only the tests covering lines changed since a git ref
+ */
+
+const chalk = require('chalk');
+const { loadLineageData, processLineageDataForMutation } = require('../utils/data-loader');
+const { runJest, quoteShellArg } = require('../utils/jest-runner');
+const { printAffectedTests, error, info } = require('../utils/output-formatter');
+const { getChangedLines } = require('../../utils/git-diff');
+const { selectAffectedTests, createAffectedTestRuns } = require('../../affected-tests');
+
+async function affectedCommand(jestArgs, options) {
+  try {
+    const rawData = loadLineageData(options.data);
+    const lineageData = processLineageDataForMutation(rawData);
+    const changedFiles = getChangedLines(options.since);
+
+    const selection = selectAffectedTests(lineageData, changedFiles, {
+      wholeFiles: options.wholeFiles,
+      testFiles: [...new Set(rawData.tests.map(test => test.testFile).filter(Boolean))]
+    });
+    const runs = createAffectedTestRuns(selection);
+
+    if (options.json) {
+      console.log(JSON.stringify({ since: options.since, ...selection, runs }, null, 2));
+    } else {
+      printAffectedTests(selection, options.since);
+    }
+
+    if (runs.length === 0) {
+      if (!options.json) {
+        info('No tests are affected by the changes');
+      }
+      process.exit(0);
+    }
+
+    if (!options.run) {
+      if (!options.json) {
+        info(`Run them with: ${chalk.green(`jest-lineage affected --since ${options.since} --run`)}`);
+      }
+      process.exit(0);
+    }
+
+    // Lineage tracking stays off: a partial run would overwrite the lineage data
+    let exitCode = 0;
+    for (const run of runs) {
+      const args = [
+        `--testPathPatterns=${quoteShellArg(run.testPathPatterns)}`,
+        ...(run.testNamePattern ? [`--testNamePattern=${quoteShellArg(run.testNamePattern)}`] : []),
+        '--passWithNoTests',
+        ...(jestArgs || [])
+      ];
+      if (!args.includes('--coverage')) {
+        args.push('--no-coverage');
+      }
+
+      const result = await runJest({
+        args,
+        config: options.config,
+        enableLineage: false,
+        enablePerformance: false,
+        enableQuality: false,
+        quiet: options.json
+      });
+      if (!result.success) {
+        exitCode = result.exitCode || 1;
+      }
+    }
+
+    process.exit(exitCode);
+  } catch (err) {
+    error(`Failed to select affected tests: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = affectedCommand;
@@ -0,0 +1,53 @@
+/**
+ * Convert Command
+ * Convert lineage data between the JSON and compact formats
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const LineageStore = require('../../LineageStore');
+const { DATA_FORMATS, detectLineageDataFormat } = require('../../lineage-data-format');
+const { success, error } = require('../utils/output-formatter');
+
+/**
+ * Format a file size for display
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+async function convertCommand(options) {
+  try {
+    if (!DATA_FORMATS.includes(options.to)) {
+      throw new Error(`Unknown format "${options.to}" (expected ${DATA_FORMATS.join(' or ')})`);
+    }
+
+    const inputPath = path.resolve(process.cwd(), options.data);
+    const outputPath = path.resolve(process.cwd(), options.output || options.data);
+
+    // Reading consolidates pending shards and keeps the performance sections
+    const data = new LineageStore({ dataPath: inputPath }).read();
+    if (!data) {
+      throw new Error(`Lineage data file not found: ${chalk.yellow(inputPath)}`);
+    }
+
+    const inputFormat = detectLineageDataFormat(inputPath);
+    const inputSize = fs.statSync(inputPath).size;
+    new LineageStore({ dataPath: outputPath }).writeDataFile(data, options.to);
+    const outputSize = fs.statSync(outputPath).size;
+
+    success(`Converted ${data.tests.length} tests from ${inputFormat} to ${options.to}: ${chalk.cyan(outputPath)}`);
+    console.log(chalk.gray(`   ${formatSize(inputSize)} → ${formatSize(outputSize)}`));
+
+    process.exit(0);
+  } catch (err) {
+    error(`Conversion failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = convertCommand;
@@ -0,0 +1,55 @@
+/**
+ * Minimize Command
+ * Recommend a minimal test subset that keeps line coverage and killed mutants
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { loadLineageData, processLineageDataForMutation } = require('../utils/data-loader');
+const { printRedundantTests, error, info, warning } = require('../utils/output-formatter');
+const { minimizeTestSuite } = require('../../test-minimization');
+
+async function minimizeCommand(options) {
+  try {
+    const rawData = loadLineageData(options.data);
+    const lineageData = processLineageDataForMutation(rawData);
+
+    // Without mutation results only line coverage can be preserved
+    const mutationResultsPath = path.resolve(process.cwd(), options.mutationResults);
+    let mutationResults = null;
+    if (fs.existsSync(mutationResultsPath)) {
+      mutationResults = JSON.parse(fs.readFileSync(mutationResultsPath, 'utf8'));
+    } else if (!options.json) {
+      warning(`No mutation results at ${mutationResultsPath} - only line coverage is preserved. Run jest-lineage mutate first to keep killed mutants too.`);
+    }
+
+    const minimization = minimizeTestSuite(lineageData, mutationResults, {
+      tests: rawData.tests.map(test => ({
+        testId: test.id,
+        testName: test.name,
+        describePath: test.describePath,
+        testFile: test.testFile || 'unknown',
+        duration: test.duration || 0
+      }))
+    });
+
+    const outputPath = path.resolve(process.cwd(), options.output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(minimization, null, 2));
+
+    if (options.json) {
+      console.log(JSON.stringify(minimization, null, 2));
+    } else {
+      printRedundantTests(minimization);
+      info(`Recommendations saved to: ${chalk.yellow(outputPath)}`);
+    }
+
+    process.exit(0);
+  } catch (err) {
+    error(`Minimization failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = minimizeCommand;
@@ -6,7 +6,8 @@
 const MutationTester = require('../../MutationTester');
 const { loadLineageData, processLineageDataForMutation } = require('../utils/data-loader');
 const { loadFullConfig } = require('../utils/config-loader');
-const { spinner, printMutationSummary, error, success, info, printLineageDataSummary } = require('../utils/output-formatter');
+const { spinner, printMutationSummary, printRunnerBenchmark, printThresholdFailures, error, success, info, printLineageDataSummary } = require('../utils/output-formatter');
+const { hasBrokenThreshold } = require('../../mutation-thresholds');
 const chalk = require('chalk');
 
 async function mutateCommand(options) {
@@ -43,6 +44,14 @@ async function mutateCommand(options) {
     mutationTester = new MutationTester(config);
     mutationTester.setLineageData(lineageData);
 
+    if (options.benchmark) {
+      const sampleSize = parseInt(options.benchmark) || 10;
+      const benchmark = await mutationTester.benchmarkRunners(sampleSize);
+      await mutationTester.cleanup();
+      printRunnerBenchmark(benchmark);
+      process.exit(0);
+    }
+
     // Run mutation testing
     const spin = spinner('Running mutation testing...');
     if (!options.verbose) {
@@ -65,11 +74,20 @@ async function mutateCommand(options) {
     // Print results
     printMutationSummary(results);
 
+    // Check per-scope thresholds; any `break` violation fails the run
+    const brokenThreshold = results.thresholds ? hasBrokenThreshold(results.thresholds) : false;
+    if (results.thresholds) {
+      printThresholdFailures(results.thresholds);
+    }
+
     // Check threshold
     const threshold = parseInt(options.threshold) || 80;
     if (results.mutationScore < threshold) {
       console.log(chalk.yellow(`\n⚠️  Mutation score ${results.mutationScore.toFixed(1)}% is below threshold ${threshold}%`));
       process.exit(1);
+    } else if (brokenThreshold) {
+      error('Mutation score is below the break threshold of at least one scope');
+      process.exit(1);
     } else {
       success(`Mutation score meets threshold (${threshold}%)`);
       process.exit(0);
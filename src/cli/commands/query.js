@@ -5,6 +5,7 @@
 
 const { loadLineageData, processLineageDataForMutation } = require('../utils/data-loader');
 const { section, error, formatPath } = require('../utils/output-formatter');
+const { getTestTitlePath } = require('../../utils/test-id');
 const Table = require('cli-table3');
 const chalk = require('chalk');
 const path = require('path');
@@ -56,7 +57,7 @@ async function queryCommand(file, line, options) {
 
       tests.forEach(test => {
         table.push([
-          test.testName,
+          getTestTitlePath(test),
           path.basename(test.testFile),
           test.executionCount
         ]);
@@ -70,7 +71,7 @@ async function queryCommand(file, line, options) {
 
       const lines = Object.keys(fileCoverage).sort((a, b) => parseInt(a) - parseInt(b));
       const totalTests = new Set(
-        lines.flatMap(lineNum => fileCoverage[lineNum].map(t => t.testName))
+        lines.flatMap(lineNum => fileCoverage[lineNum].map(t => t.testId))
       ).size;
 
       console.log(chalk.gray(`Lines covered: ${lines.length}`));
@@ -84,7 +85,7 @@ async function queryCommand(file, line, options) {
         const tests = fileCoverage[lineNum];
         console.log(chalk.cyan(`Line ${lineNum}:`));
         tests.slice(0, 3).forEach(test => {
-          console.log(`  ${chalk.gray('•')} ${test.testName} ${chalk.gray(`(${path.basename(test.testFile)})`)}`);
+          console.log(`  ${chalk.gray('•')} ${getTestTitlePath(test)} ${chalk.gray(`(${path.basename(test.testFile)})`)}`);
         });
         if (tests.length > 3) {
           console.log(chalk.gray(`  ... and ${tests.length - 3} more test(s)`));
@@ -7,6 +7,7 @@ const TestCoverageReporter = require('../../TestCoverageReporter');
 const { loadLineageData, processLineageDataForMutation } = require('../utils/data-loader');
 const { loadFullConfig } = require('../utils/config-loader');
 const { spinner, success, error, info } = require('../utils/output-formatter');
+const { minimizeTestSuite } = require('../../test-minimization');
 const open = require('open');
 const chalk = require('chalk');
 const path = require('path');
@@ -53,6 +54,17 @@ async function reportCommand(options) {
       reporter.mutationResults = mutationResults;
     }
 
+    // Recommend redundant tests for the report's panel
+    reporter.testMinimization = minimizeTestSuite(lineageData, mutationResults, {
+      tests: rawData.tests.map(test => ({
+        testId: test.id,
+        testName: test.name,
+        describePath: test.describePath,
+        testFile: test.testFile || 'unknown',
+        duration: test.duration || 0
+      }))
+    });
+
     // Generate HTML report
     const spin = spinner('Generating HTML report...');
     spin.start();
@@ -7,8 +7,8 @@ const { runJest } = require('../utils/jest-runner');
 const { loadFullConfig } = require('../utils/config-loader');
 const { lineageDataExists } = require('../utils/data-loader');
 const { success, error, info } = require('../utils/output-formatter');
-const fs = require('fs');
 const path = require('path');
+const LineageStore = require('../../LineageStore');
 
 async function testCommand(jestArgs, options) {
   try {
@@ -27,13 +27,11 @@ async function testCommand(jestArgs, options) {
 
     // Check if lineage data was generated
     const dataPath = path.join(process.cwd(), '.jest-lineage-data.json');
-    if (result.success && fs.existsSync(dataPath)) {
-      const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+    const data = result.success ? new LineageStore({ dataPath }).read() : null;
+    if (data) {
       const testCount = data.tests ? data.tests.length : 0;
       const fileCount = data.tests
-        ? new Set(data.tests.flatMap(t =>
-            Object.keys(t.coverage || {}).map(k => k.split(':')[0])
-          )).size
+        ? new Set(data.tests.flatMap(t => (t.lines || []).map(record => record.file))).size
         : 0;
 
       if (!options.quiet) {
@@ -10,6 +10,9 @@ const mutateCommand = require('./commands/mutate');
 const reportCommand = require('./commands/report');
 const queryCommand = require('./commands/query');
 const analyzeCommand = require('./commands/analyze');
+const minimizeCommand = require('./commands/minimize');
+const affectedCommand = require('./commands/affected');
+const convertCommand = require('./commands/convert');
 const pkg = require('../../package.json');
 
 async function run(argv) {
@@ -46,7 +49,10 @@ async function run(argv) {
     .description('Run mutation testing on existing lineage data')
     .option('--data <path>', 'Path to lineage data file', '.jest-lineage-data.json')
     .option('--threshold <number>', 'Mutation score threshold (%)', '80')
-    .option('--timeout <ms>', 'Timeout per mutation (ms)', '5000')
+    .option('--timeout <ms>', 'Fixed timeout per mutation (ms), used for tests without a baseline', '5000')
+    .option('--timeout-factor <number>', 'Mutant timeout = factor × baseline test duration + --timeout-ms (default: 1.5)')
+    .option('--timeout-ms <ms>', 'Constant added to calibrated mutant timeouts in ms (default: 2000)')
+    .option('--no-calibrate-timeouts', 'Skip the baseline run and use the fixed --timeout for every mutant')
     .option('--workers <number>', 'Number of parallel workers (1=serial, 0=auto)', '1')
     .option('--docker', 'Use Docker containers for parallel execution (faster!)')
     .option('--docker-workers <number>', 'Number of Docker containers (default: CPU cores - 1)')
@@ -54,7 +60,23 @@ async function run(argv) {
     .option('--docker-tag <tag>', 'Docker image tag', 'latest')
     .option('--debug', 'Create debug mutation files instead of running tests')
     .option('--debug-dir <path>', 'Directory for debug files', './mutations-debug')
-    .option('--operators <list>', 'Comma-separated mutation operators to enable')
+    .option('--operators <list>', 'Comma-separated mutation operators to enable (e.g. arithmetic,methods,optionalChaining)')
+    .option('--files <globs>', 'Only mutate files matching these comma-separated globs or directories (e.g. src/billing/**)')
+    .option('--lines <ranges>', 'Only mutate these line ranges (e.g. 40-120 or 10-20,40-60)')
+    .option('--function <names>', 'Only mutate inside these comma-separated functions (e.g. calculateTotal or Cart.total)')
+    .option('--since <ref>', 'Only mutate lines changed since a git ref, reusing previous results for the rest')
+    .option('--diff <range>', 'Write a Markdown report of surviving mutants on the lines changed in a git range (e.g. main...feature)')
+    .option('--diff-report <path>', 'Output path of the --diff report (default: reports/mutation/diff.md)')
+    .option('--no-cache', 'Ignore cached mutation results and re-run every mutant')
+    .option('--covered-only', 'Skip mutants on lines no test covers instead of reporting them as no coverage')
+    .option('--higher-order [perFunction]', 'Also test pairs of killed mutants in the same function as higher-order mutants (default: 3 per function)')
+    .option('--subsumption', 'Find redundant mutants from the per-test kill matrix and report the minimal mutant set score')
+    .option('--no-prioritize', 'Run all covering tests of a mutant at once instead of cheapest first')
+    .option('--resume', 'Resume an interrupted run, reusing mutants already completed')
+    .option('--reporter <list>', 'Comma-separated extra report formats (schema-json)')
+    .option('--runner <type>', 'How mutant tests run: pool (long-lived Jest processes, one per worker) or spawn')
+    .option('--benchmark [mutants]', 'Compare the pool and spawn runners on a sample of mutants (default: 10) instead of a full run')
+    .option('--mutation-mode <mode>', 'How mutants are applied: schemata (source files untouched) or in-place')
     .option('--verbose', 'Enable debug logging')
     .action(mutateCommand);
 
@@ -77,6 +99,37 @@ async function run(argv) {
     .option('--format <type>', 'Output format (table, list, json)', 'table')
     .action(queryCommand);
 
+  // Minimize command - Recommend redundant tests
+  program
+    .command('minimize')
+    .description('Find a minimal test subset that keeps line coverage and killed mutants')
+    .option('--data <path>', 'Path to lineage data file', '.jest-lineage-data.json')
+    .option('--mutation-results <path>', 'Path to mutation results file', '.jest-lineage-mutation-results.json')
+    .option('--output <path>', 'Output JSON file path', '.jest-lineage-minimization.json')
+    .option('--json', 'Output as JSON')
+    .action(minimizeCommand);
+
+  // Affected command - Run only the tests impacted by changes
+  program
+    .command('affected [jest-args...]')
+    .description('Select the tests covering lines changed since a git ref and optionally run them')
+    .option('--since <ref>', 'Git ref to diff the working tree against', 'HEAD')
+    .option('--data <path>', 'Path to lineage data file', '.jest-lineage-data.json')
+    .option('--whole-files', 'Select every test covering a changed file, not only its changed lines')
+    .option('--run', 'Run the affected tests with Jest instead of only listing them')
+    .option('--config <path>', 'Path to Jest config file')
+    .option('--json', 'Output as JSON')
+    .action(affectedCommand);
+
+  // Convert command - Switch the lineage data format
+  program
+    .command('convert')
+    .description('Convert lineage data between the JSON and compact formats')
+    .requiredOption('--to <format>', 'Target format (json, compact)')
+    .option('--data <path>', 'Path to lineage data file', '.jest-lineage-data.json')
+    .option('--output <path>', 'Output path (default: convert the data file in place)')
+    .action(convertCommand);
+
   // Analyze command - Full workflow
   program
     .command('analyze')
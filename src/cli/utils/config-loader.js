@@ -4,7 +4,7 @@
  * Priority: CLI args > env vars > config file > package.json > defaults
  */
 
-const { loadConfig } = require('../../config');
+const { loadConfig, DEFAULT_CONFIG } = require('../../config');
 const path = require('path');
 const fs = require('fs');
 
@@ -50,9 +50,66 @@ function mapCliOptionsToConfig(cliOptions) {
   if (cliOptions.timeout !== undefined) {
     config.mutationTimeout = parseInt(cliOptions.timeout);
   }
+  if (cliOptions.timeoutFactor !== undefined) {
+    config.timeoutFactor = parseFloat(cliOptions.timeoutFactor);
+  }
+  if (cliOptions.timeoutMs !== undefined) {
+    config.timeoutMs = parseInt(cliOptions.timeoutMs);
+  }
+  if (cliOptions.calibrateTimeouts === false) {
+    config.calibrateTimeouts = false;
+  }
   if (cliOptions.workers !== undefined) {
     config.workers = parseInt(cliOptions.workers);
   }
+  if (cliOptions.since !== undefined) {
+    config.since = cliOptions.since;
+  }
+  if (cliOptions.diff !== undefined) {
+    config.diff = cliOptions.diff;
+  }
+  if (cliOptions.diffReport !== undefined) {
+    config.diffReportPath = cliOptions.diffReport;
+  }
+  if (cliOptions.cache === false) {
+    config.enableMutationCache = false;
+  }
+  if (cliOptions.coveredOnly === true) {
+    config.reportNoCoverage = false;
+  }
+  if (cliOptions.prioritize === false) {
+    config.prioritizeTests = false;
+  }
+  if (cliOptions.higherOrder !== undefined) {
+    config.higherOrderMutants = true;
+    // A bare --higher-order keeps the configured limit
+    if (cliOptions.higherOrder !== true) {
+      config.maxHigherOrderMutantsPerFunction = parseInt(cliOptions.higherOrder);
+    }
+  }
+  if (cliOptions.subsumption === true) {
+    config.subsumptionAnalysis = true;
+  }
+  if (cliOptions.resume === true) {
+    config.resume = true;
+  }
+  if (cliOptions.reporter !== undefined) {
+    config.mutationReporters = cliOptions.reporter.split(',').map(r => r.trim()).filter(Boolean);
+  }
+  if (cliOptions.mutationMode !== undefined) {
+    config.mutationMode = cliOptions.mutationMode;
+  }
+  if (cliOptions.runner !== undefined) {
+    config.mutationRunner = cliOptions.runner;
+  }
+  if (cliOptions.files !== undefined || cliOptions.lines !== undefined || cliOptions.function !== undefined) {
+    const list = value => value === undefined ? [] : [].concat(value).join(',').split(',').map(v => v.trim()).filter(Boolean);
+    config.mutationScope = {
+      files: list(cliOptions.files),
+      lines: cliOptions.lines !== undefined ? String(cliOptions.lines) : null,
+      functions: list(cliOptions.function)
+    };
+  }
 
   // Docker settings
   if (cliOptions.docker === true) {
@@ -75,18 +132,16 @@ function mapCliOptionsToConfig(cliOptions) {
     config.debugMutationDir = cliOptions.debugDir;
   }
   if (cliOptions.operators !== undefined) {
-    // Parse comma-separated operators
-    const operators = cliOptions.operators.split(',').map(o => o.trim());
-    config.mutationOperators = {
-      arithmetic: operators.includes('arithmetic'),
-      comparison: operators.includes('comparison'),
-      logical: operators.includes('logical'),
-      conditional: operators.includes('conditional'),
-      assignment: operators.includes('assignment'),
-      literals: operators.includes('literals'),
-      returns: operators.includes('returns'),
-      increments: operators.includes('increments')
-    };
+    // Parse comma-separated operators; every built-in operator not listed is disabled.
+    // Other names are custom operators, which are enabled unless switched off by name
+    const operators = cliOptions.operators.split(',').map(o => o.trim()).filter(Boolean);
+    config.mutationOperators = {};
+    Object.keys(DEFAULT_CONFIG.mutationOperators).forEach(operator => {
+      config.mutationOperators[operator] = operators.includes(operator);
+    });
+    operators.forEach(operator => {
+      config.mutationOperators[operator] = true;
+    });
   }
 
   // Output settings
@@ -6,31 +6,49 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const LineageStore = require('../../LineageStore');
+const { validateLineageData } = require('../../lineage-schema');
+
+// Validation errors listed before the rest are summarized
+const MAX_REPORTED_ERRORS = 10;
 
 /**
- * Load lineage data from file
+ * Load lineage data from file (JSON or compact format)
+ * Shards the test workers appended since the file was last written are
+ * consolidated into it first, data in an older schema version is migrated,
+ * and the result is validated against the current schema. Compact data is
+ * read lazily: each test's line records are only rebuilt, and validated,
+ * when accessed.
  * @param {string} dataPath - Path to lineage data file
- * @returns {object} Parsed lineage data
+ * @param {object} options - Options
+ * @param {boolean} options.includePerformance - Read the performance sections of
+ *   compact data (default: false)
+ * @returns {object} Parsed lineage data { schemaVersion, timestamp, tests }
  */
-function loadLineageData(dataPath = '.jest-lineage-data.json') {
+function loadLineageData(dataPath = '.jest-lineage-data.json', options = {}) {
   const resolvedPath = path.resolve(process.cwd(), dataPath);
 
-  if (!fs.existsSync(resolvedPath)) {
-    throw new Error(
-      `Lineage data file not found: ${chalk.yellow(resolvedPath)}\n\n` +
-      `${chalk.cyan('Hint:')} Run ${chalk.green('jest-lineage test')} first to generate lineage data.`
-    );
-  }
-
   try {
-    const content = fs.readFileSync(resolvedPath, 'utf8');
-    const data = JSON.parse(content);
+    const data = new LineageStore({ dataPath: resolvedPath }).read({
+      includePerformance: options.includePerformance === true
+    });
+    if (!data) {
+      throw new Error(
+        `Lineage data file not found: ${chalk.yellow(resolvedPath)}\n\n` +
+        `${chalk.cyan('Hint:')} Run ${chalk.green('jest-lineage test')} first to generate lineage data.`
+      );
+    }
 
-    // Validate structure
-    if (!data.timestamp || !Array.isArray(data.tests)) {
+    const errors = validateLineageData(data);
+    if (errors.length > 0) {
+      const listed = errors.slice(0, MAX_REPORTED_ERRORS).map(message => `  - ${message}`);
+      if (errors.length > MAX_REPORTED_ERRORS) {
+        listed.push(`  ... and ${errors.length - MAX_REPORTED_ERRORS} more`);
+      }
       throw new Error(
-        `Invalid lineage data format in ${chalk.yellow(resolvedPath)}\n\n` +
-        `Expected format: { timestamp: number, tests: array }`
+        `Invalid lineage data in ${chalk.yellow(resolvedPath)}\n\n` +
+        `${listed.join('\n')}\n\n` +
+        `${chalk.cyan('Hint:')} Run ${chalk.green('jest-lineage test')} to regenerate it.`
       );
     }
 
@@ -56,7 +74,8 @@ function loadLineageData(dataPath = '.jest-lineage-data.json') {
 /**
  * Process raw lineage data into format needed by MutationTester
  * @param {object} rawData - Raw data from .jest-lineage-data.json
- * @returns {object} Processed lineage data { filePath: { lineNumber: [testInfo, ...] } }
+ * @returns {object} Processed lineage data { filePath: { lineNumber: [testInfo, ...] } }, where
+ *   testInfo is { testId, testName, describePath, testType, testFile, executionCount, duration, depth }
  */
 function processLineageDataForMutation(rawData) {
   const processed = {};
@@ -66,20 +85,12 @@ function processLineageDataForMutation(rawData) {
   }
 
   rawData.tests.forEach((test) => {
-    if (!test.coverage) {
+    if (!test.lines) {
       return;
     }
 
-    const coverageKeys = Object.keys(test.coverage);
-
-    coverageKeys.forEach((lineKey) => {
-      // Parse line key: "file.ts:lineNumber"
-      const [filePath, lineNumber, ...suffixes] = lineKey.split(':');
-
-      // Skip metadata entries (depth, performance, meta) - only process basic line coverage
-      if (!lineNumber || suffixes.length > 0) {
-        return;
-      }
+    test.lines.forEach((record) => {
+      const { file: filePath, line: lineNumber, meta } = record;
 
       if (!processed[filePath]) {
         processed[filePath] = {};
@@ -89,11 +100,18 @@ function processLineageDataForMutation(rawData) {
         processed[filePath][lineNumber] = [];
       }
 
+      // Shallowest call depth at which the test reached this line
+      const depths = Object.keys(record.depth || {}).map(Number);
+
       processed[filePath][lineNumber].push({
+        testId: test.id,
         testName: test.name,
+        describePath: test.describePath || [],
         testType: test.type || 'it',
         testFile: test.testFile || 'unknown',
-        executionCount: test.coverage[lineKey] || 1
+        executionCount: record.hits || 1,
+        duration: test.duration || 0,
+        depth: (meta && meta.minDepth) || (depths.length > 0 ? Math.min(...depths) : 1)
       });
     });
   });
@@ -108,7 +126,8 @@ function processLineageDataForMutation(rawData) {
  */
 function lineageDataExists(dataPath = '.jest-lineage-data.json') {
   const resolvedPath = path.resolve(process.cwd(), dataPath);
-  return fs.existsSync(resolvedPath);
+  const store = new LineageStore({ dataPath: resolvedPath });
+  return fs.existsSync(resolvedPath) || store.hasShards();
 }
 
 module.exports = {
@@ -92,6 +92,18 @@ async function runJest(options = {}) {
   });
 }
 
+/**
+ * Quote an argument for the shell runJest spawns Jest through
+ * @param {string} arg - Argument, e.g. a regex pattern
+ * @returns {string} Quoted argument
+ */
+function quoteShellArg(arg) {
+  if (process.platform === 'win32') {
+    return `"${arg.replace(/"/g, '""')}"`;
+  }
+  return `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
 /**
  * Validate that Jest is available
  * @returns {boolean} True if Jest is available
@@ -107,5 +119,6 @@ function isJestAvailable() {
 
 module.exports = {
   runJest,
+  quoteShellArg,
   isJestAvailable
 };
@@ -4,7 +4,11 @@
  */
 
 const chalk = require('chalk');
+const path = require('path');
 const ora = require('ora');
+const Table = require('cli-table3');
+const { getFailedThresholds } = require('../../mutation-thresholds');
+const { getTestTitlePath } = require('../../utils/test-id');
 
 /**
  * Print success message
@@ -71,8 +75,59 @@ function printMutationSummary(results) {
   console.log(`${chalk.green('✅ Killed:')} ${results.killedMutations}`);
   console.log(`${chalk.red('🔴 Survived:')} ${results.survivedMutations}`);
   console.log(`${chalk.yellow('⏰ Timeout:')} ${results.timeoutMutations || 0}`);
-  console.log(`${chalk.gray('❌ Error:')} ${results.errorMutations || 0}`);
+  console.log(`${chalk.gray('🙈 Ignored:')} ${results.ignoredMutations || 0}`);
+  console.log(`${chalk.magenta('🕳️  No coverage:')} ${results.noCoverageMutations || 0}`);
+  console.log(`${chalk.gray('❌ Error:')} ${results.errorMutations || 0} ${chalk.gray(`(runtime: ${results.runtimeErrorMutations || 0}, compile: ${results.compileErrorMutations || 0})`)}`);
   console.log(`${chalk.bold.cyan('🎯 Mutation Score:')} ${chalk.bold(results.mutationScore.toFixed(1))}%`);
+  if (results.coveredMutationScore !== undefined) {
+    console.log(`${chalk.cyan('🎯 Covered Code Score:')} ${results.coveredMutationScore.toFixed(1)}% ${chalk.gray('(excluding mutants on uncovered lines)')}`);
+  }
+
+  if (results.scope) {
+    console.log(`${chalk.bold('🔎 Scope:')} ${results.scope.description} ${chalk.gray(`(${results.scope.lineCount} lines in ${results.scope.fileCount} files)`)}`);
+  }
+
+  if (results.timeoutCalibration) {
+    const { timeoutFactor, timeoutMs, testsMeasured, baselineTime } = results.timeoutCalibration;
+    console.log(`${chalk.bold('⏱️  Timeouts:')} ${timeoutFactor} × baseline + ${timeoutMs}ms ${chalk.gray(`(${testsMeasured} tests measured in ${baselineTime}ms)`)}`);
+  }
+
+  if (results.incremental) {
+    const { since, freshMutations, reusedMutations } = results.incremental;
+    console.log(`${chalk.bold('🔀 Incremental:')} ${freshMutations} fresh, ${chalk.gray(`${reusedMutations} reused`)} (changes since ${chalk.cyan(since)})`);
+  }
+
+  if (results.diffReport) {
+    const { range, survivors, mutations, path: reportPath } = results.diffReport;
+    console.log(`${chalk.bold('📝 Diff report:')} ${survivors} surviving of ${mutations} mutants on lines changed in ${chalk.cyan(range)} ${chalk.gray(`(${reportPath})`)}`);
+  }
+
+  if (results.cacheStats) {
+    const { hits, misses, size, pruned } = results.cacheStats;
+    const prunedNote = pruned ? `, ${pruned} outdated pruned` : '';
+    console.log(`${chalk.bold('💾 Cache:')} ${hits} hits, ${misses} misses ${chalk.gray(`(${size} entries${prunedNote})`)}`);
+  }
+
+  if (results.resumeStats) {
+    console.log(`${chalk.bold('⏯️  Resumed:')} ${results.resumeStats.resumed} mutants from the checkpoint journal`);
+  }
+
+  if (results.testPrioritization && results.testPrioritization.mutants > 0) {
+    const { killedByFirstTest, testsSkipped, testsCovering, averageTimeSaved } = results.testPrioritization;
+    console.log(`${chalk.bold('⚡ Test prioritization:')} ~${averageTimeSaved}ms saved per mutant ${chalk.gray(`(${killedByFirstTest} killed by their first test, ${testsSkipped}/${testsCovering} covering tests skipped)`)}`);
+  }
+
+  if (results.higherOrder) {
+    const { totalMutations, survivedMutations, mutationScore } = results.higherOrder;
+    console.log(`${chalk.bold('🧬 Higher-order:')} ${totalMutations} tested, ${survivedMutations} survived ${chalk.gray(`(${mutationScore}% score; survivors mask faults the tests catch alone)`)}`);
+  }
+
+  if (results.subsumption) {
+    const { minimalMutants, analyzedMutants, redundantMutants, minimalMutantScore } = results.subsumption;
+    console.log(`${chalk.bold('🧩 Minimal mutant set:')} ${minimalMutantScore}% ${chalk.gray(`(${minimalMutants} of ${analyzedMutants} mutants, ${redundantMutants} redundant)`)}`);
+  }
+
+  printSurvivedMutations(results);
 
   if (results.mutationScore >= 80) {
     console.log(chalk.green('\n✅ Excellent mutation score!'));
@@ -83,6 +138,194 @@ function printMutationSummary(results) {
   }
 }
 
+/**
+ * Highlight the mutated span of a mutation's original and replacement code
+ * @param {object} mutation - Mutation result
+ * @returns {object} { original, replacement } formatted for the console
+ */
+function highlightMutation(mutation) {
+  const original = mutation.original || '';
+  const replacement = mutation.replacement || '';
+  const highlight = mutation.highlight;
+
+  if (!highlight) {
+    return { original, replacement };
+  }
+
+  const { start, originalEnd, replacementEnd } = highlight;
+  return {
+    original: original.slice(0, start) +
+      chalk.red.underline(original.slice(start, originalEnd)) +
+      original.slice(originalEnd),
+    replacement: replacement.slice(0, start) +
+      chalk.green.underline(replacement.slice(start, replacementEnd)) +
+      replacement.slice(replacementEnd)
+  };
+}
+
+/**
+ * Print a comparison of the pool and spawn mutant runners
+ * @param {object} benchmark - Result of MutationTester#benchmarkRunners
+ */
+function printRunnerBenchmark(benchmark) {
+  section('⏱️  Mutant Runner Benchmark');
+
+  [benchmark.spawn, benchmark.pool].forEach(({ runner, totalTime, averageTime, mutantsPerMinute }) => {
+    console.log(`${chalk.bold(runner.padEnd(6))} ${mutantsPerMinute} mutants/min ${chalk.gray(`(${averageTime}ms per mutant, ${(totalTime / 1000).toFixed(1)}s total)`)}`);
+  });
+
+  console.log(`\n${chalk.bold.cyan('Speedup:')} ${benchmark.speedup}x on ${benchmark.sampleSize} mutants`);
+  if (benchmark.mismatches > 0) {
+    console.log(chalk.yellow(`⚠️  ${benchmark.mismatches} mutants got a different verdict from the two runners`));
+  }
+}
+
+/**
+ * Print the threshold scopes whose score is below their low or break level
+ * @param {Array<object>} evaluations - Result of evaluateThresholds
+ */
+function printThresholdFailures(evaluations) {
+  const failed = getFailedThresholds(evaluations);
+  if (failed.length === 0) {
+    success(`All ${evaluations.length} threshold scopes meet their low level`);
+    return;
+  }
+
+  console.log(chalk.bold.yellow(`\n📏 Threshold scopes below target (${failed.length}/${evaluations.length}):`));
+  const table = new Table({
+    head: ['Scope', 'Files', 'Mutants', 'Score', 'High', 'Low', 'Break', 'Status'].map((title) => chalk.cyan(title))
+  });
+
+  failed.forEach((scope) => {
+    table.push([
+      scope.pattern,
+      scope.fileCount,
+      scope.totalMutations,
+      `${scope.score}%`,
+      `${scope.high}%`,
+      `${scope.low}%`,
+      scope.break !== null ? `${scope.break}%` : '-',
+      scope.rating === 'broken' ? chalk.red('❌ break') : chalk.yellow('⚠️  low')
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
+/**
+ * Print the tests a minimized suite can drop, slowest first
+ * @param {object} minimization - Result of minimizeTestSuite
+ */
+function printRedundantTests(minimization) {
+  const { totalTests, keptTests, redundant, timeSaved, totalDuration, requirements } = minimization;
+  const kept = `${requirements.lines} covered lines${minimization.usesMutationResults ? ` and ${requirements.killedMutants} killed mutants` : ''}`;
+
+  section('♻️  Test Suite Minimization');
+  console.log(`${chalk.bold('Kept:')} ${keptTests}/${totalTests} tests preserve ${kept}`);
+  if (redundant.length === 0) {
+    success('No redundant tests found');
+    return;
+  }
+
+  const table = new Table({
+    head: ['Redundant Test', 'File', 'Duration', 'Lines', 'Kills', 'Reason'].map((title) => chalk.cyan(title)),
+    colWidths: [40, 28, 10, 7, 7, 50],
+    wordWrap: true
+  });
+  redundant.forEach((test) => {
+    table.push([
+      getTestTitlePath(test),
+      path.basename(test.testFile || ''),
+      `${test.duration.toFixed(1)}ms`,
+      test.lines,
+      test.killedMutants,
+      test.reason
+    ]);
+  });
+
+  console.log(table.toString());
+  const percentage = totalDuration > 0 ? Math.round((timeSaved / totalDuration) * 100) : 0;
+  console.log(`${chalk.bold('⏱️  Time saved:')} ${timeSaved.toFixed(1)}ms ${chalk.gray(`(${percentage}% of ${totalDuration.toFixed(1)}ms recorded test time)`)}`);
+}
+
+/**
+ * Print the tests affected by a change and the changed files they came from
+ * @param {object} selection - Result of selectAffectedTests
+ * @param {string} ref - Git ref the changes were computed against
+ */
+function printAffectedTests(selection, ref) {
+  const { tests, testFiles, files, ignoredFiles } = selection;
+
+  section(`🎯 Tests affected by changes since ${ref}`);
+  files.forEach((file) => {
+    const detail = {
+      covered: chalk.green(`${file.tests} covering test(s)`),
+      uncovered: chalk.yellow('changed lines not covered by any test'),
+      test: chalk.green('changed test file'),
+      imported: chalk.green(`imported by ${file.tests} test file(s)`),
+      unmapped: chalk.red('no lineage data and no test file imports it')
+    }[file.status];
+    console.log(`  ${chalk.gray('•')} ${file.relativePath} ${chalk.gray('-')} ${detail}`);
+  });
+  if (ignoredFiles > 0) {
+    console.log(chalk.gray(`  ... and ${ignoredFiles} changed non-source file(s) ignored`));
+  }
+
+  if (tests.length > 0) {
+    const table = new Table({
+      head: ['Test', 'File', 'Changed Lines'].map((title) => chalk.cyan(title)),
+      colWidths: [50, 30, 40],
+      wordWrap: true
+    });
+    tests.forEach((test) => {
+      const lines = test.lines.slice(0, 3).join(', ') + (test.lines.length > 3 ? `, +${test.lines.length - 3} more` : '');
+      table.push([getTestTitlePath(test), path.basename(test.testFile), lines]);
+    });
+    console.log(table.toString());
+  }
+
+  testFiles.forEach((entry) => {
+    console.log(`  ${chalk.cyan(path.basename(entry.testFile))} ${chalk.gray(`(whole file: ${entry.reason})`)}`);
+  });
+
+  console.log(chalk.gray(`\nTotal: ${tests.length} test(s) and ${testFiles.length} whole test file(s)`));
+}
+
+/**
+ * Print the mutants that survived, with the mutated span highlighted
+ * @param {object} results - Mutation test results
+ * @param {number} limit - Maximum number of mutants to list
+ */
+function printSurvivedMutations(results, limit = 20) {
+  const survived = [];
+  Object.values(results.fileResults || {}).forEach((fileResult) => {
+    (fileResult.mutations || []).forEach((mutation) => {
+      if (mutation.status === 'survived') {
+        survived.push(mutation);
+      }
+    });
+  });
+
+  if (survived.length === 0) {
+    return;
+  }
+
+  console.log(chalk.bold.red(`\n🔴 Surviving mutants:`));
+  survived.slice(0, limit).forEach((mutation) => {
+    const line = mutation.location ? mutation.location.start.line : mutation.lineNumber;
+    const column = mutation.location ? `:${mutation.location.start.column + 1}` : '';
+    const { original, replacement } = highlightMutation(mutation);
+
+    console.log(`  ${formatPath(mutation.filePath || '')}${chalk.gray(`:${line}${column}`)} ${chalk.cyan(mutation.mutatorLabel || mutation.mutationType)}`);
+    console.log(`    ${chalk.gray('-')} ${original}`);
+    console.log(`    ${chalk.gray('+')} ${replacement}`);
+  });
+
+  if (survived.length > limit) {
+    console.log(chalk.gray(`  ... and ${survived.length - limit} more`));
+  }
+}
+
 /**
  * Print lineage data summary
  * @param {object} data - Lineage data
@@ -121,6 +364,10 @@ module.exports = {
   section,
   spinner,
   printMutationSummary,
+  printRunnerBenchmark,
+  printThresholdFailures,
+  printRedundantTests,
+  printAffectedTests,
   printLineageDataSummary,
   formatPath
 };
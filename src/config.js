@@ -13,6 +13,7 @@ const DEFAULT_CONFIG = {
   outputFile: 'test-lineage-report.html',
   enableConsoleOutput: true,
   enableDebugLogging: false,
+  lineageDataFormat: null, // Format of .jest-lineage-data.json: 'json' or 'compact' (null keeps the existing file's format)
   
   // Performance thresholds
   memoryLeakThreshold: 50 * 1024, // 50KB - allocations above this trigger memory leak alerts
@@ -57,12 +58,44 @@ const DEFAULT_CONFIG = {
     assignment: true,     // =, +=, -=, etc.
     literals: true,       // numbers, booleans, strings
     returns: true,        // return statements
-    increments: true      // ++, --
+    increments: true,     // ++, --
+    optionalChaining: true, // a?.b → a.b
+    nullishCoalescing: true, // a ?? b → a || b
+    arrays: true,         // [a, b] → []
+    objects: true,        // { a: 1 } → {}
+    methods: true,        // some ↔ every, startsWith ↔ endsWith, min ↔ max, a.filter(fn) → a
+    regex: true,          // /^a+$/ → /a+$/, [abc] → [^abc], \d → \D
+    blocks: true          // { ... } → {}
   },
+  customMutationOperators: [], // Modules exporting extra operators { name, label, canApply(node), mutate(path) }
   mutationThreshold: 80,  // Minimum mutation score (% of mutations killed)
-  mutationTimeout: 5000,  // Timeout per mutation test in ms
+  thresholds: null,       // Per-scope levels: { 'src/core/**': { high: 95, low: 90, break: 90 } }; `mutate` fails below any break
+  mutationTimeout: 5000,  // Fixed timeout per mutation test in ms, used when no baseline duration is known
+  calibrateTimeouts: true, // Measure covering tests without mutants first and derive per-mutant timeouts from it
+  timeoutFactor: 1.5,     // Mutant timeout = timeoutFactor × baseline duration + timeoutMs
+  timeoutMs: 2000,        // Constant part of calibrated mutant timeouts, in ms
+  prioritizeTests: true,  // Run covering tests shallowest/most specific/fastest first, in escalating groups (1, 2, 4, ...)
+  higherOrderMutants: false, // Also test pairs of killed mutants in the same function, combined into one mutant
+  maxHigherOrderMutantsPerFunction: 3, // Most higher-order mutants per function
+  subsumptionAnalysis: false, // Find redundant mutants from the per-test kill matrix (runs every covering test per mutant)
   maxMutationsPerLine: 3, // Maximum mutations to generate per line
-  skipEquivalentMutants: true, // Skip mutations that don't change behavior
+  mutationRunner: 'pool', // 'pool' (long-lived Jest processes, sized by workers) or 'spawn' (new Jest process per run)
+  mutationMode: 'schemata', // 'schemata' (runtime switch, sources untouched) or 'in-place' (rewrite source files)
+  skipEquivalentMutants: true, // Report statically equivalent mutants (x * 1 → x / 1, unreachable code) as ignored instead of testing them
+  mutationIgnoreFile: '.jest-lineage-ignore.json', // Checked-in map of mutant ids to ignore, with the reason
+  reportNoCoverage: true, // Report mutants on lines no test covers as 'noCoverage' (never run; counted in the total score only)
+  sourceRoots: null, // Directories searched for uncovered source files (default: top-level directories of covered files)
+  mutationScope: null, // Only mutate { files: ['src/billing/**'], lines: '40-120', functions: ['calculateTotal'] }
+  since: null, // Git ref - only mutate lines changed since this ref, reuse previous results for the rest
+  diff: null, // Git range (e.g. 'main...feature') - write a Markdown report of survivors on its changed lines
+  diffReportPath: 'reports/mutation/diff.md', // Output of the diff report
+  enableMutationCache: true, // Reuse killed/survived verdicts when source and covering tests are unchanged
+  mutationCachePath: '.jest-lineage-mutation-cache.json', // On-disk mutation result cache
+  enableMutationJournal: true, // Append each verdict to a checkpoint journal as it completes
+  mutationJournalPath: '.jest-lineage-mutation-journal.jsonl', // Journal read by `mutate --resume`
+  resume: false, // Reuse verdicts from the checkpoint journal of an interrupted run
+  mutationReporters: [], // Extra mutation report formats: 'schema-json'
+  schemaReportPath: 'reports/mutation/mutation.json', // Output of the 'schema-json' reporter
 
   // Debug options
   debugMutations: false,  // Create mutation files for debugging instead of overwriting originals
@@ -114,6 +147,21 @@ function validateAndMergeConfig(userConfig = {}) {
     config.qualityThreshold = DEFAULT_CONFIG.qualityThreshold;
   }
   
+  if (typeof config.timeoutFactor !== 'number' || !(config.timeoutFactor >= 0)) {
+    console.warn('Invalid timeoutFactor, using default:', DEFAULT_CONFIG.timeoutFactor);
+    config.timeoutFactor = DEFAULT_CONFIG.timeoutFactor;
+  }
+  
+  if (typeof config.timeoutMs !== 'number' || !(config.timeoutMs >= 0)) {
+    console.warn('Invalid timeoutMs, using default:', DEFAULT_CONFIG.timeoutMs);
+    config.timeoutMs = DEFAULT_CONFIG.timeoutMs;
+  }
+  
+  if (!Number.isInteger(config.maxHigherOrderMutantsPerFunction) || config.maxHigherOrderMutantsPerFunction < 1) {
+    console.warn('Invalid maxHigherOrderMutantsPerFunction, using default:', DEFAULT_CONFIG.maxHigherOrderMutantsPerFunction);
+    config.maxHigherOrderMutantsPerFunction = DEFAULT_CONFIG.maxHigherOrderMutantsPerFunction;
+  }
+  
   // Validate file patterns
   if (!Array.isArray(config.includePatterns)) {
     console.warn('Invalid includePatterns, using default');
@@ -125,6 +173,21 @@ function validateAndMergeConfig(userConfig = {}) {
     config.excludePatterns = DEFAULT_CONFIG.excludePatterns;
   }
   
+  if (config.lineageDataFormat !== null && !['json', 'compact'].includes(config.lineageDataFormat)) {
+    console.warn('Invalid lineageDataFormat, using default:', DEFAULT_CONFIG.lineageDataFormat);
+    config.lineageDataFormat = DEFAULT_CONFIG.lineageDataFormat;
+  }
+  
+  if (config.thresholds !== null && (typeof config.thresholds !== 'object' || Array.isArray(config.thresholds))) {
+    console.warn('Invalid thresholds, using default');
+    config.thresholds = DEFAULT_CONFIG.thresholds;
+  }
+  
+  if (!Array.isArray(config.customMutationOperators)) {
+    console.warn('Invalid customMutationOperators, using default');
+    config.customMutationOperators = DEFAULT_CONFIG.customMutationOperators;
+  }
+  
   // Validate quality weights
   if (typeof config.qualityWeights !== 'object') {
     console.warn('Invalid qualityWeights, using default');
@@ -150,6 +213,7 @@ function getConfigFromEnv() {
     // Output settings
     outputFile: process.env.JEST_LINEAGE_OUTPUT_FILE,
     enableDebugLogging: process.env.JEST_LINEAGE_DEBUG === 'true',
+    lineageDataFormat: process.env.JEST_LINEAGE_DATA_FORMAT,
 
     // Thresholds
     memoryLeakThreshold: process.env.JEST_LINEAGE_MEMORY_THRESHOLD ?
@@ -167,7 +231,8 @@ function getConfigFromEnv() {
     mutationThreshold: process.env.JEST_LINEAGE_MUTATION_THRESHOLD ?
       parseInt(process.env.JEST_LINEAGE_MUTATION_THRESHOLD) : undefined,
     mutationTimeout: process.env.JEST_LINEAGE_MUTATION_TIMEOUT ?
-      parseInt(process.env.JEST_LINEAGE_MUTATION_TIMEOUT) : undefined
+      parseInt(process.env.JEST_LINEAGE_MUTATION_TIMEOUT) : undefined,
+    enableMutationCache: process.env.JEST_LINEAGE_MUTATION_CACHE ? process.env.JEST_LINEAGE_MUTATION_CACHE === 'true' : undefined
   };
 }
 
@@ -7,10 +7,26 @@ const { spawn, execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const {
+  createMutationCounters,
+  countMutation,
+  addMutationCounters,
+  calculateMutationScore,
+  createMutantId,
+  createCachedMutationResult
+} = require('../mutation-results');
+
+// Mount point of the project inside worker containers
+const CONTAINER_PROJECT_PATH = '/project';
 
 class DockerCoordinator {
-  constructor(config = {}) {
+  constructor(config = {}, options = {}) {
     this.config = config;
+    this.mutationCache = options.mutationCache || null;
+    this.mutationJournal = options.mutationJournal || null;
+    // Outcome of the schemata probe and timeout calibration, run once on the host
+    this.useSchemata = options.useSchemata !== false;
+    this.timeoutBaseline = options.timeoutBaseline || null;
     this.imageName = config.dockerImage || 'jest-lineage-mutation-worker';
     this.imageTag = config.dockerImageTag || 'latest';
     this.workers = config.dockerWorkers || Math.max(1, os.cpus().length - 1);
@@ -31,23 +47,34 @@ class DockerCoordinator {
     console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
 
     try {
-      // Setup
-      await this.setup();
+      // Serve cached verdicts without starting containers
+      const { cachedMutations, pendingMutations, cacheKeys } =
+        this.resolveCachedMutations(mutations);
 
-      // Build Docker image
-      await this.buildImage();
+      let results = [];
+      if (pendingMutations.length > 0) {
+        // Setup
+        await this.setup();
 
-      // Split work among workers
-      const workBatches = this.splitWork(mutations, this.workers);
+        // Build Docker image
+        await this.buildImage();
 
-      // Create work files for each worker
-      await this.createWorkFiles(workBatches, lineageData);
+        // Split work among workers
+        const workBatches = this.splitWork(pendingMutations, this.workers);
 
-      // Run containers in parallel
-      const results = await this.runContainers(workBatches);
+        // Create work files for each worker
+        await this.createWorkFiles(workBatches, lineageData);
+
+        // Run containers in parallel, journaling each batch as it completes
+        results = await this.runContainers(workBatches, cacheKeys);
+
+        this.storeCachedResults(results, cacheKeys);
+      } else {
+        console.log('💾 All mutations served from cache or checkpoint journal, no containers needed');
+      }
 
       // Aggregate results
-      const aggregatedResults = this.aggregateResults(results);
+      const aggregatedResults = this.aggregateResults(results, cachedMutations);
 
       // Cleanup
       await this.cleanup();
@@ -60,6 +87,107 @@ class DockerCoordinator {
     }
   }
 
+  /**
+   * Split mutations into verdicts from the checkpoint journal or cache and
+   * mutations that still need a container
+   */
+  resolveCachedMutations(mutations) {
+    const cachedMutations = [];
+    const pendingMutations = [];
+    const cacheKeys = new Map();
+    const useCache = this.mutationCache && this.mutationCache.enabled;
+    const useJournal = this.mutationCache && this.mutationJournal && this.mutationJournal.enabled;
+
+    if (!useCache && !useJournal) {
+      return { cachedMutations, pendingMutations: mutations, cacheKeys };
+    }
+
+    let resumedCount = 0;
+    for (const mutation of mutations) {
+      const key = this.mutationCache.getKey(
+        path.join(this.projectPath, mutation.filePath),
+        mutation,
+        (mutation.tests || []).map(test => test.testFile && path.join(this.projectPath, test.testFile))
+      );
+      const journaled = useJournal
+        ? this.mutationJournal.get(this.getMutationKey(mutation), key)
+        : null;
+      const entry = !journaled && useCache ? this.mutationCache.get(key) : null;
+
+      if (journaled) {
+        resumedCount++;
+        cachedMutations.push({ ...journaled, resumed: true });
+      } else if (entry) {
+        cachedMutations.push(createCachedMutationResult(mutation, entry));
+      } else {
+        cacheKeys.set(this.getMutationKey(mutation), key);
+        pendingMutations.push(mutation);
+      }
+    }
+
+    console.log(
+      `💾 Cache: ${cachedMutations.length - resumedCount} cached, ${resumedCount} resumed, ${pendingMutations.length} to run\n`
+    );
+
+    return { cachedMutations, pendingMutations, cacheKeys };
+  }
+
+  /**
+   * Append a worker's verdicts to the checkpoint journal
+   */
+  journalWorkerResults(workerResult, cacheKeys) {
+    if (!this.mutationJournal || !this.mutationJournal.enabled) {
+      return;
+    }
+
+    (workerResult.mutations || []).forEach(mutation => {
+      const mutationKey = this.getMutationKey(mutation);
+      const key = cacheKeys.get(mutationKey);
+      if (key) {
+        this.mutationJournal.record(mutationKey, key, mutation);
+      }
+    });
+  }
+
+  /**
+   * Store fresh worker verdicts in the mutation cache
+   */
+  storeCachedResults(workerResults, cacheKeys) {
+    if (!this.mutationCache || !this.mutationCache.enabled) {
+      return;
+    }
+
+    for (const result of workerResults) {
+      (result.mutations || []).forEach(mutation => {
+        const key = cacheKeys.get(this.getMutationKey(mutation));
+        if (key) {
+          this.mutationCache.set(key, mutation);
+        }
+      });
+    }
+  }
+
+  /**
+   * Identify a mutation by project-relative file, position and type
+   */
+  getMutationKey(mutation) {
+    return createMutantId(
+      this.toRelativePath(mutation.filePath),
+      mutation.lineNumber,
+      mutation.mutationType,
+      mutation.location
+    );
+  }
+
+  /**
+   * Convert a worker file path (container-absolute or relative) to a project-relative path
+   */
+  toRelativePath(filePath) {
+    return path.posix.isAbsolute(filePath)
+      ? path.posix.relative(CONTAINER_PROJECT_PATH, filePath)
+      : filePath;
+  }
+
   /**
    * Setup temporary directories
    */
@@ -156,7 +284,11 @@ class DockerCoordinator {
         mutations: batch.mutations,
         totalMutations: batch.mutations.length,
         lineageData: lineageData,
-        config: this.config
+        useSchemata: this.useSchemata,
+        timeoutBaseline: this.timeoutBaseline,
+        // Workers share the project mount, so only the coordinator touches the cache and journal.
+        // Each container is one worker, so it keeps a single pooled Jest process
+        config: { ...this.config, enableMutationCache: false, enableMutationJournal: false, workers: 1 }
       };
 
       fs.writeFileSync(workFile, JSON.stringify(workData, null, 2));
@@ -166,14 +298,17 @@ class DockerCoordinator {
   /**
    * Run Docker containers in parallel
    */
-  async runContainers(workBatches) {
+  async runContainers(workBatches, cacheKeys = new Map()) {
     const imageFullName = `${this.imageName}:${this.imageTag}`;
     const containerPromises = [];
 
     console.log(`🚀 Starting ${workBatches.length} Docker containers...\n`);
 
     for (const batch of workBatches) {
-      const promise = this.runContainer(imageFullName, batch);
+      const promise = this.runContainer(imageFullName, batch).then(result => {
+        this.journalWorkerResults(result, cacheKeys);
+        return result;
+      });
       containerPromises.push(promise);
     }
 
@@ -206,12 +341,12 @@ class DockerCoordinator {
         'run',
         '--rm',
         '--name', containerName,
-        '-v', `${this.projectPath}:/project`,  // Mount project directory
+        '-v', `${this.projectPath}:${CONTAINER_PROJECT_PATH}`,  // Mount project directory
         '-v', `${lineageReporterPath}:/jest-lineage-reporter:ro`,  // Mount reporter separately
         '-v', `${workFile}:/app/work.json:ro`,
         '-v', `${resultsDir}:/app/results`,
         '-e', `WORKER_ID=${workerId}`,
-        '-e', `PROJECT_PATH=/project`,
+        '-e', `PROJECT_PATH=${CONTAINER_PROJECT_PATH}`,
         '-e', `RESULTS_PATH=/app/results`,
         '-e', `WORK_FILE=/app/work.json`,
         imageName
@@ -273,17 +408,13 @@ class DockerCoordinator {
   }
 
   /**
-   * Aggregate results from all workers
+   * Aggregate results from all workers, plus any verdicts served from cache
    */
-  aggregateResults(workerResults) {
+  aggregateResults(workerResults, cachedMutations = []) {
     console.log(`\n📊 Aggregating results from ${workerResults.length} workers...\n`);
 
     const aggregated = {
-      totalMutations: 0,
-      killedMutations: 0,
-      survivedMutations: 0,
-      timeoutMutations: 0,
-      errorMutations: 0,
+      ...createMutationCounters(),
       mutationScore: 0,
       mutations: [],
       fileResults: {},
@@ -298,55 +429,34 @@ class DockerCoordinator {
         continue;
       }
 
-      aggregated.totalMutations += result.totalMutations || 0;
-      aggregated.killedMutations += result.killedMutations || 0;
-      aggregated.survivedMutations += result.survivedMutations || 0;
-      aggregated.timeoutMutations += result.timeoutMutations || 0;
-      aggregated.errorMutations += result.errorMutations || 0;
+      addMutationCounters(aggregated, result);
 
       if (result.mutations) {
         aggregated.mutations.push(...result.mutations);
       }
     }
 
+    cachedMutations.forEach(mutation => {
+      countMutation(aggregated, mutation);
+      aggregated.mutations.push(mutation);
+    });
+
     // Calculate mutation score
-    const validMutations = aggregated.totalMutations - aggregated.errorMutations;
-    aggregated.mutationScore =
-      validMutations > 0
-        ? Math.round((aggregated.killedMutations / validMutations) * 100)
-        : 0;
+    aggregated.mutationScore = calculateMutationScore(aggregated);
 
-    // Group mutations by file for fileResults
+    // Group mutations by project-relative file for fileResults
     aggregated.mutations.forEach(mutation => {
-      if (!aggregated.fileResults[mutation.filePath]) {
-        aggregated.fileResults[mutation.filePath] = {
-          totalMutations: 0,
-          killedMutations: 0,
-          survivedMutations: 0,
-          timeoutMutations: 0,
-          errorMutations: 0,
+      const fileKey = this.toRelativePath(mutation.filePath);
+      if (!aggregated.fileResults[fileKey]) {
+        aggregated.fileResults[fileKey] = {
+          ...createMutationCounters(),
           mutations: []
         };
       }
 
-      const fileResult = aggregated.fileResults[mutation.filePath];
-      fileResult.totalMutations++;
+      const fileResult = aggregated.fileResults[fileKey];
       fileResult.mutations.push(mutation);
-
-      switch (mutation.status) {
-        case 'killed':
-          fileResult.killedMutations++;
-          break;
-        case 'survived':
-          fileResult.survivedMutations++;
-          break;
-        case 'timeout':
-          fileResult.timeoutMutations++;
-          break;
-        case 'error':
-          fileResult.errorMutations++;
-          break;
-      }
+      countMutation(fileResult, mutation);
     });
 
     return aggregated;
@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const MutationTester = require('../MutationTester');
+const { createMutationCounters, countMutation } = require('../mutation-results');
 
 class MutationWorker {
   constructor() {
@@ -46,14 +47,18 @@ class MutationWorker {
       const tester = new MutationTester(config);
       tester.lineageData = workAssignment.lineageData || {};
 
+      // The coordinator ran the schemata probe and the timeout calibration
+      if (workAssignment.useSchemata === false) {
+        tester.useSchemata = false;
+      }
+      if (workAssignment.timeoutBaseline) {
+        tester.importTimeoutBaseline(workAssignment.timeoutBaseline);
+      }
+
       // Process assigned mutations
       const results = {
         workerId: this.workerId,
-        totalMutations: 0,
-        killedMutations: 0,
-        survivedMutations: 0,
-        timeoutMutations: 0,
-        errorMutations: 0,
+        ...createMutationCounters(),
         mutations: [],
         startTime: Date.now(),
         endTime: null
@@ -69,7 +74,7 @@ class MutationWorker {
           const mutationResult = await tester.testSingleMutation(
             path.join(this.projectPath, mutation.filePath),
             mutation.lineNumber,
-            mutation.mutationType,
+            mutation.mutant || mutation.mutationType,
             mutation.tests || [],
             mutation.index || 1,
             workAssignment.totalMutations || workAssignment.mutations.length,
@@ -78,33 +83,20 @@ class MutationWorker {
 
           if (mutationResult) {
             results.mutations.push(mutationResult);
-            results.totalMutations++;
-
-            switch (mutationResult.status) {
-              case 'killed':
-                results.killedMutations++;
-                break;
-              case 'survived':
-                results.survivedMutations++;
-                break;
-              case 'timeout':
-                results.timeoutMutations++;
-                break;
-              case 'error':
-                results.errorMutations++;
-                break;
-            }
+            countMutation(results, mutationResult);
           }
         } catch (error) {
           console.error(`[Worker ${this.workerId}] Error testing mutation:`, error.message);
-          results.errorMutations++;
-          results.mutations.push({
+          const errorResult = {
             filePath: mutation.filePath,
             lineNumber: mutation.lineNumber,
+            location: mutation.location,
             mutationType: mutation.mutationType,
             status: 'error',
             error: error.message
-          });
+          };
+          results.mutations.push(errorResult);
+          countMutation(results, errorResult);
         }
       }
 
@@ -118,7 +110,7 @@ class MutationWorker {
       console.log(`[Worker ${this.workerId}] - Killed: ${results.killedMutations}`);
       console.log(`[Worker ${this.workerId}] - Survived: ${results.survivedMutations}`);
       console.log(`[Worker ${this.workerId}] - Timeout: ${results.timeoutMutations}`);
-      console.log(`[Worker ${this.workerId}] - Error: ${results.errorMutations}`);
+      console.log(`[Worker ${this.workerId}] - Error: ${results.errorMutations} (runtime: ${results.runtimeErrorMutations}, compile: ${results.compileErrorMutations})`);
       console.log(`[Worker ${this.workerId}] Duration: ${(results.duration / 1000).toFixed(2)}s`);
 
       process.exit(0);
@@ -0,0 +1,67 @@
+/**
+ * Jest Pool Worker
+ * Long-lived child process of JestWorkerPool. Jest is loaded once and every
+ * run request goes through its programmatic runCLI API; each run gets fresh
+ * module registries, so a swapped module or active mutant takes effect
+ * without starting a new process.
+ *
+ * Messages from the pool:  { type: "run", id, args, env }
+ * Messages to the pool:    { type: "ready" } | { type: "done", id, exitCode, error? }
+ */
+
+const cwd = process.env.JEST_LINEAGE_POOL_CWD || process.cwd();
+
+let jest;
+try {
+  jest = require(require.resolve("jest", { paths: [cwd] }));
+} catch (error) {
+  jest = null;
+}
+
+/**
+ * Run Jest in this process with CLI-style arguments
+ * `env` is applied for the duration of the run only.
+ */
+async function runJest(args, env = {}) {
+  const previousEnv = {};
+  Object.keys(env).forEach((key) => {
+    previousEnv[key] = process.env[key];
+    process.env[key] = env[key];
+  });
+
+  try {
+    const argv = await jest.buildArgv(args);
+    const { results } = await jest.runCLI(argv, [cwd]);
+    return results.success ? 0 : 1;
+  } finally {
+    Object.keys(previousEnv).forEach((key) => {
+      if (previousEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = previousEnv[key];
+      }
+    });
+  }
+}
+
+process.on("message", async (message) => {
+  if (!message || message.type !== "run") {
+    return;
+  }
+
+  try {
+    const exitCode = await runJest(message.args, message.env);
+    process.send({ type: "done", id: message.id, exitCode });
+  } catch (error) {
+    process.send({ type: "done", id: message.id, exitCode: 1, error: error.message });
+  }
+});
+
+// The pool went away (e.g. the mutation run exited), so stop as well
+process.on("disconnect", () => process.exit(0));
+
+if (!jest || typeof jest.runCLI !== "function" || typeof jest.buildArgv !== "function") {
+  process.send({ type: "unsupported", error: "Jest's runCLI/buildArgv API is not available" });
+} else {
+  process.send({ type: "ready" });
+}
@@ -0,0 +1,390 @@
+/**
+ * Lineage Data Formats
+ * Besides plain JSON, lineage data can be stored in a compact format: one
+ * JSON record per line, written and read a record at a time.
+ *
+ *   {"format":"jest-lineage-compact","version":1,"timestamp":…}   header
+ *   {"s":["/abs/src/a.ts","return-statement"]}   new string table entries
+ *   {"t":{"name":…,"testFile":0,"files":[…]}}     a test
+ *   {"p":{"files":[…]}}                           its optional performance section
+ *
+ * File paths, test files and meta strings are stored once in the string
+ * table and referenced by index. Each test lists the files it covers as
+ * { f: file, l: run-length line set, c: hits, d: depths, m: meta columns };
+ * the `perf` blobs go to a separate record after the test, which readers
+ * that don't need them skip without parsing. Both formats hold the line
+ * records of lineage-schema.js.
+ */
+
+const fs = require("fs");
+const { StringDecoder } = require("string_decoder");
+const {
+  LINEAGE_SCHEMA_VERSION,
+  migrateLineageData,
+  validateLineRecords,
+} = require("./lineage-schema");
+
+const COMPACT_FORMAT = "jest-lineage-compact";
+const COMPACT_VERSION = 1;
+const COMPACT_HEADER_PREFIX = `{"format":"${COMPACT_FORMAT}"`;
+const DATA_FORMATS = ["json", "compact"];
+
+/**
+ * Detect the format of a lineage data file
+ * @param {string} filePath - Data file path
+ * @returns {string|null} "compact", "json", or null if the file doesn't exist
+ */
+function detectLineageDataFormat(filePath) {
+  let descriptor;
+  try {
+    descriptor = fs.openSync(filePath, "r");
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    const buffer = Buffer.alloc(COMPACT_HEADER_PREFIX.length);
+    const bytes = fs.readSync(descriptor, buffer, 0, buffer.length, 0);
+    return buffer.toString("utf8", 0, bytes) === COMPACT_HEADER_PREFIX ? "compact" : "json";
+  } finally {
+    fs.closeSync(descriptor);
+  }
+}
+
+/**
+ * Encode sorted line numbers as runs: [gap, length, gap, length, …], where
+ * each gap is counted from the end of the previous run
+ */
+function encodeLineRuns(lines) {
+  const runs = [];
+  let previousEnd = 0;
+  let index = 0;
+
+  while (index < lines.length) {
+    const start = lines[index];
+    let length = 1;
+    while (index + length < lines.length && lines[index + length] === start + length) {
+      length++;
+    }
+    runs.push(start - previousEnd, length);
+    previousEnd = start + length;
+    index += length;
+  }
+  return runs;
+}
+
+/**
+ * Decode runs written by encodeLineRuns
+ */
+function decodeLineRuns(runs) {
+  const lines = [];
+  let previousEnd = 0;
+
+  for (let i = 0; i < runs.length; i += 2) {
+    const start = previousEnd + runs[i];
+    for (let line = start; line < start + runs[i + 1]; line++) {
+      lines.push(line);
+    }
+    previousEnd = start + runs[i + 1];
+  }
+  return lines;
+}
+
+/**
+ * Split a test's line records into compact file entries and performance entries
+ * @param {Array<object>} records - Line records { file, line, hits, depth, meta, perf }
+ * @param {function} intern - Maps a string to its string table index
+ * @returns {object} { files, performance } (performance is null without performance data)
+ */
+function encodeLineRecords(records, intern) {
+  const byFile = new Map();
+  (records || []).forEach((record) => {
+    if (!byFile.has(record.file)) {
+      byFile.set(record.file, new Map());
+    }
+    byFile.get(record.file).set(record.line, record);
+  });
+
+  const files = [];
+  const performance = [];
+  byFile.forEach((lines, filePath) => {
+    const lineNumbers = [...lines.keys()].sort((a, b) => a - b);
+    const entries = lineNumbers.map((line) => lines.get(line));
+    const file = { f: intern(filePath), l: encodeLineRuns(lineNumbers) };
+
+    if (entries.some((entry) => entry.hits !== 1)) {
+      file.c = entries.map((entry) => entry.hits);
+    }
+
+    // Nearly every line only runs at depth 1, which `d: 1` records without a list
+    if (entries.some((entry) => entry.depth)) {
+      const shallowOnly = entries.every((entry) => {
+        const depths = Object.keys(entry.depth || {});
+        return depths.length === 1 && depths[0] === "1" && entry.depth[1] === entry.hits;
+      });
+      file.d = shallowOnly
+        ? 1
+        : entries.map((entry) =>
+            entry.depth ? Object.entries(entry.depth).flatMap(([depth, count]) => [Number(depth), count]) : null
+          );
+    }
+
+    // Meta objects become one column per property; strings go to the string table
+    if (entries.some((entry) => entry.meta)) {
+      const columns = {};
+      entries.forEach((entry, index) => {
+        Object.entries(entry.meta || {}).forEach(([property, value]) => {
+          if (!columns[property]) {
+            columns[property] = new Array(entries.length).fill(null);
+          }
+          columns[property][index] = typeof value === "string" ? { s: intern(value) } : value;
+        });
+      });
+      file.m = columns;
+    }
+
+    if (entries.some((entry) => entry.perf)) {
+      performance.push([file.f, entries.map((entry) => entry.perf || null)]);
+    }
+
+    files.push(file);
+  });
+
+  return { files, performance: performance.length > 0 ? performance : null };
+}
+
+/**
+ * Rebuild line records from compact file entries
+ * @param {Array<object>} files - File entries of a test record
+ * @param {string[]} strings - String table
+ * @param {Array|null} performance - Performance entries, if read
+ * @returns {Array<object>} Line records
+ */
+function decodeLineRecords(files, strings, performance) {
+  const records = [];
+  const performanceByFile = new Map((performance || []).map(([file, entries]) => [file, entries]));
+
+  files.forEach((file) => {
+    const filePath = strings[file.f];
+    const performanceEntries = performanceByFile.get(file.f);
+
+    decodeLineRuns(file.l).forEach((line, index) => {
+      const record = { file: filePath, line, hits: file.c ? file.c[index] : 1 };
+
+      if (file.d === 1) {
+        record.depth = { 1: record.hits };
+      } else if (file.d && file.d[index]) {
+        const depth = {};
+        for (let i = 0; i < file.d[index].length; i += 2) {
+          depth[file.d[index][i]] = file.d[index][i + 1];
+        }
+        record.depth = depth;
+      }
+
+      if (file.m) {
+        const meta = {};
+        Object.entries(file.m).forEach(([property, column]) => {
+          const value = column[index];
+          if (value !== null) {
+            meta[property] = value && typeof value === "object" && "s" in value ? strings[value.s] : value;
+          }
+        });
+        if (Object.keys(meta).length > 0) {
+          record.meta = meta;
+        }
+      }
+
+      if (performanceEntries && performanceEntries[index]) {
+        record.perf = performanceEntries[index];
+      }
+      records.push(record);
+    });
+  });
+
+  return records;
+}
+
+/**
+ * Write lineage data in the compact format, one record at a time
+ * @param {string} filePath - Destination path
+ * @param {object} data - { timestamp, tests }
+ */
+function writeCompactLineageData(filePath, data) {
+  const descriptor = fs.openSync(filePath, "w");
+  const strings = new Map();
+  let pending = [];
+  const intern = (text) => {
+    if (!strings.has(text)) {
+      strings.set(text, strings.size);
+      pending.push(text);
+    }
+    return strings.get(text);
+  };
+  const writeRecord = (record) => fs.writeSync(descriptor, JSON.stringify(record) + "\n");
+
+  try {
+    writeRecord({ format: COMPACT_FORMAT, version: COMPACT_VERSION, timestamp: data.timestamp });
+
+    (data.tests || []).forEach((test) => {
+      const { lines, testFile, ...fields } = test;
+      const { files, performance } = encodeLineRecords(lines, intern);
+      const record = { ...fields, testFile: intern(testFile || "unknown"), files };
+
+      // New strings must precede the records that reference them
+      if (pending.length > 0) {
+        writeRecord({ s: pending });
+        pending = [];
+      }
+      writeRecord({ t: record });
+      if (performance) {
+        writeRecord({ p: { files: performance } });
+      }
+    });
+  } finally {
+    fs.closeSync(descriptor);
+  }
+}
+
+/**
+ * Call a function for every line of a file, reading it in chunks
+ */
+function forEachLine(filePath, callback) {
+  const descriptor = fs.openSync(filePath, "r");
+  const buffer = Buffer.alloc(1024 * 1024);
+  const decoder = new StringDecoder("utf8");
+  let rest = "";
+
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(descriptor, buffer, 0, buffer.length, null)) > 0) {
+      const lines = (rest + decoder.write(buffer.subarray(0, bytes))).split("\n");
+      rest = lines.pop();
+      lines.forEach(callback);
+    }
+    rest += decoder.end();
+    if (rest) {
+      callback(rest);
+    }
+  } finally {
+    fs.closeSync(descriptor);
+  }
+}
+
+/**
+ * Read lineage data in the compact format
+ * Tests are returned with their name, file and other fields; the `lines`
+ * records are only rebuilt, and validated, when they are first accessed.
+ * @param {string} filePath - Data file path
+ * @param {object} options - Options
+ * @param {boolean} options.includePerformance - Read the performance sections (default: true)
+ * @returns {object} { schemaVersion, timestamp, tests }
+ */
+function readCompactLineageData(filePath, options = {}) {
+  const includePerformance = options.includePerformance !== false;
+  const strings = [];
+  const tests = [];
+  let header = null;
+  let lastRecord = null;
+
+  forEachLine(filePath, (line) => {
+    if (!line) {
+      return;
+    }
+    if (line.startsWith('{"p":')) {
+      if (includePerformance && lastRecord) {
+        lastRecord.performance = JSON.parse(line).p.files;
+      }
+      return;
+    }
+
+    const record = JSON.parse(line);
+    if (!header) {
+      if (record.format !== COMPACT_FORMAT || record.version !== COMPACT_VERSION) {
+        throw new Error(`Unsupported lineage data format in ${filePath}`);
+      }
+      header = record;
+    } else if (record.s) {
+      strings.push(...record.s);
+    } else if (record.t) {
+      lastRecord = { record: record.t, performance: null, path: `${filePath}: tests[${tests.length}]` };
+      tests.push(createLazyTest(lastRecord, strings));
+    }
+  });
+
+  return { schemaVersion: LINEAGE_SCHEMA_VERSION, timestamp: header ? header.timestamp : null, tests };
+}
+
+/**
+ * Create a test whose line records are decoded on first access
+ * @throws {Error} From the `lines` getter, if the decoded records are invalid
+ */
+function createLazyTest(entry, strings) {
+  const { files, testFile, ...fields } = entry.record;
+  const test = { ...fields, testFile: strings[testFile] };
+  let lines = null;
+
+  Object.defineProperty(test, "lines", {
+    enumerable: true,
+    configurable: true,
+    get() {
+      if (!lines) {
+        const decoded = decodeLineRecords(files, strings, entry.performance);
+        const errors = validateLineRecords(decoded, `${entry.path}.lines`);
+        if (errors.length > 0) {
+          throw new Error(`Invalid lineage data in ${errors[0]}`);
+        }
+        lines = decoded;
+      }
+      return lines;
+    },
+    set(value) {
+      lines = value;
+    },
+  });
+  return test;
+}
+
+/**
+ * Read a lineage data file in either format
+ * Data written by older versions is migrated to the current schema.
+ * @param {string} filePath - Data file path
+ * @param {object} options - See readCompactLineageData
+ * @returns {object|null} { schemaVersion, timestamp, tests }, or null if the file doesn't exist
+ * @throws {SyntaxError} If a JSON data file isn't valid JSON
+ */
+function readLineageDataFile(filePath, options = {}) {
+  const format = detectLineageDataFormat(filePath);
+  if (format === "compact") {
+    return migrateLineageData(readCompactLineageData(filePath, options));
+  }
+  if (format === "json") {
+    return migrateLineageData(JSON.parse(fs.readFileSync(filePath, "utf8")));
+  }
+  return null;
+}
+
+/**
+ * Write a lineage data file in the given format
+ * @param {string} filePath - Destination path
+ * @param {object} data - { schemaVersion, timestamp, tests }; older versions are migrated
+ * @param {string} format - "json" or "compact"
+ */
+function writeLineageDataFile(filePath, data, format = "json") {
+  if (!DATA_FORMATS.includes(format)) {
+    throw new Error(`Unknown lineage data format "${format}" (expected ${DATA_FORMATS.join(" or ")})`);
+  }
+  const current = migrateLineageData(data);
+
+  if (format === "compact") {
+    writeCompactLineageData(filePath, current);
+  } else {
+    fs.writeFileSync(filePath, JSON.stringify(current, null, 2));
+  }
+}
+
+module.exports = {
+  DATA_FORMATS,
+  detectLineageDataFormat,
+  readLineageDataFile,
+  writeLineageDataFile,
+};
@@ -0,0 +1,308 @@
+/**
+ * Lineage Data Schema
+ * Version 2 of the lineage data stores every line a test covers as a
+ * structured record instead of encoding the file and line in object keys:
+ *
+ *   { "schemaVersion": 2, "timestamp": …, "tests": [{ "id": …, "name": …,
+ *     "describePath": […], "testFile": …,
+ *     "lines": [{ "file": "/abs/src/a.ts", "line": 12, "hits": 3,
+ *                 "depth": { "1": 3 }, "meta": {…}, "perf": {…} }] }] }
+ *
+ * Data without a schemaVersion is version 1, whose `coverage` objects are
+ * keyed "file:line", "file:line:depth", "file:line:meta" and
+ * "file:line:performance". It is migrated when read; keys are parsed from
+ * the end, so Windows drive letters and colons in paths survive. Tests are
+ * identified by `id` (see utils/test-id.js); version 1 recorded no describe
+ * blocks, so migrated tests get an ID from their file and title only.
+ */
+
+const { createTestId } = require("./utils/test-id");
+
+const LINEAGE_SCHEMA_VERSION = 2;
+
+// "<file>:<line>" with an optional ":depth", ":meta" or ":performance" suffix
+const COVERAGE_KEY_PATTERN = /^(.*):(\d+)(?::(depth|meta|performance))?$/;
+
+const LINE_RECORD_PROPERTIES = { depth: "depth", meta: "meta", performance: "perf" };
+
+// JSON Schema of version 2, for tools outside this package; validateLineageData checks the same rules
+const LINEAGE_DATA_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "Jest lineage data",
+  type: "object",
+  required: ["schemaVersion", "timestamp", "tests"],
+  properties: {
+    schemaVersion: { const: LINEAGE_SCHEMA_VERSION },
+    timestamp: { type: "number" },
+    tests: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "name", "describePath", "lines"],
+        properties: {
+          id: { type: "string", minLength: 1 },
+          name: { type: "string", minLength: 1 },
+          describePath: { type: "array", items: { type: "string" } },
+          type: { type: "string" },
+          testFile: { type: "string" },
+          duration: { type: "number", minimum: 0 },
+          failed: { type: "boolean" },
+          qualityMetrics: { type: "object" },
+          lines: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["file", "line", "hits"],
+              properties: {
+                file: { type: "string", minLength: 1 },
+                line: { type: "integer", minimum: 1 },
+                hits: { type: "integer", minimum: 0 },
+                depth: {
+                  type: "object",
+                  propertyNames: { pattern: "^[1-9][0-9]*$" },
+                  additionalProperties: { type: "integer", minimum: 0 },
+                },
+                meta: { type: "object" },
+                perf: { type: "object" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Build line records from a version 1 coverage object
+ * Keys that aren't coverage keys are dropped. A line recorded without a hit
+ * count gets the sum of its depth counts, or 1.
+ * @param {object|Map} coverage - { "file:line": count, "file:line:depth": {…}, … }
+ * @returns {Array<object>} Line records { file, line, hits, depth?, meta?, perf? }
+ */
+function createLineRecords(coverage) {
+  const entries = coverage instanceof Map ? [...coverage.entries()] : Object.entries(coverage || {});
+  const lines = new Map();
+
+  entries.forEach(([key, value]) => {
+    const match = key.match(COVERAGE_KEY_PATTERN);
+    if (!match) {
+      return;
+    }
+    const [, file, lineNumber, kind] = match;
+    const lineKey = `${file}:${lineNumber}`;
+    if (!lines.has(lineKey)) {
+      lines.set(lineKey, { file, line: Number(lineNumber) });
+    }
+    lines.get(lineKey)[kind ? LINE_RECORD_PROPERTIES[kind] : "hits"] = value;
+  });
+
+  return [...lines.values()].map(({ file, line, hits, depth, meta, perf }) => {
+    const depthHits = Object.values(depth || {}).reduce((sum, count) => sum + count, 0);
+    const record = { file, line, hits: hits !== undefined ? hits : depthHits || 1 };
+    if (depth !== undefined) record.depth = depth;
+    if (meta !== undefined) record.meta = meta;
+    if (perf !== undefined) record.perf = perf;
+    return record;
+  });
+}
+
+/**
+ * Migrate a single test to version 2
+ * Tests that already have line records keep them; `lines` is checked with
+ * `in` so lazily decoded tests stay undecoded. Tests without an ID get one.
+ * @param {object} test - Test in either version
+ * @returns {object} Test with `id`, `describePath` and `lines` instead of `coverage`
+ */
+function migrateLineageTest(test) {
+  if (!test || typeof test !== "object") {
+    return test;
+  }
+
+  let migrated = test;
+  if (!("lines" in test) && "coverage" in test) {
+    const { coverage, ...fields } = test;
+    migrated = { ...fields, lines: createLineRecords(coverage) };
+  }
+  if (!("id" in migrated) && typeof migrated.name === "string") {
+    migrated.describePath = migrated.describePath || [];
+    migrated.id = createTestId(migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Migrate lineage data to the current schema version
+ * Data that isn't an object is returned as is for validateLineageData to report.
+ * @param {object} data - Lineage data in any supported version
+ * @returns {object} Lineage data in version 2
+ * @throws {Error} If the data was written by a newer, unsupported schema version
+ */
+function migrateLineageData(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return data;
+  }
+
+  const version = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+  if (version !== 1 && version !== LINEAGE_SCHEMA_VERSION) {
+    throw new Error(
+      `Unsupported lineage data schema version ${JSON.stringify(version)} ` +
+        `(supported: 1 to ${LINEAGE_SCHEMA_VERSION}); upgrade jest-test-lineage-reporter to read it`
+    );
+  }
+
+  return {
+    schemaVersion: LINEAGE_SCHEMA_VERSION,
+    ...data,
+    tests: Array.isArray(data.tests) ? data.tests.map(migrateLineageTest) : data.tests,
+  };
+}
+
+/**
+ * Describe a value for an error message
+ */
+function describeValue(value) {
+  if (value === undefined) {
+    return "undefined";
+  }
+  if (Array.isArray(value)) {
+    return "an array";
+  }
+  if (value !== null && typeof value === "object") {
+    return "an object";
+  }
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+/**
+ * Check whether a value is a plain object
+ */
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Create a check that records an error message when a value is invalid
+ */
+function createExpect(errors) {
+  return (valid, path, requirement, value) => {
+    if (!valid) {
+      errors.push(`${path} must be ${requirement} (got ${describeValue(value)})`);
+    }
+    return valid;
+  };
+}
+
+/**
+ * Check whether a value is an integer of at least `minimum`
+ */
+function isCount(value, minimum) {
+  return Number.isInteger(value) && value >= minimum;
+}
+
+/**
+ * Check whether a test's line records are only decoded when accessed
+ * (compact data, see lineage-data-format.js)
+ */
+function hasLazyLines(test) {
+  const descriptor = Object.getOwnPropertyDescriptor(test, "lines");
+  return Boolean(descriptor && descriptor.get);
+}
+
+/**
+ * Validate the line records of one test
+ * @param {Array<object>} lines - Line records
+ * @param {string} linesPath - Path for error messages, e.g. "tests[3].lines"
+ * @returns {string[]} Error messages; empty if valid
+ */
+function validateLineRecords(lines, linesPath) {
+  const errors = [];
+  const expect = createExpect(errors);
+
+  lines.forEach((record, recordIndex) => {
+    const recordPath = `${linesPath}[${recordIndex}]`;
+    if (!expect(isObject(record), recordPath, "an object", record)) {
+      return;
+    }
+    expect(typeof record.file === "string" && record.file !== "", `${recordPath}.file`, "a non-empty string", record.file);
+    expect(isCount(record.line, 1), `${recordPath}.line`, "a positive integer", record.line);
+    expect(isCount(record.hits, 0), `${recordPath}.hits`, "a non-negative integer", record.hits);
+    if (record.depth !== undefined && expect(isObject(record.depth), `${recordPath}.depth`, "an object", record.depth)) {
+      Object.entries(record.depth).forEach(([depth, count]) => {
+        expect(/^[1-9]\d*$/.test(depth), `${recordPath}.depth`, "keyed by positive integers", depth);
+        expect(isCount(count, 0), `${recordPath}.depth[${JSON.stringify(depth)}]`, "a non-negative integer", count);
+      });
+    }
+    ["meta", "perf"].forEach((property) => {
+      if (record[property] !== undefined) {
+        expect(isObject(record[property]), `${recordPath}.${property}`, "an object", record[property]);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate lineage data against the current schema version
+ * Migrate older data with migrateLineageData first. Line records that are
+ * only decoded when accessed (compact data) are left undecoded here; the
+ * reader validates them with validateLineRecords as it decodes them.
+ * @param {object} data - Lineage data
+ * @returns {string[]} Error messages naming the offending path, e.g.
+ *   'tests[3].lines[12].line must be a positive integer (got "12a")'; empty if valid
+ */
+function validateLineageData(data) {
+  const errors = [];
+  const expect = createExpect(errors);
+
+  if (!expect(isObject(data), "lineage data", "an object", data)) {
+    return errors;
+  }
+  expect(data.schemaVersion === LINEAGE_SCHEMA_VERSION, "schemaVersion", String(LINEAGE_SCHEMA_VERSION), data.schemaVersion);
+  expect(typeof data.timestamp === "number", "timestamp", "a number", data.timestamp);
+  if (!expect(Array.isArray(data.tests), "tests", "an array", data.tests)) {
+    return errors;
+  }
+
+  data.tests.forEach((test, testIndex) => {
+    const testPath = `tests[${testIndex}]`;
+    if (!expect(isObject(test), testPath, "an object", test)) {
+      return;
+    }
+    expect(typeof test.id === "string" && test.id !== "", `${testPath}.id`, "a non-empty string", test.id);
+    expect(typeof test.name === "string" && test.name !== "", `${testPath}.name`, "a non-empty string", test.name);
+    if (expect(Array.isArray(test.describePath), `${testPath}.describePath`, "an array", test.describePath)) {
+      test.describePath.forEach((title, titleIndex) => {
+        expect(typeof title === "string", `${testPath}.describePath[${titleIndex}]`, "a string", title);
+      });
+    }
+    ["type", "testFile"].forEach((property) => {
+      if (test[property] !== undefined) {
+        expect(typeof test[property] === "string", `${testPath}.${property}`, "a string", test[property]);
+      }
+    });
+    if (test.duration !== undefined) {
+      expect(typeof test.duration === "number" && test.duration >= 0, `${testPath}.duration`, "a non-negative number", test.duration);
+    }
+    if (hasLazyLines(test)) {
+      return;
+    }
+    if (expect(Array.isArray(test.lines), `${testPath}.lines`, "an array", test.lines)) {
+      errors.push(...validateLineRecords(test.lines, `${testPath}.lines`));
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  LINEAGE_SCHEMA_VERSION,
+  LINEAGE_DATA_SCHEMA,
+  createLineRecords,
+  migrateLineageTest,
+  migrateLineageData,
+  validateLineRecords,
+  validateLineageData,
+};
@@ -16,6 +16,7 @@ const { runJest } = require('../cli/utils/jest-runner');
 const { loadLineageData, processLineageDataForMutation } = require('../cli/utils/data-loader');
 const { loadFullConfig } = require('../cli/utils/config-loader');
 const MutationTester = require('../MutationTester');
+const { hasBrokenThreshold } = require('../mutation-thresholds');
 const TestCoverageReporter = require('../TestCoverageReporter');
 
 // Create MCP server
@@ -83,14 +84,38 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             timeout: {
               type: 'number',
-              description: 'Timeout per mutation in milliseconds',
+              description: 'Fixed timeout per mutation in milliseconds, used for tests without a baseline',
               default: 5000,
             },
+            timeoutFactor: {
+              type: 'number',
+              description: 'Calibrated mutant timeout = timeoutFactor × baseline test duration + timeoutMs',
+              default: 1.5,
+            },
+            timeoutMs: {
+              type: 'number',
+              description: 'Constant added to calibrated mutant timeouts, in milliseconds',
+              default: 2000,
+            },
             debug: {
               type: 'boolean',
               description: 'Create debug mutation files instead of running tests',
               default: false,
             },
+            files: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Only mutate files matching these globs or directories (e.g. src/billing/**)',
+            },
+            lines: {
+              type: 'string',
+              description: 'Only mutate these line ranges (e.g. 40-120 or 10-20,40-60)',
+            },
+            functions: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Only mutate inside these functions (e.g. calculateTotal or Cart.total)',
+            },
           },
         },
       },
@@ -115,7 +140,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'query_coverage',
-        description: 'Query which tests cover specific files or lines',
+        description: 'Query which tests cover specific files or lines; each test is identified by its testId (test file › describe blocks › title)',
         inputSchema: {
           type: 'object',
           properties: {
@@ -204,7 +229,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const config = loadFullConfig({
           threshold: args.threshold,
           timeout: args.timeout,
+          timeoutFactor: args.timeoutFactor,
+          timeoutMs: args.timeoutMs,
           debug: args.debug,
+          files: args.files,
+          lines: args.lines,
+          function: args.functions,
         });
 
         const rawData = loadLineageData(args.dataPath || '.jest-lineage-data.json');
@@ -228,8 +258,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 killedMutations: results.killedMutations,
                 survivedMutations: results.survivedMutations,
                 timeoutMutations: results.timeoutMutations || 0,
+                noCoverageMutations: results.noCoverageMutations || 0,
                 errorMutations: results.errorMutations || 0,
-                meetsThreshold: results.mutationScore >= (args.threshold || 80),
+                coveredMutationScore: results.coveredMutationScore,
+                scope: results.scope || null,
+                thresholds: results.thresholds || null,
+                meetsThreshold: results.mutationScore >= (args.threshold || 80) &&
+                  !hasBrokenThreshold(results.thresholds),
                 message: `Mutation testing complete. Score: ${results.mutationScore.toFixed(1)}%`,
               }, null, 2),
             },
@@ -323,7 +358,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         } else {
           const lines = Object.keys(fileCoverage);
           const totalTests = new Set(
-            lines.flatMap(lineNum => fileCoverage[lineNum].map(t => t.testName))
+            lines.flatMap(lineNum => fileCoverage[lineNum].map(t => t.testId))
           ).size;
 
           return {
@@ -0,0 +1,215 @@
+/**
+ * Diff-Aware Mutation Report
+ * Maps surviving mutants onto the hunks of a git diff (e.g. a pull request's
+ * `base...head`) and renders them as Markdown for a review comment. The
+ * report is only written to disk; nothing is posted anywhere.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  createMutationCounters,
+  countMutation,
+  calculateMutationScore,
+  getMutatedCodePreview,
+} = require("./mutation-results");
+
+/**
+ * Find the hunk of a file diff that contains a line of the new version
+ * @param {object} fileDiff - Diff info (see parseUnifiedDiff)
+ * @param {number} lineNumber - Line number in the new version
+ * @returns {object|null} Hunk { newStart, newLines, header }, or null if the line is unchanged
+ */
+function findHunk(fileDiff, lineNumber) {
+  // Untracked files have no hunks: the whole file is new
+  if (fileDiff.addedLines === null) {
+    return { newStart: 1, newLines: Infinity, header: "new file" };
+  }
+
+  return (
+    fileDiff.hunks.find(
+      (hunk) =>
+        hunk.newLines > 0 &&
+        lineNumber >= hunk.newStart &&
+        lineNumber < hunk.newStart + hunk.newLines
+    ) || null
+  );
+}
+
+/**
+ * Collect the mutants on changed lines, grouped by file and hunk
+ * Works on local results (fileResults keyed by lineage path) and Docker
+ * results (keyed by project-relative path).
+ * @param {object} results - Mutation results with fileResults
+ * @param {object} changedFiles - Map of absolute path to diff info (see getChangedLines)
+ * @param {object} options - Options
+ * @param {string} options.projectPath - Project root (default: cwd)
+ * @returns {object} { files: [{ relativePath, hunks: [{ header, survivors }] }], counters }
+ *   where `counters` count every mutant on a changed line
+ */
+function mapSurvivorsToDiff(results, changedFiles, options = {}) {
+  const projectPath = options.projectPath || process.cwd();
+  const counters = createMutationCounters();
+  const files = [];
+
+  Object.entries(results.fileResults || {}).forEach(([fileKey, fileResult]) => {
+    const absolutePath = path.resolve(projectPath, fileKey);
+    const fileDiff = changedFiles[absolutePath];
+    if (!fileDiff) {
+      return;
+    }
+
+    const hunks = new Map();
+    (fileResult.mutations || []).forEach((mutation) => {
+      const hunk = findHunk(fileDiff, mutation.lineNumber || mutation.line);
+      if (!hunk) {
+        return;
+      }
+
+      countMutation(counters, mutation);
+      if (mutation.status !== "survived") {
+        return;
+      }
+      if (!hunks.has(hunk.header)) {
+        hunks.set(hunk.header, { header: hunk.header, newStart: hunk.newStart, survivors: [] });
+      }
+      hunks.get(hunk.header).survivors.push(mutation);
+    });
+
+    if (hunks.size > 0) {
+      const position = (mutation) => [
+        mutation.lineNumber || mutation.line,
+        mutation.location ? mutation.location.start.column : 0,
+      ];
+      const byPosition = (a, b) => {
+        const [lineA, columnA] = position(a);
+        const [lineB, columnB] = position(b);
+        return lineA - lineB || columnA - columnB;
+      };
+
+      files.push({
+        relativePath: path.relative(projectPath, absolutePath).split(path.sep).join("/"),
+        hunks: [...hunks.values()]
+          .sort((a, b) => a.newStart - b.newStart)
+          .map(({ header, survivors }) => ({ header, survivors: survivors.sort(byPosition) })),
+      });
+    }
+  });
+
+  files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  return { files, counters };
+}
+
+/**
+ * Wrap text in a Markdown code span, using a longer delimiter if the text has backticks
+ */
+function inlineCode(text) {
+  const longestRun = Math.max(0, ...(String(text).match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(longestRun + 1);
+  const padding = longestRun > 0 ? " " : "";
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+/**
+ * Render the diff report as Markdown
+ * @param {object} results - Mutation results with fileResults
+ * @param {object} changedFiles - Map of absolute path to diff info (see getChangedLines)
+ * @param {object} options - Options
+ * @param {string} options.range - Diff range shown in the title (e.g. "main...feature")
+ * @param {string} options.projectPath - Project root (default: cwd)
+ * @returns {object} { markdown, survivors, mutations, score } where `score` is the
+ *   mutation score of the changed lines (null without mutants on them)
+ */
+function createDiffReport(results, changedFiles, options = {}) {
+  const { files, counters } = mapSurvivorsToDiff(results, changedFiles, options);
+  const survivors = counters.survivedMutations;
+  const score = counters.totalMutations > 0 ? calculateMutationScore(counters) : null;
+  const lines = [`## 🧬 Surviving mutants in ${inlineCode(options.range || "diff")}`, ""];
+
+  if (counters.totalMutations === 0) {
+    lines.push("No mutants on the lines changed in this diff.");
+    return { markdown: `${lines.join("\n")}\n`, survivors, mutations: 0, score };
+  }
+
+  const details = [
+    `${counters.killedMutations} killed`,
+    counters.timeoutMutations > 0 && `${counters.timeoutMutations} timed out`,
+    counters.noCoverageMutations > 0 && `${counters.noCoverageMutations} without coverage`,
+  ].filter(Boolean);
+  lines.push(
+    survivors > 0
+      ? `**${survivors} surviving ${survivors === 1 ? "mutant" : "mutants"}** on changed lines`
+      : "✅ No surviving mutants on changed lines",
+    `(${counters.totalMutations} mutants: ${details.join(", ")}). Mutation score of the changed lines: **${score}%**.`
+  );
+
+  files.forEach(({ relativePath, hunks }) => {
+    lines.push("", `### ${inlineCode(relativePath)}`);
+
+    hunks.forEach(({ header, survivors: hunkSurvivors }) => {
+      lines.push("", `#### ${inlineCode(header)}`);
+
+      hunkSurvivors.forEach((mutation) => {
+        const lineNumber = mutation.lineNumber || mutation.line;
+        const label = mutation.mutatorLabel || mutation.mutationType;
+        const original = mutation.original || "";
+        const mutated = getMutatedCodePreview(mutation);
+        const longestRun = Math.max(
+          2,
+          ...(`${original}\n${mutated}`.match(/`+/g) || []).map((run) => run.length)
+        );
+        const fence = "`".repeat(longestRun + 1);
+        const tests = mutation.coveredBy || [];
+
+        lines.push(
+          "",
+          `**Line ${lineNumber}** · ${label}`,
+          "",
+          `${fence}diff`,
+          `- ${original}`,
+          `+ ${mutated}`,
+          fence,
+          "",
+          tests.length > 0
+            ? `Not killed by: ${tests.map(inlineCode).join(", ")}`
+            : "No covering tests recorded"
+        );
+      });
+    });
+  });
+
+  return {
+    markdown: `${lines.join("\n")}\n`,
+    survivors,
+    mutations: counters.totalMutations,
+    score,
+  };
+}
+
+/**
+ * Write the diff report to disk
+ * @param {object} results - Mutation results with fileResults
+ * @param {object} changedFiles - Map of absolute path to diff info (see getChangedLines)
+ * @param {string} outputPath - Destination path
+ * @param {object} options - See createDiffReport
+ * @returns {object} { path, range, survivors, mutations, score }
+ */
+function writeDiffReport(results, changedFiles, outputPath, options = {}) {
+  const resolvedPath = path.resolve(options.projectPath || process.cwd(), outputPath);
+  const { markdown, survivors, mutations, score } = createDiffReport(
+    results,
+    changedFiles,
+    options
+  );
+
+  fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  fs.writeFileSync(resolvedPath, markdown);
+
+  return { path: resolvedPath, range: options.range, survivors, mutations, score };
+}
+
+module.exports = {
+  mapSurvivorsToDiff,
+  createDiffReport,
+  writeDiffReport,
+};
@@ -0,0 +1,148 @@
+/**
+ * Higher-Order Mutants
+ * Combine two killed first-order mutants of the same function into one
+ * higher-order mutant. A higher-order mutant that survives although each of
+ * its faults is killed on its own shows tests that only detect isolated
+ * faults: the two changes mask each other.
+ */
+
+const {
+  createMutationCounters,
+  countMutation,
+  calculateMutationScore,
+} = require("./mutation-results");
+
+/**
+ * Build the id of a higher-order mutant from the ids of its first-order mutants
+ * @param {string[]} mutantIds - First-order mutant ids
+ * @returns {string} Higher-order mutant id
+ */
+function createHigherOrderMutantId(mutantIds) {
+  return mutantIds.join(" & ");
+}
+
+/**
+ * Compare two Babel positions (1-based line, 0-based column)
+ */
+function comparePositions(a, b) {
+  return a.line - b.line || a.column - b.column;
+}
+
+/**
+ * Find the location of every function in a file
+ * @param {string} filePath - File path (used for parser options)
+ * @param {string} sourceCode - File contents
+ * @returns {Array<object>} Function locations { start, end }
+ */
+function findFunctionLocations(filePath, sourceCode) {
+  const babel = require("@babel/core");
+
+  const ast = babel.parseSync(sourceCode, {
+    filename: filePath,
+    configFile: false,
+    babelrc: false,
+    parserOpts: {
+      sourceType: "module",
+      allowImportExportEverywhere: true,
+      plugins: ["typescript", "jsx"],
+    },
+  });
+
+  const locations = [];
+  babel.traverse(ast, {
+    Function(functionPath) {
+      if (functionPath.node.loc) {
+        locations.push(functionPath.node.loc);
+      }
+    },
+  });
+
+  return locations;
+}
+
+/**
+ * Pair killed first-order mutants of the same function into higher-order mutants
+ * Each mutant belongs to the innermost function around it (mutants outside
+ * any function aren't paired). Within a function, mutants are paired in
+ * source order with the next mutant whose span doesn't overlap, and every
+ * mutant is used at most once.
+ * @param {string} filePath - File the mutants belong to
+ * @param {string} sourceCode - Original file contents
+ * @param {Array<object>} mutations - Killed mutation results with `location`
+ * @param {object} options - Options
+ * @param {number} options.maxPerFunction - Most higher-order mutants per function (default: 3)
+ * @returns {Array<object>} Plans { id, filePath, mutants: [mutation, mutation] }
+ */
+function planHigherOrderMutants(filePath, sourceCode, mutations, options = {}) {
+  const maxPerFunction =
+    options.maxPerFunction !== undefined ? options.maxPerFunction : 3;
+  const functions = findFunctionLocations(filePath, sourceCode);
+  const contains = (outer, inner) =>
+    comparePositions(outer.start, inner.start) <= 0 &&
+    comparePositions(inner.end, outer.end) <= 0;
+
+  const byFunction = new Map();
+  mutations.forEach((mutation) => {
+    const enclosing = functions
+      .filter((location) => contains(location, mutation.location))
+      .sort((a, b) => comparePositions(b.start, a.start))[0];
+    if (!enclosing) {
+      return;
+    }
+    if (!byFunction.has(enclosing)) {
+      byFunction.set(enclosing, []);
+    }
+    byFunction.get(enclosing).push(mutation);
+  });
+
+  const plans = [];
+  byFunction.forEach((functionMutations) => {
+    const pending = functionMutations
+      .slice()
+      .sort((a, b) => comparePositions(a.location.start, b.location.start));
+    let planned = 0;
+
+    while (pending.length > 1 && planned < maxPerFunction) {
+      const first = pending.shift();
+      // Overlapping spans are nested nodes, which can't both be mutated
+      const partnerIndex = pending.findIndex(
+        (candidate) => comparePositions(first.location.end, candidate.location.start) <= 0
+      );
+      if (partnerIndex === -1) {
+        continue;
+      }
+
+      const [second] = pending.splice(partnerIndex, 1);
+      plans.push({
+        id: createHigherOrderMutantId([first.id, second.id]),
+        filePath,
+        mutants: [first, second],
+      });
+      planned++;
+    }
+  });
+
+  return plans;
+}
+
+/**
+ * Summarize the results of higher-order mutants
+ * @param {Array<object>} mutations - Higher-order mutation results
+ * @returns {object} Mutation counters plus { mutationScore, mutations }
+ */
+function summarizeHigherOrderMutants(mutations) {
+  const counters = createMutationCounters();
+  mutations.forEach((mutation) => countMutation(counters, mutation));
+
+  return {
+    ...counters,
+    mutationScore: calculateMutationScore(counters),
+    mutations,
+  };
+}
+
+module.exports = {
+  createHigherOrderMutantId,
+  planHigherOrderMutants,
+  summarizeHigherOrderMutants,
+};
@@ -0,0 +1,277 @@
+/**
+ * Mutation Result Helpers
+ * Shared counters and scoring for mutation testing results
+ */
+
+// Statuses for mutants whose tests couldn't give a verdict; they are left out of the score
+const ERROR_STATUSES = ["error", "runtime-error", "compile-error"];
+
+/**
+ * Check whether a status means the mutant errored instead of being killed or surviving
+ * @param {string} status - Mutation status
+ * @returns {boolean} True for error statuses
+ */
+function isErrorStatus(status) {
+  return ERROR_STATUSES.includes(status);
+}
+
+/**
+ * Create an empty set of mutation counters
+ * `errorMutations` counts every error status; the runtime and compile error
+ * counters break it down. Ignored mutants (equivalent or suppressed) and
+ * mutants on lines no test covers are counted separately and never tested.
+ * @returns {object} Counters object
+ */
+function createMutationCounters() {
+  return {
+    totalMutations: 0,
+    killedMutations: 0,
+    survivedMutations: 0,
+    timeoutMutations: 0,
+    errorMutations: 0,
+    runtimeErrorMutations: 0,
+    compileErrorMutations: 0,
+    ignoredMutations: 0,
+    noCoverageMutations: 0,
+  };
+}
+
+/**
+ * Count a single mutation result into a counters object
+ * @param {object} counters - Counters to update
+ * @param {object} mutation - Mutation result with a status
+ */
+function countMutation(counters, mutation) {
+  counters.totalMutations++;
+
+  switch (mutation.status) {
+    case "killed":
+      counters.killedMutations++;
+      break;
+    case "survived":
+      counters.survivedMutations++;
+      break;
+    case "timeout":
+      counters.timeoutMutations++;
+      break;
+    case "error":
+      counters.errorMutations++;
+      break;
+    case "runtime-error":
+      counters.errorMutations++;
+      counters.runtimeErrorMutations++;
+      break;
+    case "compile-error":
+      counters.errorMutations++;
+      counters.compileErrorMutations++;
+      break;
+    case "ignored":
+      counters.ignoredMutations++;
+      break;
+    case "noCoverage":
+      counters.noCoverageMutations++;
+      break;
+    case "debug":
+      // Debug mutations don't count towards kill/survive stats
+      break;
+  }
+}
+
+/**
+ * Add the counters of one result object into another
+ * @param {object} target - Counters to update
+ * @param {object} source - Counters to add
+ */
+function addMutationCounters(target, source) {
+  Object.keys(createMutationCounters()).forEach((key) => {
+    target[key] += source[key] || 0;
+  });
+}
+
+/**
+ * Calculate the mutation score, excluding mutations that errored or were ignored
+ * Timeouts count as detected, since the mutant changed the code's behavior.
+ * Mutants on uncovered lines count as undetected.
+ * @param {object} counters - Counters object
+ * @returns {number} Score as a rounded percentage
+ */
+function calculateMutationScore(counters) {
+  const validMutations =
+    counters.totalMutations -
+    counters.errorMutations -
+    (counters.ignoredMutations || 0);
+  const detectedMutations =
+    counters.killedMutations + (counters.timeoutMutations || 0);
+  return validMutations > 0
+    ? Math.round((detectedMutations / validMutations) * 100)
+    : 0;
+}
+
+/**
+ * Calculate the mutation score of covered code only
+ * Like calculateMutationScore, but mutants on lines no test covers are left out.
+ * @param {object} counters - Counters object
+ * @returns {number} Score as a rounded percentage
+ */
+function calculateCoveredMutationScore(counters) {
+  return calculateMutationScore({
+    ...counters,
+    totalMutations: counters.totalMutations - (counters.noCoverageMutations || 0),
+  });
+}
+
+/**
+ * Build the id of a mutant from its file, span and type
+ * @param {string} filePath - File the mutant belongs to
+ * @param {number} lineNumber - Line the mutant starts on
+ * @param {string} mutationType - Operator name
+ * @param {object} location - Mutant location (0-based columns), if known
+ * @returns {string} Mutant id (file:line:column-line:column:type, columns are 1-based)
+ */
+function createMutantId(filePath, lineNumber, mutationType, location) {
+  if (!location) {
+    return `${filePath}:${lineNumber}:${mutationType}`;
+  }
+  const { start, end } = location;
+  // Nested nodes can start at the same position, so the end is part of the identity
+  return `${filePath}:${start.line}:${start.column + 1}-${end.line}:${end.column + 1}:${mutationType}`;
+}
+
+/**
+ * Describe an applied mutation for display
+ * `original`/`replacement` are the trimmed source lines covering the mutated
+ * span (joined onto one line), and `highlight` holds the span's offsets in them.
+ * @param {string} sourceCode - Original file contents
+ * @param {object} applied - Applied mutation { start, end, original, replacement }
+ * @returns {object} { original, replacement, originalSnippet, mutatedSnippet, highlight }
+ */
+function describeMutation(sourceCode, applied) {
+  const flatten = (text) => text.replace(/\s*\n\s*/g, " ");
+
+  const lineStart = sourceCode.lastIndexOf("\n", applied.start - 1) + 1;
+  const newlineAfter = sourceCode.indexOf("\n", applied.end);
+  const lineEnd = newlineAfter === -1 ? sourceCode.length : newlineAfter;
+
+  const before = sourceCode.slice(lineStart, applied.start);
+  const after = sourceCode.slice(applied.end, lineEnd);
+  const indent = before.length - before.trimStart().length;
+  const originalSnippet = flatten(applied.original);
+  const mutatedSnippet = flatten(applied.replacement);
+
+  const prefix = flatten(before.slice(indent));
+  const suffix = flatten(after).trimEnd();
+
+  return {
+    original: prefix + originalSnippet + suffix,
+    replacement: prefix + mutatedSnippet + suffix,
+    originalSnippet,
+    mutatedSnippet,
+    highlight: {
+      start: prefix.length,
+      originalEnd: prefix.length + originalSnippet.length,
+      replacementEnd: prefix.length + mutatedSnippet.length,
+    },
+  };
+}
+
+/**
+ * Get the mutated code of a mutation result for display
+ * Results carry the mutated source line as `replacement`; results without it
+ * fall back to the mutated span alone.
+ * @param {object} mutation - Mutation result
+ * @returns {string} Mutated code, or an empty string if unknown
+ */
+function getMutatedCodePreview(mutation) {
+  return mutation.replacement || mutation.mutatedSnippet || "";
+}
+
+/**
+ * Build a full mutation result from a cached verdict
+ * @param {object} mutation - Mutant description { filePath, lineNumber, mutationType, location, tests }
+ * @param {object} entry - Cache entry (see MutationCache#set)
+ * @returns {object} Mutation result
+ */
+function createCachedMutationResult(mutation, entry) {
+  const { filePath, lineNumber, mutationType, location, tests = [] } = mutation;
+
+  return {
+    id: createMutantId(filePath, lineNumber, mutationType, location),
+    filePath,
+    line: lineNumber,
+    lineNumber,
+    location,
+    mutationType,
+    mutatorName: mutationType,
+    mutatorLabel: mutation.mutatorLabel,
+    type: mutationType,
+    status: entry.status,
+    original: entry.original,
+    replacement: entry.replacement,
+    originalSnippet: entry.originalSnippet,
+    mutatedSnippet: entry.mutatedSnippet,
+    highlight: entry.highlight,
+    testsRun: 0,
+    killedBy: entry.killedBy || [],
+    coveredBy: tests.map((test) => test.testId),
+    executionTime: 0,
+    statusReason: entry.statusReason || null,
+    error: null,
+    cached: true,
+  };
+}
+
+/**
+ * Summarize how much test prioritization saved across the tested mutants
+ * Only mutants tested in this run count; cached, resumed and reused ones
+ * carry no `timeSaved`.
+ * @param {object} results - Mutation results with fileResults
+ * @returns {object} { mutants, killedByFirstTest, testsCovering, testsRun, testsSkipped, timeSaved, averageTimeSaved }
+ */
+function summarizeTestPrioritization(results) {
+  const summary = {
+    mutants: 0,
+    killedByFirstTest: 0,
+    testsCovering: 0,
+    testsRun: 0,
+    testsSkipped: 0,
+    timeSaved: 0,
+    averageTimeSaved: 0,
+  };
+
+  Object.values(results.fileResults || {}).forEach((fileResult) => {
+    (fileResult.mutations || []).forEach((mutation) => {
+      if (mutation.timeSaved === undefined || mutation.cached || mutation.resumed || mutation.reused) {
+        return;
+      }
+
+      const covering = (mutation.coveredBy || []).length;
+      summary.mutants++;
+      summary.testsCovering += covering;
+      summary.testsRun += mutation.testsRun || 0;
+      summary.testsSkipped += Math.max(covering - (mutation.testsRun || 0), 0);
+      summary.timeSaved += mutation.timeSaved;
+      if (mutation.status === "killed" && mutation.testsRun === 1) {
+        summary.killedByFirstTest++;
+      }
+    });
+  });
+
+  summary.averageTimeSaved =
+    summary.mutants > 0 ? Math.round(summary.timeSaved / summary.mutants) : 0;
+  return summary;
+}
+
+module.exports = {
+  ERROR_STATUSES,
+  isErrorStatus,
+  createMutationCounters,
+  countMutation,
+  addMutationCounters,
+  calculateMutationScore,
+  calculateCoveredMutationScore,
+  createMutantId,
+  describeMutation,
+  getMutatedCodePreview,
+  createCachedMutationResult,
+  summarizeTestPrioritization,
+};
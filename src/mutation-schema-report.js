@@ -0,0 +1,281 @@
+/**
+ * Mutation Testing Report Schema Exporter
+ * Converts mutation results into the mutation-testing-report-schema JSON format
+ * (https://github.com/stryker-mutator/mutation-testing-elements) used by the
+ * standard HTML viewer, dashboards and CI badges.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const pkg = require("../package.json");
+const { getTestTitlePath } = require("./utils/test-id");
+
+const SCHEMA_VERSION = "2";
+
+const STATUS_MAP = {
+  killed: "Killed",
+  survived: "Survived",
+  timeout: "Timeout",
+  error: "RuntimeError",
+  "runtime-error": "RuntimeError",
+  "compile-error": "CompileError",
+  ignored: "Ignored",
+  noCoverage: "NoCoverage",
+  debug: "Pending",
+};
+
+const LANGUAGE_MAP = {
+  ".ts": "typescript",
+  ".tsx": "typescript",
+  ".mts": "typescript",
+  ".cts": "typescript",
+  ".js": "javascript",
+  ".jsx": "javascript",
+  ".mjs": "javascript",
+  ".cjs": "javascript",
+};
+
+/**
+ * Map an internal mutation status to a schema status
+ * @param {string} status - Internal status
+ * @returns {string} Schema status
+ */
+function toSchemaStatus(status) {
+  return STATUS_MAP[status] || "RuntimeError";
+}
+
+/**
+ * Read a file's source, returning an empty string if it can't be read
+ * @param {string} filePath - Absolute file path
+ * @returns {string} File contents
+ */
+function readSource(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Compute the 1-based schema location of a mutant
+ * Uses the mutant's own location (Babel convention: 0-based columns) when
+ * available, otherwise spans the trimmed source line.
+ * @param {object} mutation - Mutation result
+ * @param {string[]} sourceLines - Lines of the mutated file
+ * @returns {object} Location { start: {line, column}, end: {line, column} }
+ */
+function toSchemaLocation(mutation, sourceLines) {
+  if (mutation.location && mutation.location.start && mutation.location.end) {
+    return {
+      start: {
+        line: mutation.location.start.line,
+        column: mutation.location.start.column + 1,
+      },
+      end: {
+        line: mutation.location.end.line,
+        column: mutation.location.end.column + 1,
+      },
+    };
+  }
+
+  const line = mutation.lineNumber || mutation.line || 1;
+  const text = sourceLines[line - 1] || "";
+  const indent = text.length - text.trimStart().length;
+
+  return {
+    start: { line, column: indent + 1 },
+    end: { line, column: text.trimEnd().length + 1 },
+  };
+}
+
+/**
+ * Collect every mutation from a results object together with the file it belongs to
+ * Handles both local results (fileResults keyed by lineage path) and Docker
+ * results (fileResults keyed by project-relative path).
+ * @param {object} results - Mutation results
+ * @returns {Array<{fileKey: string, mutation: object}>} Mutations with file keys
+ */
+function collectMutations(results) {
+  const collected = [];
+
+  Object.entries(results.fileResults || {}).forEach(([fileKey, fileResult]) => {
+    (fileResult.mutations || []).forEach((mutation) => {
+      collected.push({ fileKey, mutation });
+    });
+  });
+
+  return collected;
+}
+
+/**
+ * Create a registry that assigns schema ids to tests
+ * @param {string} projectRoot - Project root for relative test file paths
+ * @returns {object} Registry with register(test), idFor(testId) and testFiles()
+ */
+function createTestRegistry(projectRoot) {
+  const ids = new Map();
+  const idsByName = new Map();
+  const files = {};
+
+  function register(test) {
+    const key = test.testId;
+    if (!ids.has(key)) {
+      const relativeFile = test.testFile
+        ? path.relative(projectRoot, path.resolve(projectRoot, test.testFile))
+        : ""; // Schema convention for tests without a known file
+      const id = String(ids.size);
+      ids.set(key, id);
+      if (!idsByName.has(test.testName)) {
+        idsByName.set(test.testName, id);
+      }
+      if (!files[relativeFile]) {
+        files[relativeFile] = { tests: [] };
+      }
+      files[relativeFile].tests.push({ id, name: getTestTitlePath(test) });
+    }
+
+    return ids.get(key);
+  }
+
+  return {
+    register,
+    // Results from older versions name tests instead, so fall back to the first test with that name
+    idFor(testId) {
+      if (ids.has(testId)) {
+        return ids.get(testId);
+      }
+      return idsByName.has(testId)
+        ? idsByName.get(testId)
+        : register({ testId, testName: testId, testFile: null });
+    },
+    testFiles() {
+      return files;
+    },
+  };
+}
+
+/**
+ * Build a mutation-testing-report-schema report
+ * @param {object} results - Mutation results from MutationTester
+ * @param {object} lineageData - Lineage data { filePath: { lineNumber: [testInfo] } }
+ * @param {object} options - Options
+ * @param {string} options.projectRoot - Project root (default: cwd)
+ * @param {object} options.thresholds - { high, low } score thresholds
+ * @returns {object} Schema-compliant report
+ */
+function createSchemaReport(results, lineageData = {}, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+  const thresholds = options.thresholds || { high: 80, low: 60 };
+  const registry = createTestRegistry(projectRoot);
+
+  // Index covering tests by project-relative file and line
+  const coverage = new Map();
+  Object.entries(lineageData || {}).forEach(([filePath, lines]) => {
+    const relativePath = path.relative(
+      projectRoot,
+      path.resolve(projectRoot, filePath)
+    );
+    Object.entries(lines).forEach(([lineNumber, tests]) => {
+      coverage.set(
+        `${relativePath}:${lineNumber}`,
+        tests.map((test) => registry.register(test))
+      );
+    });
+  });
+
+  const files = {};
+
+  collectMutations(results).forEach(({ fileKey, mutation }) => {
+    const absolutePath = path.resolve(projectRoot, fileKey);
+    const relativePath = path.relative(projectRoot, absolutePath);
+
+    if (!files[relativePath]) {
+      const source = readSource(absolutePath);
+      files[relativePath] = {
+        language: LANGUAGE_MAP[path.extname(relativePath)] || "javascript",
+        source,
+        mutants: [],
+        lines: source.split("\n"),
+      };
+    }
+
+    const file = files[relativePath];
+    const lineNumber = mutation.lineNumber || mutation.line;
+    const coveredBy = mutation.coveredBy
+      ? mutation.coveredBy.map((testId) => registry.idFor(testId))
+      : coverage.get(`${relativePath}:${lineNumber}`) || [];
+    const killedBy = (mutation.killedBy || []).map((testId) =>
+      registry.idFor(testId)
+    );
+
+    const mutant = {
+      id: mutation.id || `${relativePath}:${lineNumber}:${mutation.mutationType}`,
+      mutatorName: mutation.mutatorName || mutation.mutationType || "unknown",
+      // The schema replacement covers only the mutated span
+      replacement:
+        mutation.mutatedSnippet !== undefined
+          ? mutation.mutatedSnippet
+          : mutation.replacement,
+      location: toSchemaLocation(mutation, file.lines),
+      status: toSchemaStatus(mutation.status),
+      coveredBy: [...new Set(coveredBy)],
+      killedBy: [...new Set(killedBy)],
+      testsCompleted: mutation.testsRun || 0,
+    };
+
+    if (mutation.mutatorLabel) {
+      mutant.description = mutation.mutatorLabel;
+    }
+    if (mutation.statusReason || mutation.error) {
+      mutant.statusReason = mutation.statusReason || mutation.error;
+    }
+    if (mutation.executionTime) {
+      mutant.duration = mutation.executionTime;
+    }
+
+    file.mutants.push(mutant);
+  });
+
+  // The line cache was only needed to compute locations
+  Object.values(files).forEach((file) => delete file.lines);
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    thresholds,
+    projectRoot,
+    files,
+    testFiles: registry.testFiles(),
+    framework: {
+      name: pkg.name,
+      version: pkg.version,
+    },
+  };
+}
+
+/**
+ * Write a mutation-testing-report-schema report to disk
+ * @param {object} results - Mutation results from MutationTester
+ * @param {object} lineageData - Lineage data used for coveredBy
+ * @param {string} outputPath - Destination path
+ * @param {object} options - See createSchemaReport
+ * @returns {string} Absolute path of the written report
+ */
+function writeSchemaReport(results, lineageData, outputPath, options = {}) {
+  const resolvedPath = path.resolve(
+    options.projectRoot || process.cwd(),
+    outputPath
+  );
+  const report = createSchemaReport(results, lineageData, options);
+
+  fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  fs.writeFileSync(resolvedPath, JSON.stringify(report, null, 2));
+
+  return resolvedPath;
+}
+
+module.exports = {
+  createSchemaReport,
+  writeSchemaReport,
+  toSchemaStatus,
+};
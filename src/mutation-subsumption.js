@@ -0,0 +1,111 @@
+/**
+ * Mutant Subsumption Analysis
+ * Uses the per-test kill matrix (each mutant's `killedBy`) to find redundant
+ * mutants. Mutant A subsumes mutant B when every test that kills A also kills
+ * B: B is then killed whenever A is, so it adds nothing to the score. The
+ * mutants no other mutant subsumes form the minimal mutant set.
+ */
+
+// Separates test names in kill set keys (test names never contain it)
+const KEY_SEPARATOR = "\u0000";
+
+/**
+ * Check whether a killed mutant's kill set is complete
+ * Only mutants whose covering tests all ran know every test that kills them;
+ * prioritized runs stop at the first failing group and cached verdicts don't
+ * record how many tests ran.
+ * @param {object} mutation - Mutation result
+ * @returns {boolean} True if `killedBy` lists every killing test
+ */
+function hasCompleteKillSet(mutation) {
+  const covering = (mutation.coveredBy || []).length;
+  return (mutation.killedBy || []).length > 0 && (mutation.testsRun || 0) >= covering;
+}
+
+/**
+ * Analyze mutant subsumption over the kill matrix of a run
+ * Killed mutants with a complete kill set are compared with each other:
+ * mutants with identical kill sets are equivalent (the first one represents
+ * them), and a mutant whose kill set strictly contains another's is
+ * subsumed by it. Survived mutants are never subsumed and all belong to the
+ * minimal set. Timeouts, errors, ignored and uncovered mutants have no
+ * kill set and are left out.
+ * @param {object} results - Mutation results with fileResults
+ * @returns {object} { analyzedMutants, excludedMutants, partialMutants, minimalMutants,
+ *   killedMinimalMutants, redundantMutants, minimalMutantScore, redundant: [{ id, subsumedBy }] }
+ *   where `minimalMutantScore` is the % of the minimal set that was killed
+ */
+function analyzeSubsumption(results) {
+  const killed = [];
+  let survived = 0;
+  let excludedMutants = 0;
+  let partialMutants = 0;
+
+  Object.values(results.fileResults || {}).forEach((fileResult) => {
+    (fileResult.mutations || []).forEach((mutation) => {
+      if (mutation.status === "survived") {
+        survived++;
+      } else if (mutation.status !== "killed") {
+        excludedMutants++;
+      } else if (!hasCompleteKillSet(mutation)) {
+        partialMutants++;
+      } else {
+        killed.push(mutation);
+      }
+    });
+  });
+
+  // Mutants with the same kill set are interchangeable, so compare sets instead
+  const groups = new Map();
+  killed.forEach((mutation) => {
+    const tests = [...new Set(mutation.killedBy)].sort();
+    const key = tests.join(KEY_SEPARATOR);
+    if (!groups.has(key)) {
+      groups.set(key, { tests: new Set(tests), mutations: [] });
+    }
+    groups.get(key).mutations.push(mutation);
+  });
+
+  const sets = [...groups.values()];
+  const isStrictSubset = (a, b) =>
+    a.tests.size < b.tests.size && [...a.tests].every((test) => b.tests.has(test));
+  const minimalSets = sets.filter(
+    (set) => !sets.some((other) => isStrictSubset(other, set))
+  );
+
+  const redundant = [];
+  sets.forEach((set) => {
+    const dominator = minimalSets.includes(set)
+      ? set
+      : minimalSets.find((candidate) => isStrictSubset(candidate, set));
+    const representative = dominator.mutations[0];
+
+    set.mutations.forEach((mutation) => {
+      if (mutation !== representative) {
+        redundant.push({ id: mutation.id, subsumedBy: representative.id });
+      }
+    });
+  });
+
+  const killedMinimalMutants = minimalSets.length;
+  const minimalMutants = killedMinimalMutants + survived;
+
+  return {
+    analyzedMutants: killed.length + survived,
+    excludedMutants,
+    partialMutants,
+    minimalMutants,
+    killedMinimalMutants,
+    redundantMutants: redundant.length,
+    minimalMutantScore:
+      minimalMutants > 0
+        ? Math.round((killedMinimalMutants / minimalMutants) * 100)
+        : 0,
+    redundant,
+  };
+}
+
+module.exports = {
+  hasCompleteKillSet,
+  analyzeSubsumption,
+};
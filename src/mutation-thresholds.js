@@ -0,0 +1,143 @@
+/**
+ * Mutation Score Thresholds
+ * Evaluate the mutation score of each scope in the `thresholds` config map,
+ * e.g. { "src/core/**": { high: 95, low: 90, break: 90 } }
+ */
+
+const path = require("path");
+const {
+  createMutationCounters,
+  addMutationCounters,
+  calculateMutationScore,
+} = require("./mutation-results");
+const { matchesFilePattern } = require("./utils/mutation-scope");
+
+const DEFAULT_LEVELS = { high: 80, low: 60, break: null };
+
+/**
+ * Validate a thresholds map and fill in missing levels
+ * `high` and `low` default to 80 and 60 (low is capped at high), `break`
+ * defaults to none.
+ * @param {object} thresholds - Glob, file or directory → { high, low, break }
+ * @returns {Array<object>} Scopes { pattern, high, low, break }
+ */
+function normalizeThresholds(thresholds) {
+  if (!thresholds) {
+    return [];
+  }
+  if (typeof thresholds !== "object" || Array.isArray(thresholds)) {
+    throw new Error("thresholds must map globs to { high, low, break } levels");
+  }
+
+  return Object.entries(thresholds).map(([pattern, levels]) => {
+    if (!levels || typeof levels !== "object") {
+      throw new Error(
+        `Invalid thresholds for "${pattern}": expected { high, low, break }`
+      );
+    }
+    const isLevel = (value) =>
+      typeof value === "number" && value >= 0 && value <= 100;
+    const high = levels.high !== undefined ? levels.high : DEFAULT_LEVELS.high;
+    const low =
+      levels.low !== undefined ? levels.low : Math.min(DEFAULT_LEVELS.low, high);
+    const breakLevel =
+      levels.break !== undefined ? levels.break : DEFAULT_LEVELS.break;
+
+    if (!isLevel(high) || !isLevel(low) || (breakLevel !== null && !isLevel(breakLevel))) {
+      throw new Error(
+        `Invalid thresholds for "${pattern}": levels must be numbers from 0 to 100`
+      );
+    }
+    if (low > high) {
+      throw new Error(
+        `Invalid thresholds for "${pattern}": low (${low}) is above high (${high})`
+      );
+    }
+
+    return { pattern, high, low, break: breakLevel };
+  });
+}
+
+/**
+ * Rate a score against a scope's levels
+ * @returns {string} "high", "medium" (between low and high), "low" or "broken" (below break)
+ */
+function rateScore(score, scope) {
+  if (scope.break !== null && score < scope.break) return "broken";
+  if (score < scope.low) return "low";
+  if (score < scope.high) return "medium";
+  return "high";
+}
+
+/**
+ * Evaluate the mutation score of every threshold scope
+ * Works on local results (fileResults keyed by lineage path) and Docker
+ * results (keyed by project-relative path). A file counts towards every
+ * scope whose pattern it matches; scopes without mutants aren't rated.
+ * @param {object} results - Mutation results with fileResults
+ * @param {object} thresholds - Thresholds map (see normalizeThresholds)
+ * @param {object} options - Options
+ * @param {string} options.projectPath - Project root (default: cwd)
+ * @returns {Array<object>} { pattern, high, low, break, fileCount, totalMutations, score, rating }
+ */
+function evaluateThresholds(results, thresholds, options = {}) {
+  const projectPath = options.projectPath || process.cwd();
+  const files = Object.entries(results.fileResults || {}).map(
+    ([fileKey, fileResult]) => ({
+      relativePath: path
+        .relative(projectPath, path.resolve(projectPath, fileKey))
+        .split(path.sep)
+        .join("/"),
+      fileResult,
+    })
+  );
+
+  return normalizeThresholds(thresholds).map((scope) => {
+    const counters = createMutationCounters();
+    let fileCount = 0;
+
+    files.forEach(({ relativePath, fileResult }) => {
+      if (matchesFilePattern(relativePath, scope.pattern)) {
+        addMutationCounters(counters, fileResult);
+        fileCount++;
+      }
+    });
+
+    const score =
+      counters.totalMutations > 0 ? calculateMutationScore(counters) : null;
+    return {
+      ...scope,
+      fileCount,
+      totalMutations: counters.totalMutations,
+      score,
+      rating: score === null ? null : rateScore(score, scope),
+    };
+  });
+}
+
+/**
+ * Get the evaluated scopes whose score is below `low` or `break`
+ * @param {Array<object>} evaluations - Result of evaluateThresholds
+ * @returns {Array<object>} Failed scopes
+ */
+function getFailedThresholds(evaluations) {
+  return (evaluations || []).filter(
+    (evaluation) => evaluation.rating === "low" || evaluation.rating === "broken"
+  );
+}
+
+/**
+ * Check whether any scope's score is below its `break` level
+ * @param {Array<object>} evaluations - Result of evaluateThresholds
+ * @returns {boolean} True if the run should fail
+ */
+function hasBrokenThreshold(evaluations) {
+  return (evaluations || []).some((evaluation) => evaluation.rating === "broken");
+}
+
+module.exports = {
+  normalizeThresholds,
+  evaluateThresholds,
+  getFailedThresholds,
+  hasBrokenThreshold,
+};
@@ -0,0 +1,274 @@
+/**
+ * Test Suite Minimization
+ * Combines lineage data (which tests cover which lines) with the mutation
+ * kill matrix (which tests kill which mutants) to find a small subset of
+ * tests that keeps both. Every other test is redundant: dropping it loses
+ * no covered line and no killed mutant.
+ */
+
+const path = require("path");
+
+/**
+ * Collect every test with the lines it covers and the mutants it kills
+ * Mutants are attributed by the test IDs in `killedBy`. Results from older
+ * versions only name the killing tests, so a name shared by tests in
+ * several files is attributed to those that cover the mutant's line.
+ * @param {object} lineageData - { filePath: { lineNumber: [testInfo] } }
+ * @param {object|null} mutationResults - Mutation results with fileResults
+ * @param {object} options - See minimizeTestSuite
+ * @returns {Map<string, object>} Test ID → { testId, testName, describePath, testFile, duration, requirements }
+ */
+function collectTestRequirements(lineageData, mutationResults, options = {}) {
+  const projectPath = options.projectPath || process.cwd();
+  const tests = new Map();
+  const addTest = ({ testId, testName, describePath, testFile, duration }) => {
+    if (!tests.has(testId)) {
+      tests.set(testId, {
+        testId,
+        testName,
+        describePath: describePath || [],
+        testFile,
+        duration: 0,
+        lines: 0,
+        killedMutants: 0,
+        requirements: new Set(),
+      });
+    }
+    const test = tests.get(testId);
+    test.duration = Math.max(test.duration, duration || 0);
+    return test;
+  };
+
+  (options.tests || []).forEach(addTest);
+
+  Object.entries(lineageData).forEach(([filePath, lines]) => {
+    const absolutePath = path.resolve(projectPath, filePath);
+    Object.entries(lines).forEach(([lineNumber, lineTests]) => {
+      lineTests.forEach((lineTest) => {
+        const test = addTest(lineTest);
+        test.requirements.add(`line:${absolutePath}:${lineNumber}`);
+      });
+    });
+  });
+
+  const byName = new Map();
+  tests.forEach((test) => {
+    if (!byName.has(test.testName)) {
+      byName.set(test.testName, []);
+    }
+    byName.get(test.testName).push(test);
+  });
+
+  Object.entries((mutationResults && mutationResults.fileResults) || {}).forEach(
+    ([fileKey, fileResult]) => {
+      const absolutePath = path.resolve(projectPath, fileKey);
+      (fileResult.mutations || []).forEach((mutation) => {
+        if (mutation.status !== "killed") {
+          return;
+        }
+
+        const lineRequirement = `line:${absolutePath}:${mutation.lineNumber || mutation.line}`;
+        (mutation.killedBy || []).forEach((killer) => {
+          const candidates = tests.has(killer) ? [tests.get(killer)] : byName.get(killer) || [];
+          const covering = candidates.filter((test) => test.requirements.has(lineRequirement));
+          (covering.length > 0 ? covering : candidates).forEach((test) => {
+            test.requirements.add(`mutant:${mutation.id}`);
+          });
+        });
+      });
+    }
+  );
+
+  tests.forEach((test) => {
+    test.requirements.forEach((requirement) => {
+      if (requirement.startsWith("line:")) {
+        test.lines++;
+      } else {
+        test.killedMutants++;
+      }
+    });
+  });
+
+  return tests;
+}
+
+/**
+ * Greedily pick tests until every requirement is met
+ * Each step takes the test that meets the most unmet requirements (the
+ * faster one on ties); afterwards, picked tests whose requirements the other
+ * picks meet as well are dropped again, slowest first.
+ * @param {Array<object>} tests - Tests with `requirements` and `duration`
+ * @returns {Set<object>} Kept tests
+ */
+function selectMinimalTests(tests) {
+  const unmet = new Set();
+  tests.forEach((test) => test.requirements.forEach((requirement) => unmet.add(requirement)));
+
+  const selected = [];
+  const remaining = tests.slice();
+  while (unmet.size > 0) {
+    let best = null;
+    let bestGain = 0;
+    remaining.forEach((test) => {
+      let gain = 0;
+      test.requirements.forEach((requirement) => {
+        if (unmet.has(requirement)) gain++;
+      });
+      if (gain > bestGain || (gain === bestGain && gain > 0 && test.duration < best.duration)) {
+        best = test;
+        bestGain = gain;
+      }
+    });
+    if (!best) {
+      break;
+    }
+
+    selected.push(best);
+    remaining.splice(remaining.indexOf(best), 1);
+    best.requirements.forEach((requirement) => unmet.delete(requirement));
+  }
+
+  // Greedy picks made early can become unnecessary once later picks are in
+  const coverCount = new Map();
+  selected.forEach((test) =>
+    test.requirements.forEach((requirement) =>
+      coverCount.set(requirement, (coverCount.get(requirement) || 0) + 1)
+    )
+  );
+  const kept = new Set(selected);
+  selected
+    .slice()
+    .sort((a, b) => b.duration - a.duration)
+    .forEach((test) => {
+      if ([...test.requirements].every((requirement) => coverCount.get(requirement) > 1)) {
+        kept.delete(test);
+        test.requirements.forEach((requirement) =>
+          coverCount.set(requirement, coverCount.get(requirement) - 1)
+        );
+      }
+    });
+
+  return kept;
+}
+
+/**
+ * Find kept tests that together meet a redundant test's requirements
+ */
+function findCoveringTests(test, kept) {
+  const unmet = new Set(test.requirements);
+  const covering = [];
+
+  while (unmet.size > 0) {
+    let best = null;
+    let bestGain = 0;
+    kept.forEach((candidate) => {
+      let gain = 0;
+      candidate.requirements.forEach((requirement) => {
+        if (unmet.has(requirement)) gain++;
+      });
+      if (gain > bestGain) {
+        best = candidate;
+        bestGain = gain;
+      }
+    });
+    if (!best) {
+      break;
+    }
+
+    covering.push(best);
+    best.requirements.forEach((requirement) => unmet.delete(requirement));
+  }
+
+  return covering;
+}
+
+/**
+ * Describe why a test is redundant
+ */
+function describeRedundancy(test, coveringTests) {
+  if (test.requirements.size === 0) {
+    return "Covers no lines and kills no mutants";
+  }
+
+  const parts = [`${test.lines} ${test.lines === 1 ? "line" : "lines"}`];
+  if (test.killedMutants > 0) {
+    parts.push(`${test.killedMutants} killed ${test.killedMutants === 1 ? "mutant" : "mutants"}`);
+  }
+  const others =
+    coveringTests.length === 1 ? "1 kept test" : `${coveringTests.length} kept tests`;
+  const verb = test.requirements.size === 1 ? "is" : "are";
+  return `Its ${parts.join(" and ")} ${verb} also covered by ${others}`;
+}
+
+/**
+ * Compute a minimal test subset that preserves line coverage and killed mutants
+ * @param {object} lineageData - { filePath: { lineNumber: [testInfo] } }
+ * @param {object|null} mutationResults - Mutation results; without them only line coverage is preserved
+ * @param {object} options - Options
+ * @param {Array<object>} options.tests - Every test { testId, testName, describePath, testFile,
+ *   duration }, including tests that cover no line
+ * @param {string} options.projectPath - Project root (default: cwd)
+ * @returns {object} { totalTests, keptTests, redundantTests, totalDuration, keptDuration,
+ *   timeSaved, requirements: { lines, killedMutants }, usesMutationResults, kept, redundant }
+ *   where `redundant` lists { testId, testName, describePath, testFile, duration, lines,
+ *   killedMutants, reason, coveredBy }
+ */
+function minimizeTestSuite(lineageData, mutationResults, options = {}) {
+  const tests = [...collectTestRequirements(lineageData, mutationResults, options).values()];
+  const kept = selectMinimalTests(tests);
+
+  const requirements = new Set();
+  tests.forEach((test) => test.requirements.forEach((requirement) => requirements.add(requirement)));
+  const killedMutants = [...requirements].filter((requirement) => requirement.startsWith("mutant:")).length;
+
+  const describeTest = (test) => ({
+    testId: test.testId,
+    testName: test.testName,
+    describePath: test.describePath,
+    testFile: test.testFile,
+    duration: test.duration,
+    lines: test.lines,
+    killedMutants: test.killedMutants,
+  });
+
+  const redundant = tests
+    .filter((test) => !kept.has(test))
+    .map((test) => {
+      const coveringTests = findCoveringTests(test, kept);
+      return {
+        ...describeTest(test),
+        reason: describeRedundancy(test, coveringTests),
+        coveredBy: coveringTests.map((covering) => ({
+          testId: covering.testId,
+          testName: covering.testName,
+          describePath: covering.describePath,
+          testFile: covering.testFile,
+        })),
+      };
+    })
+    .sort((a, b) => b.duration - a.duration);
+
+  const sum = (list) => list.reduce((total, test) => total + test.duration, 0);
+  const timeSaved = sum(redundant);
+  const totalDuration = sum(tests);
+
+  return {
+    totalTests: tests.length,
+    keptTests: kept.size,
+    redundantTests: redundant.length,
+    totalDuration,
+    keptDuration: totalDuration - timeSaved,
+    timeSaved,
+    requirements: {
+      lines: requirements.size - killedMutants,
+      killedMutants,
+    },
+    usesMutationResults: Boolean(mutationResults),
+    kept: tests.filter((test) => kept.has(test)).map(describeTest),
+    redundant,
+  };
+}
+
+module.exports = {
+  minimizeTestSuite,
+};
@@ -159,7 +159,6 @@ const isQualityEnabled = process.env.JEST_LINEAGE_QUALITY !== 'false';
 
 // Global tracker for test coverage
 global.__TEST_LINEAGE_TRACKER__ = {
-  currentTest: null,
   testCoverage: new Map(),
   isTracking: isEnabled && isTrackingEnabled,
   isPerformanceTracking: isEnabled && isPerformanceEnabled,
@@ -173,167 +172,296 @@ global.__TEST_LINEAGE_TRACKER__ = {
   }
 };
 
+const { AsyncLocalStorage } = require('async_hooks');
+const { createTestId } = require('./utils/test-id');
+
+// The test whose code is running. Every test runs in an async context of its
+// own, so lines executed by concurrent tests are attributed to the right one
+const testContext = new AsyncLocalStorage();
+
+// jest-each builds the cases of `.each` tables. Its `bind` isn't public API, so the
+// dependency follows the Jest major we support; without it the cases run untracked
+let jestEach = null;
+try {
+  jestEach = require('jest-each');
+} catch (error) {
+  jestEach = null;
+}
+if (!jestEach || typeof jestEach.bind !== 'function') {
+  jestEach = null;
+  if (isEnabled && isTrackingEnabled) {
+    console.warn('Warning: jest-each is not available, so test.each and describe.each cases run without lineage tracking');
+  }
+}
+
+// Variants that register tests the same way as the function they hang off
+const TEST_VARIANTS = ['only', 'skip', 'concurrent', 'failing'];
+const DESCRIBE_VARIANTS = ['only', 'skip'];
+
 // Store original test functions
 const originalIt = global.it;
 const originalTest = global.test;
+const originalDescribe = global.describe;
 
-// Enhanced test wrapper that tracks coverage per individual test
-function createTestWrapper(originalFn, testType) {
-  return function wrappedTest(testName, testFn, timeout) {
-    // If no test function provided, it's a pending test
-    if (!testFn) {
-      return originalFn(testName, testFn, timeout);
+// Describe blocks being collected ({ title, eachIndex }); tests copy them when they are registered
+const describeStack = [];
+
+// Jest titles tests and blocks named by a class or function with its name
+function getTitle(descriptor) {
+  return typeof descriptor === 'function' ? descriptor.name : String(descriptor);
+}
+
+// Index of a `.each` case, prefixed by the cases of the `describe.each` blocks around it
+function getEachIndex(caseIndex) {
+  const indexes = describeStack
+    .filter(block => block.eachIndex !== undefined)
+    .map(block => block.eachIndex);
+  if (caseIndex !== undefined) {
+    indexes.push(caseIndex);
+  }
+  return indexes.length > 0 ? indexes.join('.') : undefined;
+}
+
+// `.each` that registers every row through our own wrapper, so each case is a test of its own
+function createEachWrapper(register, supportsDone, needsEachError) {
+  return function each(table, ...taggedTemplateData) {
+    let caseIndex = 0;
+    let caseFn = null;
+    const bindCases = jestEach.bind(
+      (caseTitle, fn, ...rest) => register({ index: caseIndex++, fn: caseFn }, caseTitle, fn, ...rest),
+      supportsDone,
+      needsEachError
+    )(table, ...taggedTemplateData);
+
+    return function eachBind(title, fn, timeout) {
+      caseIndex = 0;
+      caseFn = fn;
+      return bindCases(title, fn, timeout);
+    };
+  };
+}
+
+// Wrap the variants of a Jest global (`only`, `skip`, `each`, ...); other properties are copied.
+// Variants shared by several parents, like `test.skip` and `test.concurrent.skip`, are wrapped once
+function wrapVariants(wrapped, originalFn, variantKeys, wrapVariant, eachWrapper, wrappers) {
+  wrappers.set(originalFn, wrapped);
+  Object.keys(originalFn).forEach(key => {
+    const variant = originalFn[key];
+    if (typeof variant !== 'function') {
+      return;
+    }
+    if (wrappers.has(variant)) {
+      wrapped[key] = wrappers.get(variant);
+    } else if (key === 'each' && jestEach) {
+      wrapped[key] = eachWrapper;
+    } else if (variantKeys.includes(key)) {
+      wrapped[key] = wrapVariant(variant, key);
+    } else {
+      wrapped[key] = variant;
+    }
+  });
+  return wrapped;
+}
+
+// Describe wrapper that records the block's title while its tests are registered
+function createDescribeWrapper(originalFn, wrappers = new Map()) {
+  function registerBlock(eachCase, blockName, blockFn, ...rest) {
+    if (typeof blockFn !== 'function') {
+      return originalFn(blockName, blockFn, ...rest);
     }
 
-    // Wrap the test function with tracking
-    const wrappedTestFn = async function(...args) {
-      // Get the current test file path from Jest's context
-      let testFilePath = 'unknown';
+    return originalFn(blockName, function(...args) {
+      describeStack.push({ title: getTitle(blockName), eachIndex: eachCase ? eachCase.index : undefined });
       try {
-        // Method 1: Try expect.getState() - this is the most reliable method
-        const expectState = expect.getState();
-        if (expectState && expectState.testPath) {
-          testFilePath = expectState.testPath;
-        }
-        // Method 2: Try global Jest context
-        else if (global.jasmine && global.jasmine.testPath) {
-          testFilePath = global.jasmine.testPath;
-        }
-        // Method 3: Use stack trace to find test file as fallback
-        else {
-          const stack = new Error().stack;
-
-          // Look for test file patterns in the stack trace
-          const testFilePatterns = [
-            /at.*\/([^\/]+\.test\.[jt]s):/,
-            /at.*\/([^\/]+\.spec\.[jt]s):/,
-            /at.*\/(src\/__tests__\/[^:]+\.test\.[jt]s):/,
-            /at.*\/(src\/__tests__\/[^:]+\.spec\.[jt]s):/,
-            /at.*\/(__tests__\/[^:]+\.test\.[jt]s):/,
-            /at.*\/(__tests__\/[^:]+\.spec\.[jt]s):/
-          ];
-
-          for (const pattern of testFilePatterns) {
-            const match = stack.match(pattern);
-            if (match) {
-              testFilePath = match[1];
-              break;
-            }
-          }
-        }
-      } catch (e) {
-        testFilePath = 'unknown';
+        return blockFn.apply(this, args);
+      } finally {
+        describeStack.pop();
       }
+    }, ...rest);
+  }
+
+  return wrapVariants(
+    function wrappedDescribe(blockName, blockFn, ...rest) {
+      return registerBlock(null, blockName, blockFn, ...rest);
+    },
+    originalFn,
+    DESCRIBE_VARIANTS,
+    variant => createDescribeWrapper(variant, wrappers),
+    createEachWrapper(registerBlock, false, false),
+    wrappers
+  );
+}
+
+// Get the current test file path from Jest's context
+function getCurrentTestFile() {
+  try {
+    // Method 1: Try expect.getState() - this is the most reliable method
+    const expectState = expect.getState();
+    if (expectState && expectState.testPath) {
+      return expectState.testPath;
+    }
+    // Method 2: Try global Jest context
+    if (global.jasmine && global.jasmine.testPath) {
+      return global.jasmine.testPath;
+    }
+    // Method 3: Use stack trace to find test file as fallback
+    const stack = new Error().stack;
 
-      // Start tracking for this specific test
-      global.__TEST_LINEAGE_TRACKER__.currentTest = {
-        name: testName,
-        type: testType,
-        testFile: testFilePath,
-        startTime: Date.now(),
-        coverage: new Map(),
-        qualityMetrics: {
-          assertions: 0,
-          asyncOperations: 0,
-          mockUsage: 0,
-          errorHandling: 0,
-          edgeCases: 0,
-          complexity: 0,
-          maintainability: 0,
-          reliability: 0,
-          testSmells: [],
-          codePatterns: [],
-          dependencies: new Set(),
-          isolationScore: 0,
-          testLength: 0,
-          setupTeardown: 0
-        },
-        startMetrics: capturePerformanceMetrics()
-      };
-      global.__TEST_LINEAGE_TRACKER__.isTracking = true;
-
-      // Analyze test quality
-      if (typeof testFn === 'function') {
-        global.__TEST_LINEAGE_TRACKER__.currentTest.qualityMetrics = analyzeTestQuality(testFn, testName);
+    // Look for test file patterns in the stack trace
+    const testFilePatterns = [
+      /at.*\/([^\/]+\.test\.[jt]s):/,
+      /at.*\/([^\/]+\.spec\.[jt]s):/,
+      /at.*\/(src\/__tests__\/[^:]+\.test\.[jt]s):/,
+      /at.*\/(src\/__tests__\/[^:]+\.spec\.[jt]s):/,
+      /at.*\/(__tests__\/[^:]+\.test\.[jt]s):/,
+      /at.*\/(__tests__\/[^:]+\.spec\.[jt]s):/
+    ];
+
+    for (const pattern of testFilePatterns) {
+      const match = stack.match(pattern);
+      if (match) {
+        return match[1];
       }
+    }
+  } catch (e) {
+    // Fall through to unknown
+  }
+  return 'unknown';
+}
 
-      try {
-        // Execute the actual test
-        const result = await testFn.apply(this, args);
-        
-        // Store the coverage data for this test
-        const testId = `${testName}::${Date.now()}`;
-        const testData = {
-          name: testName,
-          type: testType,
-          testFile: global.__TEST_LINEAGE_TRACKER__.currentTest.testFile,
-          duration: Date.now() - global.__TEST_LINEAGE_TRACKER__.currentTest.startTime,
-          coverage: new Map(global.__TEST_LINEAGE_TRACKER__.currentTest.coverage),
-          qualityMetrics: global.__TEST_LINEAGE_TRACKER__.currentTest.qualityMetrics
-        };
-
-        global.__TEST_LINEAGE_TRACKER__.testCoverage.set(testId, testData);
-
-        // Skip storing persistent data and writing files during mutation testing
-        if (process.env.JEST_LINEAGE_MUTATION !== 'true') {
-          // Also store in a more persistent way for the reporter
-          if (!global.__LINEAGE_PERSISTENT_DATA__) {
-            // Initialize array - load existing tests from file if merging is enabled
-            // This ensures data persists across test files running in separate workers
-            const shouldMerge = process.env.JEST_LINEAGE_MERGE !== 'false';
-            if (shouldMerge) {
-              const fs = require('fs');
-              const path = require('path');
-              const filePath = path.join(process.cwd(), '.jest-lineage-data.json');
-
-              if (fs.existsSync(filePath)) {
-                try {
-                  const existingData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-                  // Convert coverage objects back to Maps
-                  global.__LINEAGE_PERSISTENT_DATA__ = existingData.tests.map(test => ({
-                    ...test,
-                    coverage: new Map(Object.entries(test.coverage || {}))
-                  }));
-                } catch (e) {
-                  global.__LINEAGE_PERSISTENT_DATA__ = [];
-                }
-              } else {
-                global.__LINEAGE_PERSISTENT_DATA__ = [];
-              }
-            } else {
-              global.__LINEAGE_PERSISTENT_DATA__ = [];
-            }
-          }
-          global.__LINEAGE_PERSISTENT_DATA__.push(testData);
+// Start tracking a run of a registered test
+function startTest(test) {
+  const testFile = getCurrentTestFile();
+  return {
+    id: createTestId({ testFile, describePath: test.describePath, name: test.name, eachIndex: test.eachIndex }),
+    name: test.name,
+    describePath: test.describePath,
+    type: test.type,
+    testFile,
+    failing: test.failing,
+    startTime: Date.now(),
+    coverage: new Map(),
+    qualityMetrics: analyzeTestQuality(test.sourceFn, test.name),
+    startMetrics: capturePerformanceMetrics(),
+    isTracking: true
+  };
+}
+
+// Store the coverage of a finished test run; `test.failing` tests pass by throwing
+function finishTest(currentTest, error) {
+  if (!currentTest.isTracking) {
+    return;
+  }
+  // Stop tracking first so the store's own lines aren't attributed to this test
+  currentTest.isTracking = false;
+
+  const testData = {
+    id: currentTest.id,
+    name: currentTest.name,
+    describePath: currentTest.describePath,
+    type: currentTest.type,
+    testFile: currentTest.testFile,
+    duration: Date.now() - currentTest.startTime,
+    coverage: new Map(currentTest.coverage),
+    qualityMetrics: currentTest.qualityMetrics
+  };
+
+  const failed = currentTest.failing ? !error : Boolean(error);
+  if (failed) {
+    // Still store coverage data even if test fails
+    global.__TEST_LINEAGE_TRACKER__.testCoverage.set(`${currentTest.id}::${Date.now()}::FAILED`, {
+      ...testData,
+      failed: true
+    });
+    return;
+  }
+
+  global.__TEST_LINEAGE_TRACKER__.testCoverage.set(`${currentTest.id}::${Date.now()}`, testData);
 
-          // Write to file for reporter to read
-          writeTrackingDataToFile();
+  // Skip storing persistent data and writing files during mutation testing
+  if (process.env.JEST_LINEAGE_MUTATION !== 'true') {
+    // Also store in a more persistent way for the reporter
+    if (!global.__LINEAGE_PERSISTENT_DATA__) {
+      global.__LINEAGE_PERSISTENT_DATA__ = [];
+    }
+    global.__LINEAGE_PERSISTENT_DATA__.push(testData);
+
+    // Append to this worker's shard for the reporter to consolidate
+    writeTrackingDataToFile(testData);
+  }
+}
+
+// Wrap a test function so it runs in its own tracking context
+function trackTestFunction(testFn, test) {
+  // Jest only passes `done` to functions that declare it
+  if (testFn.length > 0) {
+    return function(done) {
+      const currentTest = startTest(test);
+      return testContext.run(currentTest, () => {
+        try {
+          return testFn.call(this, (reason) => {
+            finishTest(currentTest, reason);
+            return done(reason);
+          });
+        } catch (error) {
+          finishTest(currentTest, error);
+          throw error;
         }
+      });
+    };
+  }
 
+  return function(...args) {
+    const currentTest = startTest(test);
+    return testContext.run(currentTest, async () => {
+      try {
+        const result = await testFn.apply(this, args);
+        finishTest(currentTest, null);
         return result;
       } catch (error) {
-        // Still store coverage data even if test fails
-        const testId = `${testName}::${Date.now()}::FAILED`;
-        global.__TEST_LINEAGE_TRACKER__.testCoverage.set(testId, {
-          name: testName,
-          type: testType,
-          testFile: global.__TEST_LINEAGE_TRACKER__.currentTest.testFile,
-          duration: Date.now() - global.__TEST_LINEAGE_TRACKER__.currentTest.startTime,
-          coverage: new Map(global.__TEST_LINEAGE_TRACKER__.currentTest.coverage),
-          qualityMetrics: global.__TEST_LINEAGE_TRACKER__.currentTest.qualityMetrics,
-          failed: true
-        });
+        finishTest(currentTest, error);
         throw error;
-      } finally {
-        // Clean up tracking state
-        global.__TEST_LINEAGE_TRACKER__.currentTest = null;
-        global.__TEST_LINEAGE_TRACKER__.isTracking = false;
       }
+    });
+  };
+}
+
+// Enhanced test wrapper that tracks coverage per individual test, for every variant
+function createTestWrapper(originalFn, testType, options = {}, wrappers = new Map()) {
+  function registerTest(eachCase, testName, testFn, timeout, ...rest) {
+    // If no test function provided, it's a pending test
+    if (typeof testFn !== 'function') {
+      return originalFn(testName, testFn, timeout, ...rest);
+    }
+
+    // Part of the test's ID (see utils/test-id.js)
+    const test = {
+      name: getTitle(testName),
+      describePath: describeStack.map(block => block.title),
+      eachIndex: getEachIndex(eachCase ? eachCase.index : undefined),
+      type: testType,
+      failing: Boolean(options.failing),
+      // Quality is analyzed on the test's own source rather than the `.each` case wrapper
+      sourceFn: eachCase && typeof eachCase.fn === 'function' ? eachCase.fn : testFn
     };
 
-    // Call original function with wrapped test
-    return originalFn(testName, wrappedTestFn, timeout);
-  };
+    return originalFn(testName, trackTestFunction(testFn, test), timeout, ...rest);
+  }
+
+  return wrapVariants(
+    function wrappedTest(testName, testFn, timeout, ...rest) {
+      return registerTest(null, testName, testFn, timeout, ...rest);
+    },
+    originalFn,
+    TEST_VARIANTS,
+    (variant, key) => createTestWrapper(variant, testType, {
+      concurrent: options.concurrent || key === 'concurrent',
+      failing: options.failing || key === 'failing'
+    }, wrappers),
+    // Mirrors jest-circus: `done` isn't supported by concurrent and failing cases
+    createEachWrapper(registerTest, !options.concurrent && !options.failing, Boolean(options.failing)),
+    wrappers
+  );
 }
 
 // Cache for discovered source directories to avoid repeated filesystem operations
@@ -656,53 +784,29 @@ function calculateCallDepth() {
   }
 }
 
-// Method to write tracking data to file
-function writeTrackingDataToFile() {
+// Method to append a finished test to this worker's shard of the lineage data
+function writeTrackingDataToFile(testData) {
   // Skip writing during mutation testing to avoid creating reports
   if (process.env.JEST_LINEAGE_MUTATION === 'true') {
     return;
   }
 
-  const fs = require('fs');
   const path = require('path');
+  const LineageStore = require('./LineageStore');
+  const { createLineRecords } = require('./lineage-schema');
 
   try {
-    const filePath = path.join(process.cwd(), '.jest-lineage-data.json');
-
-    // Check if we should merge with existing data (default: true for multiple test files)
-    // Set JEST_LINEAGE_MERGE=false to disable merging and recreate from scratch
-    const shouldMerge = process.env.JEST_LINEAGE_MERGE !== 'false';
-
-    let existingData = { timestamp: Date.now(), tests: [] };
-    if (shouldMerge && fs.existsSync(filePath)) {
-      try {
-        existingData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-      } catch (e) {
-        // If file is corrupted, start fresh
-        existingData = { timestamp: Date.now(), tests: [] };
-      }
-    }
-
-    const tests = global.__LINEAGE_PERSISTENT_DATA__ || [];
+    const store = new LineageStore({ dataPath: path.join(process.cwd(), '.jest-lineage-data.json') });
 
-    // Don't write if we have no tests or if all tests have empty coverage
-    if (tests.length === 0) {
-      return;
-    }
-
-    // Check if any test has actual coverage data
-    const hasAnyCoverage = tests.some(test => test.coverage && test.coverage.size > 0);
-    if (!hasAnyCoverage) {
-      return;
-    }
-
-    // Convert Map objects to plain objects for JSON serialization
-    const serializedTests = tests.map(testData => ({
+    // The tracker's coverage Map becomes structured line records
+    store.append({
+      id: testData.id,
       name: testData.name,
+      describePath: testData.describePath,
       type: testData.type,
       testFile: testData.testFile,
       duration: testData.duration,
-      coverage: testData.coverage instanceof Map ? Object.fromEntries(testData.coverage) : testData.coverage,
+      lines: createLineRecords(testData.coverage),
       qualityMetrics: testData.qualityMetrics || {
         assertions: 0,
         asyncOperations: 0,
@@ -717,57 +821,31 @@ function writeTrackingDataToFile() {
         isolationScore: 100,
         testLength: 0
       }
-    }));
-
-    let dataToWrite;
-    if (shouldMerge) {
-      // Merge with existing data (replace tests with same name to get latest coverage data)
-      const existingTestsByName = new Map(existingData.tests.map(t => [t.name, t]));
-
-      // Add/replace tests with new data
-      serializedTests.forEach(newTest => {
-        existingTestsByName.set(newTest.name, newTest);
-      });
-
-      dataToWrite = {
-        timestamp: Date.now(),
-        tests: Array.from(existingTestsByName.values())
-      };
-    } else {
-      // Recreate from scratch (default behavior)
-      dataToWrite = {
-        timestamp: Date.now(),
-        tests: serializedTests
-      };
-    }
-
-    fs.writeFileSync(filePath, JSON.stringify(dataToWrite, null, 2));
+    });
   } catch (error) {
     console.warn('Warning: Could not write tracking data to file:', error.message);
   }
 }
 
-// Replace global test functions with our wrapped versions
-global.it = createTestWrapper(originalIt, 'it');
-global.test = createTestWrapper(originalTest, 'test');
-
-// Copy over any additional properties from original functions
+// Replace global test functions and their variants with our wrapped versions
 if (originalIt) {
-  Object.keys(originalIt).forEach(key => {
-    if (typeof originalIt[key] === 'function') {
-      global.it[key] = originalIt[key];
-    }
-  });
+  global.it = createTestWrapper(originalIt, 'it');
 }
-
 if (originalTest) {
-  Object.keys(originalTest).forEach(key => {
-    if (typeof originalTest[key] === 'function') {
-      global.test[key] = originalTest[key];
-    }
-  });
+  global.test = createTestWrapper(originalTest, 'test');
+}
+if (originalDescribe) {
+  global.describe = createDescribeWrapper(originalDescribe);
 }
 
+// Focus and skip aliases
+const aliases = { fit: ['it', 'only'], xit: ['it', 'skip'], xtest: ['test', 'skip'], fdescribe: ['describe', 'only'], xdescribe: ['describe', 'skip'] };
+Object.entries(aliases).forEach(([alias, [name, variant]]) => {
+  if (global[alias] && global[name] && global[name][variant]) {
+    global[alias] = global[name][variant];
+  }
+});
+
 // Function for line execution tracking with call depth and performance analysis
 global.__TRACK_LINE_EXECUTION__ = function(filePath, lineNumber, nodeType) {
   // Skip tracking during mutation testing to avoid conflicts
@@ -775,8 +853,8 @@ global.__TRACK_LINE_EXECUTION__ = function(filePath, lineNumber, nodeType) {
     return;
   }
 
-  if (global.__TEST_LINEAGE_TRACKER__.isTracking &&
-      global.__TEST_LINEAGE_TRACKER__.currentTest) {
+  const currentTest = testContext.getStore();
+  if (currentTest && currentTest.isTracking) {
 
     // High-resolution performance measurement
     const performanceStart = capturePerformanceMetrics();
@@ -789,19 +867,19 @@ global.__TRACK_LINE_EXECUTION__ = function(filePath, lineNumber, nodeType) {
     const callDepth = calculateCallDepth();
 
     // Store execution with depth information
-    const currentCount = global.__TEST_LINEAGE_TRACKER__.currentTest.coverage.get(key) || 0;
-    global.__TEST_LINEAGE_TRACKER__.currentTest.coverage.set(key, currentCount + 1);
+    const currentCount = currentTest.coverage.get(key) || 0;
+    currentTest.coverage.set(key, currentCount + 1);
 
     // Store depth information for this execution
     const depthKey = `${key}:depth`;
-    const depthData = global.__TEST_LINEAGE_TRACKER__.currentTest.coverage.get(depthKey) || {};
+    const depthData = currentTest.coverage.get(depthKey) || {};
     depthData[callDepth] = (depthData[callDepth] || 0) + 1;
-    global.__TEST_LINEAGE_TRACKER__.currentTest.coverage.set(depthKey, depthData);
+    currentTest.coverage.set(depthKey, depthData);
 
     // Store performance metrics for this execution
     const performanceEnd = capturePerformanceMetrics();
     const performanceKey = `${key}:performance`;
-    const performanceData = global.__TEST_LINEAGE_TRACKER__.currentTest.coverage.get(performanceKey) || {
+    const performanceData = currentTest.coverage.get(performanceKey) || {
       totalExecutions: 0,
       totalCpuTime: 0,
       totalWallTime: 0,
@@ -886,19 +964,19 @@ global.__TRACK_LINE_EXECUTION__ = function(filePath, lineNumber, nodeType) {
       performanceData.performanceStdDev = Math.sqrt(variance);
     }
 
-    global.__TEST_LINEAGE_TRACKER__.currentTest.coverage.set(performanceKey, performanceData);
+    currentTest.coverage.set(performanceKey, performanceData);
 
     // Store additional metadata about the node type
     const metaKey = `${key}:meta`;
-    if (!global.__TEST_LINEAGE_TRACKER__.currentTest.coverage.has(metaKey)) {
-      global.__TEST_LINEAGE_TRACKER__.currentTest.coverage.set(metaKey, {
+    if (!currentTest.coverage.has(metaKey)) {
+      currentTest.coverage.set(metaKey, {
         nodeType: nodeType,
         firstExecution: Date.now(),
         minDepth: callDepth,
         maxDepth: callDepth
       });
     } else {
-      const meta = global.__TEST_LINEAGE_TRACKER__.currentTest.coverage.get(metaKey);
+      const meta = currentTest.coverage.get(metaKey);
       meta.minDepth = Math.min(meta.minDepth, callDepth);
       meta.maxDepth = Math.max(meta.maxDepth, callDepth);
     }
@@ -919,14 +997,10 @@ global.__GET_LINEAGE_RESULTS__ = function() {
 
   console.log(`🔍 Getting lineage results from ${dataSource.length} tests`);
 
-  dataSource.forEach((testData) => {
-    testData.coverage.forEach((count, key) => {
-      // Skip metadata entries
-      if (key.includes(':meta')) {
-        return;
-      }
+  const { createLineRecords } = require('./lineage-schema');
 
-      const [filePath, lineNumber] = key.split(':');
+  dataSource.forEach((testData) => {
+    createLineRecords(testData.coverage).forEach(({ file: filePath, line: lineNumber, hits: count }) => {
 
       // Skip test files and node_modules
       if (filePath.includes('__tests__') ||
@@ -945,7 +1019,9 @@ global.__GET_LINEAGE_RESULTS__ = function() {
       }
 
       results[filePath][lineNumber].push({
+        testId: testData.id,
         testName: testData.name,
+        describePath: testData.describePath,
         testFile: 'current-test-file', // Will be updated by reporter
         executionCount: count,
         duration: testData.duration,
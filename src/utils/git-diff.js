@@ -0,0 +1,279 @@
+/**
+ * Git Diff Utilities
+ * Read changed lines from git and map line numbers across a diff
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+/**
+ * Run a git command and return its stdout
+ * @param {string[]} args - Git arguments
+ * @param {string} cwd - Working directory
+ * @returns {string} Command output
+ */
+function runGit(args, cwd) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024
+    });
+  } catch (error) {
+    const stderr = error.stderr ? error.stderr.toString().trim() : error.message;
+    throw new Error(`git ${args.join(' ')} failed: ${stderr}`);
+  }
+}
+
+/**
+ * Get the root directory of the git repository containing cwd
+ * @param {string} cwd - Working directory
+ * @returns {string} Absolute repository root
+ */
+function getRepositoryRoot(cwd = process.cwd()) {
+  return runGit(['rev-parse', '--show-toplevel'], cwd).trim();
+}
+
+// Escapes git uses in quoted paths besides octal bytes
+const QUOTED_PATH_ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+/**
+ * Undo git's C-style quoting of paths with special or non-ASCII characters,
+ * e.g. "b/na\303\257ve.js" becomes b/naïve.js
+ * @param {string} text - Path as printed by git
+ * @returns {string} Unquoted path; unquoted input is returned as is
+ */
+function unquoteGitPath(text) {
+  if (text.length < 2 || !text.startsWith('"') || !text.endsWith('"')) {
+    return text;
+  }
+
+  const chunks = [];
+  for (const [token, escape] of text.slice(1, -1).matchAll(/\\([0-7]{1,3}|[\s\S])|[^\\]+/g)) {
+    if (escape === undefined) {
+      chunks.push(Buffer.from(token, 'utf8'));
+    } else if (/^[0-7]+$/.test(escape)) {
+      chunks.push(Buffer.from([parseInt(escape, 8)]));
+    } else {
+      chunks.push(Buffer.from([QUOTED_PATH_ESCAPES[escape] !== undefined ? QUOTED_PATH_ESCAPES[escape] : escape.charCodeAt(0)]));
+    }
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Read the path of a ---/+++ file header, without its a/ or b/ prefix
+ * @param {string} target - Header text after "--- " or "+++ "
+ * @param {string} prefix - "a/" or "b/"
+ * @returns {string|null} Repository-relative path, or null for /dev/null
+ */
+function parseHeaderPath(target, prefix) {
+  const filePath = unquoteGitPath(target.trim());
+  if (filePath === '/dev/null') {
+    return null;
+  }
+  return filePath.startsWith(prefix) ? filePath.slice(prefix.length) : filePath;
+}
+
+/**
+ * Parse a unified diff produced with --unified=0
+ * Hunk bodies are skipped by their line counts, so removed or added lines
+ * that start with "-- " or "++ " aren't mistaken for file headers. Renames
+ * without content changes have no hunks and keep their old path. File
+ * headers must use the a/ and b/ prefixes (getChangedLines asks git for them,
+ * whatever diff.noprefix or diff.mnemonicPrefix say); quoted paths are unquoted.
+ * @param {string} diffText - Output of git diff
+ * @param {string} repoRoot - Repository root used to resolve file paths
+ * @returns {object} Map of absolute file path to { oldPath, isNew, hunks, addedLines }
+ */
+function parseUnifiedDiff(diffText, repoRoot) {
+  const files = {};
+  let current = null;
+  let oldPath = null;
+  let renameFrom = null;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  diffText.split('\n').forEach((line) => {
+    // Body of the current hunk
+    if (oldRemaining > 0 || newRemaining > 0) {
+      if (line.startsWith('-')) {
+        oldRemaining--;
+      } else if (line.startsWith('+')) {
+        newRemaining--;
+      } else if (line.startsWith(' ')) {
+        oldRemaining--;
+        newRemaining--;
+      }
+      return;
+    }
+
+    if (line.startsWith('diff --git ')) {
+      current = null;
+      oldPath = null;
+      renameFrom = null;
+      return;
+    }
+
+    if (line.startsWith('rename from ')) {
+      renameFrom = unquoteGitPath(line.slice('rename from '.length).trim());
+      return;
+    }
+
+    if (line.startsWith('rename to ') && renameFrom) {
+      // Replaced by the --- and +++ headers when the content changed too
+      const absolutePath = path.resolve(repoRoot, unquoteGitPath(line.slice('rename to '.length).trim()));
+      current = {
+        oldPath: path.resolve(repoRoot, renameFrom),
+        isNew: false,
+        hunks: [],
+        addedLines: new Set()
+      };
+      files[absolutePath] = current;
+      return;
+    }
+
+    if (line.startsWith('--- ')) {
+      oldPath = parseHeaderPath(line.slice(4), 'a/');
+      return;
+    }
+
+    if (line.startsWith('+++ ')) {
+      const relativePath = parseHeaderPath(line.slice(4), 'b/');
+      if (relativePath === null) {
+        // Deleted file - nothing left to mutate
+        current = null;
+        return;
+      }
+
+      const absolutePath = path.resolve(repoRoot, relativePath);
+      current = {
+        oldPath: oldPath ? path.resolve(repoRoot, oldPath) : null,
+        isNew: oldPath === null,
+        hunks: [],
+        addedLines: new Set()
+      };
+      files[absolutePath] = current;
+      return;
+    }
+
+    const hunkMatch = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (hunkMatch && current) {
+      const hunk = {
+        oldStart: parseInt(hunkMatch[1]),
+        oldLines: hunkMatch[2] !== undefined ? parseInt(hunkMatch[2]) : 1,
+        newStart: parseInt(hunkMatch[3]),
+        newLines: hunkMatch[4] !== undefined ? parseInt(hunkMatch[4]) : 1,
+        header: line
+      };
+      current.hunks.push(hunk);
+      oldRemaining = hunk.oldLines;
+      newRemaining = hunk.newLines;
+
+      for (let i = 0; i < hunk.newLines; i++) {
+        current.addedLines.add(hunk.newStart + i);
+      }
+    }
+  });
+
+  return files;
+}
+
+/**
+ * Get changed lines between a git ref and the working tree
+ * Untracked files are reported as new files with every line changed.
+ * @param {string} ref - Git ref or range (e.g. "main", "HEAD~3", "main...feature")
+ * @param {object} options - Options
+ * @param {string} options.cwd - Working directory
+ * @param {boolean} options.includeUntracked - Include untracked files (default: true)
+ * @returns {object} Map of absolute file path to diff info (see parseUnifiedDiff)
+ */
+function getChangedLines(ref, options = {}) {
+  const { cwd = process.cwd(), includeUntracked = true } = options;
+  const repoRoot = getRepositoryRoot(cwd);
+
+  // Explicit prefixes, so diff.noprefix or diff.mnemonicPrefix in the user's config don't change the headers
+  const diffText = runGit(
+    ['diff', '--unified=0', '--no-color', '--no-ext-diff', '--find-renames', '--src-prefix=a/', '--dst-prefix=b/', ref, '--'],
+    repoRoot
+  );
+  const files = parseUnifiedDiff(diffText, repoRoot);
+
+  // Ranges like "base...head" compare commits only, so untracked files don't apply
+  if (includeUntracked && !ref.includes('..')) {
+    // -z prints paths unquoted
+    const untracked = runGit(['ls-files', '-z', '--others', '--exclude-standard'], repoRoot)
+      .split('\0')
+      .filter(Boolean);
+
+    untracked.forEach((relativePath) => {
+      const absolutePath = path.resolve(repoRoot, relativePath);
+      if (!files[absolutePath]) {
+        files[absolutePath] = {
+          oldPath: null,
+          isNew: true,
+          hunks: [],
+          addedLines: null // null means every line is new
+        };
+      }
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Check whether a line in the new version of a file was changed
+ * @param {object|undefined} fileDiff - Diff info for the file
+ * @param {number} lineNumber - Line number in the new version
+ * @returns {boolean} True if the line was added or modified
+ */
+function isLineChanged(fileDiff, lineNumber) {
+  if (!fileDiff) {
+    return false;
+  }
+  if (fileDiff.isNew || fileDiff.addedLines === null) {
+    return true;
+  }
+  return fileDiff.addedLines.has(lineNumber);
+}
+
+/**
+ * Map a line number in the new version of a file back to the old version
+ * @param {object|undefined} fileDiff - Diff info for the file
+ * @param {number} lineNumber - Line number in the new version
+ * @returns {number|null} Old line number, or null if the line is new or changed
+ */
+function mapToPreviousLine(fileDiff, lineNumber) {
+  if (!fileDiff) {
+    return lineNumber;
+  }
+  if (isLineChanged(fileDiff, lineNumber)) {
+    return null;
+  }
+
+  // Shift by the net line delta of every hunk that ends before this line
+  let offset = 0;
+  for (const hunk of fileDiff.hunks) {
+    const newEnd = hunk.newLines === 0 ? hunk.newStart : hunk.newStart + hunk.newLines - 1;
+    if (newEnd >= lineNumber && hunk.newLines > 0) {
+      break;
+    }
+    if (hunk.newLines === 0 && hunk.newStart >= lineNumber) {
+      break;
+    }
+    offset += hunk.oldLines - hunk.newLines;
+  }
+
+  return lineNumber + offset;
+}
+
+module.exports = {
+  getRepositoryRoot,
+  unquoteGitPath,
+  parseUnifiedDiff,
+  getChangedLines,
+  isLineChanged,
+  mapToPreviousLine
+};
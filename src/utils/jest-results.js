@@ -0,0 +1,168 @@
+/**
+ * Jest Result Utilities
+ * Read Jest's --json output and classify the outcome of a mutant's test run
+ */
+
+const fs = require('fs');
+
+/**
+ * Read the JSON results written by `jest --json --outputFile=<file>`
+ * @param {string} outputFile - Path passed to --outputFile
+ * @returns {object|null} Parsed results, or null if Jest didn't write them
+ */
+function readJestJsonResults(outputFile) {
+  try {
+    if (!fs.existsSync(outputFile)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the first meaningful line of a failure message
+ * @param {string} message - Failure message (may contain ANSI colors)
+ * @returns {string} Single-line summary
+ */
+function summarizeFailure(message) {
+  const lines = String(message || '')
+    .replace(/\u001b\[[0-9;]*m/g, '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && line !== '●' && !line.startsWith('● Test suite failed to run'));
+
+  return lines[0] || '';
+}
+
+/**
+ * Collect failing tests from Jest JSON results
+ * @param {object} results - Jest JSON results
+ * @returns {Array<object>} Failed tests { title, fullName, ancestorTitles, testFile, failureMessage }
+ */
+function getFailedTests(results) {
+  const failed = [];
+
+  (results.testResults || []).forEach((suite) => {
+    (suite.assertionResults || []).forEach((assertion) => {
+      if (assertion.status === 'failed') {
+        failed.push({
+          title: assertion.title,
+          fullName: assertion.fullName || assertion.title,
+          ancestorTitles: assertion.ancestorTitles || [],
+          testFile: suite.name,
+          failureMessage: summarizeFailure((assertion.failureMessages || []).join('\n'))
+        });
+      }
+    });
+  });
+
+  return failed;
+}
+
+/**
+ * Collect the duration of every test that ran
+ * @param {object} results - Jest JSON results
+ * @returns {Array<object>} Tests { title, fullName, ancestorTitles, testFile, status, duration }
+ */
+function getTestDurations(results) {
+  const tests = [];
+
+  (results.testResults || []).forEach((suite) => {
+    (suite.assertionResults || []).forEach((assertion) => {
+      if (assertion.status === 'passed' || assertion.status === 'failed') {
+        tests.push({
+          title: assertion.title,
+          fullName: assertion.fullName || assertion.title,
+          ancestorTitles: assertion.ancestorTitles || [],
+          testFile: suite.name,
+          status: assertion.status,
+          duration: assertion.duration || 0
+        });
+      }
+    });
+  });
+
+  return tests;
+}
+
+/**
+ * Collect suites that failed without a failing test
+ * A suite Jest couldn't load or transform (`testExecError`; in --json output
+ * a failed suite without test results) is a compile error. Others failed
+ * outside their tests, e.g. in an afterAll hook. Failure messages aren't
+ * used: a mutant can make code throw SyntaxError at runtime too.
+ * @param {object} results - Jest JSON results
+ * @returns {Array<object>} Suite errors { testFile, message, compileError }
+ */
+function getSuiteErrors(results) {
+  return (results.testResults || [])
+    .filter((suite) => suite.status === 'failed' &&
+      !(suite.assertionResults || []).some((assertion) => assertion.status === 'failed'))
+    .map((suite) => ({
+      testFile: suite.name,
+      message: summarizeFailure(suite.message),
+      compileError: Boolean(suite.testExecError) || (suite.assertionResults || []).length === 0
+    }));
+}
+
+/**
+ * Classify the outcome of running a mutant's tests
+ * Assertion failures kill the mutant, suites that can't load are compile
+ * errors, suites that fail outside their tests are runtime errors, and runs
+ * that exceed the time limit are timeouts.
+ * @param {object} run - Run details
+ * @param {object|null} run.results - Jest JSON results
+ * @param {number|null} run.exitCode - Jest exit code
+ * @param {boolean} run.timedOut - Whether the run was stopped for taking too long
+ * @param {string} run.output - Combined stdout/stderr, used when there are no JSON results
+ * @returns {object} { status, failedTests, statusReason }
+ */
+function classifyJestRun({ results, exitCode, timedOut, output = '' }) {
+  if (timedOut) {
+    return { status: 'timeout', failedTests: [], statusReason: 'Test run exceeded the mutation timeout' };
+  }
+
+  if (!results) {
+    if (exitCode === 0) {
+      return { status: 'survived', failedTests: [], statusReason: null };
+    }
+    const lastLine = output.trim().split('\n').pop() || '';
+    return {
+      status: 'runtime-error',
+      failedTests: [],
+      statusReason: `Jest exited with code ${exitCode} without results${lastLine ? `: ${lastLine}` : ''}`
+    };
+  }
+
+  const failedTests = getFailedTests(results);
+  if (failedTests.length > 0) {
+    return { status: 'killed', failedTests, statusReason: failedTests[0].failureMessage || null };
+  }
+
+  const suiteErrors = getSuiteErrors(results);
+  if (suiteErrors.length > 0) {
+    const compileError = suiteErrors.find((suiteError) => suiteError.compileError);
+    const reported = compileError || suiteErrors[0];
+    return {
+      status: compileError ? 'compile-error' : 'runtime-error',
+      failedTests: [],
+      statusReason: reported.message || 'Test suite failed to run'
+    };
+  }
+
+  if (!results.numTotalTests) {
+    return { status: 'error', failedTests: [], statusReason: 'No tests ran for this mutant' };
+  }
+
+  return { status: 'survived', failedTests: [], statusReason: null };
+}
+
+module.exports = {
+  readJestJsonResults,
+  getFailedTests,
+  getTestDurations,
+  getSuiteErrors,
+  classifyJestRun
+};
@@ -0,0 +1,280 @@
+/**
+ * Mutation Scope Utilities
+ * Narrow lineage data down to the files, line ranges and functions a
+ * mutation run should cover
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports `*` (within a directory), `**` (across directories) and `?`.
+ * @param {string} pattern - Glob pattern with forward slashes
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      const directory = pattern[i + 2] === '/';
+      source += directory ? '(?:.*/)?' : '.*';
+      i += directory ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a project-relative file path matches a scope pattern
+ * Patterns without wildcards match the file itself or everything below a directory.
+ * @param {string} relativePath - Project-relative path with forward slashes
+ * @param {string} pattern - Glob, file or directory
+ * @returns {boolean} True if the path is in scope
+ */
+function matchesFilePattern(relativePath, pattern) {
+  const normalized = pattern.trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+
+  if (!/[*?]/.test(normalized)) {
+    return relativePath === normalized || relativePath.startsWith(`${normalized}/`);
+  }
+  return globToRegExp(normalized).test(relativePath);
+}
+
+/**
+ * Parse line ranges such as `40-120`, `75` or `10-20,40-60`
+ * @param {string|string[]} spec - Comma-separated ranges
+ * @returns {Array<{start: number, end: number}>} Inclusive ranges
+ */
+function parseLineRanges(spec) {
+  return [].concat(spec)
+    .join(',')
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid line range "${part}" (expected e.g. 40-120)`);
+      }
+
+      const start = parseInt(match[1]);
+      const end = match[2] !== undefined ? parseInt(match[2]) : start;
+      if (end < start) {
+        throw new Error(`Invalid line range "${part}" (end is before start)`);
+      }
+      return { start, end };
+    });
+}
+
+/**
+ * Get the names a function can be referred to by
+ * Declarations use their own name, function expressions the variable,
+ * property or assignment target they are stored in; class members are
+ * also reachable as `ClassName.member`.
+ * @param {object} functionPath - Babel path of a function
+ * @returns {string[]} Names
+ */
+function getFunctionNames(functionPath) {
+  const node = functionPath.node;
+  const parent = functionPath.parent;
+  const names = [];
+  const keyName = (key) => key && (key.name || (key.type === 'StringLiteral' ? key.value : null));
+
+  if (node.id) {
+    names.push(node.id.name);
+  }
+
+  if (node.type === 'ClassMethod' || node.type === 'ObjectMethod' || node.type === 'ClassPrivateMethod') {
+    names.push(keyName(node.key.type === 'PrivateName' ? node.key.id : node.key));
+  } else if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+    names.push(parent.id.name);
+  } else if (parent.type === 'ObjectProperty' || parent.type === 'ClassProperty') {
+    names.push(keyName(parent.key));
+  } else if (parent.type === 'AssignmentExpression') {
+    const target = parent.left;
+    names.push(target.type === 'MemberExpression' ? keyName(target.property) : keyName(target));
+  }
+
+  // Qualify class members with the class name
+  const classPath = functionPath.findParent((ancestor) => ancestor.isClass());
+  const className = classPath && classPath.node.id && classPath.node.id.name;
+  const memberName = names[names.length - 1];
+  if (className && memberName && (node.type.startsWith('Class') || parent.type.startsWith('Class'))) {
+    names.push(`${className}.${memberName}`);
+  }
+
+  return names.filter(Boolean);
+}
+
+/**
+ * Find the line ranges of named functions in a file
+ * @param {string} filePath - File path (used for parser options)
+ * @param {string} sourceCode - File contents
+ * @param {string[]} functionNames - Function names (or `ClassName.method`)
+ * @returns {Array<{name: string, start: number, end: number}>} Ranges of the matching functions
+ */
+function findFunctionRanges(filePath, sourceCode, functionNames) {
+  const babel = require('@babel/core');
+
+  const ast = babel.parseSync(sourceCode, {
+    filename: filePath,
+    configFile: false,
+    babelrc: false,
+    parserOpts: {
+      sourceType: 'module',
+      allowImportExportEverywhere: true,
+      plugins: ['typescript', 'jsx']
+    }
+  });
+
+  const ranges = [];
+  babel.traverse(ast, {
+    Function(functionPath) {
+      const name = getFunctionNames(functionPath).find((candidate) => functionNames.includes(candidate));
+      if (name && functionPath.node.loc) {
+        ranges.push({
+          name,
+          start: functionPath.node.loc.start.line,
+          end: functionPath.node.loc.end.line
+        });
+      }
+    }
+  });
+
+  return ranges;
+}
+
+/**
+ * Check whether a scope restricts anything
+ * @param {object} scope - { files, lines, functions }
+ * @returns {boolean} True if at least one filter is set
+ */
+function hasScope(scope) {
+  return Boolean(scope) &&
+    ['files', 'lines', 'functions'].some((key) => [].concat(scope[key] || []).length > 0);
+}
+
+/**
+ * Check whether a file passes the `files` filter of a scope
+ * Scopes without file patterns accept every file.
+ * @param {string} filePath - Absolute or project-relative file path
+ * @param {object} scope - { files, lines, functions }
+ * @param {object} options - Options
+ * @param {string} options.projectPath - Project root (default: cwd)
+ * @returns {boolean} True if the file is in scope
+ */
+function isFileInScope(filePath, scope, options = {}) {
+  const projectPath = options.projectPath || process.cwd();
+  const filePatterns = [].concat(scope.files || []).filter(Boolean);
+  if (filePatterns.length === 0) {
+    return true;
+  }
+
+  const relativePath = path.relative(projectPath, path.resolve(projectPath, filePath)).split(path.sep).join('/');
+  return filePatterns.some((pattern) => matchesFilePattern(relativePath, pattern));
+}
+
+/**
+ * Restrict lineage data to a mutation scope
+ * Every filter that is set must match: a line is kept when its file matches
+ * one of the `files` patterns, it lies in one of the `lines` ranges and inside
+ * one of the named `functions`.
+ * @param {object} lineageData - { filePath: { lineNumber: [testInfo] } }
+ * @param {object} scope - Scope
+ * @param {string[]} scope.files - Globs, files or directories relative to the project
+ * @param {string} scope.lines - Line ranges (see parseLineRanges)
+ * @param {string[]} scope.functions - Function names (or `ClassName.method`)
+ * @param {object} options - Options
+ * @param {string} options.projectPath - Project root (default: cwd)
+ * @returns {object} { lineageData, fileCount, lineCount, functions } where
+ *   `functions` lists the ranges each named function resolved to
+ */
+function applyMutationScope(lineageData, scope, options = {}) {
+  const projectPath = options.projectPath || process.cwd();
+  const lineRanges = scope.lines ? parseLineRanges(scope.lines) : [];
+  const functionNames = [].concat(scope.functions || []).filter(Boolean);
+
+  const scoped = {};
+  const functions = [];
+  let lineCount = 0;
+
+  Object.entries(lineageData).forEach(([filePath, lines]) => {
+    const absolutePath = path.resolve(projectPath, filePath);
+    const relativePath = path.relative(projectPath, absolutePath).split(path.sep).join('/');
+
+    if (!isFileInScope(absolutePath, scope, { projectPath })) {
+      return;
+    }
+
+    let functionRanges = null;
+    if (functionNames.length > 0) {
+      try {
+        functionRanges = findFunctionRanges(absolutePath, fs.readFileSync(absolutePath, 'utf8'), functionNames);
+      } catch (error) {
+        console.warn(`⚠️ Could not resolve functions in ${relativePath}: ${error.message}`);
+        return;
+      }
+      functionRanges.forEach((range) => functions.push({ file: relativePath, ...range }));
+    }
+
+    const inRanges = (ranges, line) => ranges.some((range) => line >= range.start && line <= range.end);
+
+    Object.entries(lines).forEach(([lineNumber, tests]) => {
+      const line = parseInt(lineNumber);
+      if (lineRanges.length > 0 && !inRanges(lineRanges, line)) return;
+      if (functionRanges && !inRanges(functionRanges, line)) return;
+
+      if (!scoped[filePath]) {
+        scoped[filePath] = {};
+      }
+      scoped[filePath][lineNumber] = tests;
+      lineCount++;
+    });
+  });
+
+  return {
+    lineageData: scoped,
+    fileCount: Object.keys(scoped).length,
+    lineCount,
+    functions
+  };
+}
+
+/**
+ * Describe a scope for display, e.g. `files src/billing/**, lines 40-120`
+ * @param {object} scope - { files, lines, functions }
+ * @returns {string} Description
+ */
+function describeMutationScope(scope) {
+  const parts = [];
+  const files = [].concat(scope.files || []).filter(Boolean);
+  const functions = [].concat(scope.functions || []).filter(Boolean);
+
+  if (files.length > 0) parts.push(`files ${files.join(', ')}`);
+  if (scope.lines) parts.push(`lines ${[].concat(scope.lines).join(',')}`);
+  if (functions.length > 0) parts.push(`${functions.length === 1 ? 'function' : 'functions'} ${functions.join(', ')}`);
+
+  return parts.join('; ');
+}
+
+module.exports = {
+  globToRegExp,
+  matchesFilePattern,
+  parseLineRanges,
+  findFunctionRanges,
+  hasScope,
+  isFileInScope,
+  applyMutationScope,
+  describeMutationScope
+};
@@ -0,0 +1,110 @@
+/**
+ * Source File Discovery
+ * Find the project's source files, including those no test loads, so
+ * mutants can be planned for code without coverage
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./mutation-scope');
+
+// Test files are never mutated (same rules as the lineage tracker)
+const TEST_FILE_PATTERN = /(^|\/)__tests__\/|\.(test|spec)\.[^/]+$/;
+
+/**
+ * Check whether a project-relative path is a test or declaration file
+ * @param {string} relativePath - Project-relative path with forward slashes
+ * @returns {boolean} True if the file must not be mutated
+ */
+function isTestOrDeclarationFile(relativePath) {
+  return TEST_FILE_PATTERN.test(relativePath) || relativePath.endsWith('.d.ts');
+}
+
+/**
+ * List the files below a directory, skipping node_modules and hidden directories
+ * @param {string} directory - Absolute directory path
+ * @returns {string[]} Absolute file paths
+ */
+function walkDirectory(directory) {
+  let entries;
+  try {
+    entries = fs.readdirSync(directory, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  return entries.flatMap((entry) => {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'node_modules' || entry.name.startsWith('.') ? [] : walkDirectory(entryPath);
+    }
+    return entry.isFile() ? [entryPath] : [];
+  });
+}
+
+/**
+ * Get the directories to search for source files: the top-level project
+ * directories that contain covered files (the project root itself only for
+ * files directly in it)
+ * @param {string[]} coveredFiles - Paths of files with coverage
+ * @param {string} projectPath - Project root
+ * @returns {string[]} Project-relative directories ('.' for the root)
+ */
+function getDefaultSourceRoots(coveredFiles, projectPath) {
+  const roots = new Set();
+
+  coveredFiles.forEach((filePath) => {
+    const relativePath = path.relative(projectPath, path.resolve(projectPath, filePath));
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return;
+    }
+    const segments = relativePath.split(path.sep);
+    roots.add(segments.length > 1 ? segments[0] : '.');
+  });
+
+  return [...roots];
+}
+
+/**
+ * Find the source files below the given roots
+ * A file is a source file when it matches one of the include patterns, none
+ * of the exclude patterns and isn't a test or declaration file. Files directly
+ * in the project root are only searched when `.` is a root, without recursing.
+ * @param {string[]} roots - Project-relative directories ('.' for the root)
+ * @param {object} options - Options
+ * @param {string} options.projectPath - Project root (default: cwd)
+ * @param {string[]} options.includePatterns - Globs of source files
+ * @param {string[]} options.excludePatterns - Globs of files to leave out
+ * @returns {string[]} Absolute file paths, sorted
+ */
+function findSourceFiles(roots, options = {}) {
+  const projectPath = options.projectPath || process.cwd();
+  const include = (options.includePatterns || []).map(globToRegExp);
+  const exclude = (options.excludePatterns || []).map(globToRegExp);
+  const files = new Set();
+
+  roots.forEach((root) => {
+    const directory = path.resolve(projectPath, root);
+    const candidates = directory === projectPath
+      ? fs.readdirSync(directory, { withFileTypes: true })
+        .filter((entry) => entry.isFile())
+        .map((entry) => path.join(directory, entry.name))
+      : walkDirectory(directory);
+
+    candidates.forEach((filePath) => {
+      const relativePath = path.relative(projectPath, filePath).split(path.sep).join('/');
+      if (isTestOrDeclarationFile(relativePath)) return;
+      if (!include.some((pattern) => pattern.test(relativePath))) return;
+      if (exclude.some((pattern) => pattern.test(relativePath))) return;
+      files.add(filePath);
+    });
+  });
+
+  return [...files].sort();
+}
+
+module.exports = {
+  isTestOrDeclarationFile,
+  getDefaultSourceRoots,
+  findSourceFiles
+};
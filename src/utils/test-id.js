@@ -0,0 +1,98 @@
+/**
+ * Test Identity
+ * A test is identified by its file relative to the project root, the titles
+ * of the describe blocks around it and its own title, joined with " › " as
+ * in Jest's output. Parameterized cases add their index, so two tests only
+ * share an ID if Jest couldn't tell them apart either.
+ */
+
+const path = require('path');
+
+const TITLE_SEPARATOR = ' › ';
+
+/**
+ * Create the stable ID of a test
+ * @param {object} test - { testFile, describePath, name, eachIndex }; eachIndex is the
+ *   index of a `.each` case, joined with "." to the cases of `describe.each` blocks around it
+ * @param {string} projectPath - Project root (default: cwd)
+ * @returns {string} e.g. "src/__tests__/calculator.test.ts › Calculator › add › adds numbers"
+ */
+function createTestId(test, projectPath = process.cwd()) {
+  const testFile = test.testFile && path.isAbsolute(test.testFile)
+    ? path.relative(projectPath, test.testFile).split(path.sep).join('/')
+    : test.testFile || 'unknown';
+  const id = [testFile, ...(test.describePath || []), test.name].join(TITLE_SEPARATOR);
+  return test.eachIndex !== undefined && test.eachIndex !== null ? `${id} [${test.eachIndex}]` : id;
+}
+
+/**
+ * Get a test's title path for display: describe blocks and title, without the file
+ * @param {object} test - { describePath, name } or a lineage entry { describePath, testName }
+ * @returns {string} e.g. "Calculator › add › adds numbers"
+ */
+function getTestTitlePath(test) {
+  return [...(test.describePath || []), getTestTitle(test)].join(TITLE_SEPARATOR);
+}
+
+/**
+ * Get a test's title, for a test or a lineage entry
+ */
+function getTestTitle(test) {
+  return test.name !== undefined ? test.name : test.testName;
+}
+
+/**
+ * Get the full name Jest reports for a test and matches --testNamePattern against
+ * @param {object} test - { describePath, name } or a lineage entry { describePath, testName }
+ * @returns {string} Describe titles and test title joined with spaces
+ */
+function getTestFullName(test) {
+  return [...(test.describePath || []), getTestTitle(test)].join(' ');
+}
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a --testNamePattern that selects exactly the given tests
+ * Tests recorded without their describe blocks (lineage data from older
+ * versions) match every test with their title.
+ * @param {object[]} tests - Tests or lineage entries
+ * @returns {string} Regular expression source
+ */
+function createTestNamePattern(tests) {
+  const patterns = tests.map((test) => {
+    const hasDescribePath = test.describePath && test.describePath.length > 0;
+    return hasDescribePath
+      ? `^${escapeRegExp(getTestFullName(test))}$`
+      : `(^| )${escapeRegExp(getTestTitle(test))}$`;
+  });
+  return `(${[...new Set(patterns)].join('|')})`;
+}
+
+/**
+ * Check whether a test from Jest's results is the given lineage test
+ * @param {object} test - Test or lineage entry
+ * @param {object} reported - Test from Jest JSON results { title, fullName, testFile }
+ * @returns {boolean} True if they are the same test
+ */
+function isSameTest(test, reported) {
+  if (reported.testFile && test.testFile && path.isAbsolute(test.testFile) && reported.testFile !== test.testFile) {
+    return false;
+  }
+  return test.describePath && test.describePath.length > 0
+    ? reported.fullName === getTestFullName(test)
+    : reported.title === getTestTitle(test);
+}
+
+module.exports = {
+  createTestId,
+  getTestTitlePath,
+  getTestFullName,
+  createTestNamePattern,
+  isSameTest
+};